@@ -1,12 +1,12 @@
 // app.js — ISPT – Sistema Web de Avaliação Docente (FINAL corrigido)
 // Stack: Node.js (Express) + SQLite (better-sqlite3) + Tailwind (CDN) + Chart.js (CDN)
 // Export: Excel (exceljs), PDF (pdfkit)
-// Extras: .env (dotenv), Autenticação simples (admin), Ano lectivo, Turma, Importação via Excel
+// Extras: .env (dotenv), Utilizadores com perfis, Ano lectivo, Turma, Importação via Excel ou ZIP de CSV
 // Como executar:
 // 1) npm init -y
-// 2) npm i express cookie-parser multer better-sqlite3 body-parser exceljs pdfkit dayjs dotenv
+// 2) npm i express cookie-parser multer better-sqlite3 body-parser exceljs pdfkit dayjs dotenv jszip
 // 3) mkdir public && (coloque um logo em public/logo.png se quiser)
-// 4) ADMIN_PASSWORD=coloca-uma-senha node app.js   (ou use .env)
+// 4) ADMIN_PASSWORD=coloca-uma-senha node app.js   (palavra-passe inicial do utilizador "admin"; ou use .env)
 // 5) Abrir: http://localhost:3000
 
 const express = require('express');
@@ -15,11 +15,14 @@ const cookieParser = require('cookie-parser');
 const multer = require('multer');
 const Database = require('better-sqlite3');
 const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
 const PDFDocument = require('pdfkit');
 const dayjs = require('dayjs');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
 require('dotenv').config();
 
 
@@ -28,24 +31,70 @@ require('dotenv').config();
 
 
 
+// ====== REGISTO ======
+// Mensagens do servidor numa só forma: data, nível e texto (com a mensagem do erro, se houver).
+// Os avisos e erros vão para stderr; um erro nunca interrompe quem o regista.
+const LOG_LEVELS = { info: 'INFO', warn: 'AVISO', error: 'ERRO' };
+function log(level, message, e = null) {
+  const line = `${dayjs().toISOString()} ${LOG_LEVELS[level]} ${message}${e ? `: ${e.message || e}` : ''}`;
+  (level === 'info' ? process.stdout : process.stderr).write(line + '\n');
+}
+
 // ====== APP & DB ======
 const app = express();
 const db = new Database('avaliacao_ispt.sqlite');
-const upload = multer({ storage: multer.memoryStorage() });
 
 // ====== ENV ======
+// Palavra-passe inicial do utilizador "admin" (só usada quando ainda não há utilizadores)
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'ispt-admin';
+// Sessões: inactividade (minutos), duração máxima (horas) e "Manter sessão" (dias)
+const SESSION_IDLE_MINUTES = Number(process.env.SESSION_IDLE_MINUTES || 30);
+const SESSION_MAX_HOURS = Number(process.env.SESSION_MAX_HOURS || 12);
+const SESSION_REMEMBER_DAYS = Number(process.env.SESSION_REMEMBER_DAYS || 30);
 const LOGO_PATH = process.env.LOGO_PATH || 'logo.jpg';
-const RESPONDENTS_TARGET = Number(process.env.RESPONDENTS_TARGET || 0);
+const RESPONDENTS_TARGET = Number(process.env.RESPONDENTS_TARGET || 0); // inscritos por turma quando não importados (0 = desconhecido)
+const RESPONSE_RATE_MIN = Number(process.env.RESPONSE_RATE_MIN || 30);   // % abaixo da qual os resultados não são representativos
 const ANON = Number(process.env.ANON_THRESHOLD || 5);
+const NOTIFY_AREA_CUTOFF = Number(process.env.NOTIFY_AREA_CUTOFF || 50); // índice 0–100
+const NOTIFY_KEEP_DAYS = Number(process.env.NOTIFY_KEEP_DAYS || 90);
+// Backups automáticos: off | daily | weekly | custom (de BACKUP_INTERVAL_HOURS em BACKUP_INTERVAL_HOURS)
+const BACKUP_SCHEDULE = ['off', 'daily', 'weekly', 'custom'].includes(String(process.env.BACKUP_SCHEDULE || 'daily').toLowerCase())
+  ? String(process.env.BACKUP_SCHEDULE || 'daily').toLowerCase() : 'off';
+const BACKUP_TIME = /^\d{1,2}:\d{2}$/.test(process.env.BACKUP_TIME || '') ? process.env.BACKUP_TIME : '02:00';
+const BACKUP_WEEKDAY = Number(process.env.BACKUP_WEEKDAY || 0) % 7; // 0 = domingo
+const BACKUP_INTERVAL_HOURS = Math.max(1, Number(process.env.BACKUP_INTERVAL_HOURS || 24));
+// Retenção por idade: todos os backups dos últimos N dias, depois o mais recente de cada semana e de cada mês
+const BACKUP_KEEP_DAILY_DAYS = Number(process.env.BACKUP_KEEP_DAILY_DAYS || 14);
+const BACKUP_KEEP_WEEKLY_WEEKS = Number(process.env.BACKUP_KEEP_WEEKLY_WEEKS || 8);
+const BACKUP_KEEP_MONTHLY_MONTHS = Number(process.env.BACKUP_KEEP_MONTHLY_MONTHS || 12);
+// Login: falhas seguidas até ao bloqueio, por conta (em cada IP), por sessão do browser e por IP; o bloqueio começa em LOGIN_LOCKOUT_SECONDS e duplica a cada nova falha
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const LOGIN_MAX_ATTEMPTS_SESSION = Number(process.env.LOGIN_MAX_ATTEMPTS_SESSION || 10);
+const LOGIN_MAX_ATTEMPTS_IP = Number(process.env.LOGIN_MAX_ATTEMPTS_IP || 50);
+const LOGIN_LOCKOUT_SECONDS = Number(process.env.LOGIN_LOCKOUT_SECONDS || 30);
+const LOGIN_LOCKOUT_MAX_MINUTES = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES || 60);
+// Inquérito: submissões por IP e pedidos inválidos por sessão do browser e por IP em 10 minutos; tempo mínimo de preenchimento (segundos)
+const SUBMIT_MAX_PER_IP = Number(process.env.SUBMIT_MAX_PER_IP || 300);
+const SUBMIT_MAX_FAILURES_PER_SESSION = Number(process.env.SUBMIT_MAX_FAILURES_PER_SESSION || 10);
+const SUBMIT_MAX_FAILURES_PER_IP = Number(process.env.SUBMIT_MAX_FAILURES_PER_IP || 100);
+const SUBMIT_MIN_SECONDS = Number(process.env.SUBMIT_MIN_SECONDS || 5);
+// Chave dos tokens do formulário do inquérito; sem ela é gerada no arranque e os formulários abertos deixam de valer após reiniciar
+const FORM_SECRET = process.env.FORM_SECRET || crypto.randomBytes(32).toString('hex');
+// Proxy reverso à frente da aplicação (nginx…): n.º de saltos, "loopback" ou lista de IPs. Sem isto todos os pedidos têm o IP do proxy
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+// Uploads (importação e restauro): tamanho máximo do ficheiro e, na importação, do conteúdo descomprimido do .xlsx/.zip
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB || 100);
+const IMPORT_MAX_INFLATED_MB = Number(process.env.IMPORT_MAX_INFLATED_MB || 50);
 
 // ====== MIDDLEWARES ======
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' ? true : TRUST_PROXY);
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(bodyParser.json());
 app.use(cookieParser());
 app.use(express.static('public'));
 
 // ====== SCHEMA ======
+// Esquema original (v1 das migrações): não se altera. Tabelas e colunas novas entram por migrações.
 const schema = `
 CREATE TABLE IF NOT EXISTS course (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -110,11 +159,380 @@ CREATE TABLE IF NOT EXISTS survey_answer (
 );
 `;
 
-// create/upgrade
-db.exec(schema);
-db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS ux_teaching ON teaching(teacher_id, discipline_id, semester_id, school_year_id, class_group_id);`);
-try { db.exec('ALTER TABLE teaching ADD COLUMN school_year_id INTEGER'); } catch {}
-try { db.exec('ALTER TABLE teaching ADD COLUMN class_group_id INTEGER'); } catch {}
+// ====== MIGRAÇÕES DO ESQUEMA ======
+// Cada migração corre uma só vez, numa transação, e fica registada em schema_migrations. A v1 é
+// o esquema original; as migrações 2–16 reproduzem as actualizações feitas antes de haver registo e
+// por isso só alteram o que falta (CREATE TABLE IF NOT EXISTS, addColumn): uma BD antiga, uma nova
+// ou um backup de qualquer versão chegam ao mesmo esquema.
+// Alterações novas: acrescentar { version, name, up } no fim da lista, sem mexer nas existentes.
+function hasColumn(conn, table, col) {
+  return conn.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === col);
+}
+// true se a coluna foi criada agora
+function addColumn(conn, table, col, def) {
+  if (hasColumn(conn, table, col)) return false;
+  conn.exec(`ALTER TABLE ${table} ADD COLUMN ${col} ${def}`);
+  return true;
+}
+
+// survey_answer antigo tinha CHECK(value IN (0,1,2)); o SQLite não remove CHECKs, por isso reconstrói-se
+// (value NULL e text_value NULL = "Não se aplica"; perguntas de texto livre usam text_value)
+function upgradeAnswerTable(conn) {
+  const row = conn.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='survey_answer'").get();
+  if (!row || !/CHECK\s*\(\s*value\s+IN/i.test(row.sql)) return;
+  conn.exec(`
+    ALTER TABLE survey_answer RENAME TO survey_answer_old;
+    CREATE TABLE survey_answer (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      response_id INTEGER NOT NULL,
+      question_id INTEGER NOT NULL,
+      value INTEGER,
+      text_value TEXT,
+      FOREIGN KEY(response_id) REFERENCES survey_response(id),
+      FOREIGN KEY(question_id) REFERENCES survey_question(id)
+    );
+    INSERT INTO survey_answer (id, response_id, question_id, value) SELECT id, response_id, question_id, value FROM survey_answer_old;
+    DROP TABLE survey_answer_old;
+  `);
+}
+
+// user sem o perfil 'teacher' no CHECK: reconstrói-se com teacher_id (ligação à tabela teacher)
+function upgradeUserTable(conn) {
+  const row = conn.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='user'").get();
+  if (!row || /'teacher'/.test(row.sql)) return;
+  conn.exec(`
+    CREATE TABLE user_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      name TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('admin','quality','coordinator','auditor','teacher')),
+      teacher_id INTEGER UNIQUE,
+      active INTEGER NOT NULL DEFAULT 1 CHECK(active IN (0,1)),
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(teacher_id) REFERENCES teacher(id)
+    );
+    INSERT INTO user_new (id, username, name, password_hash, role, active, created_at)
+      SELECT id, username, name, password_hash, role, active, created_at FROM user;
+    DROP TABLE user;
+    ALTER TABLE user_new RENAME TO user;
+  `);
+}
+
+// backup_run sem a origem 'pre_restore' no CHECK: reconstrói-se mantendo o histórico
+function upgradeBackupRunTable(conn) {
+  const row = conn.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='backup_run'").get();
+  if (!row || /'pre_restore'/.test(row.sql)) return;
+  conn.exec(`
+    CREATE TABLE backup_run_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL CHECK(source IN ('manual','scheduled','pre_restore')),
+      file TEXT,
+      size INTEGER,
+      sha256 TEXT,
+      integrity TEXT,
+      status TEXT NOT NULL CHECK(status IN ('ok','failed')),
+      error TEXT,
+      user_id INTEGER,
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      FOREIGN KEY(user_id) REFERENCES user(id)
+    );
+    INSERT INTO backup_run_new SELECT id, source, file, size, sha256, integrity, status, error, user_id, started_at, finished_at FROM backup_run;
+    DROP TABLE backup_run;
+    ALTER TABLE backup_run_new RENAME TO backup_run;
+  `);
+}
+
+const MIGRATIONS = [
+  { version: 1, name: 'Esquema base', up: conn => conn.exec(schema) },
+  { version: 2, name: 'Leccionações por ano lectivo e turma', up: conn => {
+    addColumn(conn, 'teaching', 'school_year_id', 'INTEGER');
+    addColumn(conn, 'teaching', 'class_group_id', 'INTEGER');
+    conn.exec('CREATE UNIQUE INDEX IF NOT EXISTS ux_teaching ON teaching(teacher_id, discipline_id, semester_id, school_year_id, class_group_id)');
+  } },
+  { version: 3, name: 'Campanhas nas respostas', up: conn => {
+    conn.exec(`
+      CREATE TABLE IF NOT EXISTS campaign (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        school_year_id INTEGER NOT NULL,
+        semester_id INTEGER NOT NULL,
+        course_id INTEGER,
+        starts_at TEXT NOT NULL,
+        ends_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft','open','closed')),
+        questionnaire_version_id INTEGER,
+        FOREIGN KEY(school_year_id) REFERENCES school_year(id),
+        FOREIGN KEY(semester_id) REFERENCES semester(id),
+        FOREIGN KEY(course_id) REFERENCES course(id),
+        FOREIGN KEY(questionnaire_version_id) REFERENCES questionnaire_version(id)
+      );
+    `);
+    addColumn(conn, 'survey_response', 'campaign_id', 'INTEGER');
+  } },
+  { version: 4, name: 'Versões do questionário', up: conn => {
+    conn.exec(`
+      CREATE TABLE IF NOT EXISTS questionnaire_version (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        version INTEGER NOT NULL UNIQUE,
+        title TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft','published','retired')),
+        created_at TEXT NOT NULL,
+        published_at TEXT
+      );
+    `);
+    addColumn(conn, 'survey_question', 'questionnaire_version_id', 'INTEGER');
+    addColumn(conn, 'survey_question', 'position', 'INTEGER NOT NULL DEFAULT 0');
+    addColumn(conn, 'survey_response', 'questionnaire_version_id', 'INTEGER');
+    addColumn(conn, 'campaign', 'questionnaire_version_id', 'INTEGER');
+  } },
+  { version: 5, name: 'Escalas de resposta e "Não se aplica"', up: conn => {
+    conn.exec(`
+      CREATE TABLE IF NOT EXISTS answer_scale (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'numeric' CHECK(kind IN ('numeric','text')),
+        min_value INTEGER,
+        max_value INTEGER,
+        labels TEXT NOT NULL DEFAULT '[]' -- JSON: [{ "value": 0, "label": "Nunca" }, ...]
+      );
+    `);
+    addColumn(conn, 'survey_question', 'scale_id', 'INTEGER');
+    addColumn(conn, 'survey_question', 'allow_na', 'INTEGER NOT NULL DEFAULT 0');
+  } },
+  { version: 6, name: 'Estudantes inscritos por leccionação', up: conn => {
+    addColumn(conn, 'teaching', 'enrolled', 'INTEGER');
+  } },
+  { version: 7, name: 'Moderação de comentários', up: conn => {
+    // comment_status: pending | approved | redacted | rejected. Os comentários anteriores à
+    // moderação já tinham sido publicados
+    if (addColumn(conn, 'survey_response', 'comment_status', "TEXT NOT NULL DEFAULT 'pending'")) {
+      conn.exec("UPDATE survey_response SET comment_status = 'approved' WHERE comment IS NOT NULL AND TRIM(comment) <> ''");
+    }
+    addColumn(conn, 'survey_response', 'comment_redacted', 'TEXT');
+    addColumn(conn, 'survey_response', 'moderated_at', 'TEXT');
+    addColumn(conn, 'survey_response', 'moderated_by', 'INTEGER');
+    conn.exec(`
+      CREATE TABLE IF NOT EXISTS comment_moderation (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        response_id INTEGER NOT NULL,
+        user_id INTEGER,
+        action TEXT NOT NULL,
+        from_status TEXT NOT NULL,
+        to_status TEXT NOT NULL,
+        note TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(response_id) REFERENCES survey_response(id) ON DELETE CASCADE,
+        FOREIGN KEY(user_id) REFERENCES user(id)
+      );
+    `);
+  } },
+  { version: 8, name: 'Registos mestre activos/inactivos', up: conn => {
+    ['course', 'discipline', 'teacher', 'class_group', 'semester', 'school_year', 'teaching']
+      .forEach(table => addColumn(conn, table, 'active', 'INTEGER NOT NULL DEFAULT 1'));
+  } },
+  { version: 9, name: 'Respostas sem CHECK fixo de valores', up: upgradeAnswerTable },
+  { version: 10, name: 'Perfil docente nos utilizadores', up: upgradeUserTable },
+  { version: 11, name: 'Códigos de acesso anónimos', up: conn => conn.exec(`
+    CREATE TABLE IF NOT EXISTS access_code_batch (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      class_group_id INTEGER NOT NULL,
+      school_year_id INTEGER NOT NULL,
+      semester_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(class_group_id) REFERENCES class_group(id),
+      FOREIGN KEY(school_year_id) REFERENCES school_year(id),
+      FOREIGN KEY(semester_id) REFERENCES semester(id)
+    );
+    -- Sem data de utilização nem ligação a survey_response: um código gasto não identifica a resposta
+    CREATE TABLE IF NOT EXISTS access_code (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      batch_id INTEGER NOT NULL,
+      code TEXT NOT NULL UNIQUE,
+      used INTEGER NOT NULL DEFAULT 0 CHECK(used IN (0,1)),
+      FOREIGN KEY(batch_id) REFERENCES access_code_batch(id)
+    );
+  `) },
+  { version: 12, name: 'Utilizadores, cursos dos coordenadores e sessões', up: conn => conn.exec(`
+    CREATE TABLE IF NOT EXISTS user (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      name TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('admin','quality','coordinator','auditor','teacher')),
+      teacher_id INTEGER UNIQUE,
+      active INTEGER NOT NULL DEFAULT 1 CHECK(active IN (0,1)),
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(teacher_id) REFERENCES teacher(id)
+    );
+    -- Cursos de um coordenador (os outros perfis vêem todos os cursos)
+    CREATE TABLE IF NOT EXISTS user_course (
+      user_id INTEGER NOT NULL,
+      course_id INTEGER NOT NULL,
+      PRIMARY KEY(user_id, course_id),
+      FOREIGN KEY(user_id) REFERENCES user(id),
+      FOREIGN KEY(course_id) REFERENCES course(id)
+    );
+    -- Sessões do lado do servidor; o cookie leva um token aleatório e aqui guarda-se só o seu SHA-256
+    CREATE TABLE IF NOT EXISTS session (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_hash TEXT NOT NULL UNIQUE,
+      user_id INTEGER NOT NULL,
+      remember INTEGER NOT NULL DEFAULT 0 CHECK(remember IN (0,1)),
+      created_at TEXT NOT NULL,
+      last_seen_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      user_agent TEXT,
+      FOREIGN KEY(user_id) REFERENCES user(id)
+    );
+  `) },
+  { version: 13, name: 'Notificações', up: conn => conn.exec(`
+    -- Notificações internas: roles = perfis destinatários (separados por vírgula); course_id limita
+    -- os coordenadores a um curso e teacher_id os docentes a si próprios. dedupe_key evita repetições.
+    CREATE TABLE IF NOT EXISTS notification (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      level TEXT NOT NULL DEFAULT 'info' CHECK(level IN ('info','warning','error')),
+      title TEXT NOT NULL,
+      body TEXT,
+      link TEXT,
+      roles TEXT NOT NULL,
+      course_id INTEGER,
+      teacher_id INTEGER,
+      dedupe_key TEXT UNIQUE,
+      created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS notification_read (
+      notification_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      read_at TEXT NOT NULL,
+      PRIMARY KEY(notification_id, user_id),
+      FOREIGN KEY(notification_id) REFERENCES notification(id) ON DELETE CASCADE,
+      FOREIGN KEY(user_id) REFERENCES user(id)
+    );
+  `) },
+  { version: 14, name: 'Histórico de backups', up: conn => conn.exec(`
+    -- Histórico de backups (manuais e automáticos): checksum e resultado do PRAGMA integrity_check
+    CREATE TABLE IF NOT EXISTS backup_run (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL CHECK(source IN ('manual','scheduled','pre_restore')),
+      file TEXT,
+      size INTEGER,
+      sha256 TEXT,
+      integrity TEXT,
+      status TEXT NOT NULL CHECK(status IN ('ok','failed')),
+      error TEXT,
+      user_id INTEGER,
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      FOREIGN KEY(user_id) REFERENCES user(id)
+    );
+  `) },
+  { version: 15, name: 'Backups antes de restauros', up: upgradeBackupRunTable },
+  { version: 16, name: 'Restauros', up: conn => conn.exec(`
+    -- Restauros aplicados; backup_file é o backup automático feito antes, usado para desfazer
+    CREATE TABLE IF NOT EXISTS restore_run (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file TEXT,
+      mode TEXT NOT NULL CHECK(mode IN ('replace','merge')),
+      backup_file TEXT,
+      summary TEXT, -- JSON: linhas por tabela
+      rollback_of INTEGER,
+      user_id INTEGER,
+      created_at TEXT NOT NULL,
+      rolled_back_at TEXT,
+      FOREIGN KEY(rollback_of) REFERENCES restore_run(id),
+      FOREIGN KEY(user_id) REFERENCES user(id)
+    );
+  `) },
+  { version: 17, name: 'Registo de auditoria', up: conn => conn.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,
+      user_id INTEGER,
+      username TEXT,
+      role TEXT,
+      action TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'ok',
+      target TEXT,
+      details TEXT,
+      ip TEXT
+    );
+    CREATE INDEX IF NOT EXISTS ix_audit_log_created ON audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS ix_audit_log_action ON audit_log(action, created_at);
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'O registo de auditoria não pode ser alterado.'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'O registo de auditoria não pode ser apagado.'); END;
+  `) },
+  { version: 18, name: 'Tentativas bloqueadas', up: conn => conn.exec(`
+    CREATE TABLE IF NOT EXISTS blocked_attempt (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      day TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK(kind IN ('login','survey')),
+      reason TEXT NOT NULL,
+      username TEXT NOT NULL DEFAULT '',
+      ip TEXT NOT NULL DEFAULT '',
+      count INTEGER NOT NULL DEFAULT 0,
+      first_at TEXT NOT NULL,
+      last_at TEXT NOT NULL,
+      UNIQUE(day, kind, reason, username, ip)
+    );
+  `) },
+  { version: 19, name: 'Moderação das respostas de texto livre', up: conn => {
+    // Como os comentários: pending | approved | redacted | rejected. As respostas anteriores nunca
+    // foram publicadas, por isso ficam pendentes.
+    addColumn(conn, 'survey_answer', 'text_status', "TEXT NOT NULL DEFAULT 'pending'");
+    addColumn(conn, 'survey_answer', 'text_redacted', 'TEXT');
+    addColumn(conn, 'survey_answer', 'moderated_at', 'TEXT');
+    addColumn(conn, 'survey_answer', 'moderated_by', 'INTEGER');
+    // Registo de moderação: answer_id preenchido nas respostas de texto, NULL nos comentários
+    addColumn(conn, 'comment_moderation', 'answer_id', 'INTEGER REFERENCES survey_answer(id) ON DELETE CASCADE');
+  } },
+];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Versão de uma BD (0 = anterior ao registo de migrações)
+function schemaVersion(conn) {
+  const has = conn.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+  return has ? (conn.prepare('SELECT MAX(version) v FROM schema_migrations').get().v || 0) : 0;
+}
+
+// Aplica as migrações em falta a uma ligação (a BD principal ou a cópia de um backup a restaurar).
+// Recusa uma BD de versão mais recente do que esta aplicação.
+function migrate(conn) {
+  const from = schemaVersion(conn);
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`O esquema da base de dados (v${from}) é mais recente do que o desta aplicação (v${SCHEMA_VERSION}). Actualize a aplicação.`);
+  }
+  conn.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+  const done = new Set(conn.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+  const pending = MIGRATIONS.filter(m => !done.has(m.version));
+  if (!pending.length) return { from, to: from, applied: [] };
+  // Reconstruir tabelas exige as chaves estrangeiras desligadas, o que só tem efeito fora de transações
+  conn.pragma('foreign_keys = OFF');
+  try {
+    const record = conn.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+    pending.forEach(m => conn.transaction(() => {
+      m.up(conn);
+      record.run(m.version, m.name, dayjs().toISOString());
+    })());
+  } finally {
+    conn.pragma('foreign_keys = ON');
+  }
+  return { from, to: SCHEMA_VERSION, applied: pending.map(m => `v${m.version} ${m.name}`) };
+}
+
+try {
+  const m = migrate(db);
+  if (m.applied.length) log('info', `Esquema actualizado de v${m.from} para v${m.to}: ${m.applied.join('; ')}`);
+} catch (e) {
+  log('error', 'Migração da base de dados falhou', e);
+  process.exit(1);
+}
 
 // ====== SEED ======
 function seedOnce() {
@@ -184,15 +602,1061 @@ function seedOnce() {
 }
 seedOnce();
 
+// ====== ESCALAS DE RESPOSTA ======
+// Escalas numéricas (min..max, com rótulos por valor) ou de texto livre. Para comparar perguntas
+// com escalas diferentes, cada resposta é normalizada para 0–100: (valor − min) / (max − min) × 100.
+const DEFAULT_SCALES = [
+  { code: 'freq3', name: 'Frequência (0–2)', kind: 'numeric', min: 0, max: 2, labels: ['Nunca', 'Às vezes', 'Sempre'] },
+  { code: 'likert5', name: 'Likert (1–5)', kind: 'numeric', min: 1, max: 5, labels: ['Discordo totalmente', 'Discordo', 'Neutro', 'Concordo', 'Concordo totalmente'] },
+  { code: 'yesno', name: 'Sim/Não', kind: 'numeric', min: 0, max: 1, labels: ['Não', 'Sim'] },
+  { code: 'text', name: 'Texto livre', kind: 'text', min: null, max: null, labels: [] },
+];
+
+function ensureDefaultScales() {
+  const ins = db.prepare('INSERT OR IGNORE INTO answer_scale (code, name, kind, min_value, max_value, labels) VALUES (?,?,?,?,?,?)');
+  DEFAULT_SCALES.forEach(sc => ins.run(sc.code, sc.name, sc.kind, sc.min, sc.max,
+    JSON.stringify(sc.labels.map((label, i) => ({ value: sc.min + i, label })))));
+  // Perguntas anteriores às escalas usavam 0/1/2
+  db.prepare(`UPDATE survey_question SET scale_id = (SELECT id FROM answer_scale WHERE code = 'freq3') WHERE scale_id IS NULL`).run();
+}
+ensureDefaultScales();
+
+function parseScale(row) {
+  if (!row) return null;
+  let labels = [];
+  try { labels = JSON.parse(row.labels || '[]'); } catch {}
+  return { ...row, labels };
+}
+function listScales() {
+  return db.prepare('SELECT * FROM answer_scale ORDER BY id').all().map(parseScale);
+}
+const TEXT_ANSWER_MAX = 1000;
+const scaleLabel = (scale, v) => scale?.labels.find(l => Number(l.value) === Number(v))?.label ?? String(v);
+const scaleRange = scale => `${scale.min_value}–${scale.max_value}`;
+// "0 (Nunca), 1 (Às vezes), 2 (Sempre)"
+const scaleLegend = scale => scale.kind === 'text'
+  ? 'texto livre'
+  : scale.labels.map(l => `${l.value} (${l.label})`).join(', ');
+
+// Índice 0–100 de uma resposta (aliases: a = survey_answer, sc = answer_scale)
+const SCORE_SQL = `((a.value - sc.min_value) * 100.0 / NULLIF(sc.max_value - sc.min_value, 0))`;
+
+// ====== QUESTIONÁRIOS (versões) ======
+// As perguntas pertencem a uma versão. Versões publicadas não se editam: para alterar,
+// cria-se um rascunho a partir delas. Campanhas e respostas guardam a versão usada.
+function ensureDefaultQuestionnaire() {
+  const orphans = db.prepare('SELECT COUNT(*) c FROM survey_question WHERE questionnaire_version_id IS NULL').get().c;
+  if (!orphans) return;
+  db.transaction(() => {
+    const next = (db.prepare('SELECT MAX(version) v FROM questionnaire_version').get().v || 0) + 1;
+    const now = dayjs().toISOString();
+    const id = db.prepare(`INSERT INTO questionnaire_version (version, title, status, created_at, published_at) VALUES (?, ?, 'published', ?, ?)`)
+                 .run(next, 'Questionário inicial', now, now).lastInsertRowid;
+    db.prepare('UPDATE survey_question SET questionnaire_version_id = ?, position = id WHERE questionnaire_version_id IS NULL').run(id);
+    db.prepare('UPDATE survey_response SET questionnaire_version_id = ? WHERE questionnaire_version_id IS NULL').run(id);
+    db.prepare('UPDATE campaign SET questionnaire_version_id = ? WHERE questionnaire_version_id IS NULL').run(id);
+  })();
+}
+ensureDefaultQuestionnaire();
+
+// Última versão publicada (usada por omissão nas novas campanhas)
+function currentQuestionnaire() {
+  return db.prepare(`SELECT * FROM questionnaire_version WHERE status = 'published' ORDER BY version DESC LIMIT 1`).get() || null;
+}
+function versionQuestions(versionId) {
+  return db.prepare('SELECT * FROM survey_question WHERE questionnaire_version_id = ? ORDER BY position, id').all(versionId);
+}
+
+// ====== ANONIMATO (n ≥ ANON) ======
+// Cada leccionação (docente × disciplina × semestre × ano × turma) numa campanha é uma célula.
+// Células com n < ANON são agregadas com as outras turmas do mesmo docente/disciplina/campanha;
+// se mesmo assim não chegarem a ANON, ficam suprimidas. Todos os relatórios somam apenas
+// unidades libertadas (cada uma com n ≥ ANON), pelo que a diferença entre dois filtros
+// nunca isola uma célula pequena.
+db.exec(`
+DROP VIEW IF EXISTS temp.anon_cell;
+CREATE TEMP VIEW anon_cell AS
+WITH cell AS (
+  SELECT t.id AS teaching_id, r.campaign_id, t.teacher_id, t.discipline_id, t.semester_id, t.school_year_id, COUNT(r.id) AS n
+  FROM teaching t
+  JOIN survey_response r ON r.teaching_id = t.id
+  GROUP BY t.id, r.campaign_id
+),
+pool AS (
+  SELECT campaign_id, teacher_id, discipline_id, semester_id, school_year_id, SUM(n) AS n
+  FROM cell
+  WHERE n < ${ANON}
+  GROUP BY campaign_id, teacher_id, discipline_id, semester_id, school_year_id
+)
+SELECT c.teaching_id, c.campaign_id, c.n,
+       CASE WHEN c.n >= ${ANON} THEN 'released'
+            WHEN p.n >= ${ANON} THEN 'merged'
+            ELSE 'suppressed' END AS status
+FROM cell c
+LEFT JOIN pool p ON p.teacher_id = c.teacher_id AND p.discipline_id = c.discipline_id
+                AND p.semester_id = c.semester_id AND p.school_year_id IS c.school_year_id
+                AND p.campaign_id IS c.campaign_id;
+`);
+
+// Filtros comuns a relatórios, APIs e exportações
+// user: coordenadores ficam limitados aos seus cursos (courses = JSON dos ids) e docentes a si próprios
+function reportFilters(query = {}, user = null) {
+  const pick = k => (query[k] === undefined || query[k] === '' ? null : query[k]);
+  const courses = userCourseIds(user);
+  return {
+    courses: courses ? JSON.stringify(courses) : null,
+    course_id: pick('course_id'),
+    semester_id: pick('semester_id'),
+    discipline_id: pick('discipline_id'),
+    teacher_id: user?.role === 'teacher' ? user.teacher_id : pick('teacher_id'),
+    school_year_id: pick('school_year_id'),
+    class_group_id: pick('class_group_id'),
+    campaign_id: pick('campaign_id'),
+  };
+}
+
+// WHERE do âmbito ao nível da leccionação (aliases: d = discipline, t = teaching)
+const TEACHING_SCOPE_SQL = `
+      (@course_id IS NULL OR d.course_id = @course_id)
+  AND (@courses IS NULL OR d.course_id IN (SELECT value FROM json_each(@courses)))
+  AND (@semester_id IS NULL OR t.semester_id = @semester_id)
+  AND (@discipline_id IS NULL OR t.discipline_id = @discipline_id)
+  AND (@teacher_id IS NULL OR t.teacher_id = @teacher_id)
+  AND (@school_year_id IS NULL OR t.school_year_id = @school_year_id)
+  AND (@class_group_id IS NULL OR t.class_group_id = @class_group_id)`;
+
+// WHERE do âmbito das respostas (aliases: d = discipline, t = teaching, ac = anon_cell)
+const SCOPE_SQL = `${TEACHING_SCOPE_SQL}
+  AND (@campaign_id IS NULL OR ac.campaign_id = @campaign_id)`;
+
+// Células visíveis (alias: ac = anon_cell). Uma célula agregada só conta sem filtro de turma,
+// caso contrário o filtro de turma devolveria respostas de outras turmas.
+const RELEASED_SQL = `(ac.status = 'released' OR (ac.status = 'merged' AND @class_group_id IS NULL))`;
+
+// Comentários (alias: r = survey_response): só o texto aprovado ou editado pela moderação é publicado
+const HAS_COMMENT_SQL = `(r.comment IS NOT NULL AND TRIM(r.comment) <> '')`;
+const COMMENT_SQL = `(CASE r.comment_status WHEN 'approved' THEN r.comment WHEN 'redacted' THEN r.comment_redacted END)`;
+const PUBLISHED_COMMENT_SQL = `(r.comment_status IN ('approved', 'redacted') AND ${HAS_COMMENT_SQL})`;
+// Respostas de texto livre (alias: a = survey_answer): passam pela mesma moderação
+const HAS_TEXT_ANSWER_SQL = `(a.text_value IS NOT NULL AND TRIM(a.text_value) <> '')`;
+const TEXT_ANSWER_SQL = `(CASE a.text_status WHEN 'approved' THEN a.text_value WHEN 'redacted' THEN a.text_redacted END)`;
+const PUBLISHED_TEXT_ANSWER_SQL = `(a.text_status IN ('approved', 'redacted') AND ${HAS_TEXT_ANSWER_SQL})`;
+
+// Células ocultas ou agregadas dentro do âmbito, para sinalizar nos relatórios
+function anonNotices(f) {
+  return db.prepare(`
+    SELECT te.name AS teacher, d.name AS discipline, cg.name AS class_group,
+           CASE WHEN ${RELEASED_SQL} THEN 'merged' ELSE 'suppressed' END AS status
+    FROM anon_cell ac
+    JOIN teaching t ON t.id = ac.teaching_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN teacher te ON te.id = t.teacher_id
+    LEFT JOIN class_group cg ON cg.id = t.class_group_id
+    WHERE ac.status <> 'released' AND ${SCOPE_SQL}
+    ORDER BY te.name, d.name, cg.name
+  `).all(f).map(c => ({
+    ...c,
+    label: c.status === 'merged' ? `agregado com outras turmas (n<${ANON})` : `suprimido (n<${ANON})`
+  }));
+}
+
+// Número de respostas libertadas no âmbito
+function releasedCount(f) {
+  return db.prepare(`
+    SELECT COUNT(*) AS c
+    FROM survey_response r
+    JOIN teaching t ON t.id = r.teaching_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+    WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
+  `).get(f).c;
+}
+
+// Perguntas das versões de questionário presentes no âmbito, por versão e posição
+function scopeQuestions(f) {
+  return db.prepare(`
+    SELECT q.id, q.code, q.text, q.area, q.allow_na, qv.version,
+           q.scale_id, sc.kind AS scale_kind, sc.name AS scale_name, sc.min_value, sc.max_value
+    FROM survey_question q
+    JOIN questionnaire_version qv ON qv.id = q.questionnaire_version_id
+    JOIN answer_scale sc ON sc.id = q.scale_id
+    WHERE q.questionnaire_version_id IN (
+      SELECT DISTINCT r.questionnaire_version_id
+      FROM survey_response r
+      JOIN teaching t ON t.id = r.teaching_id
+      JOIN discipline d ON d.id = t.discipline_id
+      JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+      WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
+    )
+    ORDER BY qv.version, q.position, q.id
+  `).all(f);
+}
+
+// Respostas de texto livre publicadas do âmbito, por pergunta e da mais recente para a mais antiga
+function publishedTextAnswers(f) {
+  return db.prepare(`
+    SELECT a.question_id, ${TEXT_ANSWER_SQL} AS answer, r.submitted_at
+    FROM survey_answer a
+    JOIN survey_response r ON r.id = a.response_id
+    JOIN teaching t ON t.id = r.teaching_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+    WHERE ${PUBLISHED_TEXT_ANSWER_SQL} AND ${SCOPE_SQL} AND ${RELEASED_SQL}
+    ORDER BY a.question_id, r.submitted_at DESC
+  `).all(f);
+}
+
+// Escalas numéricas usadas pelas perguntas do âmbito (uma só = médias na própria escala)
+function scopeScales(questions) {
+  const ids = [...new Set(questions.filter(q => q.scale_kind === 'numeric').map(q => q.scale_id))];
+  return listScales().filter(sc => ids.includes(sc.id));
+}
+
+// Rótulo da pergunta: com prefixo de versão quando o âmbito mistura versões
+function questionLabeler(questions) {
+  const multi = new Set(questions.map(q => q.version)).size > 1;
+  return q => (multi ? `v${q.version}·${q.code}` : q.code);
+}
+
+// ====== ESTATÍSTICA DESCRITIVA (dispersão, IC 95%, mediana, distribuição) ======
+// As respostas são pontos discretos da escala, por isso tudo se calcula a partir das contagens
+// por valor. Com uma só escala no âmbito usa-se a própria escala; com várias, o índice 0–100.
+const RELIABLE_MIN_N = Number(process.env.RELIABLE_MIN_N || 10); // abaixo disto a média é assinalada como pouco fiável
+// t de Student bilateral a 95% para 1–30 graus de liberdade; acima usa-se 1,96
+const T95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.160, 2.145, 2.131,
+  2.120, 2.110, 2.101, 2.093, 2.086, 2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+// counts: [{ value, c }] → { n, mean, sd, ci_low, ci_high, median, dist, reliable }
+function describe(counts) {
+  const dist = [...counts].sort((a, b) => a.value - b.value);
+  const n = dist.reduce((s, d) => s + d.c, 0);
+  if (!n) return null;
+  const mean = dist.reduce((s, d) => s + d.value * d.c, 0) / n;
+  const sd = n > 1 ? Math.sqrt(dist.reduce((s, d) => s + d.c * (d.value - mean) ** 2, 0) / (n - 1)) : null;
+  const half = sd == null ? null : (T95[n - 2] ?? 1.96) * sd / Math.sqrt(n);
+  const at = k => { let acc = 0; for (const d of dist) { acc += d.c; if (k < acc) return d.value; } return dist[dist.length - 1].value; };
+  return {
+    n, mean, sd,
+    ci_low: half == null ? null : mean - half,
+    ci_high: half == null ? null : mean + half,
+    median: (at(Math.floor((n - 1) / 2)) + at(Math.ceil((n - 1) / 2))) / 2,
+    dist,
+    reliable: n >= RELIABLE_MIN_N,
+  };
+}
+
+// Estatísticas por pergunta e por área no âmbito. index=true converte cada valor para 0–100.
+// Numa área cada resposta conta uma vez, com a média das suas respostas às perguntas da área: n são
+// respondentes (não respostas a perguntas) e o IC não estreita só por a área ter mais perguntas.
+function statsDetail(f, { index = false } = {}) {
+  const FROM = `
+    FROM survey_answer a
+    JOIN survey_question q ON q.id = a.question_id
+    JOIN answer_scale sc ON sc.id = q.scale_id AND sc.kind = 'numeric'
+    JOIN survey_response r ON r.id = a.response_id
+    JOIN teaching t ON t.id = r.teaching_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+    WHERE a.value IS NOT NULL AND ${SCOPE_SQL} AND ${RELEASED_SQL}`;
+  const value = index ? '(a.value - sc.min_value) * 100.0 / COALESCE(NULLIF(sc.max_value - sc.min_value, 0), 1)' : 'a.value';
+  const rows = db.prepare(`SELECT a.question_id, ${value} AS value, COUNT(*) AS c ${FROM} GROUP BY a.question_id, a.value`).all(f);
+  const areaRows = db.prepare(`
+    SELECT area, value, COUNT(*) AS c
+    FROM (SELECT q.area, AVG(${value}) AS value ${FROM} GROUP BY r.id, q.area)
+    GROUP BY area, value
+  `).all(f);
+  const add = (map, key, value, c) => {
+    const m = map.get(key) || map.set(key, new Map()).get(key);
+    m.set(value, (m.get(value) || 0) + c);
+  };
+  const byQuestion = new Map(), byArea = new Map();
+  rows.forEach(r => add(byQuestion, r.question_id, r.value, r.c));
+  areaRows.forEach(r => add(byArea, r.area, r.value, r.c));
+  const counts = m => [...m].map(([value, c]) => ({ value, c }));
+  return {
+    unit: index ? 'index' : 'scale',
+    questions: new Map([...byQuestion].map(([id, m]) => [id, describe(counts(m))])),
+    areas: [...byArea].map(([area, m]) => ({ area, ...describe(counts(m)) })).sort((a, b) => a.area.localeCompare(b.area)),
+  };
+}
+
+// Plugin Chart.js (cliente): barras de erro a partir de dataset.ci = [[min, max] | null, ...]
+const CHART_CI_PLUGIN = `
+  const ciPlugin = { id: 'ci', afterDatasetsDraw(chart){
+    const { ctx, scales: { y } } = chart;
+    chart.data.datasets.forEach((ds, i) => {
+      const meta = chart.getDatasetMeta(i);
+      if (!ds.ci || meta.hidden) return;
+      ctx.save(); ctx.strokeStyle = '#0f172a'; ctx.lineWidth = 1;
+      meta.data.forEach((bar, j) => {
+        const ci = ds.ci[j]; if (!ci || ci[0] == null) return;
+        const x = bar.x, y1 = y.getPixelForValue(ci[0]), y2 = y.getPixelForValue(ci[1]);
+        ctx.beginPath(); ctx.moveTo(x, y1); ctx.lineTo(x, y2);
+        ctx.moveTo(x - 4, y1); ctx.lineTo(x + 4, y1); ctx.moveTo(x - 4, y2); ctx.lineTo(x + 4, y2); ctx.stroke();
+      });
+      ctx.restore();
+    });
+  } };
+  // Linhas extra do tooltip: IC 95%, desvio-padrão, mediana e n
+  const statLines = (s, dec) => !s ? [] : [
+    'n=' + s.n + (s.reliable ? '' : ' (pouco fiável)'),
+    s.sd == null ? 'dp —' : 'dp ' + s.sd.toFixed(dec) + ' · IC 95% ' + s.ci_low.toFixed(dec) + '–' + s.ci_high.toFixed(dec),
+    'mediana ' + Number(s.median).toFixed(dec),
+  ];`;
+
+// Exportações recusadas quando o âmbito não tem respostas suficientes
+function sendInsufficient(req, res, n) {
+  const html = `
+    <div class="text-center space-y-2">
+      <h2 class="text-xl font-semibold">Amostra insuficiente</h2>
+      <p class="text-slate-600">Os filtros seleccionados têm n=${n} respostas visíveis (mínimo ${ANON}). Alargue o âmbito para proteger o anonimato.</p>
+      <a href="${homeFor(req.user)}" class="btn btn-ghost mt-2">Voltar</a>
+    </div>`;
+  return res.status(403).send(renderPage('Amostra insuficiente', html, '', req.user));
+}
+
+// ====== PARTICIPAÇÃO (taxa de resposta) ======
+// Inscritos por leccionação (teaching.enrolled, importado em /importar; RESPONDENTS_TARGET quando
+// falta) face às respostas recebidas. Só contagens: não expõe respostas, por isso não passa pelo
+// limiar de anonimato. Com campanha, consideram-se as leccionações do semestre/ano (e curso) dela.
+function participation(f) {
+  // Uma linha por leccionação × campanha (as campanhas não rascunho que a abrangem e as das respostas
+  // já dadas): os inscritos contam uma vez por campanha, por isso sem filtro de campanha as respostas
+  // de várias campanhas nunca são divididas pelos inscritos de uma só
+  const rows = db.prepare(`
+    WITH cell AS (
+      SELECT t.id AS teaching_id, c.id AS campaign_id
+      FROM teaching t
+      JOIN discipline d ON d.id = t.discipline_id
+      JOIN campaign c ON c.semester_id = t.semester_id AND c.school_year_id IS t.school_year_id
+                     AND (c.course_id IS NULL OR c.course_id = d.course_id)
+      WHERE c.status <> 'draft' OR c.id = @campaign_id
+      UNION
+      SELECT teaching_id, campaign_id FROM survey_response
+    )
+    SELECT t.teacher_id, te.name AS teacher, t.discipline_id, d.name AS discipline, d.course_id, co.name AS course,
+           COALESCE(t.enrolled, @target) AS enrolled,
+           (SELECT COUNT(*) FROM survey_response r WHERE r.teaching_id = t.id AND r.campaign_id IS cell.campaign_id) AS n
+    FROM cell
+    JOIN teaching t ON t.id = cell.teaching_id
+    JOIN teacher te ON te.id = t.teacher_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN course co ON co.id = d.course_id
+    WHERE ${TEACHING_SCOPE_SQL}
+      AND (@campaign_id IS NULL OR cell.campaign_id = @campaign_id)
+  `).all({ ...f, target: RESPONDENTS_TARGET || null }).filter(r => r.enrolled != null || r.n > 0);
+
+  // A taxa usa só as leccionações com inscritos conhecidos; "responses" conta todas
+  const summarize = (list, extra = {}) => {
+    const known = list.filter(r => r.enrolled != null);
+    const enrolled = known.reduce((s, r) => s + r.enrolled, 0);
+    const counted = known.reduce((s, r) => s + r.n, 0);
+    const rate = enrolled > 0 ? (counted * 100) / enrolled : null;
+    return {
+      ...extra,
+      responses: list.reduce((s, r) => s + r.n, 0),
+      enrolled: known.length ? enrolled : null,
+      rate,
+      remaining: known.length ? Math.max(0, enrolled - counted) : null,
+      representative: rate == null ? null : rate >= RESPONSE_RATE_MIN,
+    };
+  };
+  const groupBy = (key, name) => {
+    const groups = new Map();
+    rows.forEach(r => { if (!groups.has(r[key])) groups.set(r[key], []); groups.get(r[key]).push(r); });
+    return [...groups].map(([id, list]) => summarize(list, { id, name: list[0][name] }))
+      .sort((a, b) => (a.rate ?? Infinity) - (b.rate ?? Infinity) || a.name.localeCompare(b.name));
+  };
+  return {
+    minRate: RESPONSE_RATE_MIN,
+    overall: summarize(rows),
+    teachers: groupBy('teacher_id', 'teacher'),
+    disciplines: groupBy('discipline_id', 'discipline'),
+    courses: groupBy('course_id', 'course'),
+  };
+}
+
+// ====== CÓDIGOS DE ACESSO ======
+// Códigos de uso único por turma + ano lectivo + semestre. Guardados sem hífen, em maiúsculas.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function newAccessCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+const normalizeCode = s => String(s || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const formatCode = c => c.slice(0, 4) + '-' + c.slice(4);
+
+function findOpenCode(code) {
+  if (!code) return null;
+  return db.prepare(`
+    SELECT c.id, c.code, b.class_group_id, b.school_year_id, b.semester_id
+    FROM access_code c
+    JOIN access_code_batch b ON b.id = c.batch_id
+    WHERE c.code = ? AND c.used = 0
+  `).get(code) || null;
+}
+
+// Cria um lote de códigos únicos e devolve o id do lote
+function createCodeBatch({ class_group_id, school_year_id, semester_id, quantity }) {
+  return db.transaction(() => {
+    const batchId = db.prepare('INSERT INTO access_code_batch (class_group_id, school_year_id, semester_id, quantity, created_at) VALUES (?,?,?,?,?)')
+                      .run(class_group_id, school_year_id, semester_id, quantity, dayjs().toISOString()).lastInsertRowid;
+    const ins = db.prepare('INSERT OR IGNORE INTO access_code (batch_id, code) VALUES (?,?)');
+    let created = 0;
+    while (created < quantity) created += ins.run(batchId, newAccessCode()).changes;
+    return batchId;
+  })();
+}
+
+// ====== CAMPANHAS ======
+// Datas em hora local no formato do <input type="datetime-local"> (comparáveis como texto)
+const nowLocal = () => dayjs().format('YYYY-MM-DDTHH:mm');
+
+const CAMPAIGN_SELECT = `
+  SELECT c.*, sy.name AS school_year_name, s.name AS semester_name, co.name AS course_name
+  FROM campaign c
+  JOIN school_year sy ON sy.id = c.school_year_id
+  JOIN semester s ON s.id = c.semester_id
+  LEFT JOIN course co ON co.id = c.course_id`;
+const CAMPAIGN_OPEN_SQL = `c.status = 'open' AND c.starts_at <= @now AND c.ends_at >= @now`;
+
+function openCampaigns() {
+  return db.prepare(`${CAMPAIGN_SELECT} WHERE ${CAMPAIGN_OPEN_SQL} ORDER BY c.ends_at`).all({ now: nowLocal() });
+}
+function getOpenCampaign(id) {
+  if (!id) return null;
+  return db.prepare(`${CAMPAIGN_SELECT} WHERE c.id = @id AND ${CAMPAIGN_OPEN_SQL}`).get({ id, now: nowLocal() }) || null;
+}
+
+// Estado efectivo (o estado 'open' depende também da janela de datas)
+function campaignState(c, now = nowLocal()) {
+  if (c.status === 'draft') return 'Rascunho';
+  if (c.status === 'closed') return 'Fechada';
+  if (now < c.starts_at) return 'Agendada';
+  if (now > c.ends_at) return 'Terminada';
+  return 'Aberta';
+}
+
+// ====== UTILIZADORES E PERFIS ======
+// admin: tudo; quality: gere campanhas, questionários e códigos; coordinator: relatórios
+// dos seus cursos; auditor: consulta sem alterar nada; teacher: só os próprios resultados (/docente).
+const ROLES = {
+  admin: 'Administrador',
+  quality: 'Gabinete de Qualidade',
+  coordinator: 'Coordenador de curso',
+  auditor: 'Auditor',
+  teacher: 'Docente',
+};
+const ALL_ROLES = Object.keys(ROLES);
+const REPORT_ROLES = ['admin', 'quality', 'coordinator', 'auditor'];
+const READ_ROLES = ['admin', 'quality', 'auditor'];
+const MANAGE_ROLES = ['admin', 'quality'];
+const SESSION_COOKIE = 'ispt_session';
+
+// scrypt com sal aleatório: "scrypt$<sal>$<hash>" (hex)
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${salt.toString('hex')}$${crypto.scryptSync(String(password), salt, 64).toString('hex')}`;
+}
+function verifyPassword(password, stored) {
+  const [algo, salt, hash] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Primeiro arranque: cria o "admin" com a palavra-passe de ADMIN_PASSWORD
+(function ensureAdminUser() {
+  if (db.prepare('SELECT COUNT(*) c FROM user').get().c) return;
+  db.prepare(`INSERT INTO user (username, name, password_hash, role, created_at) VALUES ('admin', 'Administrador', ?, 'admin', ?)`)
+    .run(hashPassword(ADMIN_PASSWORD), dayjs().toISOString());
+  log('warn', 'Criado o utilizador "admin" com a palavra-passe de ADMIN_PASSWORD. Altere-a em /conta.');
+})();
+
+function loadUser(id) {
+  const user = db.prepare('SELECT id, username, name, role, teacher_id FROM user WHERE id = ? AND active = 1').get(id);
+  if (!user) return null;
+  user.courses = db.prepare('SELECT course_id FROM user_course WHERE user_id = ?').all(id).map(r => r.course_id);
+  return user;
+}
+
+// Página inicial de cada perfil
+const homeFor = user => (user?.role === 'teacher' ? '/docente' : '/admin');
+
+// Coordenadores só vêem os seus cursos; null = sem restrição
+const userCourseIds = user => (user?.role === 'coordinator' ? user.courses : null);
+function visibleCourses(user) {
+  const ids = userCourseIds(user);
+  return db.prepare('SELECT id, name FROM course ORDER BY name').all().filter(c => !ids || ids.includes(c.id));
+}
+
+// ====== SESSÕES ======
+// Sessão normal: termina após SESSION_IDLE_MINUTES sem actividade ou SESSION_MAX_HOURS no total.
+// "Manter sessão": dura SESSION_REMEMBER_DAYS sem limite de inactividade, mas pode ser terminada em /conta.
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+const sessionCookieOptions = req => ({ httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/' });
+
+// Cria uma sessão nova (rotação: o token anterior, se existir, deixa de valer)
+function startSession(req, res, userId, remember) {
+  const previous = req.cookies?.[SESSION_COOKIE];
+  if (previous) db.prepare('DELETE FROM session WHERE token_hash = ?').run(hashToken(previous));
+  db.prepare('DELETE FROM session WHERE expires_at <= ?').run(dayjs().toISOString());
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = dayjs();
+  const expires = remember ? now.add(SESSION_REMEMBER_DAYS, 'day') : now.add(SESSION_MAX_HOURS, 'hour');
+  db.prepare('INSERT INTO session (token_hash, user_id, remember, created_at, last_seen_at, expires_at, user_agent) VALUES (?,?,?,?,?,?,?)')
+    .run(hashToken(token), userId, remember ? 1 : 0, now.toISOString(), now.toISOString(), expires.toISOString(),
+         String(req.get('user-agent') || '').slice(0, 200));
+  res.cookie(SESSION_COOKIE, token, { ...sessionCookieOptions(req), ...(remember ? { expires: expires.toDate() } : {}) });
+}
+
+function endSession(req, res) {
+  const token = req.cookies?.[SESSION_COOKIE];
+  if (token) db.prepare('DELETE FROM session WHERE token_hash = ?').run(hashToken(token));
+  res.clearCookie(SESSION_COOKIE, sessionCookieOptions(req));
+}
+
+// Termina as sessões de um utilizador (excepto, opcionalmente, a actual)
+function revokeUserSessions(userId, keepSessionId = null) {
+  db.prepare('DELETE FROM session WHERE user_id = ? AND id IS NOT ?').run(userId, keepSessionId);
+}
+
+// Utilizador da sessão disponível em req.user (e a sessão em req.session) para todas as rotas
+app.use((req, res, next) => {
+  req.user = null;
+  req.session = null;
+  const token = req.cookies?.[SESSION_COOKIE];
+  if (!token) return next();
+
+  const session = db.prepare('SELECT * FROM session WHERE token_hash = ?').get(hashToken(token));
+  const now = dayjs();
+  const idle = session && !session.remember && now.diff(dayjs(session.last_seen_at), 'minute', true) > SESSION_IDLE_MINUTES;
+  const user = session && loadUser(session.user_id);
+  if (!session || idle || session.expires_at <= now.toISOString() || !user) {
+    endSession(req, res);
+    return next();
+  }
+  // Regista actividade no máximo uma vez por minuto
+  if (now.diff(dayjs(session.last_seen_at), 'second') >= 60) {
+    db.prepare('UPDATE session SET last_seen_at = ? WHERE id = ?').run(now.toISOString(), session.id);
+  }
+  req.user = user;
+  req.user.csrfToken = csrfTokenFor(token);
+  req.session = session;
+  next();
+});
+
+// ====== CSRF ======
+// O token deriva do token da sessão (que só existe no cookie httpOnly): muda com a sessão e não
+// precisa de ser guardado. O renderPage insere-o em todos os <form method="POST">.
+const csrfTokenFor = sessionToken => hashToken('csrf:' + sessionToken);
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function validCsrf(req, token) {
+  const expected = req.user?.csrfToken;
+  if (!expected || typeof token !== 'string' || token.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+// Origin (ou Referer) do pedido é este servidor?
+function sameOrigin(req) {
+  const source = req.get('origin') || req.get('referer');
+  if (!source) return null;
+  try { return new URL(source).host === req.get('host'); } catch { return false; }
+}
+
+function csrfForbidden(req, res) {
+  if (req.is('application/json') || req.path.startsWith('/api/')) return res.status(403).json({ error: 'Pedido recusado (CSRF).' });
+  const html = `
+    <div class="text-center space-y-2">
+      <h2 class="text-xl font-semibold">Pedido recusado</h2>
+      <p class="text-slate-600">O formulário expirou ou não foi enviado a partir desta aplicação. Recarregue a página e tente de novo.</p>
+      <a href="${homeFor(req.user)}" class="btn btn-primary mt-2">Voltar</a>
+    </div>`;
+  return res.status(403).send(renderPage('Pedido recusado', html, '', req.user));
+}
+
+// Únicas rotas que aceitam multipart: correm o multer e depois verifyCsrf. Noutra rota um pedido
+// multipart é recusado (o corpo não seria lido e o token não poderia ser verificado).
+const UPLOAD_ROUTES = new Set(['/importar', '/restore']);
+const upload = multer({ storage: multer.memoryStorage(), limits: { files: 1, fileSize: Math.floor(UPLOAD_MAX_MB * 1024 * 1024) } });
+
+// Pedidos que alteram dados numa sessão autenticada. Sem sessão (inquérito, login) não há o que forjar.
+app.use((req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || !req.session) return next();
+  const origin = sameOrigin(req);
+  if (origin === false) return csrfForbidden(req, res);
+  // JSON/API: basta a origem (fetch de outra origem traz sempre Origin), ou o token em X-CSRF-Token
+  if (req.is('application/json') || req.path.startsWith('/api/')) {
+    return origin || validCsrf(req, req.get('x-csrf-token')) ? next() : csrfForbidden(req, res);
+  }
+  // multipart: o corpo só existe depois do multer — essas rotas usam verifyCsrf a seguir ao upload
+  if (req.is('multipart/form-data')) return UPLOAD_ROUTES.has(req.path) ? next() : csrfForbidden(req, res);
+  return validCsrf(req, req.body?._csrf ?? req.get('x-csrf-token')) ? next() : csrfForbidden(req, res);
+});
+
+// Para rotas multipart (registadas em UPLOAD_ROUTES): app.post(..., upload.single('file'), verifyCsrf, ...)
+function verifyCsrf(req, res, next) {
+  return validCsrf(req, req.body?._csrf ?? req.get('x-csrf-token')) ? next() : csrfForbidden(req, res);
+}
+
+// requireRole(['admin']) — sem sessão: login (ou 401 nas APIs); perfil errado: 403
+function requireRole(roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      if (req.path.startsWith('/api/')) return res.status(401).json({ error: 'Sessão necessária.' });
+      return res.redirect('/login?next=' + encodeURIComponent(req.originalUrl));
+    }
+    if (roles.includes(req.user.role)) return next();
+    if (req.path.startsWith('/api/')) return res.status(403).json({ error: 'Sem permissão.' });
+    const html = `
+      <div class="text-center space-y-2">
+        <h2 class="text-xl font-semibold">Acesso negado (403)</h2>
+        <p class="text-slate-600">O seu perfil (${ROLES[req.user.role]}) não tem permissões para esta área.</p>
+        <a href="${homeFor(req.user)}" class="btn btn-primary mt-2">Voltar</a>
+      </div>`;
+    return res.status(403).send(renderPage('Acesso negado', html, '', req.user));
+  };
+}
+
+// ====== NOTIFICAÇÕES ======
+// Eventos registados para os perfis interessados: abertura/fecho de campanhas, docentes que
+// atingem o limiar de anonimato, médias de área abaixo de NOTIFY_AREA_CUTOFF e falhas de
+// backup/importação/restauro. Uma notificação nunca interrompe a operação que a originou.
+const NOTIFY_LEVELS = { info: 'Informação', warning: 'Alerta', error: 'Erro' };
+const NOTIFY_STAFF = ['admin', 'quality', 'coordinator'];
+
+function notify({ kind, level = 'info', title, body = null, link = null, roles, course_id = null, teacher_id = null, key = null }) {
+  try {
+    const info = db.prepare(`
+      INSERT INTO notification (kind, level, title, body, link, roles, course_id, teacher_id, dedupe_key, created_at)
+      VALUES (@kind, @level, @title, @body, @link, @roles, @course_id, @teacher_id, @key, @now)
+      ON CONFLICT(dedupe_key) DO NOTHING
+    `).run({ kind, level, title, body, link, roles: roles.join(','), course_id, teacher_id, key, now: dayjs().toISOString() });
+    return info.changes === 1;
+  } catch (e) {
+    log('error', 'Notificação não registada', e);
+    return false;
+  }
+}
+
+// Notificações visíveis para o utilizador (alias: n = notification)
+const NOTIFY_VISIBLE_SQL = `
+      instr(',' || n.roles || ',', ',' || @role || ',') > 0
+  AND (n.course_id IS NULL OR @courses IS NULL OR n.course_id IN (SELECT value FROM json_each(@courses)))
+  AND (n.teacher_id IS NULL OR @role <> 'teacher' OR n.teacher_id IS @teacher_id)`;
+
+function notifyScope(user) {
+  const courses = userCourseIds(user);
+  return { user_id: user.id, role: user.role, courses: courses ? JSON.stringify(courses) : null, teacher_id: user.teacher_id ?? null };
+}
+function listNotifications(user, { limit = 50, unreadOnly = false, id = null } = {}) {
+  return db.prepare(`
+    SELECT n.id, n.kind, n.level, n.title, n.body, n.link, n.created_at, nr.read_at
+    FROM notification n
+    LEFT JOIN notification_read nr ON nr.notification_id = n.id AND nr.user_id = @user_id
+    WHERE ${NOTIFY_VISIBLE_SQL} AND (@unread = 0 OR nr.read_at IS NULL) AND (@id IS NULL OR n.id = @id)
+    ORDER BY n.id DESC LIMIT @limit
+  `).all({ ...notifyScope(user), unread: unreadOnly ? 1 : 0, limit, id });
+}
+function unreadNotifications(user) {
+  return db.prepare(`
+    SELECT COUNT(*) c FROM notification n
+    WHERE ${NOTIFY_VISIBLE_SQL}
+      AND NOT EXISTS (SELECT 1 FROM notification_read nr WHERE nr.notification_id = n.id AND nr.user_id = @user_id)
+  `).get(notifyScope(user)).c;
+}
+// id = null marca todas as visíveis
+function markNotificationsRead(user, id = null) {
+  db.prepare(`
+    INSERT OR IGNORE INTO notification_read (notification_id, user_id, read_at)
+    SELECT n.id, @user_id, @now FROM notification n
+    WHERE ${NOTIFY_VISIBLE_SQL} AND (@id IS NULL OR n.id = @id)
+  `).run({ ...notifyScope(user), id, now: dayjs().toISOString() });
+}
+
+// Abertura/fecho de campanha. As chaves "campaign:<id>:…" são libertadas quando a campanha é
+// reaberta, para que um novo ciclo volte a notificar.
+function notifyCampaign(c, event) {
+  const where = [c.semester_name, c.school_year_name, c.course_name].filter(Boolean).join(' · ');
+  const opened = event === 'open';
+  const created = notify({
+    kind: 'campaign',
+    title: `Campanha ${opened ? 'aberta' : 'encerrada'}: ${c.name}`,
+    body: opened ? `${where} — respostas até ${c.ends_at.replace('T', ' ')}.` : `${where} — a recolha de respostas terminou.`,
+    link: '/campanhas',
+    roles: REPORT_ROLES,
+    course_id: c.course_id,
+    key: `campaign:${c.id}:${event}`,
+  });
+  if (created && !opened) checkAreaScores(c);
+}
+function releaseCampaignNotifications(campaignId) {
+  db.prepare("UPDATE notification SET dedupe_key = NULL WHERE dedupe_key LIKE ?").run(`campaign:${campaignId}:%`);
+}
+
+// Médias por área (unidades libertadas) abaixo do limite, por docente × disciplina
+function checkAreaScores(c) {
+  const rows = db.prepare(`
+    SELECT t.teacher_id, te.name AS teacher, t.discipline_id, d.name AS discipline, d.course_id, q.area,
+           COUNT(DISTINCT r.id) AS n, AVG(${SCORE_SQL}) AS score
+    FROM survey_response r
+    JOIN teaching t ON t.id = r.teaching_id
+    JOIN teacher te ON te.id = t.teacher_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+    JOIN survey_answer a ON a.response_id = r.id
+    JOIN survey_question q ON q.id = a.question_id
+    JOIN answer_scale sc ON sc.id = q.scale_id AND sc.kind = 'numeric'
+    WHERE r.campaign_id = @campaign_id AND ac.status IN ('released','merged') AND a.value IS NOT NULL
+    GROUP BY t.teacher_id, t.discipline_id, q.area
+    HAVING score < @cutoff
+    ORDER BY te.name, d.name, q.area
+  `).all({ campaign_id: c.id, cutoff: NOTIFY_AREA_CUTOFF });
+  rows.forEach(r => notify({
+    kind: 'area',
+    level: 'warning',
+    title: `Área abaixo de ${NOTIFY_AREA_CUTOFF}: ${r.area} — ${r.teacher}`,
+    body: `${r.discipline}, campanha «${c.name}»: índice ${r.score.toFixed(1)} (n=${r.n}).`,
+    link: `/export/pdf?campaign_id=${c.id}&teacher_id=${r.teacher_id}&discipline_id=${r.discipline_id}`,
+    roles: NOTIFY_STAFF,
+    course_id: r.course_id,
+    key: `campaign:${c.id}:area:${r.teacher_id}:${r.discipline_id}:${r.area}`,
+  }));
+}
+
+// Depois de uma resposta: avisa (uma vez por campanha × docente × disciplina) quando os
+// resultados deixam de estar suprimidos
+function checkAnonThreshold(teachingId, campaignId) {
+  const t = db.prepare(`
+    SELECT t.teacher_id, te.name AS teacher, t.discipline_id, d.name AS discipline, d.course_id, c.name AS campaign
+    FROM teaching t
+    JOIN teacher te ON te.id = t.teacher_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN campaign c ON c.id = @campaign_id
+    WHERE t.id = @teaching_id
+  `).get({ teaching_id: teachingId, campaign_id: campaignId });
+  if (!t) return;
+  const released = db.prepare(`
+    SELECT COUNT(*) c FROM anon_cell ac
+    JOIN teaching t ON t.id = ac.teaching_id
+    WHERE ac.campaign_id = @campaign_id AND t.teacher_id = @teacher_id AND t.discipline_id = @discipline_id
+      AND ac.status <> 'suppressed'
+  `).get({ campaign_id: campaignId, teacher_id: t.teacher_id, discipline_id: t.discipline_id }).c;
+  if (!released) return;
+  const key = `threshold:${campaignId}:${t.teacher_id}:${t.discipline_id}`;
+  notify({
+    kind: 'threshold',
+    title: `Resultados disponíveis: ${t.teacher} — ${t.discipline}`,
+    body: `Atingido o limiar de anonimato (n ≥ ${ANON}) na campanha «${t.campaign}».`,
+    link: `/export/pdf?campaign_id=${campaignId}&teacher_id=${t.teacher_id}&discipline_id=${t.discipline_id}`,
+    roles: NOTIFY_STAFF,
+    course_id: t.course_id,
+    key: key + ':staff',
+  });
+  notify({
+    kind: 'threshold',
+    title: 'Novos resultados disponíveis',
+    body: `${t.discipline} — campanha «${t.campaign}».`,
+    link: '/docente',
+    roles: ['teacher'],
+    teacher_id: t.teacher_id,
+    key: key + ':teacher',
+  });
+}
+
+function notifyFailure(kind, title, e) {
+  notify({ kind, level: 'error', title, body: (e && e.message) ? e.message : String(e), link: '/importar', roles: ['admin'] });
+}
+
+// Verificação periódica: campanhas cuja janela de datas começou ou terminou (últimos 7 dias)
+// e limpeza das notificações antigas
+function checkCampaignWindows() {
+  try {
+    const now = nowLocal();
+    const since = dayjs().subtract(7, 'day').format('YYYY-MM-DDTHH:mm');
+    db.prepare(`${CAMPAIGN_SELECT} WHERE ${CAMPAIGN_OPEN_SQL} AND c.starts_at >= @since`).all({ now, since })
+      .forEach(c => notifyCampaign(c, 'open'));
+    db.prepare(`${CAMPAIGN_SELECT} WHERE c.status = 'open' AND c.ends_at < @now AND c.ends_at >= @since`).all({ now, since })
+      .forEach(c => notifyCampaign(c, 'closed'));
+    db.prepare('DELETE FROM notification WHERE created_at < ?').run(dayjs().subtract(NOTIFY_KEEP_DAYS, 'day').toISOString());
+  } catch (e) {
+    log('error', 'Verificação de campanhas falhou', e);
+  }
+}
+
+// ====== AUDITORIA ======
+// Registo só de acrescento (os triggers de audit_log recusam UPDATE e DELETE) das acções
+// administrativas: sessões, importações, backups, restauros, exportações e alterações de dados
+// mestre e de utilizadores. O nome e o perfil do utilizador ficam copiados, porque um restauro pode
+// trocar os ids. Tal como as notificações, uma falha a registar nunca interrompe a operação.
+const AUDIT_ACTIONS = {
+  login: 'Início de sessão',
+  logout: 'Fim de sessão',
+  import: 'Importação',
+  backup: 'Backup',
+  backup_download: 'Download de backup',
+  backup_cleanup: 'Limpeza de backups',
+  restore: 'Restauro',
+  restore_undo: 'Restauro desfeito',
+  export_excel: 'Exportação Excel',
+  export_pdf: 'Exportação PDF',
+  export_pdf_batch: 'Exportação PDF em lote',
+  export_codes: 'Exportação de códigos',
+  data_create: 'Dados mestre: criar',
+  data_update: 'Dados mestre: editar',
+  data_state: 'Dados mestre: activar/desactivar',
+  data_merge: 'Dados mestre: fundir',
+  data_delete: 'Dados mestre: apagar',
+  user_create: 'Utilizador: criar',
+  user_update: 'Utilizador: editar',
+  export_audit: 'Exportação da auditoria',
+  login_unlock: 'Desbloqueio de início de sessão',
+};
+const AUDIT_STATUS = { ok: 'Concluída', failed: 'Falhou' };
+const AUDIT_PAGE = 100;
+
+// user = null para acções do sistema (p.ex. backups automáticos)
+function audit(req, action, { status = 'ok', target = null, details = null, user = req?.user ?? null } = {}) {
+  try {
+    const clean = details && Object.fromEntries(Object.entries(details).filter(([, v]) => v !== null && v !== undefined && v !== ''));
+    db.prepare(`
+      INSERT INTO audit_log (created_at, user_id, username, role, action, status, target, details, ip)
+      VALUES (@now, @user_id, @username, @role, @action, @status, @target, @details, @ip)
+    `).run({
+      now: dayjs().toISOString(),
+      user_id: user?.id ?? null, username: user?.username ?? null, role: user?.role ?? null,
+      action, status, target: target == null ? null : String(target).slice(0, 200),
+      details: clean && Object.keys(clean).length ? JSON.stringify(clean) : null,
+      ip: req?.ip ?? null,
+    });
+  } catch (e) {
+    log('error', 'Auditoria não registada', e);
+  }
+}
+
+// Filtros efectivos de um relatório (reportFilters), sem os vazios nem o âmbito do coordenador
+function auditFilters(f) {
+  const { courses, ...rest } = f;
+  return Object.fromEntries(Object.entries(rest).filter(([, v]) => v !== null));
+}
+
+// ====== PROTECÇÃO CONTRA ABUSO ======
+// Login: falhas seguidas contadas por conta em cada IP, por sessão do browser e por IP (também para
+// contas que não existem, para não revelar quais existem). A conta só fica bloqueada no IP de onde
+// vieram as falhas: quem tenta adivinhar a palavra-passe de outro não impede o titular de entrar a
+// partir do seu posto. Ao atingir o limite, o bloqueio dura LOGIN_LOCKOUT_SECONDS e duplica a cada
+// nova falha, até LOGIN_LOCKOUT_MAX_MINUTES; um login certo limpa os contadores.
+// Inquérito: campo isco escondido (honeypot), token do formulário assinado (tempo mínimo de
+// preenchimento e uma só submissão por formulário aberto) e limites de pedidos inválidos por sessão
+// do browser e por IP. O IP dos respondentes só existe em memória, como HMAC: as tentativas
+// bloqueadas no inquérito são registadas sem IP.
+// A sessão do browser é um cookie aleatório (um para o login, outro para o inquérito) sem ligação a
+// contas nem a respostas. O seu limite, mais baixo, trava quem erra muitas vezes sem bloquear os
+// outros atrás do mesmo IP (a rede da escola, com NAT); o do IP, mais alto, fica para quem não
+// guarda cookies. Um pedido sem o cookie recebe um e conta só no IP.
+// O estado dos contadores fica só em memória (reiniciar limpa bloqueios e formulários usados, ver
+// README); as tentativas bloqueadas ficam em blocked_attempt, agregadas por dia.
+const BLOCK_REASONS = {
+  locked_account: 'Conta bloqueada após falhas seguidas',
+  locked_session: 'Sessão do browser bloqueada após falhas seguidas',
+  locked_ip: 'IP bloqueado após falhas seguidas',
+  honeypot: 'Campo isco preenchido (robô)',
+  form_token: 'Formulário inválido ou expirado',
+  form_reused: 'Formulário já submetido',
+  too_fast: 'Preenchido demasiado depressa',
+  rate_ip: 'Demasiadas submissões do mesmo IP',
+  failures_session: 'Demasiados pedidos inválidos na mesma sessão do browser',
+  failures_ip: 'Demasiados pedidos inválidos do mesmo IP',
+  track_full: 'Sem lugar para mais contadores em memória',
+};
+const BLOCK_KINDS = { login: 'Início de sessão', survey: 'Inquérito' };
+const BLOCKED_KEEP_DAYS = 90;
+const ABUSE_WINDOW_MINUTES = 10;
+const FORM_MAX_HOURS = 12;      // validade de um formulário do inquérito aberto
+const ABUSE_TRACK_MAX = 10000;  // entradas em memória por mapa (só saem as expiradas)
+
+const loginFailures = new Map(); // 'conta:<ip>|<username>' | 'sessao:<cookie>' | 'ip:<ip>' -> { failures, lockedUntil, lastAt }
+const surveyHits = new Map();    // 'envio:ip:<hmac>' | 'falha:ip:<hmac>' | 'falha:sessao:<hmac>' -> { count, resetAt }
+const usedForms = new Map();     // nonce -> validade
+
+// Quando uma entrada deixa de contar: sem bloqueio em curso e sem falhas há 24 h; janela fechada;
+// formulário já expirado (e portanto recusado pelo token, mesmo sem a marca de usado)
+const abuseExpired = new Map([
+  [loginFailures, (e, now) => e.lockedUntil <= now && now - e.lastAt > 24 * 3600000],
+  [surveyHits, (e, now) => e.resetAt <= now],
+  [usedForms, (expires, now) => expires <= now],
+]);
+function pruneExpired(map, now = Date.now()) {
+  const expired = abuseExpired.get(map);
+  for (const [key, e] of map) if (expired(e, now)) map.delete(key);
+}
+
+// Entrada da chave, criada se preciso. Com o mapa cheio só se abre lugar retirando entradas
+// expiradas (nunca um bloqueio em curso nem um formulário usado); se continuar cheio devolve null
+// e quem chama recusa o pedido ou recorre ao limite do IP.
+function trackEntry(map, key, blank) {
+  if (!map.has(key)) {
+    if (map.size >= ABUSE_TRACK_MAX) pruneExpired(map);
+    if (map.size >= ABUSE_TRACK_MAX) return null;
+    map.set(key, blank);
+  }
+  return map.get(key);
+}
+
+function recordBlocked(kind, reason, { username = '', ip = '' } = {}) {
+  try {
+    const now = dayjs();
+    db.prepare(`
+      INSERT INTO blocked_attempt (day, kind, reason, username, ip, count, first_at, last_at)
+      VALUES (@day, @kind, @reason, @username, @ip, 1, @now, @now)
+      ON CONFLICT(day, kind, reason, username, ip) DO UPDATE SET count = count + 1, last_at = excluded.last_at
+    `).run({ day: now.format('YYYY-MM-DD'), kind, reason, username: String(username).slice(0, 64), ip: ip || '', now: now.toISOString() });
+    notify({
+      kind: 'security', level: 'warning', title: 'Tentativas bloqueadas',
+      body: 'Foram bloqueados pedidos de início de sessão ou de submissão do inquérito. Veja o relatório.',
+      link: '/auditoria/bloqueios', roles: ['admin'], key: `security:${now.format('YYYY-MM-DD')}`,
+    });
+  } catch (e) {
+    log('error', 'Tentativa bloqueada não registada', e);
+  }
+}
+
+// Cookie da sessão do browser: devolve o valor que o pedido trazia ou, sem ele, cria um para os
+// pedidos seguintes e devolve null
+const LOGIN_BROWSER_COOKIE = 'ispt_login';
+const SURVEY_BROWSER_COOKIE = 'ispt_inquerito';
+function browserSession(req, res, name) {
+  const token = req.cookies?.[name];
+  if (/^[0-9a-f]{32}$/.test(token || '')) return token;
+  res.cookie(name, crypto.randomBytes(16).toString('hex'), sessionCookieOptions(req));
+  return null;
+}
+
+// --- Login ---
+// O IP primeiro: é a ele que se recorre quando já não há lugar para seguir a conta
+const loginKeys = (req, username, browser) => [`ip:${req.ip}`, `conta:${req.ip}|${String(username).toLowerCase()}`,
+  ...(browser ? [`sessao:${browser}`] : [])];
+const loginLimit = key => (key.startsWith('ip:') ? LOGIN_MAX_ATTEMPTS_IP : key.startsWith('sessao:') ? LOGIN_MAX_ATTEMPTS_SESSION : LOGIN_MAX_ATTEMPTS);
+// "IP 10.0.0.1", "Sessão do browser 1a2b3c4d…" ou "Conta ana (IP 10.0.0.1)", para o relatório e a auditoria
+function lockLabel(key) {
+  if (key.startsWith('ip:')) return `IP ${key.slice(3)}`;
+  if (key.startsWith('sessao:')) return `Sessão do browser ${key.slice(7, 15)}…`;
+  const [ip, ...username] = key.slice(6).split('|');
+  return `Conta ${username.join('|')} (IP ${ip})`;
+}
+
+// Bloqueio em curso mais longo entre as chaves: { key, until } ou null
+function loginLocked(keys) {
+  const now = Date.now();
+  return keys.map(key => ({ key, until: loginFailures.get(key)?.lockedUntil || 0 }))
+    .filter(l => l.until > now)
+    .sort((a, b) => b.until - a.until)[0] || null;
+}
+// Reserva as entradas antes de verificar a palavra-passe; false se nem o IP pode ser seguido
+// (sem contador, as tentativas deste IP não teriam limite e o pedido é recusado)
+const loginTrack = keys => keys.map(key => trackEntry(loginFailures, key, { failures: 0, lockedUntil: 0, lastAt: Date.now() }))[0] !== null;
+// Regista uma falha nas chaves seguidas; devolve o bloqueio que começou agora (ou null)
+function loginFailed(keys) {
+  const now = Date.now();
+  let started = null;
+  keys.forEach(key => {
+    const entry = loginFailures.get(key);
+    if (!entry) return;
+    entry.failures++;
+    entry.lastAt = now;
+    const over = entry.failures - loginLimit(key);
+    if (over < 0) return;
+    const seconds = Math.min(LOGIN_LOCKOUT_SECONDS * 2 ** over, LOGIN_LOCKOUT_MAX_MINUTES * 60);
+    entry.lockedUntil = now + seconds * 1000;
+    if (!started || entry.lockedUntil > started.until) started = { key, until: entry.lockedUntil };
+  });
+  return started;
+}
+const loginSucceeded = keys => keys.forEach(key => loginFailures.delete(key));
+const lockReason = key => (key.startsWith('ip:') ? 'locked_ip' : key.startsWith('sessao:') ? 'locked_session' : 'locked_account');
+const lockWait = until => `${Math.max(1, Math.ceil((until - Date.now()) / 60000))} minuto(s)`;
+
+// --- Inquérito ---
+// Chaves dos contadores: 'ip:<hmac>' primeiro e, se o browser trazia o cookie, 'sessao:<hmac>'
+function surveyClients(req, res) {
+  const hmac = v => crypto.createHmac('sha256', FORM_SECRET).update(String(v)).digest('hex').slice(0, 32);
+  const browser = browserSession(req, res, SURVEY_BROWSER_COOKIE);
+  return [`ip:${hmac(req.ip)}`, ...(browser ? [`sessao:${hmac(browser)}`] : [])];
+}
+
+// Conta um pedido na janela de ABUSE_WINDOW_MINUTES e devolve o total (Infinity se não há lugar
+// para o contar: o pedido é tratado como acima do limite)
+function surveyHit(key) {
+  const now = Date.now();
+  const entry = trackEntry(surveyHits, key, { count: 0, resetAt: 0 });
+  if (!entry) return Infinity;
+  if (entry.resetAt <= now) Object.assign(entry, { count: 0, resetAt: now + ABUSE_WINDOW_MINUTES * 60000 });
+  return ++entry.count;
+}
+const surveyCount = key => ((surveyHits.get(key)?.resetAt || 0) > Date.now() ? surveyHits.get(key).count : 0);
+// Motivo do bloqueio (chave de BLOCK_REASONS) se alguma chave chegou ao limite de pedidos inválidos, senão null
+function surveyTooManyFailures(clients) {
+  const over = clients.find(key => surveyCount(`falha:${key}`) >= (key.startsWith('ip:') ? SUBMIT_MAX_FAILURES_PER_IP : SUBMIT_MAX_FAILURES_PER_SESSION));
+  return over ? (over.startsWith('ip:') ? 'failures_ip' : 'failures_session') : null;
+}
+const surveyFailed = clients => clients.forEach(key => surveyHit(`falha:${key}`));
+
+// Token "<emitido em ms>.<nonce>.<hmac>", inserido no formulário pelo /inquerito
+function surveyFormToken() {
+  const body = `${Date.now()}.${crypto.randomBytes(12).toString('hex')}`;
+  return `${body}.${crypto.createHmac('sha256', FORM_SECRET).update(body).digest('hex')}`;
+}
+// Motivo de recusa (chave de BLOCK_REASONS) ou null; { nonce } para marcar o formulário como usado
+function checkSurveyForm(token) {
+  const [issued, nonce, mac] = String(token || '').split('.');
+  const expected = crypto.createHmac('sha256', FORM_SECRET).update(`${issued}.${nonce}`).digest('hex');
+  if (!mac || mac.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected))) return { reason: 'form_token' };
+  const age = Date.now() - Number(issued);
+  if (!(age >= 0) || age > FORM_MAX_HOURS * 3600000) return { reason: 'form_token' };
+  if (age < SUBMIT_MIN_SECONDS * 1000) return { reason: 'too_fast' };
+  if (usedForms.has(nonce)) return { reason: 'form_reused' };
+  return { reason: null, nonce, expires: Number(issued) + FORM_MAX_HOURS * 3600000 };
+}
+// false se não há lugar para guardar a marca: o formulário ficaria reutilizável e é recusado
+const markSurveyFormUsed = form => trackEntry(usedForms, form.nonce, form.expires) !== null;
+
+// Campo isco: escondido das pessoas (e dos leitores de ecrã), preenchido por robôs que preenchem tudo
+const SURVEY_HONEYPOT = 'website';
+const surveyHoneypotHtml = () => `
+      <div aria-hidden="true" style="position:absolute;left:-10000px;width:1px;height:1px;overflow:hidden">
+        <label>Não preencher <input type="text" name="${SURVEY_HONEYPOT}" tabindex="-1" autocomplete="off" /></label>
+      </div>`;
+
+// Limpeza periódica dos contadores expirados e das tentativas bloqueadas antigas
+function pruneAbuseState() {
+  const now = Date.now();
+  abuseExpired.forEach((expired, map) => pruneExpired(map, now));
+  try {
+    db.prepare('DELETE FROM blocked_attempt WHERE day < ?').run(dayjs().subtract(BLOCKED_KEEP_DAYS, 'day').format('YYYY-MM-DD'));
+  } catch (e) {
+    log('error', 'Limpeza das tentativas bloqueadas falhou', e);
+  }
+}
+
 // ====== HELPERS ======
-function renderPage(title, content, extraHead = '', isAdmin = false) {
-    const ANON = (typeof ANON_THRESHOLD !== 'undefined' ? ANON_THRESHOLD : 5);
+function renderPage(title, content, extraHead = '', user = null) {
+    const isAdmin = !!user;
+    const can = roles => isAdmin && roles.includes(user.role);
+    // Token CSRF em todos os formulários POST da página (method com aspas duplas, simples ou sem aspas)
+    const csrfField = user?.csrfToken ? `<input type="hidden" name="_csrf" value="${user.csrfToken}" />` : '';
+    if (csrfField) content = content.replace(/<form\b[^>]*\smethod\s*=\s*(["']?)post\1(?=[\s>\/])[^>]*>/gi, tag => tag + csrfField);
     return `<!doctype html>
   <html lang="pt" class="h-full">
   <head>
     <meta charset="utf-8" />
     <meta name="viewport" content="width=device-width, initial-scale=1" />
     <title>${title}</title>
+    ${user?.csrfToken ? `<meta name="csrf-token" content="${user.csrfToken}" />` : ''}
     <script src="https://cdn.tailwindcss.com"></script>
     <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
     <style>
@@ -260,29 +1724,34 @@ function renderPage(title, content, extraHead = '', isAdmin = false) {
                   <svg width="16" height="16" viewBox="0 0 20 20" fill="none"><path d="M6 8l4 4 4-4" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>
                 </button>
                 <div id="menuAdmin" class="menu absolute right-0 mt-2 bg-white border border-slate-200 rounded-xl shadow-2xl p-2 hidden">
-                  <a href="/admin">Relatório</a>
-                  <a href="/dashboard">Dashboard</a>
-                  <a href="/importar">Importar / Backup</a>
+                  ${can(REPORT_ROLES) ? '<a href="/admin">Relatório</a><a href="/dashboard">Dashboard</a>' : ''}
+                  ${can(['teacher']) ? '<a href="/docente">Os meus resultados</a>' : ''}
+                  ${can([...REPORT_ROLES, 'teacher']) ? '<a href="/tendencias">Tendências</a>' : ''}
+                  ${can(READ_ROLES) ? '<a href="/campanhas">Campanhas</a><a href="/questionarios">Questionários</a>' : ''}
+                  ${can(MANAGE_ROLES) ? '<a href="/codigos">Códigos de acesso</a>' : ''}
+                  ${can(MODERATOR_ROLES) ? '<a href="/moderacao">Moderação de comentários</a>' : ''}
+                  ${can(['admin']) ? '<a href="/dados">Dados mestre</a><a href="/importar">Importar / Backup</a><a href="/utilizadores">Utilizadores</a><a href="/auditoria">Auditoria</a>' : ''}
+                  <a href="/conta">A minha conta</a>
                 </div>
               </div>` : ''}
               ${isAdmin ? '' : '<a href="/login" class="nav-link text-sm">Entrar</a>'}
             </nav>
   
             <!-- Notifications (logo imediatamente à direita do menu) -->
-            <a href="/admin" class="relative inline-flex items-center justify-center w-10 h-10 rounded-xl border border-slate-300 bg-white" title="Notificações">
+            ${isAdmin ? `<a href="/notificacoes" class="relative inline-flex items-center justify-center w-10 h-10 rounded-xl border border-slate-300 bg-white" title="Notificações">
               <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 24 24" fill="none" stroke="currentColor">
                 <path stroke-width="2" d="M15 17h5l-1.4-1.4A2 2 0 0 1 18 14.2V11a6 6 0 1 0-12 0v3.2c0 .5-.2 1-.6 1.4L4 17h5m6 0v1a3 3 0 1 1-6 0v-1m6 0H9"/>
               </svg>
               <span id="notifBadge" class="absolute -top-1 -right-1 min-w-[18px] h-[18px] px-1 rounded-full text-[10px] font-bold flex items-center justify-center bg-rose-600 text-white hidden">0</span>
-            </a>
+            </a>` : ''}
   
             <!-- Session badge + avatar -->
             <div class="flex items-center gap-2 px-2 py-1 rounded-lg border ${isAdmin ? 'border-emerald-200 bg-emerald-50 text-emerald-700' : 'border-slate-200 bg-white text-slate-600'}">
-              <span class="avatar ${isAdmin ? 'bg-emerald-600 text-white' : 'bg-slate-200 text-slate-700'}" id="userAvatar" data-name="${isAdmin ? 'Admin' : 'Convidado'}"></span>
-              <span class="text-xs">${isAdmin ? 'Admin' : 'Convidado'}</span>
+              <span class="avatar ${isAdmin ? 'bg-emerald-600 text-white' : 'bg-slate-200 text-slate-700'}" id="userAvatar" data-name="${isAdmin ? escapeHtml(user.name) : 'Convidado'}"></span>
+              <span class="text-xs" title="${isAdmin ? ROLES[user.role] : ''}">${isAdmin ? escapeHtml(user.name) : 'Convidado'}</span>
             </div>
   
-            ${isAdmin ? '<a class="nav-link text-sm" href="/logout">Sair</a>' : ''}
+            ${isAdmin ? `<form method="POST" action="/logout">${csrfField}<button class="nav-link text-sm">Sair</button></form>` : ''}
           </div>
   
           <!-- Mobile trigger -->
@@ -307,10 +1776,35 @@ function renderPage(title, content, extraHead = '', isAdmin = false) {
               <a href="/" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Inquérito</a>
               ${isAdmin ? `
               <div class="px-3 py-1 text-xs uppercase tracking-wide text-slate-400">Administração</div>
+              ${can(REPORT_ROLES) ? `
               <a href="/admin" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Relatório</a>
               <a href="/dashboard" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Dashboard</a>
+              ` : ''}
+              ${can(['teacher']) ? `
+              <a href="/docente" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Os meus resultados</a>
+              ` : ''}
+              ${can([...REPORT_ROLES, 'teacher']) ? `
+              <a href="/tendencias" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Tendências</a>
+              ` : ''}
+              ${can(READ_ROLES) ? `
+              <a href="/campanhas" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Campanhas</a>
+              <a href="/questionarios" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Questionários</a>
+              ` : ''}
+              ${can(MANAGE_ROLES) ? `
+              <a href="/codigos" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Códigos de acesso</a>
+              ` : ''}
+              ${can(MODERATOR_ROLES) ? `
+              <a href="/moderacao" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Moderação de comentários</a>
+              ` : ''}
+              ${can(['admin']) ? `
+              <a href="/dados" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Dados mestre</a>
               <a href="/importar" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Importar / Backup</a>
-              <a href="/logout" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Sair</a>
+              <a href="/utilizadores" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Utilizadores</a>
+              <a href="/auditoria" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Auditoria</a>
+              ` : ''}
+              <a href="/notificacoes" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Notificações</a>
+              <a href="/conta" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">A minha conta</a>
+              <form method="POST" action="/logout">${csrfField}<button class="block w-full text-left px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Sair</button></form>
               ` : '<a href="/login" class="block px-3 py-2 rounded-lg text-sm hover:bg-slate-100">Entrar</a>'}
             </nav>
           </div>
@@ -448,8 +1942,10 @@ function renderPage(title, content, extraHead = '', isAdmin = false) {
           }catch(_){}
         }
         setNotificationCount(0);
-        pollNotif();
-        setInterval(pollNotif, 30000); // a cada 30s
+        if ($badge) {
+          pollNotif();
+          setInterval(pollNotif, 30000); // a cada 30s
+        }
   
         // ===== Consentimento / Anonimato =====
         const PATH = location.pathname;
@@ -518,6 +2014,18 @@ function renderPage(title, content, extraHead = '', isAdmin = false) {
   
   
 
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+}
+
+// Campo CSV (separador ;). Texto começado por = + - @ ou tabulação leva um ' à frente, para o Excel
+// não o tomar por fórmula: nomes de utilizador, alvos e nomes de docentes vêm de quem usa a aplicação.
+function csvField(v) {
+  let s = String(v ?? '');
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[";\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
 function select(name, label, options, valueField = 'id', labelField = 'name') {
   const opts = options.map(o => `<option value="${o[valueField]}">${o[labelField]}</option>`).join('');
   return `
@@ -529,29 +2037,11 @@ function select(name, label, options, valueField = 'id', labelField = 'name') {
   `;
 }
 
-function requireAuth(req, res, next) {
-  const ok = req.cookies && req.cookies.ispt_admin === '1';
-  if (ok) return next();
-  return res.redirect('/login');
-}
-
-// Proteção (ajuste para o seu middleware real)
-function requireAuth(req, res, next) {
-  const role = req.cookies?.role || (req.cookies?.ispt_admin === '1' ? 'admin' : null);
-  if (!role) {
-    return res.status(401).send(`
-      <div style="max-width:640px;margin:4rem auto;font-family:sans-serif;text-align:center">
-        <h1>Acesso restrito</h1>
-        <p>Inicie sessão para continuar.</p>
-        <p><a href="/login">Iniciar sessão</a></p>
-      </div>
-    `);
-  }
-  next();
-}
 // ====== AUTENTICAÇÃO ======
 app.get('/login', (req, res) => {
+    browserSession(req, res, LOGIN_BROWSER_COOKIE);
     const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
+    const next = typeof req.query.next === 'string' ? req.query.next : '';
   
     const html = `
     <div class="min-h-[70vh] flex items-center justify-center">
@@ -570,6 +2060,12 @@ app.get('/login', (req, res) => {
           </div>
   
           <form id="loginForm" method="POST" action="/login" novalidate class="space-y-4">
+            <input type="hidden" name="next" value="${escapeHtml(next)}" />
+            <div>
+              <label for="username" class="block text-sm font-medium text-slate-700 mb-1">Utilizador</label>
+              <input type="text" id="username" name="username" required autocomplete="username"
+                     class="w-full border rounded-xl p-3 focus:outline-none focus:ring-2 focus:ring-slate-900" />
+            </div>
             <div>
               <label for="pwd" class="block text-sm font-medium text-slate-700 mb-1">Palavra-passe</label>
               <div class="relative">
@@ -597,13 +2093,13 @@ app.get('/login', (req, res) => {
                   </svg>
                 </button>
               </div>
-              <p id="pwdErr" class="mt-2 text-xs ${err ? 'text-rose-600' : 'text-transparent'}">${err || 'erro'}</p>
+              <p id="pwdErr" class="mt-2 text-xs ${err ? 'text-rose-600' : 'text-transparent'}">${err ? escapeHtml(err) : 'erro'}</p>
             </div>
   
             <div class="flex items-center justify-between">
               <label class="inline-flex items-center gap-2 text-sm">
                 <input type="checkbox" name="remember" class="rounded" />
-                <span>Manter sessão</span>
+                <span>Manter sessão (${SESSION_REMEMBER_DAYS} dias)</span>
               </label>
               <span class="text-sm text-slate-400">Precisa de ajuda?</span>
             </div>
@@ -646,61 +2142,73 @@ app.get('/login', (req, res) => {
     `;
   
     res.send(
-      renderPage('Iniciar sessão', html, '', req.cookies?.role || (req.cookies?.ispt_admin === '1'))
+      renderPage('Iniciar sessão', html, '', req.user)
     );
   });
   
 
   app.post('/login', (req, res) => {
-    const { password, remember } = req.body;
-  
-    // aqui mantém a sua lógica atual de autenticação
-    if (password === ADMIN_PASSWORD) {
-      // marca como admin (ou use o seu sistema de papéis)
-      res.cookie('ispt_admin', '1', {
-        httpOnly: true,
-        sameSite: 'lax',
-        // “remember” opcional: 30 dias
-        ...(remember ? { maxAge: 30 * 24 * 60 * 60 * 1000 } : {})
-      });
-      // se já usa cookies de role, guarde também:
-      res.cookie('role', 'admin', {
-        httpOnly: true,
-        sameSite: 'lax',
-        ...(remember ? { maxAge: 30 * 24 * 60 * 60 * 1000 } : {})
-      });
-      return res.redirect('/admin');
+    const { username, password, remember } = req.body;
+    // só caminhos locais (evita redireccionar para outro site)
+    const next = /^\/(?!\/)/.test(String(req.body.next || '')) ? req.body.next : '';
+  
+    const login = String(username || '').trim();
+    const back = msg => res.redirect('/login?e=' + encodeURIComponent(msg) + '&next=' + encodeURIComponent(next));
+    const tooMany = until => `Demasiadas tentativas falhadas. Tente novamente dentro de ${lockWait(until)}.`;
+
+    // Durante o bloqueio nem a palavra-passe certa entra (a conta só está bloqueada neste IP)
+    const keys = loginKeys(req, login, browserSession(req, res, LOGIN_BROWSER_COOKIE));
+    const locked = loginLocked(keys);
+    if (locked) {
+      recordBlocked('login', lockReason(locked.key), { username: login.toLowerCase(), ip: req.ip });
+      return back(tooMany(locked.until));
     }
+    if (!loginTrack(keys)) {
+      recordBlocked('login', 'track_full', { username: login.toLowerCase(), ip: req.ip });
+      return back(`Demasiadas tentativas de início de sessão. Tente novamente dentro de ${ABUSE_WINDOW_MINUTES} minutos.`);
+    }
+
+    const user = db.prepare('SELECT id, username, role, password_hash FROM user WHERE username = ? AND active = 1').get(login);
+    if (user && verifyPassword(password, user.password_hash)) {
+      loginSucceeded(keys);
+      // “remember” opcional: sessão longa (SESSION_REMEMBER_DAYS), revogável em /conta
+      startSession(req, res, user.id, !!remember);
+      audit(req, 'login', { user, details: { manter_sessao: remember ? 'sim' : null } });
+      return res.redirect(next || homeFor(user));
+    }
+    const started = loginFailed(keys);
+    audit(req, 'login', { status: 'failed', target: login.slice(0, 64) || null, details: started ? { bloqueio: lockWait(started.until) } : null });
+    if (started) return back(tooMany(started.until));
   
-    // devolve ao /login com mensagem de erro
-    return res.redirect('/login?e=' + encodeURIComponent('Palavra-passe inválida.'));
+    // devolve ao /login com mensagem de erro (mesma mensagem para utilizador ou palavra-passe errados)
+    return back('Utilizador ou palavra-passe inválidos.');
   });
 
   // ====== LOGOUT ======
+// GET só pede confirmação: terminar a sessão é uma alteração e exige POST com token CSRF
 app.get('/logout', (req, res) => {
-    try {
-      res.clearCookie('role',        { path: '/', sameSite: 'lax' });
-      res.clearCookie('ispt_admin',  { path: '/', sameSite: 'lax' });
-    } catch (_) {}
-    // opcional: também zere o banner de consentimento, se quiser
-    // res.clearCookie('ispt_consent', { path: '/', sameSite: 'lax' });
-  
-    // volta ao login (ou à página inicial, se preferir)
-    return res.redirect('/login');
+    if (!req.user) return res.redirect('/login');
+    const html = `
+      <div class="text-center space-y-3">
+        <p class="text-slate-600">Terminar a sessão de ${escapeHtml(req.user.name)}?</p>
+        <form method="POST" action="/logout"><button class="btn btn-primary">Sair</button></form>
+      </div>`;
+    return res.send(renderPage('Sair', html, '', req.user));
   });
 
   app.post('/logout', (req, res) => {
-    res.clearCookie('role',       { path: '/', sameSite: 'lax' });
-    res.clearCookie('ispt_admin', { path: '/', sameSite: 'lax' });
+    if (req.user) audit(req, 'logout');
+    endSession(req, res);
     return res.redirect('/login');
   });
   
 
 // ====== HOME / INQUÉRITO ======
 app.get('/', (req, res) => {
-    const courses   = db.prepare('SELECT * FROM course ORDER BY name').all();
-    const semesters = db.prepare('SELECT * FROM semester ORDER BY id').all();
-    const years     = db.prepare('SELECT * FROM school_year ORDER BY name DESC').all();
+    const courses   = db.prepare('SELECT * FROM course WHERE active = 1 ORDER BY name').all();
+    const campaigns = openCampaigns();
+  
+    const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
   
     // helpers
     const options = (arr, v='id', l='name') =>
@@ -709,47 +2217,51 @@ app.get('/', (req, res) => {
     const content = `
     <div class="grid md:grid-cols-3 gap-6">
       <div class="md:col-span-2">
-        <form id="formStart" method="GET" action="/inquerito" novalidate class="space-y-6">
+        ${campaigns.length ? '' : `
+        <div class="p-4 rounded-xl border border-amber-200 bg-amber-50 text-amber-800 mb-6">
+          <h2 class="font-semibold mb-1">Sem campanhas de avaliação abertas</h2>
+          <p class="text-sm">De momento não está a decorrer nenhum período de avaliação. Volte durante a próxima campanha.</p>
+        </div>`}
+        <form id="formStart" method="GET" action="/inquerito" novalidate class="space-y-6 ${campaigns.length ? '' : 'hidden'}">
           <!-- Título & subtítulo -->
           <div>
             <h2 class="text-xl font-semibold mb-1">Começar um novo inquérito</h2>
             <p class="text-sm text-slate-600">Preencha os campos abaixo. Todos são obrigatórios.</p>
           </div>
+          ${err ? `<p class="p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">${escapeHtml(err)}</p>` : ''}
   
-          <!-- Campos alinhados (label à esquerda, campo à direita) -->
           <div class="grid grid-cols-12 items-center gap-3">
-            <label class="col-span-12 sm:col-span-4 text-sm font-medium text-slate-700">Curso</label>
+            <label class="col-span-12 sm:col-span-4 text-sm font-medium text-slate-700">Código de acesso</label>
             <div class="col-span-12 sm:col-span-8">
-              <select name="course_id" required class="w-full border rounded-xl p-2 focus:outline-none focus:ring-2 focus:ring-slate-300">
-                <option value="">— seleccione —</option>
-                ${options(courses)}
-              </select>
-              <p class="mt-1 text-xs text-rose-600 hidden" data-error-for="course_id">Seleccione um curso.</p>
+              <div class="w-44 sm:w-56">
+                <input name="code" required autocomplete="off" placeholder="XXXX-XXXX"
+                       class="w-full border rounded-xl p-2 uppercase tracking-widest focus:outline-none focus:ring-2 focus:ring-slate-300" />
+              </div>
+              <p class="mt-1 text-xs text-slate-500">Código de uso único entregue na turma. Não fica associado às suas respostas.</p>
+              <p class="mt-1 text-xs text-rose-600 hidden" data-error-for="code">Introduza o código de acesso.</p>
             </div>
           </div>
   
+          <!-- Campos alinhados (label à esquerda, campo à direita) -->
           <div class="grid grid-cols-12 items-center gap-3">
-            <label class="col-span-12 sm:col-span-4 text-sm font-medium text-slate-700">Semestre/Período</label>
+            <label class="col-span-12 sm:col-span-4 text-sm font-medium text-slate-700">Campanha</label>
             <div class="col-span-12 sm:col-span-8">
-              <select name="semester_id" required class="w-full border rounded-xl p-2 focus:outline-none focus:ring-2 focus:ring-slate-300">
-                <option value="">— seleccione —</option>
-                ${options(semesters)}
+              <select name="campaign_id" required class="w-full border rounded-xl p-2 focus:outline-none focus:ring-2 focus:ring-slate-300">
+                ${campaigns.length === 1 ? '' : '<option value="">— seleccione —</option>'}
+                ${campaigns.map(c => `<option value="${c.id}">${escapeHtml(c.name)} (${escapeHtml(c.semester_name)} · ${escapeHtml(c.school_year_name)}) — até ${dayjs(c.ends_at).format('DD/MM/YYYY HH:mm')}</option>`).join('')}
               </select>
-              <p class="mt-1 text-xs text-rose-600 hidden" data-error-for="semester_id">Seleccione um semestre/período.</p>
+              <p class="mt-1 text-xs text-rose-600 hidden" data-error-for="campaign_id">Seleccione a campanha.</p>
             </div>
           </div>
   
           <div class="grid grid-cols-12 items-center gap-3">
-            <label class="col-span-12 sm:col-span-4 text-sm font-medium text-slate-700">Ano lectivo</label>
+            <label class="col-span-12 sm:col-span-4 text-sm font-medium text-slate-700">Curso</label>
             <div class="col-span-12 sm:col-span-8">
-              <!-- campo mais curto e moderno -->
-              <div class="w-44 sm:w-56">
-                <select name="school_year_id" required class="w-full border rounded-xl p-2 focus:outline-none focus:ring-2 focus:ring-slate-300">
-                  <option value="">— seleccione —</option>
-                  ${options(years)}
-                </select>
-              </div>
-              <p class="mt-1 text-xs text-rose-600 hidden" data-error-for="school_year_id">Seleccione o ano lectivo.</p>
+              <select name="course_id" required class="w-full border rounded-xl p-2 focus:outline-none focus:ring-2 focus:ring-slate-300">
+                <option value="">— seleccione —</option>
+                ${options(courses)}
+              </select>
+              <p class="mt-1 text-xs text-rose-600 hidden" data-error-for="course_id">Seleccione um curso.</p>
             </div>
           </div>
   
@@ -774,7 +2286,7 @@ app.get('/', (req, res) => {
         </div>
         <div class="card">
           <h3 class="font-semibold mb-1">Escala de respostas</h3>
-          <p class="text-sm text-slate-600">0 (Nunca), 1 (Às vezes), 2 (Sempre).</p>
+          <p class="text-sm text-slate-600">Cada questão indica a sua escala (por exemplo, 0 = Nunca a 2 = Sempre).</p>
         </div>
         <div class="card">
           <h3 class="font-semibold mb-1">Duração</h3>
@@ -794,7 +2306,19 @@ app.get('/', (req, res) => {
           const small = form.querySelector('[data-error-for="'+name+'"]');
           if (small) small.classList.add('hidden');
         };
-        const fields = ['course_id','semester_id','school_year_id'];
+        const fields = ['code','campaign_id','course_id'];
+
+        // Campanhas limitadas a um curso fixam o curso
+        const CAMPAIGN_COURSE = ${JSON.stringify(Object.fromEntries(campaigns.map(c => [c.id, c.course_id])))};
+        const $campaign = form.querySelector('[name="campaign_id"]');
+        const $course = form.querySelector('[name="course_id"]');
+        function applyScope(){
+          const only = CAMPAIGN_COURSE[$campaign.value];
+          [...$course.options].forEach(o => { o.hidden = !!(only && o.value && o.value !== String(only)); });
+          if (only) $course.value = String(only);
+        }
+        $campaign?.addEventListener('change', applyScope);
+        if ($campaign) applyScope();
         fields.forEach(n => {
           const el = form.querySelector('[name="'+n+'"]');
           el?.addEventListener('change', () => hideError(n));
@@ -815,21 +2339,53 @@ app.get('/', (req, res) => {
     </script>
     `;
   
-    res.send(renderPage('ISPT – Inquérito a Estudantes', content, '', req.cookies?.role || (req.cookies?.ispt_admin==='1')));
+    res.send(renderPage('ISPT – Inquérito a Estudantes', content, '', req.user));
   });
   
   app.get('/inquerito', (req, res) => {
-    const { course_id, semester_id, school_year_id } = req.query;
-    if (!course_id || !semester_id || !school_year_id) return res.redirect('/');
+    const { course_id, campaign_id } = req.query;
+    if (!course_id || !campaign_id) return res.redirect('/');
+  
+    // Campanha aberta (define semestre e ano lectivo) e, se limitada, ao mesmo curso
+    const back = msg => res.redirect('/?e=' + encodeURIComponent(msg));
+    const campaign = getOpenCampaign(campaign_id);
+    if (!campaign) return back('A campanha seleccionada não está aberta.');
+    if (campaign.course_id && String(campaign.course_id) !== String(course_id)) {
+      return back('A campanha seleccionada não abrange este curso.');
+    }
+    if (!db.prepare('SELECT 1 FROM course WHERE id = ? AND active = 1').get(course_id)) return back('Curso inválido.');
+    const semester_id = campaign.semester_id;
+    const school_year_id = campaign.school_year_id;
+  
+    // Código de acesso: válido, por usar e do mesmo período; a turma vem do código.
+    // Códigos errados contam como pedidos inválidos do IP (tentativas de adivinhar códigos).
+    const clients = surveyClients(req, res);
+    const blocked = surveyTooManyFailures(clients);
+    if (blocked) {
+      recordBlocked('survey', blocked);
+      return back(`Demasiados pedidos inválidos. Aguarde ${ABUSE_WINDOW_MINUTES} minutos e tente novamente.`);
+    }
+    const access = findOpenCode(normalizeCode(req.query.code));
+    if (!access) {
+      surveyFailed(clients);
+      return back('Código de acesso inválido ou já utilizado.');
+    }
+    if (String(access.semester_id) !== String(semester_id) || String(access.school_year_id) !== String(school_year_id)) {
+      return back('O código de acesso não corresponde ao semestre/ano lectivo da campanha.');
+    }
+    const klass = db.prepare('SELECT id, name FROM class_group WHERE id = ?').get(access.class_group_id);
   
-    // Disciplinas disponíveis para o filtro recebido
+    // Disciplinas disponíveis para o filtro recebido (só registos activos)
     const teachRows = db.prepare(`
       SELECT DISTINCT d.id as discipline_id, d.name as discipline_name
       FROM teaching t
       JOIN discipline d ON d.id = t.discipline_id
+      JOIN teacher te ON te.id = t.teacher_id
       WHERE d.course_id = ? AND t.semester_id = ? AND t.school_year_id = ?
+        AND (t.class_group_id = ? OR t.class_group_id IS NULL)
+        AND t.active = 1 AND d.active = 1 AND te.active = 1
       ORDER BY d.name
-    `).all(course_id, semester_id, school_year_id);
+    `).all(course_id, semester_id, school_year_id, access.class_group_id);
   
     // Mapa Disciplina -> Docentes
     const teachMapRows = db.prepare(`
@@ -838,29 +2394,30 @@ app.get('/', (req, res) => {
       JOIN discipline d ON d.id = t.discipline_id
       JOIN teacher te ON te.id = t.teacher_id
       WHERE d.course_id = ? AND t.semester_id = ? AND t.school_year_id = ?
+        AND (t.class_group_id = ? OR t.class_group_id IS NULL)
+        AND t.active = 1 AND d.active = 1 AND te.active = 1
       ORDER BY d.name, te.name
-    `).all(course_id, semester_id, school_year_id);
+    `).all(course_id, semester_id, school_year_id, access.class_group_id);
   
     const teacherMap = {};
     teachMapRows.forEach(r => {
       (teacherMap[r.discipline_id] ||= []).push({ id: r.teacher_id, name: r.teacher_name });
     });
   
-    // Perguntas
-    const questions = db.prepare('SELECT * FROM survey_question ORDER BY id').all();
-  
-    // Repor preenchimento automático de Turmas (como tinhas antes), mas calculado no servidor
-    const turmaA   = db.prepare("SELECT id, name FROM class_group WHERE name = 'Turma A'").get();
-    const turmaB   = db.prepare("SELECT id, name FROM class_group WHERE name = 'Turma B'").get();
-    const posUnica = db.prepare("SELECT id, name FROM class_group WHERE name = 'Única Pós-laboral'").get();
+    // Perguntas da versão do questionário fixada na campanha
+    const questions = versionQuestions(campaign.questionnaire_version_id);
+    const scales = new Map(listScales().map(sc => [sc.id, sc]));
   
     const disciplines = teachRows.map(r => ({ id: r.discipline_id, name: r.discipline_name }));
   
     const content = `
     <form id="formSurvey" method="POST" action="/submit" class="space-y-6">
-      <input type="hidden" name="course_id" value="${course_id}" />
-      <input type="hidden" name="semester_id" value="${semester_id}" />
-      <input type="hidden" name="school_year_id" value="${school_year_id}" />
+      <input type="hidden" name="campaign_id" value="${campaign.id}" />
+      <input type="hidden" name="course_id" value="${escapeHtml(course_id)}" />
+      <input type="hidden" name="code" value="${access.code}" />
+      <input type="hidden" name="class_group_id" value="${access.class_group_id}" />
+      <input type="hidden" name="form_token" value="${surveyFormToken()}" />
+      ${surveyHoneypotHtml()}
   
       <div class="space-y-4">
         <h2 class="text-xl font-semibold">Identificação do inquérito</h2>
@@ -891,31 +2448,12 @@ app.get('/', (req, res) => {
           </div>
         </div>
   
-        <!-- Turno -->
-        <div class="grid grid-cols-12 items-center gap-3">
-          <label for="turno" class="col-span-12 sm:col-span-4 text-sm font-semibold text-slate-800">Turno</label>
-          <div class="col-span-12 sm:col-span-8">
-            <select id="turno" name="turno" required
-                    class="w-full border rounded-xl px-3 py-2 focus:outline-none focus:ring-2 focus:ring-slate-300">
-              <option value="" disabled selected>— seleccione —</option>
-              <option value="diurno">Diurno</option>
-              <option value="pos">Pós-laboral</option>
-            </select>
-            <p class="mt-1 text-xs text-slate-500">Escolha o turno para carregar as turmas disponíveis.</p>
-            <p class="mt-1 text-xs text-rose-600 hidden" data-error-for="turno">Seleccione o turno.</p>
-          </div>
-        </div>
-  
-        <!-- Turma -->
+        <!-- Turma (definida pelo código de acesso) -->
         <div class="grid grid-cols-12 items-center gap-3">
-          <label for="class_group_id" class="col-span-12 sm:col-span-4 text-sm font-semibold text-slate-800">Turma</label>
+          <span class="col-span-12 sm:col-span-4 text-sm font-semibold text-slate-800">Turma</span>
           <div class="col-span-12 sm:col-span-8">
-            <select id="class_group_id" name="class_group_id" required
-                    class="w-full border rounded-xl px-3 py-2 focus:outline-none focus:ring-2 focus:ring-slate-300 opacity-50 cursor-not-allowed"
-                    disabled>
-              <option value="">— seleccione —</option>
-            </select>
-            <p class="mt-1 text-xs text-rose-600 hidden" data-error-for="class_group_id">Seleccione a turma.</p>
+            <div class="w-full border rounded-xl px-3 py-2 bg-slate-50 text-slate-700">${escapeHtml(klass ? klass.name : '—')}</div>
+            <p class="mt-1 text-xs text-slate-500">Definida pelo código de acesso <b>${formatCode(access.code)}</b>.</p>
           </div>
         </div>
       </div>
@@ -924,21 +2462,33 @@ app.get('/', (req, res) => {
   
       <div class="space-y-3">
         <h2 class="text-xl font-semibold">Questões</h2>
-        ${questions.map(q => `
+        ${questions.map(q => {
+          const scale = scales.get(q.scale_id);
+          if (scale?.kind === 'text') return `
+          <div class="border rounded-xl p-3">
+            <label for="q_${q.id}" class="block mb-2 font-medium">${escapeHtml(q.code)}. ${escapeHtml(q.text)}</label>
+            <textarea id="q_${q.id}" name="q_${q.id}" rows="2" maxlength="${TEXT_ANSWER_MAX}" class="w-full border rounded-xl px-3 py-2"></textarea>
+          </div>`;
+          return `
           <div class="border rounded-xl p-3">
             <label class="block mb-2 font-medium">
-              ${q.code}. ${q.text}
-              <span class="text-xs text-slate-500">(0 = Nunca / 1 = Às vezes / 2 = Sempre)</span>
+              ${escapeHtml(q.code)}. ${escapeHtml(q.text)}
+              <span class="text-xs text-slate-500">(${scale.labels.map(l => `${l.value} = ${escapeHtml(l.label)}`).join(' / ')})</span>
             </label>
             <div class="flex gap-2 flex-wrap">
-              ${[0,1,2].map(v => `
-                <label class="inline-flex items-center gap-2 border rounded-xl px-3 py-2">
-                  <input type="radio" name="q_${q.id}" value="${v}" required />
-                  ${v}
+              ${scale.labels.map(l => `
+                <label class="inline-flex items-center gap-2 border rounded-xl px-3 py-2" title="${escapeHtml(l.label)}">
+                  <input type="radio" name="q_${q.id}" value="${l.value}" required />
+                  ${l.value}
                 </label>`).join('')}
+              ${q.allow_na ? `
+                <label class="inline-flex items-center gap-2 border rounded-xl px-3 py-2 text-slate-500">
+                  <input type="radio" name="q_${q.id}" value="na" required />
+                  Não se aplica
+                </label>` : ''}
             </div>
-          </div>
-        `).join('')}
+          </div>`;
+        }).join('')}
       </div>
   
       <div>
@@ -975,41 +2525,6 @@ app.get('/', (req, res) => {
         }
   
         $disc.addEventListener('change', e => fillTeachers(TEACHER_MAP[e.target.value]||[]));
-  
-        // ===== Preenchimento de turmas por turno (sem db no cliente) =====
-        const TURMA_A        = ${turmaA ? turmaA.id : 'null'};
-        const TURMA_B        = ${turmaB ? turmaB.id : 'null'};
-        const POS_UNICA      = ${posUnica ? posUnica.id : 'null'};
-        const TURMA_A_NAME   = ${JSON.stringify(turmaA ? turmaA.name : 'Turma A')};
-        const TURMA_B_NAME   = ${JSON.stringify(turmaB ? turmaB.name : 'Turma B')};
-        const POS_UNICA_NAME = ${JSON.stringify(posUnica ? posUnica.name : 'Única Pós-laboral')};
-  
-        const $turno = document.getElementById('turno');
-        const $turma = document.getElementById('class_group_id');
-  
-        const diurno = [TURMA_A ? {id:TURMA_A, name:TURMA_A_NAME} : null,
-                        TURMA_B ? {id:TURMA_B, name:TURMA_B_NAME} : null].filter(Boolean);
-        const pos    = [POS_UNICA ? {id:POS_UNICA, name:POS_UNICA_NAME} : null].filter(Boolean);
-  
-        function fillTurmas(list){
-          $turma.innerHTML = '<option value="">— seleccione —</option>';
-          (list || []).forEach(o => {
-            const opt = document.createElement('option');
-            opt.value = o.id; opt.textContent = o.name;
-            $turma.appendChild(opt);
-          });
-          const disabled = !(list && list.length);
-          $turma.disabled = disabled;
-          $turma.classList.toggle('opacity-50', disabled);
-          $turma.classList.toggle('cursor-not-allowed', disabled);
-          if (!disabled && list.length === 1) $turma.value = String(list[0].id);
-        }
-  
-        $turno.addEventListener('change', (e) => {
-          if (e.target.value === 'diurno') fillTurmas(diurno);
-          else if (e.target.value === 'pos') fillTurmas(pos);
-          else fillTurmas([]);
-        });
       })();
     </script>
   
@@ -1024,7 +2539,7 @@ app.get('/', (req, res) => {
           el.classList.toggle('hidden', !show);
         }
         form.addEventListener('submit', (e)=>{
-          const required = ['discipline_id','teacher_id','turno','class_group_id'];
+          const required = ['discipline_id','teacher_id'];
           let first = null;
           for (const n of required){
             const f = form.querySelector('[name="'+n+'"]');
@@ -1041,87 +2556,166 @@ app.get('/', (req, res) => {
     </script>
     `;
   
-    res.send(renderPage('Responder Inquérito', content, '', req.cookies?.role || (req.cookies?.ispt_admin==='1')));
+    res.send(renderPage('Responder Inquérito', content, '', req.user));
   });
   
 
 // ====== SUBMISSÃO ======
 app.post('/submit', (req, res) => {
-  let { course_id, semester_id, school_year_id, discipline_id, teacher_id, class_group_id, comment, ...answers } = req.body;
-  if (!course_id || !semester_id || !discipline_id || !teacher_id) {
-    return res.status(400).send('Dados em falta.');
-  }
-  class_group_id = class_group_id || null;
-
-  let teaching = db.prepare(`
-    SELECT * FROM teaching
-    WHERE teacher_id=? AND discipline_id=? AND semester_id=?
-      AND (school_year_id IS ? OR school_year_id = ?)
-      AND (class_group_id IS ? OR class_group_id = ?)
-  `).get(teacher_id, discipline_id, semester_id, school_year_id || null, school_year_id || null, class_group_id || null, class_group_id || null);
-
-  if (!teaching) {
-    const info = db.prepare('INSERT INTO teaching (teacher_id, discipline_id, semester_id, school_year_id, class_group_id) VALUES (?,?,?,?,?)')
-                   .run(teacher_id, discipline_id, semester_id, school_year_id || null, class_group_id || null);
-    teaching = { id: info.lastInsertRowid };
-  }
-
-  const respInfo = db.prepare('INSERT INTO survey_response (teaching_id, submitted_at, comment) VALUES (?,?,?)')
-                    .run(teaching.id, dayjs().toISOString(), comment || null);
-  const responseId = respInfo.lastInsertRowid;
-
-  const insAns = db.prepare('INSERT INTO survey_answer (response_id, question_id, value) VALUES (?,?,?)');
-  const qs = db.prepare('SELECT id FROM survey_question').all();
-  qs.forEach(q => {
-    const key = `q_${q.id}`; const val = Number(answers[key]);
-    if (![0,1,2].includes(val)) return; insAns.run(responseId, q.id, val);
-  });
-
+  let { campaign_id, course_id, semester_id, school_year_id, discipline_id, teacher_id, class_group_id, comment, code,
+        form_token, [SURVEY_HONEYPOT]: honeypot, ...answers } = req.body || {};
+  const refused = (status, msg) => res.status(status).send(renderPage('Submissão recusada', `
+      <div class="text-center space-y-2">
+        <h2 class="text-xl font-semibold text-rose-600">Resposta não registada</h2>
+        <p class="text-slate-600">${escapeHtml(msg)}</p>
+        <a href="/" class="btn btn-primary">Voltar ao início</a>
+      </div>`, '', req.user));
   const ok = `
     <div class="text-center space-y-2">
       <h2 class="text-xl font-semibold">Obrigado pela sua resposta!</h2>
       <p class="text-slate-600">A sua participação é anónima e ajuda a melhorar a qualidade pedagógica.</p>
       <a href="/" class="btn btn-primary">Novo inquérito</a>
     </div>`;
-  res.send(renderPage('Submissão concluída', ok, '', (req.cookies && req.cookies.ispt_admin==='1')));
+
+  // Protecção contra abuso (ver PROTECÇÃO CONTRA ABUSO); nada disto identifica o respondente
+  const clients = surveyClients(req, res);
+  const wait = `Demasiados pedidos. Aguarde ${ABUSE_WINDOW_MINUTES} minutos e tente novamente.`;
+  const blocked = surveyTooManyFailures(clients);
+  if (blocked) { recordBlocked('survey', blocked); return refused(429, wait); }
+  if (surveyHit(`envio:${clients[0]}`) > SUBMIT_MAX_PER_IP) { recordBlocked('survey', 'rate_ip'); return refused(429, wait); }
+  // Ao robô responde-se como se tivesse corrido bem (e o código não é gasto)
+  if (honeypot) { recordBlocked('survey', 'honeypot'); return res.send(renderPage('Submissão concluída', ok, '', req.user)); }
+  const form = checkSurveyForm(form_token);
+  if (form.reason) {
+    recordBlocked('survey', form.reason);
+    surveyFailed(clients);
+    return refused(400, {
+      form_token: 'O formulário expirou ou é inválido. Volte a abrir o inquérito com o mesmo código.',
+      form_reused: 'Este formulário já foi submetido. Para avaliar outra disciplina use um novo código.',
+      too_fast: 'O formulário foi submetido demasiado depressa. Volte a abrir o inquérito com o mesmo código.',
+    }[form.reason]);
+  }
+
+  if (!campaign_id || !course_id || !discipline_id || !teacher_id) {
+    return res.status(400).send('Dados em falta.');
+  }
+
+  // Marca o formulário antes de gravar (sem lugar para a marca ficaria reutilizável); volta a
+  // valer se a resposta não for gravada
+  if (!markSurveyFormUsed(form)) { recordBlocked('survey', 'track_full'); return refused(429, wait); }
+
+  // Queima o código e grava a resposta na mesma transação; nada liga um ao outro
+  let submitted = null;
+  try {
+    db.transaction(() => {
+      const campaign = getOpenCampaign(campaign_id);
+      if (!campaign) throw new Error('A campanha de avaliação não está aberta.');
+      if (campaign.course_id && String(campaign.course_id) !== String(course_id)) {
+        throw new Error('A campanha de avaliação não abrange este curso.');
+      }
+      const discipline = db.prepare('SELECT course_id FROM discipline WHERE id = ? AND active = 1').get(discipline_id);
+      if (!discipline || String(discipline.course_id) !== String(course_id)) throw new Error('Disciplina inválida para o curso.');
+      if (!db.prepare('SELECT 1 FROM teacher WHERE id = ? AND active = 1').get(teacher_id)) throw new Error('Docente inválido.');
+      semester_id = campaign.semester_id;
+      school_year_id = campaign.school_year_id;
+
+      const access = findOpenCode(normalizeCode(code));
+      if (!access) throw new Error('Código de acesso inválido ou já utilizado.');
+      if (String(access.semester_id) !== String(semester_id) || String(access.school_year_id) !== String(school_year_id)) {
+        throw new Error('O código de acesso não corresponde ao semestre/ano lectivo da campanha.');
+      }
+      if (db.prepare('UPDATE access_code SET used = 1 WHERE id = ? AND used = 0').run(access.id).changes !== 1) {
+        throw new Error('Código de acesso inválido ou já utilizado.');
+      }
+      class_group_id = access.class_group_id;
+
+      // Só leccionações existentes e activas da turma do código (ou sem turma), as mesmas que o
+      // formulário oferece; o inquérito nunca cria leccionações
+      const teaching = db.prepare(`
+        SELECT id FROM teaching
+        WHERE teacher_id = ? AND discipline_id = ? AND semester_id = ? AND school_year_id IS ?
+          AND (class_group_id = ? OR class_group_id IS NULL) AND active = 1
+        ORDER BY class_group_id IS NULL
+        LIMIT 1
+      `).get(teacher_id, discipline_id, semester_id, school_year_id ?? null, class_group_id);
+      if (!teaching) throw new Error('O código de acesso não permite avaliar esta disciplina com este docente, ou a leccionação já não está disponível para avaliação.');
+
+      const respInfo = db.prepare('INSERT INTO survey_response (teaching_id, campaign_id, questionnaire_version_id, submitted_at, comment) VALUES (?,?,?,?,?)')
+                        .run(teaching.id, campaign.id, campaign.questionnaire_version_id, dayjs().toISOString(), comment || null);
+      const responseId = respInfo.lastInsertRowid;
+
+      const insAns = db.prepare('INSERT INTO survey_answer (response_id, question_id, value, text_value) VALUES (?,?,?,?)');
+      const scales = new Map(listScales().map(sc => [sc.id, sc]));
+      const qs = versionQuestions(campaign.questionnaire_version_id);
+      let texts = 0;
+      qs.forEach(q => {
+        const scale = scales.get(q.scale_id);
+        const raw = answers[`q_${q.id}`];
+        if (!scale || raw === undefined || raw === '') return;
+        if (scale.kind === 'text') {
+          const text = String(raw).trim().slice(0, TEXT_ANSWER_MAX);
+          if (text) { insAns.run(responseId, q.id, null, text); texts++; }
+          return;
+        }
+        if (raw === 'na') { if (q.allow_na) insAns.run(responseId, q.id, null, null); return; }
+        const val = Number(raw);
+        if (!Number.isInteger(val) || val < scale.min_value || val > scale.max_value) return;
+        insAns.run(responseId, q.id, val, null);
+      });
+      submitted = { teachingId: teaching.id, campaignId: campaign.id, moderate: !!String(comment || '').trim() || texts > 0 };
+    })();
+  } catch (e) {
+    usedForms.delete(form.nonce);
+    surveyFailed(clients);
+    return refused(400, e.message);
+  }
+
+  checkAnonThreshold(submitted.teachingId, submitted.campaignId);
+  if (submitted.moderate) notifyPendingComments();
+  res.send(renderPage('Submissão concluída', ok, '', req.user));
 });
 
 // ====== API: ESTATÍSTICAS ======
-app.get('/api/stats', requireAuth, (req, res) => {
-  const { course_id, semester_id, discipline_id, teacher_id, school_year_id, class_group_id } = req.query;
+app.get('/api/stats', requireRole(REPORT_ROLES), (req, res) => {
+  const f = reportFilters(req.query, req.user);
+  const suppressed = anonNotices(f);
+  const n = releasedCount(f);
+  if (n < ANON) return res.json({ insufficient: true, n, threshold: ANON, suppressed });
+
   const rows = db.prepare(`
-    SELECT qa.question_id, AVG(qa.value) as avg_val
-    FROM survey_answer qa
-    JOIN survey_response r ON r.id = qa.response_id
+    SELECT a.question_id, AVG(a.value) as avg_val, AVG(${SCORE_SQL}) as score,
+           COUNT(a.value) as n, SUM(CASE WHEN a.value IS NULL THEN 1 ELSE 0 END) as na
+    FROM survey_answer a
+    JOIN survey_question q ON q.id = a.question_id
+    JOIN answer_scale sc ON sc.id = q.scale_id
+    JOIN survey_response r ON r.id = a.response_id
     JOIN teaching t ON t.id = r.teaching_id
     JOIN discipline d ON d.id = t.discipline_id
-    WHERE (COALESCE(?, d.course_id) = d.course_id)
-      AND (COALESCE(?, t.semester_id) = t.semester_id)
-      AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-      AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-      AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-      AND (COALESCE(?, t.class_group_id) = t.class_group_id)
-    GROUP BY qa.question_id
-    ORDER BY qa.question_id
-  `).all(course_id || null, semester_id || null, discipline_id || null, teacher_id || null, school_year_id || null, class_group_id || null);
-
-  const questions = db.prepare('SELECT id, code, text, area FROM survey_question ORDER BY id').all();
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+    WHERE sc.kind = 'numeric' AND ${SCOPE_SQL} AND ${RELEASED_SQL}
+    GROUP BY a.question_id
+    ORDER BY a.question_id
+  `).all(f);
+
+  const questions = scopeQuestions(f);
+  const scales = scopeScales(questions);
+  const detail = statsDetail(f, { index: scales.length !== 1 });
+  rows.forEach(r => { r.stats = detail.questions.get(r.question_id) || null; });
   const comments = db.prepare(`
-    SELECT r.comment, r.submitted_at
+    SELECT ${COMMENT_SQL} AS comment, r.submitted_at
     FROM survey_response r
     JOIN teaching t ON t.id = r.teaching_id
     JOIN discipline d ON d.id = t.discipline_id
-    WHERE r.comment IS NOT NULL AND r.comment <> ''
-      AND (COALESCE(?, d.course_id) = d.course_id)
-      AND (COALESCE(?, t.semester_id) = t.semester_id)
-      AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-      AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-      AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-      AND (COALESCE(?, t.class_group_id) = t.class_group_id)
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+    WHERE ${PUBLISHED_COMMENT_SQL}
+      AND ${SCOPE_SQL} AND ${RELEASED_SQL}
     ORDER BY r.submitted_at DESC
-  `).all(course_id || null, semester_id || null, discipline_id || null, teacher_id || null, school_year_id || null, class_group_id || null);
+  `).all(f);
 
-  res.json({ rows, questions, comments });
+  res.json({
+    n, threshold: ANON, rows, questions, scales, comments, texts: publishedTextAnswers(f), suppressed, benchmark: benchmark(f),
+    unit: detail.unit, areas: detail.areas, reliableMin: RELIABLE_MIN_N,
+  });
 });
 
 // GET /api/disciplinas?course_id=&semester_id=&school_year_id=
@@ -1157,11 +2751,12 @@ app.get('/api/disciplinas', (req, res) => {
   });
   
   // ====== RELATÓRIO (UI) – Curso -> Disciplina -> Docente (via APIs) ======
-  app.get('/admin', requireAuth, (req, res) => {
-    const courses   = db.prepare('SELECT id, name FROM course ORDER BY name').all();
+  app.get('/admin', requireRole(REPORT_ROLES), (req, res) => {
+    const courses   = visibleCourses(req.user);
     const semesters = db.prepare('SELECT id, name FROM semester ORDER BY id').all();
     const years     = db.prepare('SELECT id, name FROM school_year ORDER BY name DESC').all();
     const classes   = db.prepare('SELECT id, name FROM class_group ORDER BY name').all();
+    const campaigns = db.prepare('SELECT id, name FROM campaign ORDER BY starts_at DESC').all();
   
     // Helper local p/ selects simples
     const sel = (name, label, options) => {
@@ -1197,16 +2792,20 @@ app.get('/api/disciplinas', (req, res) => {
         ${teachSelect}
         ${sel('school_year_id','Ano lectivo',years)}
         ${sel('class_group_id','Turma',classes)}
+        ${sel('campaign_id','Campanha',campaigns)}
         <div class="md:col-span-6 flex gap-2 flex-wrap">
           <button type="button" id="aplicar" class="btn btn-primary">Aplicar</button>
           <a class="btn btn-ghost" href="/admin">Limpar</a>
           <a class="btn btn-primary" id="exportExcel" href="#">Exportar Excel</a>
           <a class="btn btn-primary" id="exportPDF" href="#">Exportar PDF</a>
+          <a class="btn btn-ghost" id="exportLote" href="#" title="Um PDF por docente do ano lectivo e semestre seleccionados">PDF por docente (ZIP)</a>
+          <label class="inline-flex items-center gap-1 text-sm"><input type="checkbox" name="por_disciplina" value="1" /> um PDF por disciplina</label>
         </div>
       </form>`;
   
     const content = `
       ${filters}
+      <div id="anonNotice" class="hidden mb-4 p-3 rounded-xl border border-amber-200 bg-amber-50 text-sm text-amber-800"></div>
       <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <div>
           <h2 class="text-lg font-semibold mb-2 text-left">Médias por questão</h2>
@@ -1217,6 +2816,20 @@ app.get('/api/disciplinas', (req, res) => {
           <div style="height:220px"><canvas id="chartAreas"></canvas></div>
         </div>
       </div>
+      <p class="text-xs text-slate-500 mt-2">Barras de erro: intervalo de confiança a 95% da média. Passe o cursor para ver desvio-padrão, mediana e n.</p>
+      <p id="weakNote" class="hidden text-xs text-amber-700 mt-1">* Menos de ${RELIABLE_MIN_N} respostas: média pouco fiável.</p>
+
+      <div class="mt-6">
+        <h2 class="text-lg font-semibold mb-2 text-left">Distribuição das respostas</h2>
+        <div style="height:260px"><canvas id="chartDist"></canvas></div>
+      </div>
+
+      <div id="benchWrap" class="hidden mt-6">
+        <h2 class="text-lg font-semibold mb-2 text-left">Comparação</h2>
+        <p id="benchPct" class="text-sm mb-2"></p>
+        <div class="overflow-x-auto"><table id="benchTable" class="w-full text-sm"></table></div>
+        <p class="text-xs text-slate-500 mt-2">Índice 0–100 no mesmo período; ao lado de cada referência, a diferença do docente face a ela.</p>
+      </div>
   
       <div class="mt-6">
         <h2 class="text-lg font-semibold mb-2 text-left">Comentários (qualitativo)</h2>
@@ -1228,12 +2841,19 @@ app.get('/api/disciplinas', (req, res) => {
         <ul id="comments" class="space-y-2"></ul>
         <div id="pager" class="mt-2 flex items-center gap-2"></div>
         <p class="text-xs text-slate-500 mt-3">
+          Só são mostrados comentários aprovados pela moderação.
           Comentários são opcionais e exibidos sem qualquer dado identificativo.
           Conteúdos com dados pessoais, ofensas graves ou acusações específicas podem ser moderados/anonimizados/removidos pela equipa administradora.
           Como os dados são anónimos, não é possível identificar e eliminar respostas individuais; no entanto,
           comentários podem ser removidos se contiverem dados pessoais ou conteúdo impróprio, mediante pedido fundamentado.
         </p>
       </div>
+
+      <div id="textAnswersWrap" class="mt-6 hidden">
+        <h2 class="text-lg font-semibold mb-2 text-left">Respostas de texto livre</h2>
+        <div id="textAnswers" class="space-y-4"></div>
+        <p class="text-xs text-slate-500 mt-3">Só são mostradas respostas aprovadas pela moderação, tal como nos comentários.</p>
+      </div>
   
       <script>
         // ===== Encadeamento: Curso + Semestre (+ Ano) -> Disciplina -> Docente =====
@@ -1371,7 +2991,8 @@ app.get('/api/disciplinas', (req, res) => {
           for(const [k,v] of fd.entries()){ if(v) p.append(k,v); }
           return p.toString();
         }
-        let chartPerguntas, chartAreas;
+        let chartPerguntas, chartAreas, chartDist;
+${CHART_CI_PLUGIN}
   
         function renderNoData(ctx, msg='Sem dados para os filtros seleccionados.'){
           const c = ctx.canvas; const g = c.getContext('2d'); g.clearRect(0,0,c.width,c.height);
@@ -1433,7 +3054,8 @@ app.get('/api/disciplinas', (req, res) => {
             const li = document.createElement('li');
             li.className = 'p-3 rounded-xl border';
             const d = new Date(c.submitted_at).toLocaleString();
-            li.innerHTML = '<div class="text-sm text-slate-500">'+d+'</div><div>'+(c.comment||'')+'</div>';
+            li.innerHTML = '<div class="text-sm text-slate-500">'+d+'</div><div></div>';
+            li.lastChild.textContent = c.comment || '';
             ul.appendChild(li);
           });
           if (maxPage > 1){
@@ -1441,63 +3063,733 @@ app.get('/api/disciplinas', (req, res) => {
           }
         }
   
+        // ===== Respostas de texto livre publicadas, por pergunta =====
+        function renderTextAnswers(data){
+          const wrap = document.getElementById('textAnswersWrap');
+          const box = document.getElementById('textAnswers');
+          box.innerHTML = '';
+          const textQs = (data.questions||[]).filter(q=>q.scale_kind==='text');
+          wrap.classList.toggle('hidden', !textQs.length);
+          const multiVersion = new Set(textQs.map(q=>q.version)).size > 1;
+          textQs.forEach(q=>{
+            const items = (data.texts||[]).filter(t=>t.question_id===q.id);
+            const sec = document.createElement('div');
+            sec.innerHTML = '<h3 class="text-sm font-semibold mb-1"></h3><ul class="space-y-2"></ul>';
+            sec.firstChild.textContent = (multiVersion ? 'v'+q.version+'·' : '')+q.code+' · '+q.text;
+            const ul = sec.lastChild;
+            if (!items.length) ul.innerHTML = '<li class="text-slate-500 text-sm">Sem respostas publicadas.</li>';
+            items.forEach(t=>{
+              const li = document.createElement('li');
+              li.className = 'p-3 rounded-xl border';
+              li.innerHTML = '<div class="text-sm text-slate-500"></div><div></div>';
+              li.firstChild.textContent = new Date(t.submitted_at).toLocaleString();
+              li.lastChild.textContent = t.answer;
+              ul.appendChild(li);
+            });
+            box.appendChild(sec);
+          });
+        }
+
+        // ===== Células suprimidas/agregadas (n < ANON) =====
+        function renderAnonNotice(list){
+          const box = document.getElementById('anonNotice');
+          if (!list || !list.length){ box.classList.add('hidden'); box.innerHTML = ''; return; }
+          box.innerHTML = '<div class="font-medium mb-1">Anonimato: '+list.length+' célula(s) com poucas respostas</div><ul class="space-y-0.5"></ul>';
+          // nomes vindos da base de dados: só como texto
+          list.forEach(c => {
+            const li = document.createElement('li');
+            li.innerHTML = '<span></span> — <i></i>';
+            li.firstChild.textContent = c.teacher+' · '+c.discipline+(c.class_group ? ' · '+c.class_group : '');
+            li.lastChild.textContent = c.label;
+            box.lastChild.appendChild(li);
+          });
+          box.classList.remove('hidden');
+        }
+
+        // ===== Comparação com disciplina, curso e instituição (só com filtro de docente) =====
+        function renderBenchmark(b){
+          const box = document.getElementById('benchWrap');
+          if (!b){ box.classList.add('hidden'); return; }
+          const fmt = v => v==null ? '—' : Math.round(v);
+          const own = b.levels[0];
+          const cell = (v, ref) => {
+            if (v==null) return '<td class="py-1 pr-3 text-right text-slate-400">—</td>';
+            const d = ref==null ? null : Math.round(ref - v);
+            const diff = d==null ? '' : ' <span class="text-xs '+(d>=0?'text-emerald-700':'text-rose-700')+'">'+(d>=0?'+':'')+d+'</span>';
+            return '<td class="py-1 pr-3 text-right">'+fmt(v)+diff+'</td>';
+          };
+          const row = (label, vals, ownVal) => '<tr class="border-t"><td class="py-1 pr-3">'+label+'</td><td class="py-1 pr-3 text-right font-semibold">'+fmt(ownVal)+'</td>'
+            + b.levels.slice(1).map(l => cell(vals[l.key], ownVal)).join('') + '</tr>';
+          const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+          document.getElementById('benchTable').innerHTML =
+            '<thead><tr class="text-left text-slate-500"><th></th>'+b.levels.map(l=>'<th class="text-right">'+esc(l.label)+' <span class="block text-xs font-normal">n='+l.n+'</span></th>').join('')+'</tr></thead><tbody>'
+            + row('<b>Global</b>', Object.fromEntries(b.levels.map(l=>[l.key,l.score])), own.score)
+            + b.areas.map(a => row(esc(a.area), a.values, a.values.teacher)).join('') + '</tbody>';
+          const p = b.percentile;
+          document.getElementById('benchPct').innerHTML = p
+            ? 'Posição no curso: <b>percentil '+Math.round(p.pct)+'</b> ('+p.rank+'.º de '+p.of+' docente'+(p.of>1?'s':'')+' · '+esc(p.courses.join(', '))+').'
+            : '';
+          box.classList.remove('hidden');
+        }
+        function benchDatasets(b, qs, uniform){
+          if (!b) return [];
+          const byQ = new Map(b.questions.map(q=>[q.question_id, q.values]));
+          return b.levels.slice(1).map(l => ({
+            label: l.label,
+            data: qs.map(q => { const v = byQ.get(q.id)?.[l.key]; return v ? round2(uniform ? v.avg_val : v.score) : null; }),
+          }));
+        }
+
         // ===== Carregar estatísticas =====
         async function load(){
           const res = await fetch('/api/stats?' + params());
           const data = await res.json();
+          renderAnonNotice(data.suppressed);
+          renderBenchmark(data.benchmark);
   
           if (data.insufficient){
             const ctx1 = document.getElementById('chartPerguntas').getContext('2d');
             const ctx2 = document.getElementById('chartAreas').getContext('2d');
             const msg = 'Amostra insuficiente (n='+data.n+' < '+data.threshold+').';
-            renderNoData(ctx1, msg); renderNoData(ctx2, msg);
+            if(chartPerguntas){ chartPerguntas.destroy(); chartPerguntas = null; }
+            if(chartAreas){ chartAreas.destroy(); chartAreas = null; }
+            if(chartDist){ chartDist.destroy(); chartDist = null; }
+            renderNoData(ctx1, msg); renderNoData(ctx2, msg); renderNoData(document.getElementById('chartDist').getContext('2d'), msg);
+            document.getElementById('kwWrap').classList.add('hidden');
+            document.getElementById('pager').innerHTML = '';
             document.getElementById('comments').innerHTML = '<li class="text-slate-500">'+msg+'</li>';
+            document.getElementById('textAnswersWrap').classList.add('hidden');
             return;
           }
   
-          const map = new Map((data.rows||[]).map(r=>[r.question_id, Number(r.avg_val)]));
-          const labels = (data.questions||[]).map(q=>q.code);
-          const values = (data.questions||[]).map(q=>{const v=map.get(q.id);return Number.isFinite(v)?round2(v):null;});
-  
+          // Uma só escala: médias na própria escala; escalas mistas: índice 0–100
+          const scales = data.scales || [];
+          const uniform = scales.length === 1 ? scales[0] : null;
+          const unit = uniform ? '('+uniform.min_value+'–'+uniform.max_value+')' : '(índice 0–100)';
+          const map = new Map((data.rows||[]).map(r=>[r.question_id, Number(uniform ? r.avg_val : r.score)]));
+          const numericQs = (data.questions||[]).filter(q=>q.scale_kind==='numeric');
+          const multiVersion = new Set(numericQs.map(q=>q.version)).size > 1;
+          const labels = numericQs.map(q=> multiVersion ? 'v'+q.version+'·'+q.code : q.code);
+          const values = numericQs.map(q=>{const v=map.get(q.id);return Number.isFinite(v)?round2(v):null;});
+  
+          // Estatísticas (na escala ou no índice, como as médias): IC 95% como barras de erro
+          const dec = uniform ? 2 : 0;
+          const qStats = new Map((data.rows||[]).map(r=>[r.question_id, r.stats]));
+          const stats = numericQs.map(q=>qStats.get(q.id) || null);
+          const weak = s => s && !s.reliable;
           const ctx1 = document.getElementById('chartPerguntas').getContext('2d');
           if(chartPerguntas) chartPerguntas.destroy();
           if(values.every(v => v===null)) renderNoData(ctx1);
           else chartPerguntas = new Chart(ctx1,{
             type:'bar',
-            data:{labels,datasets:[{label:'Média (0–2)',data:values.map(v=>v??0)}]},
-            options:{responsive:true,maintainAspectRatio:false}
-          });
-  
-          const areaAgg={};
-          (data.questions||[]).forEach((q,i)=>{
-            const v=values[i]; if(v==null) return;
-            (areaAgg[q.area] ||= {sum:0,n:0});
-            areaAgg[q.area].sum += v; areaAgg[q.area].n++;
+            data:{labels:labels.map((l,i)=> weak(stats[i]) ? l+'*' : l),datasets:[{
+              label:(data.benchmark ? 'Docente · ' : '')+'Média '+unit,data:values.map(v=>v??0),
+              ci:stats.map(s=> s && s.sd!=null ? [s.ci_low, s.ci_high] : null),
+              backgroundColor:stats.map(s=> weak(s) ? 'rgba(148,163,184,.5)' : 'rgba(54,162,235,.5)'),
+            }, ...benchDatasets(data.benchmark, numericQs, uniform)]},
+            options:{responsive:true,maintainAspectRatio:false,scales:{y:{suggestedMin:uniform?uniform.min_value:0,suggestedMax:uniform?uniform.max_value:100}},
+              plugins:{tooltip:{callbacks:{afterLabel:c=> c.datasetIndex===0 ? statLines(stats[c.dataIndex], dec) : ''}}}},
+            plugins:[ciPlugin]
           });
-          const areaLabels=Object.keys(areaAgg);
-          const areaVals=areaLabels.map(a=>round2(areaAgg[a].sum/areaAgg[a].n));
-  
+
+          const areas = data.areas || [];
           const ctx2=document.getElementById('chartAreas').getContext('2d');
           if(chartAreas) chartAreas.destroy();
-          if(!areaVals.length) renderNoData(ctx2);
-          else chartAreas=new Chart(ctx2,{type:'radar',data:{labels:areaLabels,datasets:[{label:'Média por Área (0–2)',data:areaVals}]}});
+          if(!areas.length) renderNoData(ctx2);
+          else chartAreas=new Chart(ctx2,{
+            type:'bar',
+            data:{labels:areas.map(a=> weak(a) ? a.area+'*' : a.area),datasets:[{
+              label:'Média por Área '+unit,data:areas.map(a=>round2(a.mean)),
+              ci:areas.map(a=> a.sd!=null ? [a.ci_low, a.ci_high] : null),
+              backgroundColor:areas.map(a=> weak(a) ? 'rgba(148,163,184,.5)' : 'rgba(75,192,192,.5)'),
+            }]},
+            options:{responsive:true,maintainAspectRatio:false,plugins:{legend:{display:false},tooltip:{callbacks:{afterLabel:c=>statLines(areas[c.dataIndex], dec)}}},
+              scales:{y:{suggestedMin:uniform?uniform.min_value:0,suggestedMax:uniform?uniform.max_value:100}}},
+            plugins:[ciPlugin]
+          });
+
+          // Distribuição das respostas (% por valor, barras empilhadas)
+          const distValues = [...new Set(stats.flatMap(s => s ? s.dist.map(d=>d.value) : []))].sort((a,b)=>a-b);
+          const valueLabel = v => uniform ? v+' ('+(uniform.labels.find(l=>Number(l.value)===v)?.label ?? '')+')' : Math.round(v)+' (índice)';
+          const palette = ['#dc2626','#f97316','#eab308','#84cc16','#16a34a','#0d9488','#2563eb'];
+          const ctx3=document.getElementById('chartDist').getContext('2d');
+          if(chartDist) chartDist.destroy();
+          if(!distValues.length) renderNoData(ctx3);
+          else chartDist=new Chart(ctx3,{
+            type:'bar',
+            data:{labels:labels.map((l,i)=> weak(stats[i]) ? l+'*' : l),datasets:distValues.map((v,k)=>({
+              label:valueLabel(v),
+              backgroundColor:palette[Math.round(k*(palette.length-1)/Math.max(1,distValues.length-1))],
+              data:stats.map(s=>{ if(!s) return null; const d=s.dist.find(x=>x.value===v); return d ? round2(d.c*100/s.n) : 0; }),
+            }))},
+            options:{indexAxis:'y',responsive:true,maintainAspectRatio:false,
+              scales:{x:{stacked:true,max:100,ticks:{callback:v=>v+'%'}},y:{stacked:true}},
+              plugins:{tooltip:{callbacks:{label:c=>c.dataset.label+': '+c.parsed.x+'%'}}}}
+          });
+          document.getElementById('weakNote').classList.toggle('hidden', !stats.some(weak) && !areas.some(weak));
   
           const totalC=(data.comments||[]).length;
           if(totalC>20) renderKeywordsFrom(data); else renderCommentsList(data);
+          renderTextAnswers(data);
         }
   
         document.getElementById('aplicar').addEventListener('click', load);
         load();
         document.getElementById('exportExcel').addEventListener('click',e=>{e.preventDefault();window.location='/export/excel?'+params();});
         document.getElementById('exportPDF').addEventListener('click',e=>{e.preventDefault();window.location='/export/pdf?'+params();});
+        document.getElementById('exportLote').addEventListener('click',e=>{
+          e.preventDefault();
+          const fd=new FormData(document.getElementById('filtros'));
+          if(!fd.get('school_year_id') || !fd.get('semester_id')){ alert('Seleccione o ano lectivo e o semestre.'); return; }
+          window.location='/export/pdf/lote?'+params();
+        });
       </script>`;
   
-    // IMPORTANTE: passa o papel (role) OU o flag antigo de admin
-    res.send(renderPage('Relatório', content, '', req.cookies?.role || (req.cookies?.ispt_admin==='1')));
+    res.send(renderPage('Relatório', content, '', req.user));
   });
   
   
 
+// ====== QUESTIONÁRIOS (UI) ======
+const VERSION_STATUS = { draft: 'Rascunho', published: 'Publicada', retired: 'Retirada' };
+
+function getQuestionnaire(id) {
+  return db.prepare('SELECT * FROM questionnaire_version WHERE id = ?').get(id) || null;
+}
+
+// Reposiciona 1..n mantendo a ordem actual
+function renumberQuestions(versionId) {
+  const upd = db.prepare('UPDATE survey_question SET position = ? WHERE id = ?');
+  versionQuestions(versionId).forEach((q, i) => upd.run(i + 1, q.id));
+}
+
+app.get('/questionarios', requireRole(READ_ROLES), (req, res) => {
+  const versions = db.prepare(`
+    SELECT qv.*,
+           (SELECT COUNT(*) FROM survey_question q WHERE q.questionnaire_version_id = qv.id) AS questions,
+           (SELECT COUNT(*) FROM survey_response r WHERE r.questionnaire_version_id = qv.id) AS responses,
+           (SELECT COUNT(*) FROM campaign c WHERE c.questionnaire_version_id = qv.id) AS campaigns
+    FROM questionnaire_version qv
+    ORDER BY qv.version DESC
+  `).all();
+  const scales = listScales().map(sc => ({
+    ...sc, used: db.prepare('SELECT COUNT(*) c FROM survey_question WHERE scale_id = ?').get(sc.id).c
+  }));
+  const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
+  const manage = MANAGE_ROLES.includes(req.user.role); // auditores só consultam
+
+  const rows = versions.length
+    ? `<ul class="text-sm space-y-2">${versions.map(v => `
+        <li class="flex flex-wrap items-center justify-between gap-2 border rounded-xl px-3 py-2">
+          <span>
+            <b>v${v.version}</b> · ${escapeHtml(v.title)}
+            <span class="block text-xs text-slate-500">${v.questions} pergunta(s) · ${v.campaigns} campanha(s) · ${v.responses} resposta(s)</span>
+          </span>
+          <span class="flex items-center gap-2">
+            <span class="text-xs px-2 py-1 rounded-full bg-slate-100">${VERSION_STATUS[v.status]}</span>
+            <a class="btn ${v.status === 'draft' && manage ? 'btn-primary' : 'btn-ghost'}" href="/questionarios/${v.id}">${v.status === 'draft' && manage ? 'Editar' : 'Ver'}</a>
+          </span>
+        </li>`).join('')}</ul>`
+    : '<p class="text-sm text-slate-600">Ainda não existem questionários.</p>';
+
+  const html = `
+    ${err ? `<p class="mb-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">${escapeHtml(err)}</p>` : ''}
+    <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      ${manage ? `<div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Nova versão</h2>
+        <form method="POST" action="/questionarios" class="space-y-3">
+          <label class="block mb-1 text-sm font-medium">Título</label>
+          <input name="title" required class="w-full border rounded-xl p-2" placeholder="Questionário 2026" />
+          <label class="block mb-1 text-sm font-medium">Copiar perguntas de</label>
+          <select name="base_id" class="w-full border rounded-xl p-2">
+            <option value="">— começar vazio —</option>
+            ${versions.map((v, i) => `<option value="${v.id}" ${i === 0 ? 'selected' : ''}>v${v.version} – ${escapeHtml(v.title)}</option>`).join('')}
+          </select>
+          <button class="btn btn-primary">Criar rascunho</button>
+        </form>
+        <p class="mt-3 text-xs text-slate-500">Versões publicadas ficam imutáveis para não alterar o significado das respostas já recolhidas.</p>
+      </div>` : ''}
+      <div class="card ${manage ? 'lg:col-span-2' : 'lg:col-span-3'}">
+        <h2 class="text-lg font-semibold mb-2 text-left">Versões</h2>
+        ${rows}
+      </div>
+    </div>
+
+    <div class="grid grid-cols-1 lg:grid-cols-3 gap-6 mt-6">
+      ${manage ? `<div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Nova escala</h2>
+        <form method="POST" action="/escalas" class="space-y-3">
+          <label class="block mb-1 text-sm font-medium">Nome</label>
+          <input name="name" required class="w-full border rounded-xl p-2" placeholder="Satisfação (1–4)" />
+          <label class="block mb-1 text-sm font-medium">Tipo</label>
+          <select name="kind" class="w-full border rounded-xl p-2">
+            <option value="numeric">Numérica</option>
+            <option value="text">Texto livre</option>
+          </select>
+          <label class="block mb-1 text-sm font-medium">Valor mínimo</label>
+          <input type="number" name="min_value" value="1" class="w-full border rounded-xl p-2" />
+          <label class="block mb-1 text-sm font-medium">Rótulos (um por linha, do mínimo ao máximo)</label>
+          <textarea name="labels" rows="4" class="w-full border rounded-xl p-2" placeholder="Nada satisfeito&#10;Pouco satisfeito&#10;Satisfeito&#10;Muito satisfeito"></textarea>
+          <button class="btn btn-primary">Criar escala</button>
+        </form>
+      </div>` : ''}
+      <div class="card ${manage ? 'lg:col-span-2' : 'lg:col-span-3'}">
+        <h2 class="text-lg font-semibold mb-2 text-left">Escalas de resposta</h2>
+        <ul class="text-sm space-y-2">${scales.map(sc => `
+          <li class="flex flex-wrap items-center justify-between gap-2 border rounded-xl px-3 py-2">
+            <span><b>${escapeHtml(sc.name)}</b><span class="block text-xs text-slate-500">${escapeHtml(scaleLegend(sc))}</span></span>
+            ${sc.used || !manage ? `<span class="text-xs text-slate-500">${sc.used} pergunta(s)</span>` : `
+            <form method="POST" action="/escalas/${sc.id}/apagar"><button class="btn btn-ghost">Apagar</button></form>`}
+          </li>`).join('')}</ul>
+      </div>
+    </div>`;
+  res.send(renderPage('Questionários', html, '', req.user));
+});
+
+app.post('/questionarios', requireRole(MANAGE_ROLES), (req, res) => {
+  const title = String(req.body.title || '').trim();
+  if (!title) return res.redirect('/questionarios?e=' + encodeURIComponent('Indique um título.'));
+  const base = req.body.base_id ? getQuestionnaire(req.body.base_id) : null;
+
+  const id = db.transaction(() => {
+    const next = (db.prepare('SELECT MAX(version) v FROM questionnaire_version').get().v || 0) + 1;
+    const newId = db.prepare('INSERT INTO questionnaire_version (version, title, created_at) VALUES (?,?,?)')
+                    .run(next, title, dayjs().toISOString()).lastInsertRowid;
+    if (base) {
+      const ins = db.prepare('INSERT INTO survey_question (questionnaire_version_id, position, code, text, area, scale_id, allow_na) VALUES (?,?,?,?,?,?,?)');
+      versionQuestions(base.id).forEach(q => ins.run(newId, q.position, q.code, q.text, q.area, q.scale_id, q.allow_na));
+    }
+    return newId;
+  })();
+  return res.redirect(`/questionarios/${id}`);
+});
+
+// Escalas: só se criam ou apagam (se não usadas), para não mudar o sentido de respostas antigas
+app.post('/escalas', requireRole(MANAGE_ROLES), (req, res) => {
+  const back = msg => res.redirect('/questionarios?e=' + encodeURIComponent(msg));
+  const name = String(req.body.name || '').trim();
+  const kind = req.body.kind === 'text' ? 'text' : 'numeric';
+  if (!name) return back('Indique o nome da escala.');
+
+  let min = null, max = null, labels = [];
+  if (kind === 'numeric') {
+    min = Math.floor(Number(req.body.min_value));
+    const names = String(req.body.labels || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (!Number.isFinite(min) || names.length < 2) return back('Uma escala numérica precisa de valor mínimo e de pelo menos 2 rótulos.');
+    max = min + names.length - 1;
+    labels = names.map((label, i) => ({ value: min + i, label }));
+  }
+  const code = `custom_${Date.now().toString(36)}`;
+  db.prepare('INSERT INTO answer_scale (code, name, kind, min_value, max_value, labels) VALUES (?,?,?,?,?,?)')
+    .run(code, name, kind, min, max, JSON.stringify(labels));
+  return res.redirect('/questionarios');
+});
+
+app.post('/escalas/:id/apagar', requireRole(MANAGE_ROLES), (req, res) => {
+  const used = db.prepare('SELECT COUNT(*) c FROM survey_question WHERE scale_id = ?').get(req.params.id).c;
+  if (used) return res.redirect('/questionarios?e=' + encodeURIComponent('A escala está a ser usada por perguntas.'));
+  db.prepare('DELETE FROM answer_scale WHERE id = ?').run(req.params.id);
+  return res.redirect('/questionarios');
+});
+
+app.get('/questionarios/:id', requireRole(READ_ROLES), (req, res) => {
+  const version = getQuestionnaire(req.params.id);
+  if (!version) return res.status(404).send('Questionário não encontrado.');
+  const questions = versionQuestions(version.id);
+  const manage = MANAGE_ROLES.includes(req.user.role);
+  const editable = version.status === 'draft' && manage;
+  const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
+  const input = (name, value, cls) => `<input name="${name}" value="${escapeHtml(value)}" required class="border rounded-lg p-1.5 ${cls}" />`;
+  const scales = listScales();
+  const scaleById = new Map(scales.map(sc => [sc.id, sc]));
+  const scaleSelect = (value) => `
+    <select name="scale_id" class="border rounded-lg p-1.5 w-40">
+      ${scales.map(sc => `<option value="${sc.id}" ${sc.id === value ? 'selected' : ''}>${escapeHtml(sc.name)}</option>`).join('')}
+    </select>`;
+  const naCheck = (checked) => `
+    <label class="inline-flex items-center gap-1 text-xs"><input type="checkbox" name="allow_na" ${checked ? 'checked' : ''} /> N/A</label>`;
+
+  const rows = questions.map((q, i) => editable ? `
+    <form method="POST" action="/questionarios/${version.id}/perguntas/${q.id}" class="flex flex-wrap items-center gap-2 border rounded-xl p-2">
+      ${input('code', q.code, 'w-16')}
+      ${input('text', q.text, 'flex-1 min-w-[220px]')}
+      ${input('area', q.area, 'w-36')}
+      ${scaleSelect(q.scale_id)}
+      ${naCheck(q.allow_na)}
+      <button name="action" value="save" class="btn btn-ghost">Guardar</button>
+      <button name="action" value="up" class="btn btn-ghost" ${i === 0 ? 'disabled' : ''} title="Subir">↑</button>
+      <button name="action" value="down" class="btn btn-ghost" ${i === questions.length - 1 ? 'disabled' : ''} title="Descer">↓</button>
+      <button name="action" value="remove" class="btn btn-ghost text-rose-600">Retirar</button>
+    </form>` : `
+    <div class="flex gap-3 border rounded-xl p-2 text-sm">
+      <b class="w-12">${escapeHtml(q.code)}</b><span class="flex-1">${escapeHtml(q.text)}</span><span class="text-slate-500">${escapeHtml(q.area)}</span>
+      <span class="text-slate-500">${escapeHtml(scaleById.get(q.scale_id)?.name || '—')}${q.allow_na ? ' · N/A' : ''}</span>
+    </div>`).join('') || '<p class="text-sm text-slate-600">Sem perguntas.</p>';
+
+  const stateBtn = (status, label, cls = 'btn-ghost') => `
+    <form method="POST" action="/questionarios/${version.id}/estado" class="inline">
+      <input type="hidden" name="status" value="${status}" />
+      <button class="btn ${cls}">${label}</button>
+    </form>`;
+
+  const html = `
+    ${err ? `<p class="mb-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">${escapeHtml(err)}</p>` : ''}
+    <div class="flex flex-wrap items-center justify-between gap-2 mb-4">
+      <div><b>v${version.version}</b> · ${escapeHtml(version.title)} <span class="text-xs px-2 py-1 rounded-full bg-slate-100">${VERSION_STATUS[version.status]}</span></div>
+      <div class="flex gap-2">
+        ${editable ? stateBtn('published', 'Publicar', 'btn-primary') + stateBtn('delete', 'Apagar rascunho') : ''}
+        ${version.status === 'published' && manage ? stateBtn('retired', 'Retirar versão') : ''}
+        <a class="btn btn-ghost" href="/questionarios">Voltar</a>
+      </div>
+    </div>
+    <div class="space-y-2">${rows}</div>
+    ${editable ? `
+    <form method="POST" action="/questionarios/${version.id}/perguntas" class="mt-4 flex flex-wrap items-center gap-2 border border-dashed rounded-xl p-2">
+      <input name="code" required placeholder="Q${questions.length + 1}" class="border rounded-lg p-1.5 w-16" />
+      <input name="text" required placeholder="Texto da pergunta" class="border rounded-lg p-1.5 flex-1 min-w-[220px]" />
+      <input name="area" required placeholder="Área" class="border rounded-lg p-1.5 w-36" />
+      ${scaleSelect(scales[0]?.id)}
+      ${naCheck(false)}
+      <button class="btn btn-primary">Adicionar</button>
+    </form>` : '<p class="mt-4 text-xs text-slate-500">Versão só de leitura. Para alterar perguntas, crie uma nova versão a partir desta.</p>'}`;
+  res.send(renderPage(`Questionário v${version.version}`, html, '', req.user));
+});
+
+app.post('/questionarios/:id/perguntas', requireRole(MANAGE_ROLES), (req, res) => {
+  const version = getQuestionnaire(req.params.id);
+  if (!version || version.status !== 'draft') return res.status(409).send('Só é possível alterar rascunhos.');
+  const [code, text, area] = ['code', 'text', 'area'].map(k => String(req.body[k] || '').trim());
+  const scale = db.prepare('SELECT id FROM answer_scale WHERE id = ?').get(req.body.scale_id);
+  if (!code || !text || !area || !scale) return res.redirect(`/questionarios/${version.id}?e=` + encodeURIComponent('Preencha código, texto, área e escala.'));
+  const pos = (db.prepare('SELECT MAX(position) p FROM survey_question WHERE questionnaire_version_id = ?').get(version.id).p || 0) + 1;
+  db.prepare('INSERT INTO survey_question (questionnaire_version_id, position, code, text, area, scale_id, allow_na) VALUES (?,?,?,?,?,?,?)')
+    .run(version.id, pos, code, text, area, scale.id, req.body.allow_na === 'on' ? 1 : 0);
+  return res.redirect(`/questionarios/${version.id}`);
+});
+
+app.post('/questionarios/:id/perguntas/:qid', requireRole(MANAGE_ROLES), (req, res) => {
+  const version = getQuestionnaire(req.params.id);
+  if (!version || version.status !== 'draft') return res.status(409).send('Só é possível alterar rascunhos.');
+  const question = db.prepare('SELECT * FROM survey_question WHERE id = ? AND questionnaire_version_id = ?').get(req.params.qid, version.id);
+  if (!question) return res.status(404).send('Pergunta não encontrada.');
+
+  const action = String(req.body.action || 'save');
+  db.transaction(() => {
+    if (action === 'remove') {
+      db.prepare('DELETE FROM survey_question WHERE id = ?').run(question.id);
+    } else if (action === 'up' || action === 'down') {
+      renumberQuestions(version.id);
+      const list = versionQuestions(version.id);
+      const i = list.findIndex(q => q.id === question.id);
+      const j = action === 'up' ? i - 1 : i + 1;
+      if (j >= 0 && j < list.length) {
+        const upd = db.prepare('UPDATE survey_question SET position = ? WHERE id = ?');
+        upd.run(list[j].position, list[i].id);
+        upd.run(list[i].position, list[j].id);
+      }
+    } else {
+      const [code, text, area] = ['code', 'text', 'area'].map(k => String(req.body[k] || '').trim());
+      const scale = db.prepare('SELECT id FROM answer_scale WHERE id = ?').get(req.body.scale_id);
+      if (code && text && area && scale) {
+        db.prepare('UPDATE survey_question SET code = ?, text = ?, area = ?, scale_id = ?, allow_na = ? WHERE id = ?')
+          .run(code, text, area, scale.id, req.body.allow_na === 'on' ? 1 : 0, question.id);
+      }
+    }
+  })();
+  return res.redirect(`/questionarios/${version.id}`);
+});
+
+app.post('/questionarios/:id/estado', requireRole(MANAGE_ROLES), (req, res) => {
+  const version = getQuestionnaire(req.params.id);
+  if (!version) return res.status(404).send('Questionário não encontrado.');
+  const status = String(req.body.status || '');
+  const back = msg => res.redirect(`/questionarios/${version.id}?e=` + encodeURIComponent(msg));
+
+  if (status === 'delete') {
+    if (version.status !== 'draft') return back('Só é possível apagar rascunhos.');
+    db.transaction(() => {
+      db.prepare('DELETE FROM survey_question WHERE questionnaire_version_id = ?').run(version.id);
+      db.prepare('DELETE FROM questionnaire_version WHERE id = ?').run(version.id);
+    })();
+    return res.redirect('/questionarios');
+  }
+  if (status === 'published') {
+    if (version.status !== 'draft') return back('Só é possível publicar rascunhos.');
+    const questions = versionQuestions(version.id);
+    if (!questions.length) return back('O questionário não tem perguntas.');
+    const codes = questions.map(q => q.code.toLowerCase());
+    if (new Set(codes).size !== codes.length) return back('Os códigos das perguntas têm de ser únicos.');
+    db.prepare(`UPDATE questionnaire_version SET status = 'published', published_at = ? WHERE id = ?`).run(dayjs().toISOString(), version.id);
+    return res.redirect(`/questionarios/${version.id}`);
+  }
+  if (status === 'retired') {
+    if (version.status !== 'published') return back('Só é possível retirar versões publicadas.');
+    db.prepare(`UPDATE questionnaire_version SET status = 'retired' WHERE id = ?`).run(version.id);
+    return res.redirect(`/questionarios/${version.id}`);
+  }
+  return res.status(400).send('Estado inválido.');
+});
+
+// ====== CAMPANHAS (UI) ======
+app.get('/campanhas', requireRole(READ_ROLES), (req, res) => {
+  const semesters = db.prepare('SELECT id, name FROM semester ORDER BY id').all();
+  const years     = db.prepare('SELECT id, name FROM school_year ORDER BY name DESC').all();
+  const courses   = db.prepare('SELECT id, name FROM course ORDER BY name').all();
+  const versions  = db.prepare(`SELECT id, 'v' || version || ' – ' || title AS name FROM questionnaire_version WHERE status = 'published' ORDER BY version DESC`).all();
+  const campaigns = db.prepare(`
+    ${CAMPAIGN_SELECT.replace('SELECT c.*', `SELECT c.*, (SELECT COUNT(*) FROM survey_response r WHERE r.campaign_id = c.id) AS responses,
+      (SELECT version FROM questionnaire_version qv WHERE qv.id = c.questionnaire_version_id) AS questionnaire_version`)}
+    ORDER BY c.starts_at DESC
+  `).all();
+  const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
+  const manage = MANAGE_ROLES.includes(req.user.role); // auditores só consultam
+
+  const sel = (name, label, options, empty = '— seleccione —', required = true) => `
+    <label class="block mb-1 text-sm font-medium">${label}</label>
+    <select name="${name}" ${required ? 'required' : ''} class="w-full border rounded-xl p-2">
+      <option value="">${empty}</option>
+      ${options.map(o => `<option value="${o.id}">${escapeHtml(o.name)}</option>`).join('')}
+    </select>`;
+
+  const now = nowLocal();
+  const fmt = v => dayjs(v).format('DD/MM/YYYY HH:mm');
+  const action = (c, status, label, cls = 'btn-ghost') => `
+    <form method="POST" action="/campanhas/${c.id}/estado" class="inline">
+      <input type="hidden" name="status" value="${status}" />
+      <button class="btn ${cls}">${label}</button>
+    </form>`;
+
+  const rows = campaigns.length
+    ? `<ul class="text-sm space-y-2">${campaigns.map(c => `
+        <li class="flex flex-wrap items-center justify-between gap-2 border rounded-xl px-3 py-2">
+          <span>
+            <b>${escapeHtml(c.name)}</b> · ${escapeHtml(c.semester_name)} · ${escapeHtml(c.school_year_name)} · ${c.course_name ? escapeHtml(c.course_name) : 'Todos os cursos'}
+            <span class="block text-xs text-slate-500">${fmt(c.starts_at)} → ${fmt(c.ends_at)} · questionário ${c.questionnaire_version ? 'v' + c.questionnaire_version : '(definido ao abrir)'} · ${c.responses} resposta(s)</span>
+          </span>
+          <span class="flex items-center gap-2">
+            <span class="text-xs px-2 py-1 rounded-full bg-slate-100">${campaignState(c, now)}</span>
+            ${!manage ? '' : c.status !== 'open' ? action(c, 'open', c.status === 'closed' ? 'Reabrir' : 'Abrir', 'btn-primary') : action(c, 'closed', 'Fechar')}
+            ${manage && c.status === 'draft' && !c.responses ? action(c, 'delete', 'Apagar') : ''}
+          </span>
+        </li>`).join('')}</ul>`
+    : '<p class="text-sm text-slate-600">Ainda não existem campanhas.</p>';
+
+  const html = `
+    ${err ? `<p class="mb-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">${escapeHtml(err)}</p>` : ''}
+    <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      ${manage ? `<div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Nova campanha</h2>
+        <form method="POST" action="/campanhas" class="space-y-3">
+          <label class="block mb-1 text-sm font-medium">Nome</label>
+          <input name="name" required class="w-full border rounded-xl p-2" placeholder="Avaliação docente – 1º Semestre" />
+          ${sel('school_year_id', 'Ano lectivo', years)}
+          ${sel('semester_id', 'Semestre', semesters)}
+          ${sel('course_id', 'Curso (opcional)', courses, '— Todos os cursos —', false)}
+          ${sel('questionnaire_version_id', 'Questionário', versions, '— versão publicada mais recente —', false)}
+          <label class="block mb-1 text-sm font-medium">Início</label>
+          <input type="datetime-local" name="starts_at" required class="w-full border rounded-xl p-2" />
+          <label class="block mb-1 text-sm font-medium">Fim</label>
+          <input type="datetime-local" name="ends_at" required class="w-full border rounded-xl p-2" />
+          <button class="btn btn-primary">Criar (rascunho)</button>
+        </form>
+      </div>` : ''}
+      <div class="card ${manage ? 'lg:col-span-2' : 'lg:col-span-3'}">
+        <h2 class="text-lg font-semibold mb-2 text-left">Campanhas</h2>
+        ${rows}
+        <p class="mt-3 text-xs text-slate-500">Só são aceites respostas em campanhas abertas e dentro da janela de datas.</p>
+      </div>
+    </div>`;
+
+  res.send(renderPage('Campanhas de avaliação', html, '', req.user));
+});
+
+app.post('/campanhas', requireRole(MANAGE_ROLES), (req, res) => {
+  const { name, school_year_id, semester_id, course_id, starts_at, ends_at, questionnaire_version_id } = req.body;
+  const back = msg => res.redirect('/campanhas?e=' + encodeURIComponent(msg));
+  const isDate = v => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(String(v || ''));
+  if (!String(name || '').trim() || !school_year_id || !semester_id) return back('Indique nome, ano lectivo e semestre.');
+  if (!isDate(starts_at) || !isDate(ends_at) || ends_at <= starts_at) return back('Datas inválidas: o fim tem de ser posterior ao início.');
+  const version = questionnaire_version_id
+    ? db.prepare(`SELECT id FROM questionnaire_version WHERE id = ? AND status = 'published'`).get(questionnaire_version_id)
+    : null;
+  if (questionnaire_version_id && !version) return back('A versão do questionário tem de estar publicada.');
+
+  db.prepare('INSERT INTO campaign (name, school_year_id, semester_id, course_id, starts_at, ends_at, questionnaire_version_id) VALUES (?,?,?,?,?,?,?)')
+    .run(String(name).trim(), school_year_id, semester_id, course_id || null, starts_at, ends_at, version?.id || null);
+  return res.redirect('/campanhas');
+});
+
+app.post('/campanhas/:id/estado', requireRole(MANAGE_ROLES), (req, res) => {
+  const campaign = db.prepare('SELECT * FROM campaign WHERE id = ?').get(req.params.id);
+  if (!campaign) return res.status(404).send('Campanha não encontrada.');
+  const status = String(req.body.status || '');
+
+  if (status === 'delete') {
+    const used = db.prepare('SELECT COUNT(*) c FROM survey_response WHERE campaign_id = ?').get(campaign.id).c;
+    if (campaign.status !== 'draft' || used) {
+      return res.redirect('/campanhas?e=' + encodeURIComponent('Só é possível apagar campanhas em rascunho e sem respostas.'));
+    }
+    db.prepare('DELETE FROM campaign WHERE id = ?').run(campaign.id);
+    return res.redirect('/campanhas');
+  }
+  if (!['open', 'closed'].includes(status)) return res.status(400).send('Estado inválido.');
+  // Ao abrir fixa a versão do questionário (se ainda não tiver uma)
+  if (status === 'open' && !campaign.questionnaire_version_id) {
+    const current = currentQuestionnaire();
+    if (!current) return res.redirect('/campanhas?e=' + encodeURIComponent('Publique um questionário antes de abrir a campanha.'));
+    db.prepare('UPDATE campaign SET questionnaire_version_id = ? WHERE id = ?').run(current.id, campaign.id);
+  }
+  db.prepare('UPDATE campaign SET status = ? WHERE id = ?').run(status, campaign.id);
+
+  const updated = db.prepare(`${CAMPAIGN_SELECT} WHERE c.id = ?`).get(campaign.id);
+  if (status === 'open') {
+    if (campaign.status === 'closed') releaseCampaignNotifications(campaign.id);
+    if (campaignState(updated) === 'Aberta') notifyCampaign(updated, 'open');
+  } else if (campaign.status === 'open' && campaign.starts_at <= nowLocal()) {
+    notifyCampaign(updated, 'closed');
+  }
+  return res.redirect('/campanhas');
+});
+
+// ====== CÓDIGOS DE ACESSO (UI) ======
+const CODES_MAX_BATCH = 1000;
+
+function getCodeBatch(id) {
+  return db.prepare(`
+    SELECT b.*, cg.name AS class_group_name, sy.name AS school_year_name, s.name AS semester_name
+    FROM access_code_batch b
+    JOIN class_group cg ON cg.id = b.class_group_id
+    JOIN school_year sy ON sy.id = b.school_year_id
+    JOIN semester s ON s.id = b.semester_id
+    WHERE b.id = ?
+  `).get(id);
+}
+
+app.get('/codigos', requireRole(MANAGE_ROLES), (req, res) => {
+  const semesters = db.prepare('SELECT id, name FROM semester ORDER BY id').all();
+  const years     = db.prepare('SELECT id, name FROM school_year ORDER BY name DESC').all();
+  const classes   = db.prepare('SELECT id, name FROM class_group ORDER BY name').all();
+  const batches   = db.prepare(`
+    SELECT b.id, b.quantity, b.created_at, cg.name AS class_group_name, sy.name AS school_year_name, s.name AS semester_name,
+           (SELECT COUNT(*) FROM access_code c WHERE c.batch_id = b.id AND c.used = 1) AS used
+    FROM access_code_batch b
+    JOIN class_group cg ON cg.id = b.class_group_id
+    JOIN school_year sy ON sy.id = b.school_year_id
+    JOIN semester s ON s.id = b.semester_id
+    ORDER BY b.id DESC
+  `).all();
+
+  const sel = (name, label, options) => `
+    <label class="block mb-1 text-sm font-medium">${label}</label>
+    <select name="${name}" required class="w-full border rounded-xl p-2">
+      <option value="">— seleccione —</option>
+      ${options.map(o => `<option value="${o.id}">${escapeHtml(o.name)}</option>`).join('')}
+    </select>`;
+
+  const rows = batches.length
+    ? `<ul class="text-sm space-y-2">${batches.map(b => `
+        <li class="flex flex-wrap items-center justify-between gap-2 border rounded-xl px-3 py-2">
+          <span>
+            <b>${escapeHtml(b.class_group_name)}</b> · ${escapeHtml(b.school_year_name)} · ${escapeHtml(b.semester_name)}
+            <span class="text-xs text-slate-500">(${new Date(b.created_at).toLocaleString()} · ${b.used}/${b.quantity} utilizados)</span>
+          </span>
+          <span class="flex gap-2">
+            <a class="btn btn-ghost" href="/codigos/${b.id}/imprimir" target="_blank">Imprimir</a>
+            <a class="btn btn-primary" href="/codigos/${b.id}/excel">Exportar Excel</a>
+          </span>
+        </li>`).join('')}</ul>`
+    : '<p class="text-sm text-slate-600">Ainda não foram gerados códigos.</p>';
+
+  const html = `
+    <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Gerar lote</h2>
+        <form method="POST" action="/codigos" class="space-y-3">
+          ${sel('class_group_id', 'Turma', classes)}
+          ${sel('school_year_id', 'Ano lectivo', years)}
+          ${sel('semester_id', 'Semestre', semesters)}
+          <label class="block mb-1 text-sm font-medium">Quantidade</label>
+          <input type="number" name="quantity" min="1" max="${CODES_MAX_BATCH}" value="30" required class="w-full border rounded-xl p-2" />
+          <button class="btn btn-primary">Gerar códigos</button>
+        </form>
+        <p class="mt-3 text-xs text-slate-500">Cada código permite submeter um único inquérito. Ao ser utilizado é apenas marcado como gasto, sem qualquer ligação à resposta.</p>
+      </div>
+      <div class="card lg:col-span-2">
+        <h2 class="text-lg font-semibold mb-2 text-left">Lotes gerados</h2>
+        ${rows}
+      </div>
+    </div>`;
+
+  res.send(renderPage('Códigos de acesso', html, '', req.user));
+});
+
+app.post('/codigos', requireRole(MANAGE_ROLES), (req, res) => {
+  const { class_group_id, school_year_id, semester_id } = req.body;
+  const quantity = Math.floor(Number(req.body.quantity));
+  const valid = class_group_id && school_year_id && semester_id
+    && Number.isFinite(quantity) && quantity >= 1 && quantity <= CODES_MAX_BATCH;
+  if (!valid) {
+    return res.status(400).send(renderPage('Códigos de acesso',
+      `<p class="text-red-600">Dados inválidos: indique turma, ano lectivo, semestre e uma quantidade entre 1 e ${CODES_MAX_BATCH}.</p><a class="underline" href="/codigos">Voltar</a>`,
+      '', req.user));
+  }
+  createCodeBatch({ class_group_id, school_year_id, semester_id, quantity });
+  return res.redirect('/codigos');
+});
+
+// Folha para imprimir e recortar (só códigos por usar)
+// Impressão e Excel listam todos os códigos do lote sem o estado de cada um: saber quando um
+// código foi gasto permitiria cruzar o estudante que o recebeu com a hora da resposta.
+// Só se mostram os totais do lote (utilizados/disponíveis).
+const batchUsage = batchId => db.prepare('SELECT COUNT(*) AS total, COALESCE(SUM(used), 0) AS used FROM access_code WHERE batch_id = ?').get(batchId);
+
+app.get('/codigos/:id/imprimir', requireRole(MANAGE_ROLES), (req, res) => {
+  const batch = getCodeBatch(req.params.id);
+  if (!batch) return res.status(404).send('Lote não encontrado.');
+  const codes = db.prepare('SELECT code FROM access_code WHERE batch_id = ? ORDER BY id').all(batch.id);
+  const usage = batchUsage(batch.id);
+  audit(req, 'export_codes', { target: `lote ${batch.id}`, details: { formato: 'impressão', codigos: codes.length } });
+
+  const head = `<style>
+    @media print { header, footer, .no-print { display:none !important } main.card { box-shadow:none; border:0 } }
+    .code-card { border:1px dashed #94a3b8; border-radius:.75rem; padding:.75rem; break-inside:avoid }
+  </style>`;
+  const html = `
+    <div class="no-print mb-4 flex flex-wrap items-center gap-2">
+      <button class="btn btn-primary" onclick="window.print()">Imprimir</button>
+      <a class="btn btn-ghost" href="/codigos">Voltar</a>
+      <span class="text-sm text-slate-500">${usage.used} de ${usage.total} código(s) do lote já utilizados.</span>
+    </div>
+    <div class="grid grid-cols-2 sm:grid-cols-3 gap-3">
+      ${codes.map(c => `
+        <div class="code-card">
+          <div class="text-xs text-slate-500">${escapeHtml(batch.class_group_name)} · ${escapeHtml(batch.school_year_name)} · ${escapeHtml(batch.semester_name)}</div>
+          <div class="text-xl font-bold tracking-widest my-1">${formatCode(c.code)}</div>
+          <div class="text-[11px] text-slate-500">Código de uso único e anónimo para o inquérito de avaliação docente.</div>
+        </div>`).join('') || '<p class="text-sm text-slate-600">Este lote não tem códigos.</p>'}
+    </div>`;
+  res.send(renderPage(`Códigos – ${batch.class_group_name}`, html, head, req.user));
+});
+
+app.get('/codigos/:id/excel', requireRole(MANAGE_ROLES), async (req, res) => {
+  const batch = getCodeBatch(req.params.id);
+  if (!batch) return res.status(404).send('Lote não encontrado.');
+  const codes = db.prepare('SELECT code FROM access_code WHERE batch_id = ? ORDER BY id').all(batch.id);
+  const usage = batchUsage(batch.id);
+
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Códigos');
+  ws.addRow(['Código', 'Turma', 'Ano lectivo', 'Semestre']);
+  codes.forEach(c => ws.addRow([formatCode(c.code), batch.class_group_name, batch.school_year_name, batch.semester_name]));
+  const wsS = wb.addWorksheet('Resumo');
+  wsS.addRow(['Códigos', 'Utilizados', 'Disponíveis']);
+  wsS.addRow([usage.total, usage.used, usage.total - usage.used]);
+  audit(req, 'export_codes', { target: `lote ${batch.id}`, details: { formato: 'xlsx', codigos: codes.length } });
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="codigos_lote_${batch.id}.xlsx"`);
+  await wb.xlsx.write(res); res.end();
+});
+
 // === Helpers de Backup (coloque acima das rotas) ===
 
 
@@ -1517,10 +3809,28 @@ function listBackups() {
       .sort((a,b) => b.mtime - a.mtime);
   } catch { return []; }
 }
-function pruneBackups(maxKeep = Number(process.env.BACKUPS_MAX || 10)) {
+// Retenção por idade (ficheiros .sqlite, do mais recente para o mais antigo): mantém tudo o que tem
+// menos de BACKUP_KEEP_DAILY_DAYS dias e, depois disso, o mais recente de cada semana e de cada mês
+// dentro das respectivas janelas. BACKUPS_MAX (opcional) limita ainda o total.
+function retainedBackups(files, now = dayjs()) {
+  const keep = new Set(), weeks = new Set(), months = new Set();
+  files.forEach(f => {
+    const d = dayjs(f.mtime);
+    const week = d.subtract((d.day() + 6) % 7, 'day').format('YYYY-MM-DD');
+    const month = d.format('YYYY-MM');
+    if (d.isAfter(now.subtract(BACKUP_KEEP_DAILY_DAYS, 'day'))) keep.add(f.name);
+    else if (!weeks.has(week) && d.isAfter(now.subtract(BACKUP_KEEP_WEEKLY_WEEKS, 'week'))) keep.add(f.name);
+    else if (!months.has(month) && d.isAfter(now.subtract(BACKUP_KEEP_MONTHLY_MONTHS, 'month'))) keep.add(f.name);
+    weeks.add(week); months.add(month);
+  });
+  const max = Number(process.env.BACKUPS_MAX || 0);
+  if (max > 0) files.filter(f => keep.has(f.name)).slice(max).forEach(f => keep.delete(f.name));
+  return keep;
+}
+function pruneBackups() {
   const files = listBackups().filter(f => f.name.endsWith('.sqlite'));
-  if (files.length <= maxKeep) return 0;
-  const toDelete = files.slice(maxKeep);
+  const keep = retainedBackups(files);
+  const toDelete = files.filter(f => !keep.has(f.name));
   toDelete.forEach(f => {
     try {
       const gz = f.full + '.gz';
@@ -1530,35 +3840,1455 @@ function pruneBackups(maxKeep = Number(process.env.BACKUPS_MAX || 10)) {
   });
   return toDelete.length;
 }
+const retentionText = () => `todos os dos últimos ${BACKUP_KEEP_DAILY_DAYS} dias, um por semana durante ${BACKUP_KEEP_WEEKLY_WEEKS} semanas e um por mês durante ${BACKUP_KEEP_MONTHLY_MONTHS} meses`
+  + (Number(process.env.BACKUPS_MAX || 0) > 0 ? ` (no máximo ${Number(process.env.BACKUPS_MAX)})` : '');
+
+function fileSha256(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file).on('error', reject)
+      .on('data', c => hash.update(c))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+// 'ok' ou a lista de problemas devolvida pelo SQLite
+function integrityCheck(file) {
+  const check = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    return check.pragma('integrity_check').map(r => r.integrity_check).join('; ');
+  } finally { check.close(); }
+}
 
-// ====== IMPORTAÇÃO / BACKUP / RESTAURO (UI) ======
-app.get('/importar', requireAuth, (req, res) => {
-  const backups = listBackups();
-  const listHtml = backups.length
-    ? `<ul class="text-sm space-y-1">${backups.map(b => `
-        <li class="flex items-center justify-between border rounded-xl px-3 py-2">
-          <span>${b.name} <span class="text-xs text-slate-500">(${new Date(b.mtime).toLocaleString()})</span></span>
-          <a class="btn btn-primary" href="/backup/download?file=${encodeURIComponent(b.name)}">Descarregar</a>
-        </li>`).join('')}</ul>`
-    : `<p class="text-sm text-slate-600">Sem backups guardados ainda.</p>`;
-
-  const html = `
-  <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
-    <!-- Importar Excel -->
-    <div class="card">
-      <h2 class="text-lg font-semibold mb-2 text-left">Importar Excel</h2>
-      <form method="POST" action="/importar" enctype="multipart/form-data" class="space-y-3">
-        <p class="text-sm"><b>Área restrita a administradores.</b><br/>Carregue um Excel com folhas: <b>cursos</b> (name), <b>docentes</b> (name), <b>disciplinas</b> (course, name) e <b>leccionacao</b> (course, discipline, teacher, year, semester, class_group).</p>
-        <label class="inline-flex items-center gap-2 text-sm"><input type="checkbox" name="wipe_all" /><span>Substituir dados antigos</span></label>
-        <input type="file" name="file" accept=".xlsx" required />
-        <button class="btn btn-primary">Importar</button>
-      </form>
-    </div>
+const BACKUP_SOURCES = { manual: 'Manual', scheduled: 'Automático', pre_restore: 'Antes de restauro' };
 
-    <!-- Backup -->
-    <div class="card">
-      <h2 class="text-lg font-semibold mb-2 text-left">Backup da Base de Dados</h2>
-      <form method="POST" action="/backup" class="space-y-3">
+// Snapshot consistente (.sqlite + .sqlite.gz), verificado e registado em backup_run.
+// Um snapshot que falhe a verificação é apagado: o erro fica no histórico e nas notificações.
+let backupRunning = false;
+async function createBackup(source, user = null) {
+  if (backupRunning) throw new Error('Já está um backup em curso.');
+  backupRunning = true;
+  const startedAt = dayjs().toISOString();
+  const dir = getBackupsDir();
+  const ts = new Date().toISOString().replace(/[-:T.Z]/g,'').slice(0,14); // YYYYMMDDHHmmss
+  // Dois backups no mesmo segundo (p.ex. antes de desfazer um restauro) não se podem sobrepor
+  let sqlitePath = path.join(dir, `backup_${ts}.sqlite`);
+  for (let i = 2; fs.existsSync(sqlitePath); i++) sqlitePath = path.join(dir, `backup_${ts}_${i}.sqlite`);
+  const gzPath = sqlitePath + '.gz';
+  const record = db.prepare(`INSERT INTO backup_run (source, file, size, sha256, integrity, status, error, user_id, started_at, finished_at)
+                             VALUES (@source, @file, @size, @sha256, @integrity, @status, @error, @user_id, @started_at, @finished_at)`);
+  const run = { source, file: path.basename(sqlitePath), size: null, sha256: null, integrity: null, error: null, user_id: user?.id ?? null, started_at: startedAt };
+  try {
+    await db.backup(sqlitePath);
+    run.integrity = integrityCheck(sqlitePath);
+    if (run.integrity !== 'ok') throw new Error(`A verificação de integridade falhou: ${run.integrity}`);
+    run.sha256 = await fileSha256(sqlitePath);
+    run.size = fs.statSync(sqlitePath).size;
+
+    // Comprimir para .gz
+    await new Promise((resolve, reject) => {
+      const inp = fs.createReadStream(sqlitePath);
+      const out = fs.createWriteStream(gzPath);
+      const gz = zlib.createGzip({ level: 9 });
+      inp.on('error', reject); out.on('error', reject);
+      out.on('finish', resolve);
+      inp.pipe(gz).pipe(out);
+    });
+    record.run({ ...run, status: 'ok', finished_at: dayjs().toISOString() });
+    const removed = pruneBackups();
+    return { ...run, sqlitePath, gzPath, removed };
+  } catch (e) {
+    [sqlitePath, gzPath].forEach(p => { try { if (fs.existsSync(p)) fs.unlinkSync(p); } catch {} });
+    record.run({ ...run, status: 'failed', error: e.message, finished_at: dayjs().toISOString() });
+    notifyFailure('backup', source === 'scheduled' ? 'Falha no backup automático' : 'Falha no backup', e);
+    throw e;
+  } finally {
+    backupRunning = false;
+  }
+}
+
+// ====== BACKUPS AUTOMÁTICOS ======
+// Verificado a cada minuto. Diário/semanal: à hora BACKUP_TIME (semanal no dia BACKUP_WEEKDAY); se o
+// servidor esteve desligado à hora marcada, o backup em falta corre logo que arranca. Personalizado:
+// BACKUP_INTERVAL_HOURS depois do último backup automático (ou do arranque).
+const SCHEDULER_STARTED_AT = dayjs();
+const WEEKDAYS = ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'];
+
+function scheduleText() {
+  if (BACKUP_SCHEDULE === 'daily') return `Diário às ${BACKUP_TIME}`;
+  if (BACKUP_SCHEDULE === 'weekly') return `Semanal (${WEEKDAYS[BACKUP_WEEKDAY]} às ${BACKUP_TIME})`;
+  if (BACKUP_SCHEDULE === 'custom') return `A cada ${BACKUP_INTERVAL_HOURS} h`;
+  return 'Desactivado';
+}
+// Hora marcada mais recente (≤ now) para diário/semanal
+function lastBackupSlot(now = dayjs()) {
+  const [h, m] = BACKUP_TIME.split(':').map(Number);
+  let slot = now.hour(h).minute(m).second(0).millisecond(0);
+  if (BACKUP_SCHEDULE === 'weekly') slot = slot.subtract((slot.day() - BACKUP_WEEKDAY + 7) % 7, 'day');
+  if (slot.isAfter(now)) slot = slot.subtract(1, BACKUP_SCHEDULE === 'weekly' ? 'week' : 'day');
+  return slot;
+}
+function nextBackupAt(now = dayjs()) {
+  if (BACKUP_SCHEDULE === 'off') return null;
+  const last = db.prepare("SELECT started_at FROM backup_run WHERE source = 'scheduled' ORDER BY id DESC LIMIT 1").get();
+  const lastAt = last ? dayjs(last.started_at) : null;
+  if (BACKUP_SCHEDULE === 'custom') return (lastAt || SCHEDULER_STARTED_AT).add(BACKUP_INTERVAL_HOURS, 'hour');
+  const slot = lastBackupSlot(now);
+  if (lastAt && lastAt.isBefore(slot)) return slot; // hora marcada perdida: recupera já
+  return slot.add(1, BACKUP_SCHEDULE === 'weekly' ? 'week' : 'day');
+}
+function runScheduledBackup() {
+  try {
+    const next = nextBackupAt();
+    if (!next || backupRunning || dayjs().isBefore(next)) return;
+    createBackup('scheduled')
+      .then(b => audit(null, 'backup', { target: b.file, details: { origem: 'automático', tamanho: b.size, sha256: b.sha256 } }))
+      .catch(e => audit(null, 'backup', { status: 'failed', details: { origem: 'automático', erro: e.message } }));
+  } catch (e) {
+    log('error', 'Backup automático falhou', e);
+  }
+}
+
+// ====== DADOS MESTRE (UI) ======
+// Cursos, disciplinas, docentes, turmas, semestres, anos lectivos e leccionações sem passar pela
+// reimportação. Só se apaga o que não tem referências; o resto desactiva-se (deixa de aparecer no
+// inquérito, mas continua nos relatórios) ou funde-se com outro registo.
+const MASTER_NAME_MAX = 120;
+const MASTER_ENROLLED_MAX = 10000;
+const teachingRef = column => ({ table: 'teaching', column, label: 'leccionação(ões)' });
+const MASTER = {
+  cursos: { table: 'course', title: 'Cursos', noun: 'curso', refs: [
+    { table: 'discipline', column: 'course_id', label: 'disciplina(s)' },
+    { table: 'campaign', column: 'course_id', label: 'campanha(s)' },
+    { table: 'user_course', column: 'course_id', label: 'coordenador(es)' },
+  ] },
+  disciplinas: { table: 'discipline', title: 'Disciplinas', noun: 'disciplina', teachingColumn: 'discipline_id', refs: [teachingRef('discipline_id')] },
+  docentes: { table: 'teacher', title: 'Docentes', noun: 'docente', teachingColumn: 'teacher_id', refs: [
+    teachingRef('teacher_id'),
+    { table: 'user', column: 'teacher_id', label: 'conta(s) de docente' },
+  ] },
+  turmas: { table: 'class_group', title: 'Turmas', noun: 'turma', teachingColumn: 'class_group_id', refs: [
+    teachingRef('class_group_id'),
+    { table: 'access_code_batch', column: 'class_group_id', label: 'lote(s) de códigos' },
+  ] },
+  semestres: { table: 'semester', title: 'Semestres', noun: 'semestre', order: 'id', teachingColumn: 'semester_id', refs: [
+    teachingRef('semester_id'),
+    { table: 'campaign', column: 'semester_id', label: 'campanha(s)' },
+    { table: 'access_code_batch', column: 'semester_id', label: 'lote(s) de códigos' },
+  ] },
+  anos: { table: 'school_year', title: 'Anos lectivos', noun: 'ano lectivo', order: 'name DESC', teachingColumn: 'school_year_id', refs: [
+    teachingRef('school_year_id'),
+    { table: 'campaign', column: 'school_year_id', label: 'campanha(s)' },
+    { table: 'access_code_batch', column: 'school_year_id', label: 'lote(s) de códigos' },
+  ] },
+  leccionacoes: { table: 'teaching', title: 'Leccionações', noun: 'leccionação', refs: [
+    { table: 'survey_response', column: 'teaching_id', label: 'resposta(s)' },
+  ] },
+};
+
+const TEACHING_SELECT = `
+  SELECT t.*, te.name AS teacher, d.name AS discipline, co.name AS course, s.name AS semester,
+         sy.name AS school_year, cg.name AS class_group,
+         (SELECT COUNT(*) FROM survey_response r WHERE r.teaching_id = t.id) AS responses
+  FROM teaching t
+  JOIN teacher te ON te.id = t.teacher_id
+  JOIN discipline d ON d.id = t.discipline_id
+  JOIN course co ON co.id = d.course_id
+  JOIN semester s ON s.id = t.semester_id
+  LEFT JOIN school_year sy ON sy.id = t.school_year_id
+  LEFT JOIN class_group cg ON cg.id = t.class_group_id`;
+
+function getMaster(entity, id) {
+  if (entity.table === 'teaching') return db.prepare(`${TEACHING_SELECT} WHERE t.id = ?`).get(id);
+  if (entity.table === 'discipline') {
+    return db.prepare('SELECT d.*, co.name AS course FROM discipline d JOIN course co ON co.id = d.course_id WHERE d.id = ?').get(id);
+  }
+  return db.prepare(`SELECT * FROM ${entity.table} WHERE id = ?`).get(id);
+}
+function masterLabel(entity, row) {
+  if (entity.table === 'teaching') {
+    return `${row.teacher} · ${row.discipline} · ${row.semester}${row.school_year ? ' · ' + row.school_year : ''}${row.class_group ? ' · ' + row.class_group : ''}`;
+  }
+  return entity.table === 'discipline' ? `${row.name} (${row.course})` : row.name;
+}
+
+// Registo alvo no registo de auditoria, p.ex. "docente #12 Ana Silva"
+const masterTarget = (entity, row) => `${entity.noun} #${row.id} ${masterLabel(entity, row)}`;
+
+// Referências e respostas associadas (o que impede apagar)
+function masterUsage(entity, id) {
+  const refs = entity.refs
+    .map(r => ({ label: r.label, n: db.prepare(`SELECT COUNT(*) c FROM ${r.table} WHERE ${r.column} = ?`).get(id).c }))
+    .filter(r => r.n);
+  let responses = 0;
+  if (entity.teachingColumn) {
+    responses = db.prepare(`SELECT COUNT(*) c FROM survey_response r JOIN teaching t ON t.id = r.teaching_id WHERE t.${entity.teachingColumn} = ?`).get(id).c;
+  } else if (entity.table === 'course') {
+    responses = db.prepare(`
+      SELECT COUNT(*) c FROM survey_response r
+      JOIN teaching t ON t.id = r.teaching_id JOIN discipline d ON d.id = t.discipline_id
+      WHERE d.course_id = ?`).get(id).c;
+  }
+  return { refs, responses };
+}
+
+function lookupLists() {
+  return {
+    courses: db.prepare('SELECT id, name, active FROM course ORDER BY name').all(),
+    disciplines: db.prepare('SELECT d.id, d.name, d.active, co.name AS course FROM discipline d JOIN course co ON co.id = d.course_id ORDER BY co.name, d.name').all(),
+    teachers: db.prepare('SELECT id, name, active FROM teacher ORDER BY name').all(),
+    semesters: db.prepare('SELECT id, name, active FROM semester ORDER BY id').all(),
+    years: db.prepare('SELECT id, name, active FROM school_year ORDER BY name DESC').all(),
+    classes: db.prepare('SELECT id, name, active FROM class_group ORDER BY name').all(),
+  };
+}
+
+// Valida o formulário de uma entidade (lança Error com a mensagem para o utilizador)
+const TEACHING_LOCKED = ['teacher_id', 'discipline_id', 'semester_id', 'school_year_id'];
+
+function readMasterForm(entity, body, id = null) {
+  if (entity.table === 'teaching') {
+    const pick = k => Number(body[k]) || null;
+    const row = {
+      teacher_id: pick('teacher_id'), discipline_id: pick('discipline_id'), semester_id: pick('semester_id'),
+      school_year_id: pick('school_year_id'), class_group_id: pick('class_group_id'), enrolled: null,
+    };
+    if (!row.teacher_id || !row.discipline_id || !row.semester_id) throw new Error('Indique docente, disciplina e semestre.');
+    const exists = (table, v) => v == null || db.prepare(`SELECT 1 FROM ${table} WHERE id = ?`).get(v);
+    if (!exists('teacher', row.teacher_id) || !exists('discipline', row.discipline_id) || !exists('semester', row.semester_id)
+        || !exists('school_year', row.school_year_id) || !exists('class_group', row.class_group_id)) {
+      throw new Error('Referência inválida.');
+    }
+    const enrolled = String(body.enrolled ?? '').trim();
+    if (enrolled) {
+      if (!/^\d+$/.test(enrolled) || Number(enrolled) > MASTER_ENROLLED_MAX) throw new Error(`Inscritos: número inteiro entre 0 e ${MASTER_ENROLLED_MAX}.`);
+      row.enrolled = Number(enrolled);
+    }
+    // Com respostas, docente, disciplina e período ficam fixos: mudá-los atribuía as respostas a outra leccionação
+    const current = id != null && db.prepare(`SELECT ${TEACHING_LOCKED.join(', ')}, (SELECT COUNT(*) FROM survey_response WHERE teaching_id = t.id) AS responses FROM teaching t WHERE id = ?`).get(id);
+    if (current?.responses && TEACHING_LOCKED.some(k => current[k] !== row[k])) {
+      throw new Error(`Esta leccionação tem ${current.responses} resposta(s): só a turma e os inscritos podem ser alterados. Para juntar turmas da mesma leccionação use "Fundir".`);
+    }
+    const twin = db.prepare(`
+      SELECT id FROM teaching
+      WHERE teacher_id = @teacher_id AND discipline_id = @discipline_id AND semester_id = @semester_id
+        AND school_year_id IS @school_year_id AND class_group_id IS @class_group_id AND id IS NOT @id
+    `).get({ ...row, id });
+    if (twin) throw new Error('Já existe uma leccionação com estes dados. Use "Fundir" para juntar as duas.');
+    return row;
+  }
+
+  const name = String(body.name || '').trim().replace(/\s+/g, ' ');
+  if (!name) throw new Error('Indique o nome.');
+  if (name.length > MASTER_NAME_MAX) throw new Error(`O nome tem no máximo ${MASTER_NAME_MAX} caracteres.`);
+  if (entity.table === 'discipline') {
+    const course_id = Number(body.course_id) || null;
+    if (!course_id || !db.prepare('SELECT 1 FROM course WHERE id = ?').get(course_id)) throw new Error('Escolha o curso.');
+    if (db.prepare('SELECT 1 FROM discipline WHERE course_id = ? AND name = ? COLLATE NOCASE AND id IS NOT ?').get(course_id, name, id)) {
+      throw new Error('Já existe uma disciplina com esse nome neste curso. Use "Fundir" para juntar as duas.');
+    }
+    return { name, course_id };
+  }
+  if (db.prepare(`SELECT 1 FROM ${entity.table} WHERE name = ? COLLATE NOCASE AND id IS NOT ?`).get(name, id)) {
+    throw new Error(`Já existe um registo "${name}". Use "Fundir" para juntar os dois.`);
+  }
+  return { name };
+}
+
+// Fusão de leccionações: as respostas passam para o destino e a origem é apagada
+function mergeTeachings(fromId, toId) {
+  db.prepare('UPDATE survey_response SET teaching_id = ? WHERE teaching_id = ?').run(toId, fromId);
+  db.prepare('UPDATE teaching SET enrolled = COALESCE(enrolled, (SELECT enrolled FROM teaching WHERE id = ?)) WHERE id = ?').run(fromId, toId);
+  db.prepare('DELETE FROM teaching WHERE id = ?').run(fromId);
+}
+// Troca uma referência nas leccionações; se a troca criar um duplicado, funde os dois
+function remapTeachings(column, fromId, toId) {
+  const twinOf = db.prepare(`
+    SELECT id FROM teaching
+    WHERE teacher_id = @teacher_id AND discipline_id = @discipline_id AND semester_id = @semester_id
+      AND school_year_id IS @school_year_id AND class_group_id IS @class_group_id AND id <> @id`);
+  db.prepare(`SELECT * FROM teaching WHERE ${column} = ?`).all(fromId).forEach(t => {
+    const twin = twinOf.get({ ...t, [column]: toId });
+    if (twin) mergeTeachings(t.id, twin.id);
+    else db.prepare(`UPDATE teaching SET ${column} = ? WHERE id = ?`).run(toId, t.id);
+  });
+}
+function mergeDisciplines(fromId, toId) {
+  remapTeachings('discipline_id', fromId, toId);
+  db.prepare('DELETE FROM discipline WHERE id = ?').run(fromId);
+}
+
+function mergeMaster(entity, fromId, toId) {
+  if (!toId || String(fromId) === String(toId)) throw new Error('Escolha um registo de destino diferente.');
+  if (!getMaster(entity, toId)) throw new Error('O registo de destino não existe.');
+  db.transaction(() => {
+    switch (entity.table) {
+      case 'teaching':
+        mergeTeachings(fromId, toId);
+        return;
+      case 'course':
+        db.prepare('SELECT id, name FROM discipline WHERE course_id = ?').all(fromId).forEach(d => {
+          const twin = db.prepare('SELECT id FROM discipline WHERE course_id = ? AND name = ? COLLATE NOCASE').get(toId, d.name);
+          if (twin) mergeDisciplines(d.id, twin.id);
+          else db.prepare('UPDATE discipline SET course_id = ? WHERE id = ?').run(toId, d.id);
+        });
+        db.prepare('UPDATE campaign SET course_id = ? WHERE course_id = ?').run(toId, fromId);
+        db.prepare('INSERT OR IGNORE INTO user_course (user_id, course_id) SELECT user_id, ? FROM user_course WHERE course_id = ?').run(toId, fromId);
+        db.prepare('DELETE FROM user_course WHERE course_id = ?').run(fromId);
+        db.prepare('UPDATE notification SET course_id = ? WHERE course_id = ?').run(toId, fromId);
+        break;
+      case 'discipline':
+        remapTeachings('discipline_id', fromId, toId);
+        break;
+      case 'teacher':
+        if (db.prepare('SELECT COUNT(*) c FROM user WHERE teacher_id IN (?, ?)').get(fromId, toId).c > 1) {
+          throw new Error('Os dois docentes têm conta de utilizador. Retire a associação de uma delas em Utilizadores antes de fundir.');
+        }
+        remapTeachings('teacher_id', fromId, toId);
+        db.prepare('UPDATE user SET teacher_id = ? WHERE teacher_id = ?').run(toId, fromId);
+        db.prepare('UPDATE notification SET teacher_id = ? WHERE teacher_id = ?').run(toId, fromId);
+        break;
+      default:
+        remapTeachings(entity.teachingColumn, fromId, toId);
+        entity.refs.filter(r => r.table !== 'teaching')
+          .forEach(r => db.prepare(`UPDATE ${r.table} SET ${r.column} = ? WHERE ${r.column} = ?`).run(toId, fromId));
+    }
+    db.prepare(`DELETE FROM ${entity.table} WHERE id = ?`).run(fromId);
+  })();
+}
+
+function masterOptions(list, selected, { blank = null, label = o => o.name } = {}) {
+  return (blank != null ? `<option value="">${blank}</option>` : '') + list.map(o =>
+    `<option value="${o.id}" ${String(o.id) === String(selected ?? '') ? 'selected' : ''}>${escapeHtml(label(o))}${o.active === 0 ? ' (inactivo)' : ''}</option>`).join('');
+}
+function masterFields(entity, row, lists) {
+  const sel = (name, list, opts) => `<select name="${name}" class="w-full border rounded-xl p-2">${masterOptions(list, row?.[name], opts)}</select>`;
+  if (entity.table === 'teaching') {
+    // Leccionação com respostas: os campos fixos vão como hidden (um select disabled não é enviado)
+    const locked = row?.responses > 0;
+    const fixed = (name, list, opts) => (locked
+      ? `<select disabled class="w-full border rounded-xl p-2 bg-slate-50">${masterOptions(list, row[name], opts)}</select><input type="hidden" name="${name}" value="${row[name] ?? ''}" />`
+      : sel(name, list, opts));
+    return `
+      ${locked ? '<p class="text-xs text-slate-500">Com respostas registadas só a turma e os inscritos podem ser alterados.</p>' : ''}
+      ${fixed('teacher_id', lists.teachers, { blank: '— Docente —' })}
+      ${fixed('discipline_id', lists.disciplines, { blank: '— Disciplina —', label: d => `${d.name} (${d.course})` })}
+      ${fixed('semester_id', lists.semesters, { blank: '— Semestre —' })}
+      ${fixed('school_year_id', lists.years, { blank: '— Ano lectivo (opcional) —' })}
+      ${sel('class_group_id', lists.classes, { blank: '— Turma (opcional) —' })}
+      <input name="enrolled" type="number" min="0" max="${MASTER_ENROLLED_MAX}" value="${row?.enrolled ?? ''}" placeholder="Inscritos (opcional)" class="w-full border rounded-xl p-2" />`;
+  }
+  return `
+    ${entity.table === 'discipline' ? sel('course_id', lists.courses, { blank: '— Curso —' }) : ''}
+    <input name="name" required maxlength="${MASTER_NAME_MAX}" value="${escapeHtml(row?.name || '')}" placeholder="Nome" class="w-full border rounded-xl p-2" />`;
+}
+
+const masterEntity = req => (Object.hasOwn(MASTER, req.params.entity) ? MASTER[req.params.entity] : null);
+const masterTabs = current => `
+  <nav class="flex flex-wrap gap-1 mb-4 text-sm">
+    ${Object.entries(MASTER).map(([slug, e]) => `<a href="/dados/${slug}" class="nav-link ${slug === current ? 'active' : ''}">${e.title}</a>`).join('')}
+  </nav>`;
+
+app.get('/dados', requireRole(['admin']), (req, res) => res.redirect('/dados/cursos'));
+
+app.get('/dados/:entity', requireRole(['admin']), (req, res) => {
+  const entity = masterEntity(req);
+  if (!entity) return res.status(404).send('Página não encontrada.');
+  const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
+  const lists = lookupLists();
+  const search = String(req.query.q || '').trim();
+
+  let rows;
+  if (entity.table === 'teaching') {
+    const f = { semester_id: Number(req.query.semester_id) || null, school_year_id: Number(req.query.school_year_id) || null,
+                course_id: Number(req.query.course_id) || null };
+    rows = db.prepare(`${TEACHING_SELECT}
+      WHERE (@semester_id IS NULL OR t.semester_id = @semester_id)
+        AND (@school_year_id IS NULL OR t.school_year_id = @school_year_id)
+        AND (@course_id IS NULL OR d.course_id = @course_id)
+        AND (@q = '' OR te.name LIKE '%' || @q || '%' OR d.name LIKE '%' || @q || '%')
+      ORDER BY sy.name DESC, s.id, co.name, d.name, te.name, cg.name
+      LIMIT 500`).all({ ...f, q: search });
+  } else {
+    const base = entity.table === 'discipline'
+      ? 'SELECT d.*, co.name AS course FROM discipline d JOIN course co ON co.id = d.course_id'
+      : `SELECT * FROM ${entity.table}`;
+    const order = entity.table === 'discipline' ? 'co.name, d.name' : entity.order || 'name';
+    const nameCol = entity.table === 'discipline' ? 'd.name' : 'name';
+    rows = db.prepare(`${base} WHERE (@q = '' OR ${nameCol} LIKE '%' || @q || '%') ORDER BY ${order}`).all({ q: search });
+  }
+
+  const filters = entity.table === 'teaching' ? `
+    <select name="course_id" class="border rounded-xl p-2">${masterOptions(lists.courses, req.query.course_id, { blank: '— Curso —' })}</select>
+    <select name="school_year_id" class="border rounded-xl p-2">${masterOptions(lists.years, req.query.school_year_id, { blank: '— Ano lectivo —' })}</select>
+    <select name="semester_id" class="border rounded-xl p-2">${masterOptions(lists.semesters, req.query.semester_id, { blank: '— Semestre —' })}</select>` : '';
+  const list = rows.map(r => `
+    <li class="flex flex-wrap items-center justify-between gap-2 border rounded-xl px-3 py-2 ${r.active ? '' : 'opacity-60'}">
+      <span>${escapeHtml(masterLabel(entity, r))}
+        ${entity.table === 'teaching' ? `<span class="block text-xs text-slate-500">${escapeHtml(r.course)} · ${r.responses} resposta(s)${r.enrolled != null ? ` · ${r.enrolled} inscritos` : ''}</span>` : ''}
+      </span>
+      <span class="flex items-center gap-2">
+        ${r.active ? '' : '<span class="text-xs px-2 py-1 rounded-full bg-slate-100">Inactivo</span>'}
+        <a class="btn btn-ghost" href="/dados/${req.params.entity}/${r.id}">Gerir</a>
+      </span>
+    </li>`).join('');
+
+  const html = `
+    ${masterTabs(req.params.entity)}
+    ${err ? `<p class="mb-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">${escapeHtml(err)}</p>` : ''}
+    <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Novo registo (${entity.noun})</h2>
+        <form method="POST" action="/dados/${req.params.entity}" class="space-y-2">
+          ${masterFields(entity, null, lists)}
+          <button class="btn btn-primary">Criar</button>
+        </form>
+      </div>
+      <div class="card lg:col-span-2">
+        <form method="GET" class="flex flex-wrap gap-2 mb-3">
+          <input name="q" value="${escapeHtml(search)}" placeholder="Pesquisar" class="border rounded-xl p-2" />
+          ${filters}
+          <button class="btn btn-ghost">Filtrar</button>
+        </form>
+        ${rows.length ? `<ul class="text-sm space-y-2">${list}</ul>` : '<p class="text-sm text-slate-600">Sem registos.</p>'}
+        ${entity.table === 'teaching' && rows.length === 500 ? '<p class="mt-2 text-xs text-slate-500">Mostradas as primeiras 500; use os filtros.</p>' : ''}
+        <p class="mt-3 text-xs text-slate-500">Registos inactivos deixam de aparecer no inquérito, mas mantêm-se nos relatórios. Só é possível apagar registos sem referências.</p>
+      </div>
+    </div>`;
+  res.send(renderPage(`Dados mestre · ${entity.title}`, html, '', req.user));
+});
+
+app.post('/dados/:entity', requireRole(['admin']), (req, res) => {
+  const entity = masterEntity(req);
+  if (!entity) return res.status(404).send('Página não encontrada.');
+  try {
+    const row = readMasterForm(entity, req.body);
+    const cols = Object.keys(row);
+    const id = db.prepare(`INSERT INTO ${entity.table} (${cols.join(', ')}) VALUES (${cols.map(c => '@' + c).join(', ')})`).run(row).lastInsertRowid;
+    audit(req, 'data_create', { target: masterTarget(entity, getMaster(entity, id)), details: row });
+    return res.redirect(`/dados/${req.params.entity}/${id}`);
+  } catch (e) {
+    return res.redirect(`/dados/${req.params.entity}?e=` + encodeURIComponent(e.message));
+  }
+});
+
+app.get('/dados/:entity/:id', requireRole(['admin']), (req, res) => {
+  const entity = masterEntity(req);
+  const row = entity && getMaster(entity, req.params.id);
+  if (!row) return res.status(404).send('Registo não encontrado.');
+  const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
+  const lists = lookupLists();
+  const usage = masterUsage(entity, row.id);
+  const base = `/dados/${req.params.entity}/${row.id}`;
+
+  // Destinos possíveis da fusão: registos do mesmo tipo (leccionações: mesmo docente, disciplina,
+  // semestre e ano lectivo; só a turma pode ser outra)
+  const targets = entity.table === 'teaching'
+    ? db.prepare(`${TEACHING_SELECT} WHERE t.teacher_id = ? AND t.discipline_id = ? AND t.semester_id = ? AND t.school_year_id IS ? AND t.id <> ? ORDER BY cg.name`)
+        .all(row.teacher_id, row.discipline_id, row.semester_id, row.school_year_id, row.id)
+    : (entity.table === 'discipline' ? lists.disciplines : lists[{ course: 'courses', teacher: 'teachers', class_group: 'classes', semester: 'semesters', school_year: 'years' }[entity.table]])
+        .filter(o => o.id !== row.id);
+  const targetLabel = entity.table === 'teaching' || entity.table === 'discipline' ? o => masterLabel(entity, o) : o => o.name;
+
+  const html = `
+    ${masterTabs(req.params.entity)}
+    ${err ? `<p class="mb-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">${escapeHtml(err)}</p>` : ''}
+    <p class="mb-4 text-sm text-slate-600"><b>${escapeHtml(masterLabel(entity, row))}</b>
+      · ${row.active ? 'Activo' : 'Inactivo'}
+      · ${usage.refs.length ? usage.refs.map(r => `${r.n} ${r.label}`).join(', ') : 'sem referências'}
+      ${entity.table === 'course' || entity.teachingColumn ? ` · ${usage.responses} resposta(s)` : ''}</p>
+    <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">${entity.table === 'teaching' ? 'Editar' : 'Renomear'}</h2>
+        <form method="POST" action="${base}" class="space-y-2">
+          ${masterFields(entity, row, lists)}
+          <button class="btn btn-primary">Guardar</button>
+        </form>
+        <form method="POST" action="${base}/estado" class="mt-4">
+          <input type="hidden" name="active" value="${row.active ? 0 : 1}" />
+          <button class="btn btn-ghost">${row.active ? 'Desactivar' : 'Reactivar'}</button>
+        </form>
+      </div>
+      <div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Fundir com outro registo</h2>
+        ${targets.length ? `
+        <form method="POST" action="${base}/fundir" class="space-y-2" onsubmit="return confirm('Fundir? As referências passam para o destino e este registo é apagado.')">
+          <select name="target_id" required class="w-full border rounded-xl p-2">${masterOptions(targets, null, { blank: '— Destino —', label: targetLabel })}</select>
+          <button class="btn btn-primary">Fundir</button>
+        </form>
+        <p class="mt-2 text-xs text-slate-500">Todas as referências (leccionações, respostas, campanhas, códigos, contas) passam para o destino; este registo é apagado.</p>` : '<p class="text-sm text-slate-600">Não há outros registos compatíveis.</p>'}
+        <h2 class="text-lg font-semibold mt-6 mb-2 text-left">Apagar</h2>
+        ${usage.refs.length ? `<p class="text-sm text-slate-600">Não pode ser apagado enquanto tiver referências. Desactive-o ou funda-o com outro registo.</p>` : `
+        <form method="POST" action="${base}/apagar" onsubmit="return confirm('Apagar definitivamente?')">
+          <button class="btn btn-ghost text-rose-700">Apagar</button>
+        </form>`}
+      </div>
+    </div>
+    <div class="mt-4"><a class="btn btn-ghost" href="/dados/${req.params.entity}">Voltar</a></div>`;
+  res.send(renderPage(`Dados mestre · ${entity.title}`, html, '', req.user));
+});
+
+app.post('/dados/:entity/:id', requireRole(['admin']), (req, res) => {
+  const entity = masterEntity(req);
+  const row = entity && getMaster(entity, req.params.id);
+  if (!row) return res.status(404).send('Registo não encontrado.');
+  try {
+    const data = readMasterForm(entity, req.body, row.id);
+    db.prepare(`UPDATE ${entity.table} SET ${Object.keys(data).map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`).run({ ...data, id: row.id });
+    // Só os campos alterados, com o valor anterior
+    const changed = Object.keys(data).filter(c => String(data[c] ?? '') !== String(row[c] ?? ''));
+    if (changed.length) audit(req, 'data_update', { target: masterTarget(entity, row), details: Object.fromEntries(changed.map(c => [c, `${row[c] ?? '—'} → ${data[c] ?? '—'}`])) });
+    return res.redirect(`/dados/${req.params.entity}/${row.id}`);
+  } catch (e) {
+    return res.redirect(`/dados/${req.params.entity}/${row.id}?e=` + encodeURIComponent(e.message));
+  }
+});
+
+app.post('/dados/:entity/:id/estado', requireRole(['admin']), (req, res) => {
+  const entity = masterEntity(req);
+  const row = entity && getMaster(entity, req.params.id);
+  if (!row) return res.status(404).send('Registo não encontrado.');
+  db.prepare(`UPDATE ${entity.table} SET active = ? WHERE id = ?`).run(req.body.active === '1' ? 1 : 0, row.id);
+  audit(req, 'data_state', { target: masterTarget(entity, row), details: { activo: req.body.active === '1' ? 'sim' : 'não' } });
+  return res.redirect(`/dados/${req.params.entity}/${row.id}`);
+});
+
+app.post('/dados/:entity/:id/fundir', requireRole(['admin']), (req, res) => {
+  const entity = masterEntity(req);
+  const row = entity && getMaster(entity, req.params.id);
+  if (!row) return res.status(404).send('Registo não encontrado.');
+  try {
+    const target = Number(req.body.target_id) || null;
+    if (entity.table === 'teaching') {
+      const to = target && getMaster(entity, target);
+      if (to && ['teacher_id', 'discipline_id', 'semester_id', 'school_year_id'].some(k => to[k] !== row[k])) {
+        throw new Error('Só é possível fundir leccionações do mesmo docente, disciplina, semestre e ano lectivo (só a turma pode ser outra).');
+      }
+    }
+    const to = target && getMaster(entity, target);
+    const moved = masterUsage(entity, row.id);
+    mergeMaster(entity, row.id, target);
+    audit(req, 'data_merge', { target: masterTarget(entity, row), details: {
+      destino: masterTarget(entity, to), referencias: moved.refs.map(r => `${r.n} ${r.label}`).join(', '), respostas: moved.responses,
+    } });
+    return res.redirect(`/dados/${req.params.entity}/${target}`);
+  } catch (e) {
+    return res.redirect(`/dados/${req.params.entity}/${row.id}?e=` + encodeURIComponent(e.message));
+  }
+});
+
+app.post('/dados/:entity/:id/apagar', requireRole(['admin']), (req, res) => {
+  const entity = masterEntity(req);
+  const row = entity && getMaster(entity, req.params.id);
+  if (!row) return res.status(404).send('Registo não encontrado.');
+  const { refs, responses } = masterUsage(entity, row.id);
+  if (refs.length) {
+    const msg = `Não é possível apagar: ${refs.map(r => `${r.n} ${r.label}`).join(', ')}${responses ? ` (${responses} resposta(s))` : ''}. Desactive-o ou funda-o com outro registo.`;
+    return res.redirect(`/dados/${req.params.entity}/${row.id}?e=` + encodeURIComponent(msg));
+  }
+  db.prepare(`DELETE FROM ${entity.table} WHERE id = ?`).run(row.id);
+  audit(req, 'data_delete', { target: masterTarget(entity, row) });
+  return res.redirect(`/dados/${req.params.entity}`);
+});
+
+// ====== UTILIZADORES (UI) ======
+const PASSWORD_MIN = 8;
+
+function userForm(u, courses, teachers) {
+  const roleOpts = Object.entries(ROLES)
+    .map(([k, v]) => `<option value="${k}" ${u?.role === k ? 'selected' : ''}>${v}</option>`).join('');
+  const courseBoxes = courses.map(c => `
+    <label class="inline-flex items-center gap-1 mr-3"><input type="checkbox" name="course_ids" value="${c.id}" ${u?.courses.includes(c.id) ? 'checked' : ''} /> ${escapeHtml(c.name)}</label>`).join('');
+  return `
+    <input name="name" required value="${escapeHtml(u?.name || '')}" placeholder="Nome" class="w-full border rounded-xl p-2" />
+    <select name="role" class="w-full border rounded-xl p-2">${roleOpts}</select>
+    <div class="text-sm"><span class="block text-xs text-slate-500 mb-1">Cursos (só para coordenadores)</span>${courseBoxes || '<span class="text-slate-500">Sem cursos.</span>'}</div>
+    <select name="teacher_id" class="w-full border rounded-xl p-2">
+      <option value="">— Docente (só para o perfil Docente) —</option>
+      ${teachers.map(t => `<option value="${t.id}" ${u?.teacher_id === t.id ? 'selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}
+    </select>
+    <input type="password" name="password" ${u ? '' : 'required'} minlength="${PASSWORD_MIN}" autocomplete="new-password"
+           placeholder="${u ? 'Nova palavra-passe (opcional)' : 'Palavra-passe'}" class="w-full border rounded-xl p-2" />`;
+}
+
+// Valida o formulário e devolve os campos normalizados (lança Error com a mensagem para o utilizador)
+function readUserForm(body, userId = null) {
+  const isNew = !userId;
+  const name = String(body.name || '').trim();
+  const role = String(body.role || '');
+  const password = String(body.password || '');
+  const courseIds = [].concat(body.course_ids || []).map(Number).filter(Boolean);
+  const teacherId = Number(body.teacher_id) || null;
+  if (!name) throw new Error('Indique o nome.');
+  if (!ROLES[role]) throw new Error('Perfil inválido.');
+  if ((isNew || password) && password.length < PASSWORD_MIN) throw new Error(`A palavra-passe tem de ter pelo menos ${PASSWORD_MIN} caracteres.`);
+  if (role === 'coordinator' && !courseIds.length) throw new Error('Um coordenador tem de ter pelo menos um curso.');
+  if (role === 'teacher') {
+    if (!teacherId || !db.prepare('SELECT 1 FROM teacher WHERE id = ?').get(teacherId)) throw new Error('Escolha o docente associado à conta.');
+    const other = db.prepare('SELECT username FROM user WHERE teacher_id = ? AND id IS NOT ?').get(teacherId, userId);
+    if (other) throw new Error(`Esse docente já está associado ao utilizador ${other.username}.`);
+  }
+  return { name, role, password, courseIds: role === 'coordinator' ? courseIds : [], teacherId: role === 'teacher' ? teacherId : null };
+}
+
+function saveUserCourses(userId, courseIds) {
+  db.prepare('DELETE FROM user_course WHERE user_id = ?').run(userId);
+  const ins = db.prepare('INSERT INTO user_course (user_id, course_id) SELECT ?, id FROM course WHERE id = ?');
+  courseIds.forEach(id => ins.run(userId, id));
+}
+
+app.get('/utilizadores', requireRole(['admin']), (req, res) => {
+  const courses = db.prepare('SELECT id, name FROM course ORDER BY name').all();
+  const teachers = db.prepare('SELECT id, name FROM teacher ORDER BY name').all();
+  const users = db.prepare(`
+    SELECT u.id, u.username, u.name, u.role, u.active, u.teacher_id, te.name AS teacher_name
+    FROM user u LEFT JOIN teacher te ON te.id = u.teacher_id
+    ORDER BY u.active DESC, u.username`).all()
+    .map(u => ({ ...u, courses: db.prepare('SELECT course_id FROM user_course WHERE user_id = ?').all(u.id).map(r => r.course_id) }));
+  const courseName = id => courses.find(c => c.id === id)?.name || `#${id}`;
+  const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
+
+  const rows = users.map(u => `
+    <li class="border rounded-xl px-3 py-2 ${u.active ? '' : 'opacity-60'}">
+      <details>
+        <summary class="cursor-pointer flex flex-wrap items-center justify-between gap-2">
+          <span><b>${escapeHtml(u.username)}</b> · ${escapeHtml(u.name)}
+            <span class="block text-xs text-slate-500">${ROLES[u.role]}${u.courses.length ? ' · ' + u.courses.map(id => escapeHtml(courseName(id))).join(', ') : ''}${u.teacher_name ? ' · ' + escapeHtml(u.teacher_name) : ''}</span>
+          </span>
+          <span class="text-xs px-2 py-1 rounded-full bg-slate-100">${u.active ? 'Activo' : 'Inactivo'}</span>
+        </summary>
+        <form method="POST" action="/utilizadores/${u.id}" class="mt-3 space-y-2">
+          ${userForm(u, courses, teachers)}
+          <label class="inline-flex items-center gap-2 text-sm"><input type="checkbox" name="active" ${u.active ? 'checked' : ''} /> Activo</label>
+          <div><button class="btn btn-primary">Guardar</button></div>
+        </form>
+      </details>
+    </li>`).join('');
+
+  const html = `
+    ${err ? `<p class="mb-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">${escapeHtml(err)}</p>` : ''}
+    <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Novo utilizador</h2>
+        <form method="POST" action="/utilizadores" class="space-y-2">
+          <input name="username" required autocomplete="off" placeholder="Utilizador (login)" class="w-full border rounded-xl p-2" />
+          ${userForm(null, courses, teachers)}
+          <button class="btn btn-primary">Criar</button>
+        </form>
+      </div>
+      <div class="card lg:col-span-2">
+        <h2 class="text-lg font-semibold mb-2 text-left">Utilizadores</h2>
+        <ul class="text-sm space-y-2">${rows}</ul>
+        <p class="mt-3 text-xs text-slate-500">Utilizadores inactivos não conseguem iniciar sessão. Os coordenadores só vêem relatórios dos cursos atribuídos e os docentes só os próprios resultados.</p>
+      </div>
+    </div>`;
+
+  res.send(renderPage('Utilizadores', html, '', req.user));
+});
+
+app.post('/utilizadores', requireRole(['admin']), (req, res) => {
+  try {
+    const username = String(req.body.username || '').trim();
+    if (!/^[\w.@-]{3,64}$/.test(username)) throw new Error('Utilizador inválido: 3 a 64 letras, números ou . _ - @');
+    if (db.prepare('SELECT 1 FROM user WHERE username = ?').get(username)) throw new Error('Já existe um utilizador com esse nome.');
+    const u = readUserForm(req.body);
+    db.transaction(() => {
+      const id = db.prepare('INSERT INTO user (username, name, password_hash, role, teacher_id, created_at) VALUES (?,?,?,?,?,?)')
+                   .run(username, u.name, hashPassword(u.password), u.role, u.teacherId, dayjs().toISOString()).lastInsertRowid;
+      saveUserCourses(id, u.courseIds);
+    })();
+    audit(req, 'user_create', { target: username, details: { perfil: u.role, cursos: u.courseIds.join(',') || null, docente: u.teacherId } });
+    return res.redirect('/utilizadores');
+  } catch (e) {
+    return res.redirect('/utilizadores?e=' + encodeURIComponent(e.message));
+  }
+});
+
+app.post('/utilizadores/:id', requireRole(['admin']), (req, res) => {
+  try {
+    const target = db.prepare('SELECT * FROM user WHERE id = ?').get(req.params.id);
+    if (!target) return res.status(404).send('Utilizador não encontrado.');
+    const u = readUserForm(req.body, target.id);
+    const active = req.body.active === 'on' ? 1 : 0;
+    // Tem de ficar sempre pelo menos um administrador activo
+    if (target.role === 'admin' && target.active && (u.role !== 'admin' || !active)) {
+      const admins = db.prepare(`SELECT COUNT(*) c FROM user WHERE role = 'admin' AND active = 1`).get().c;
+      if (admins <= 1) throw new Error('Não é possível retirar o último administrador activo.');
+    }
+    db.transaction(() => {
+      db.prepare('UPDATE user SET name = ?, role = ?, teacher_id = ?, active = ? WHERE id = ?').run(u.name, u.role, u.teacherId, active, target.id);
+      if (u.password) db.prepare('UPDATE user SET password_hash = ? WHERE id = ?').run(hashPassword(u.password), target.id);
+      saveUserCourses(target.id, u.courseIds);
+      // Nova palavra-passe ou conta desactivada: termina as sessões abertas dessa conta
+      if (u.password || !active) revokeUserSessions(target.id, target.id === req.user.id ? req.session.id : null);
+    })();
+    audit(req, 'user_update', { target: target.username, details: {
+      perfil: u.role !== target.role ? `${target.role} → ${u.role}` : null,
+      activo: active !== target.active ? (active ? 'sim' : 'não') : null,
+      palavra_passe: u.password ? 'alterada' : null,
+      cursos: u.courseIds.join(',') || null,
+    } });
+    return res.redirect('/utilizadores');
+  } catch (e) {
+    return res.redirect('/utilizadores?e=' + encodeURIComponent(e.message));
+  }
+});
+
+// ====== AUDITORIA (UI) ======
+// Filtros: de/ate (datas locais), utilizador, accao, estado e texto livre (alvo, parâmetros ou IP)
+function auditQuery(query) {
+  const pick = k => (typeof query[k] === 'string' && query[k].trim() ? query[k].trim() : null);
+  const day = (k, edge) => (pick(k) && dayjs(pick(k)).isValid() ? dayjs(pick(k))[edge]('day').toISOString() : null);
+  return {
+    from: day('de', 'startOf'),
+    to: day('ate', 'endOf'),
+    username: pick('utilizador'),
+    action: AUDIT_ACTIONS[pick('accao')] ? pick('accao') : null,
+    status: AUDIT_STATUS[pick('estado')] ? pick('estado') : null,
+    text: pick('q') && `%${pick('q').replace(/[\\%_]/g, c => '\\' + c)}%`,
+  };
+}
+const AUDIT_WHERE_SQL = `
+      (@from IS NULL OR a.created_at >= @from)
+  AND (@to IS NULL OR a.created_at <= @to)
+  AND (@username IS NULL OR a.username = @username COLLATE NOCASE)
+  AND (@action IS NULL OR a.action = @action)
+  AND (@status IS NULL OR a.status = @status)
+  AND (@text IS NULL OR a.target LIKE @text ESCAPE '\\' OR a.details LIKE @text ESCAPE '\\' OR a.ip LIKE @text ESCAPE '\\')`;
+
+const auditActor = a => a.username || (a.action === 'login' ? '—' : 'Sistema');
+const auditDetails = a => (a.details ? Object.entries(JSON.parse(a.details)).map(([k, v]) => `${k.replace(/_/g, ' ')}: ${v}`).join(' · ') : '');
+
+app.get('/auditoria', requireRole(['admin']), (req, res) => {
+  const q = auditQuery(req.query);
+  const params = new URLSearchParams(Object.entries(req.query).filter(([k, v]) => k !== 'p' && typeof v === 'string' && v));
+
+  if (req.query.formato === 'csv') {
+    const lines = [['Data', 'Utilizador', 'Perfil', 'Acção', 'Estado', 'Alvo', 'Parâmetros', 'IP']];
+    for (const a of db.prepare(`SELECT * FROM audit_log a WHERE ${AUDIT_WHERE_SQL} ORDER BY a.id DESC`).iterate(q)) {
+      lines.push([dayjs(a.created_at).format('YYYY-MM-DD HH:mm:ss'), auditActor(a), ROLES[a.role] || '', AUDIT_ACTIONS[a.action] || a.action,
+                  AUDIT_STATUS[a.status] || a.status, a.target || '', auditDetails(a), a.ip || '']);
+    }
+    params.delete('formato');
+    audit(req, 'export_audit', { details: { filtros: params.toString(), linhas: lines.length - 1 } });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="auditoria_${dayjs().format('YYYYMMDD_HHmm')}.csv"`);
+    return res.send('\uFEFF' + lines.map(r => r.map(csvField).join(';')).join('\r\n') + '\r\n');
+  }
+
+  const page = Math.max(1, Number(req.query.p) || 1);
+  const total = db.prepare(`SELECT COUNT(*) c FROM audit_log a WHERE ${AUDIT_WHERE_SQL}`).get(q).c;
+  const rows = db.prepare(`SELECT * FROM audit_log a WHERE ${AUDIT_WHERE_SQL} ORDER BY a.id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...q, limit: AUDIT_PAGE, offset: (page - 1) * AUDIT_PAGE });
+  const usernames = db.prepare('SELECT DISTINCT username FROM audit_log WHERE username IS NOT NULL ORDER BY username COLLATE NOCASE').all().map(r => r.username);
+  const val = k => escapeHtml(typeof req.query[k] === 'string' ? req.query[k] : '');
+  const options = (map, selected) => Object.entries(map).map(([k, label]) => `<option value="${k}" ${k === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('');
+  const pages = Math.max(1, Math.ceil(total / AUDIT_PAGE));
+  const pageLink = n => `/auditoria?${new URLSearchParams([...params, ['p', String(n)]]).toString()}`;
+
+  const html = `
+    <form method="GET" action="/auditoria" class="grid grid-cols-2 md:grid-cols-6 gap-2 mb-4 text-sm">
+      <label class="block"><span class="text-xs text-slate-500">De</span><input type="date" name="de" value="${val('de')}" class="w-full border rounded-xl p-2" /></label>
+      <label class="block"><span class="text-xs text-slate-500">Até</span><input type="date" name="ate" value="${val('ate')}" class="w-full border rounded-xl p-2" /></label>
+      <label class="block"><span class="text-xs text-slate-500">Utilizador</span>
+        <select name="utilizador" class="w-full border rounded-xl p-2"><option value="">Todos</option>${usernames.map(u => `<option ${u === q.username ? 'selected' : ''}>${escapeHtml(u)}</option>`).join('')}</select></label>
+      <label class="block"><span class="text-xs text-slate-500">Acção</span>
+        <select name="accao" class="w-full border rounded-xl p-2"><option value="">Todas</option>${options(AUDIT_ACTIONS, q.action)}</select></label>
+      <label class="block"><span class="text-xs text-slate-500">Estado</span>
+        <select name="estado" class="w-full border rounded-xl p-2"><option value="">Todos</option>${options(AUDIT_STATUS, q.status)}</select></label>
+      <label class="block"><span class="text-xs text-slate-500">Texto (alvo, parâmetros, IP)</span><input name="q" value="${val('q')}" class="w-full border rounded-xl p-2" /></label>
+      <div class="col-span-2 md:col-span-6 flex flex-wrap gap-2">
+        <button class="btn btn-primary">Filtrar</button>
+        <a class="btn btn-ghost" href="/auditoria">Limpar</a>
+        <a class="btn btn-ghost" href="/auditoria?${new URLSearchParams([...params, ['formato', 'csv']]).toString()}">Exportar CSV</a>
+        <a class="btn btn-ghost" href="/auditoria/bloqueios">Tentativas bloqueadas</a>
+      </div>
+    </form>
+    ${rows.length ? `
+    <div class="overflow-x-auto"><table class="w-full text-sm">
+      <thead><tr class="text-left text-slate-500"><th>Data</th><th>Utilizador</th><th>Acção</th><th>Alvo</th><th>Parâmetros</th><th>IP</th></tr></thead>
+      <tbody>${rows.map(a => `
+        <tr class="border-t align-top">
+          <td class="py-2 pr-3 whitespace-nowrap">${dayjs(a.created_at).format('DD/MM/YYYY HH:mm:ss')}</td>
+          <td class="py-2 pr-3">${escapeHtml(auditActor(a))}${a.role ? `<span class="block text-xs text-slate-500">${ROLES[a.role] || escapeHtml(a.role)}</span>` : ''}</td>
+          <td class="py-2 pr-3">${escapeHtml(AUDIT_ACTIONS[a.action] || a.action)}${a.status !== 'ok' ? ` <span class="text-xs px-2 py-0.5 rounded-full bg-rose-50 text-rose-700">${AUDIT_STATUS[a.status] || escapeHtml(a.status)}</span>` : ''}</td>
+          <td class="py-2 pr-3 break-all">${escapeHtml(a.target || '')}</td>
+          <td class="py-2 pr-3 text-xs text-slate-600 break-all">${escapeHtml(auditDetails(a))}</td>
+          <td class="py-2 text-xs whitespace-nowrap">${escapeHtml(a.ip || '')}</td>
+        </tr>`).join('')}</tbody>
+    </table></div>` : '<p class="text-slate-600">Sem registos para estes filtros.</p>'}
+    <p class="mt-3 text-sm flex flex-wrap items-center gap-2">
+      <span class="text-slate-500">${total} registo(s)</span>
+      ${page > 1 ? `<a class="nav-link" href="${pageLink(page - 1)}">← Anterior</a>` : ''}
+      ${pages > 1 ? `<span class="text-slate-500">Página ${page} de ${pages}</span>` : ''}
+      ${page < pages ? `<a class="nav-link" href="${pageLink(page + 1)}">Seguinte →</a>` : ''}
+    </p>
+    <p class="mt-2 text-xs text-slate-500">O registo é só de acrescento: as entradas não podem ser alteradas nem apagadas, nem por um restauro.</p>`;
+  res.send(renderPage('Auditoria', html, '', req.user));
+});
+
+// Tentativas bloqueadas (login e inquérito) e bloqueios de login em curso
+app.get('/auditoria/bloqueios', requireRole(['admin']), (req, res) => {
+  const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
+  const ok = typeof req.query.ok === 'string' && req.query.ok.trim() ? req.query.ok : '';
+  const days = [7, 30, 90].includes(Number(req.query.dias)) ? Number(req.query.dias) : 30;
+  const since = dayjs().subtract(days - 1, 'day').format('YYYY-MM-DD');
+  const byDay = db.prepare(`
+    SELECT day, kind, reason, SUM(count) AS n FROM blocked_attempt WHERE day >= ?
+    GROUP BY day, kind, reason ORDER BY day DESC, kind, n DESC
+  `).all(since);
+  const logins = db.prepare(`
+    SELECT username, ip, reason, SUM(count) AS n, MAX(last_at) AS last_at FROM blocked_attempt
+    WHERE kind = 'login' AND day >= ? GROUP BY username, ip, reason ORDER BY last_at DESC LIMIT 200
+  `).all(since);
+  const now = Date.now();
+  const active = [...loginFailures].filter(([, e]) => e.lockedUntil > now).sort((a, b) => b[1].lockedUntil - a[1].lockedUntil);
+  const total = byDay.reduce((a, r) => a + r.n, 0);
+
+  const html = `
+    <div class="flex flex-wrap items-center justify-between gap-2 mb-4 text-sm">
+      <a href="/auditoria" class="underline">← Auditoria</a>
+      <span class="flex gap-2">${[7, 30, 90].map(d => `<a href="/auditoria/bloqueios?dias=${d}" class="nav-link ${d === days ? 'active' : ''}">${d} dias</a>`).join('')}</span>
+    </div>
+    ${err ? `<p class="mb-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">${escapeHtml(err)}</p>` : ''}
+    ${ok ? `<p class="mb-4 p-3 rounded-xl border border-emerald-200 bg-emerald-50 text-sm text-emerald-700">${escapeHtml(ok)}</p>` : ''}
+    <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Bloqueios de início de sessão em curso</h2>
+        ${active.length ? `<ul class="text-sm space-y-2">${active.map(([key, e]) => `
+          <li class="flex flex-wrap items-center justify-between gap-2 border rounded-xl px-3 py-2">
+            <span><b>${escapeHtml(lockLabel(key))}</b>
+              <span class="block text-xs text-slate-500">${e.failures} falha(s) seguidas · até ${dayjs(e.lockedUntil).format('DD/MM/YYYY HH:mm:ss')}</span></span>
+            <form method="POST" action="/auditoria/bloqueios/desbloquear"><input type="hidden" name="key" value="${escapeHtml(key)}" /><button class="btn btn-ghost">Desbloquear</button></form>
+          </li>`).join('')}</ul>` : '<p class="text-sm text-slate-600">Nenhum.</p>'}
+        <p class="mt-3 text-xs text-slate-500">Após ${LOGIN_MAX_ATTEMPTS} falhas seguidas na mesma conta a partir do mesmo IP (ou ${LOGIN_MAX_ATTEMPTS_SESSION} na mesma sessão do browser e ${LOGIN_MAX_ATTEMPTS_IP} no mesmo IP, em qualquer conta) o início de sessão fica bloqueado ${LOGIN_LOCKOUT_SECONDS} s, duplicando a cada nova falha até ${LOGIN_LOCKOUT_MAX_MINUTES} min.</p>
+      </div>
+      <div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Por dia (${total} pedido(s) bloqueado(s))</h2>
+        ${byDay.length ? `
+        <table class="w-full text-sm">
+          <thead><tr class="text-left text-slate-500"><th>Dia</th><th>Origem</th><th>Motivo</th><th class="text-right">Pedidos</th></tr></thead>
+          <tbody>${byDay.map(r => `
+            <tr class="border-t"><td class="py-1 pr-3 whitespace-nowrap">${dayjs(r.day).format('DD/MM/YYYY')}</td><td class="pr-3">${BLOCK_KINDS[r.kind] || escapeHtml(r.kind)}</td>
+              <td class="pr-3">${BLOCK_REASONS[r.reason] || escapeHtml(r.reason)}</td><td class="text-right">${r.n}</td></tr>`).join('')}</tbody>
+        </table>` : '<p class="text-sm text-slate-600">Sem pedidos bloqueados neste período.</p>'}
+      </div>
+    </div>
+    <div class="card mt-6">
+      <h2 class="text-lg font-semibold mb-2 text-left">Início de sessão: contas e IPs bloqueados</h2>
+      ${logins.length ? `
+      <div class="overflow-x-auto"><table class="w-full text-sm">
+        <thead><tr class="text-left text-slate-500"><th>Conta</th><th>IP</th><th>Motivo</th><th class="text-right">Pedidos</th><th>Último</th></tr></thead>
+        <tbody>${logins.map(r => `
+          <tr class="border-t"><td class="py-1 pr-3">${escapeHtml(r.username || '—')}</td><td class="pr-3">${escapeHtml(r.ip || '—')}</td>
+            <td class="pr-3">${BLOCK_REASONS[r.reason] || escapeHtml(r.reason)}</td><td class="text-right pr-3">${r.n}</td>
+            <td class="whitespace-nowrap">${dayjs(r.last_at).format('DD/MM/YYYY HH:mm')}</td></tr>`).join('')}</tbody>
+      </table></div>` : '<p class="text-sm text-slate-600">Nenhum.</p>'}
+      <p class="mt-3 text-xs text-slate-500">Os pedidos bloqueados no inquérito são contados sem IP nem qualquer dado do respondente. Registos guardados ${BLOCKED_KEEP_DAYS} dias.</p>
+    </div>`;
+  res.send(renderPage('Tentativas bloqueadas', html, '', req.user));
+});
+
+app.post('/auditoria/bloqueios/desbloquear', requireRole(['admin']), (req, res) => {
+  const key = String(req.body?.key || '');
+  if (!loginFailures.has(key)) return res.redirect('/auditoria/bloqueios?e=' + encodeURIComponent('Bloqueio não encontrado (pode já ter expirado).'));
+  loginFailures.delete(key);
+  audit(req, 'login_unlock', { target: lockLabel(key) });
+  return res.redirect('/auditoria/bloqueios?ok=' + encodeURIComponent('Desbloqueado.'));
+});
+
+// ====== A MINHA CONTA ======
+app.get('/conta', requireRole(ALL_ROLES), (req, res) => {
+  const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
+  const ok = req.query.ok === '1';
+  const courses = visibleCourses(req.user);
+  const sessions = db.prepare('SELECT * FROM session WHERE user_id = ? AND expires_at > ? ORDER BY last_seen_at DESC')
+                     .all(req.user.id, dayjs().toISOString());
+  const fmt = v => dayjs(v).format('DD/MM/YYYY HH:mm');
+  const sessionRows = sessions.map(x => `
+    <li class="flex flex-wrap items-center justify-between gap-2 border rounded-xl px-3 py-2">
+      <span>${escapeHtml((x.user_agent || 'Navegador desconhecido').slice(0, 80))}
+        <span class="block text-xs text-slate-500">Início ${fmt(x.created_at)} · última actividade ${fmt(x.last_seen_at)}${x.remember ? ` · mantida até ${fmt(x.expires_at)}` : ''}</span>
+      </span>
+      ${x.id === req.session.id ? '<span class="text-xs px-2 py-1 rounded-full bg-emerald-50 text-emerald-700">Esta sessão</span>' : `
+      <form method="POST" action="/conta/sessoes/${x.id}/terminar"><button class="btn btn-ghost">Terminar</button></form>`}
+    </li>`).join('');
+  const html = `
+    ${err ? `<p class="mb-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">${escapeHtml(err)}</p>` : ''}
+    ${ok ? '<p class="mb-4 p-3 rounded-xl border border-emerald-200 bg-emerald-50 text-sm text-emerald-700">Palavra-passe alterada.</p>' : ''}
+    <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div class="card text-sm space-y-1">
+        <p><b>Utilizador:</b> ${escapeHtml(req.user.username)}</p>
+        <p><b>Nome:</b> ${escapeHtml(req.user.name)}</p>
+        <p><b>Perfil:</b> ${ROLES[req.user.role]}</p>
+        ${req.user.role === 'coordinator' ? `<p><b>Cursos:</b> ${courses.map(c => escapeHtml(c.name)).join(', ')}</p>` : ''}
+      </div>
+      <div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Alterar palavra-passe</h2>
+        <form method="POST" action="/conta" class="space-y-2">
+          <input type="password" name="current" required autocomplete="current-password" placeholder="Palavra-passe actual" class="w-full border rounded-xl p-2" />
+          <input type="password" name="password" required minlength="${PASSWORD_MIN}" autocomplete="new-password" placeholder="Nova palavra-passe" class="w-full border rounded-xl p-2" />
+          <input type="password" name="confirm" required minlength="${PASSWORD_MIN}" autocomplete="new-password" placeholder="Repetir nova palavra-passe" class="w-full border rounded-xl p-2" />
+          <button class="btn btn-primary">Alterar</button>
+        </form>
+        <p class="mt-2 text-xs text-slate-500">Ao alterar a palavra-passe, as restantes sessões são terminadas.</p>
+      </div>
+    </div>
+    <div class="card mt-6">
+      <h2 class="text-lg font-semibold mb-2 text-left">Sessões activas</h2>
+      <ul class="text-sm space-y-2">${sessionRows}</ul>
+      ${sessions.length > 1 ? `
+      <form method="POST" action="/conta/sessoes/terminar" class="mt-3"><button class="btn btn-ghost">Terminar todas as outras sessões</button></form>` : ''}
+    </div>`;
+  res.send(renderPage('A minha conta', html, '', req.user));
+});
+
+app.post('/conta', requireRole(ALL_ROLES), (req, res) => {
+  const { current, password, confirm } = req.body;
+  const back = msg => res.redirect('/conta?e=' + encodeURIComponent(msg));
+  const row = db.prepare('SELECT password_hash FROM user WHERE id = ?').get(req.user.id);
+  if (!verifyPassword(current, row.password_hash)) return back('A palavra-passe actual está errada.');
+  if (String(password || '').length < PASSWORD_MIN) return back(`A palavra-passe tem de ter pelo menos ${PASSWORD_MIN} caracteres.`);
+  if (password !== confirm) return back('As palavras-passe não coincidem.');
+  db.prepare('UPDATE user SET password_hash = ? WHERE id = ?').run(hashPassword(password), req.user.id);
+  revokeUserSessions(req.user.id, req.session.id);
+  return res.redirect('/conta?ok=1');
+});
+
+app.post('/conta/sessoes/terminar', requireRole(ALL_ROLES), (req, res) => {
+  revokeUserSessions(req.user.id, req.session.id);
+  return res.redirect('/conta');
+});
+
+app.post('/conta/sessoes/:id/terminar', requireRole(ALL_ROLES), (req, res) => {
+  db.prepare('DELETE FROM session WHERE id = ? AND user_id = ?').run(req.params.id, req.user.id);
+  return res.redirect('/conta');
+});
+
+// ====== NOTIFICAÇÕES (UI / API) ======
+const NOTIFY_LEVEL_STYLE = {
+  info: 'border-slate-200 bg-white',
+  warning: 'border-amber-200 bg-amber-50',
+  error: 'border-rose-200 bg-rose-50',
+};
+
+app.get('/notificacoes', requireRole(ALL_ROLES), (req, res) => {
+  const unreadOnly = req.query.nao_lidas === '1';
+  const items = listNotifications(req.user, { limit: 200, unreadOnly });
+  const unread = unreadNotifications(req.user);
+  const fmt = v => dayjs(v).format('DD/MM/YYYY HH:mm');
+  const rows = items.map(n => `
+    <li class="flex flex-wrap items-start justify-between gap-2 border rounded-xl px-3 py-2 ${NOTIFY_LEVEL_STYLE[n.level] || ''} ${n.read_at ? 'opacity-60' : ''}">
+      <span class="flex-1 min-w-[12rem]">
+        <b>${escapeHtml(n.title)}</b>
+        ${n.body ? `<span class="block">${escapeHtml(n.body)}</span>` : ''}
+        <span class="block text-xs text-slate-500">${NOTIFY_LEVELS[n.level] || ''} · ${fmt(n.created_at)}${n.read_at ? ` · lida em ${fmt(n.read_at)}` : ''}</span>
+      </span>
+      <span class="flex gap-2">
+        ${n.link ? `<form method="POST" action="/notificacoes/${n.id}/lida"><input type="hidden" name="open" value="1" /><button class="btn btn-ghost">Abrir</button></form>` : ''}
+        ${n.read_at ? '' : `<form method="POST" action="/notificacoes/${n.id}/lida"><button class="btn btn-ghost">Marcar como lida</button></form>`}
+      </span>
+    </li>`).join('');
+  const html = `
+    <div class="flex flex-wrap items-center justify-between gap-2 mb-4 text-sm">
+      <div class="flex gap-2">
+        <a href="/notificacoes" class="nav-link ${unreadOnly ? '' : 'active'}">Todas</a>
+        <a href="/notificacoes?nao_lidas=1" class="nav-link ${unreadOnly ? 'active' : ''}">Não lidas (${unread})</a>
+      </div>
+      ${unread ? '<form method="POST" action="/notificacoes/lidas"><button class="btn btn-ghost">Marcar todas como lidas</button></form>' : ''}
+    </div>
+    ${items.length ? `<ul class="text-sm space-y-2">${rows}</ul>` : '<p class="text-slate-600">Sem notificações.</p>'}
+    <p class="mt-4 text-xs text-slate-500">As notificações são guardadas durante ${NOTIFY_KEEP_DAYS} dias.</p>`;
+  res.send(renderPage('Notificações', html, '', req.user));
+});
+
+app.post('/notificacoes/lidas', requireRole(ALL_ROLES), (req, res) => {
+  markNotificationsRead(req.user);
+  return res.redirect('/notificacoes');
+});
+
+app.post('/notificacoes/:id/lida', requireRole(ALL_ROLES), (req, res) => {
+  const id = Number(req.params.id) || 0;
+  markNotificationsRead(req.user, id);
+  const n = listNotifications(req.user, { limit: 1, id });
+  // Só ligações internas
+  if (req.body?.open === '1' && n[0]?.link && /^\/(?!\/)/.test(n[0].link)) return res.redirect(n[0].link);
+  return res.redirect('/notificacoes');
+});
+
+// Contador do sino (renderPage) e lista resumida
+app.get('/api/notifications', requireRole(ALL_ROLES), (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 50);
+  res.json({
+    count: unreadNotifications(req.user),
+    items: listNotifications(req.user, { limit, unreadOnly: req.query.unread === '1' }).map(n => ({ ...n, read: !!n.read_at })),
+  });
+});
+
+// { id } marca uma notificação; sem id marca todas
+app.post('/api/notifications/read', requireRole(ALL_ROLES), (req, res) => {
+  const id = req.body?.id === undefined || req.body?.id === null ? null : Number(req.body.id) || 0;
+  markNotificationsRead(req.user, id);
+  res.json({ count: unreadNotifications(req.user) });
+});
+
+// ====== MODERAÇÃO DE COMENTÁRIOS ======
+// Comentários e respostas de texto livre entram como 'pending'. Moderadores aprovam, editam (texto
+// com partes ocultas, guardado à parte; o original fica para auditoria) ou rejeitam. Relatórios,
+// dashboard, PDF e Excel só mostram texto aprovado ou editado (COMMENT_SQL, TEXT_ANSWER_SQL). Cada
+// acção fica registada.
+const MODERATOR_ROLES = ['admin', 'quality'];
+const COMMENT_STATUS = { pending: 'Pendente', approved: 'Aprovado', redacted: 'Editado', rejected: 'Rejeitado' };
+const MODERATION_ACTIONS = { approve: 'approved', redact: 'redacted', reject: 'rejected', reopen: 'pending' };
+const MODERATION_PAGE = 50;
+const REDACTED_MARK = '[removido]';
+// Colunas de cada tipo de texto moderado; response = coluna com o id da resposta
+const MODERATION_KINDS = {
+  comment: { table: 'survey_response', text: 'comment', status: 'comment_status', redacted: 'comment_redacted', response: 'id', max: 2000 },
+  answer: { table: 'survey_answer', text: 'text_value', status: 'text_status', redacted: 'text_redacted', response: 'response_id', max: TEXT_ANSWER_MAX },
+};
+// Fila: comentários e respostas de texto livre com as mesmas colunas
+const MODERATION_ITEMS_SQL = `
+  SELECT 'comment' AS kind, r.id, r.id AS response_id, NULL AS question_id, r.comment AS text, r.comment_redacted AS redacted,
+         r.comment_status AS status, r.moderated_at, r.moderated_by
+  FROM survey_response r WHERE ${HAS_COMMENT_SQL}
+  UNION ALL
+  SELECT 'answer', a.id, a.response_id, a.question_id, a.text_value, a.text_redacted, a.text_status, a.moderated_at, a.moderated_by
+  FROM survey_answer a WHERE ${HAS_TEXT_ANSWER_SQL}`;
+
+function moderateComment(user, kind, id, action, { text = '', note = '' } = {}) {
+  const k = MODERATION_KINDS[kind];
+  const status = MODERATION_ACTIONS[action];
+  if (!k || !status) throw new Error('Acção de moderação inválida.');
+  const row = db.prepare(`SELECT id, ${k.response} AS response_id, ${k.text} AS text, ${k.status} AS status FROM ${k.table}
+                          WHERE id = ? AND ${k.text} IS NOT NULL AND TRIM(${k.text}) <> ''`).get(id);
+  if (!row) throw new Error(kind === 'answer' ? 'Resposta de texto não encontrada.' : 'Comentário não encontrado.');
+  let redacted = null;
+  if (status === 'redacted') {
+    redacted = String(text || '').trim().slice(0, k.max);
+    if (!redacted) throw new Error('O texto editado não pode ficar vazio (use "Rejeitar").');
+    if (redacted === row.text.trim()) throw new Error('O texto editado é igual ao original (use "Aprovar").');
+  }
+  const now = dayjs().toISOString();
+  db.transaction(() => {
+    db.prepare(`UPDATE ${k.table} SET ${k.status} = ?, ${k.redacted} = ?, moderated_at = ?, moderated_by = ? WHERE id = ?`)
+      .run(status, redacted, status === 'pending' ? null : now, status === 'pending' ? null : user.id, row.id);
+    db.prepare(`INSERT INTO comment_moderation (response_id, answer_id, user_id, action, from_status, to_status, note, created_at) VALUES (?,?,?,?,?,?,?,?)`)
+      .run(row.response_id, kind === 'answer' ? row.id : null, user.id, action, row.status, status, String(note || '').trim().slice(0, 500) || null, now);
+  })();
+}
+
+// Um aviso por dia aos moderadores enquanto chegarem comentários ou respostas de texto novos
+function notifyPendingComments() {
+  const day = dayjs().format('YYYY-MM-DD');
+  notify({
+    kind: 'moderation', level: 'info', title: 'Comentários por moderar',
+    body: 'Há comentários ou respostas de texto livre novos à espera de moderação antes de serem publicados.',
+    link: '/moderacao', roles: MODERATOR_ROLES, key: `moderation:${day}`,
+  });
+}
+
+app.get('/moderacao', requireRole(MODERATOR_ROLES), (req, res) => {
+  const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
+  const status = COMMENT_STATUS[req.query.estado] ? req.query.estado : 'pending';
+  const page = Math.max(1, Number(req.query.p) || 1);
+  const counts = Object.fromEntries(db.prepare(`
+    SELECT m.status, COUNT(*) AS c FROM (${MODERATION_ITEMS_SQL}) m GROUP BY m.status
+  `).all().map(r => [r.status, r.c]));
+  const items = db.prepare(`
+    SELECT m.*, r.submitted_at, q.code AS question_code, q.text AS question,
+           d.name AS discipline, te.name AS teacher, co.name AS course, u.name AS moderator
+    FROM (${MODERATION_ITEMS_SQL}) m
+    JOIN survey_response r ON r.id = m.response_id
+    JOIN teaching t ON t.id = r.teaching_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN course co ON co.id = d.course_id
+    JOIN teacher te ON te.id = t.teacher_id
+    LEFT JOIN survey_question q ON q.id = m.question_id
+    LEFT JOIN user u ON u.id = m.moderated_by
+    WHERE m.status = ?
+    ORDER BY r.submitted_at ${status === 'pending' ? 'ASC' : 'DESC'}, m.response_id, m.kind DESC, m.id
+    LIMIT ? OFFSET ?
+  `).all(status, MODERATION_PAGE, (page - 1) * MODERATION_PAGE);
+  const total = counts[status] || 0;
+  const fmt = v => (v ? dayjs(v).format('DD/MM/YYYY') : '');
+
+  const rows = items.map(c => {
+    const action = c.kind === 'answer' ? `/moderacao/texto/${c.id}` : `/moderacao/${c.id}`;
+    return `
+    <li class="border rounded-xl px-3 py-2 space-y-2">
+      <div class="flex flex-wrap items-start justify-between gap-2">
+        <label class="flex items-start gap-2 flex-1 min-w-[14rem]">
+          ${status === 'pending' ? `<input type="checkbox" name="${c.kind === 'answer' ? 'answer_ids' : 'ids'}" value="${c.id}" form="bulkForm" class="mt-1" />` : ''}
+          <span>
+            <span class="block text-xs font-medium text-slate-600">${c.kind === 'answer' ? `${escapeHtml(c.question_code)} · ${escapeHtml(c.question)}` : 'Comentário'}</span>
+            <span class="block whitespace-pre-wrap">${escapeHtml(c.text)}</span>
+            ${c.status === 'redacted' ? `<span class="block mt-1 text-emerald-800 whitespace-pre-wrap"><b>Publicado:</b> ${escapeHtml(c.redacted)}</span>` : ''}
+            <span class="block text-xs text-slate-500">${escapeHtml(c.course)} · ${escapeHtml(c.discipline)} · ${escapeHtml(c.teacher)} · ${fmt(c.submitted_at)}${c.moderated_at ? ` · ${COMMENT_STATUS[c.status].toLowerCase()} por ${escapeHtml(c.moderator || '—')} em ${fmt(c.moderated_at)}` : ''}</span>
+          </span>
+        </label>
+        <span class="flex flex-wrap gap-2">
+          ${c.status !== 'approved' ? `<form method="POST" action="${action}"><input type="hidden" name="action" value="approve" /><button class="btn btn-primary">Aprovar</button></form>` : ''}
+          ${c.status !== 'rejected' ? `<form method="POST" action="${action}"><input type="hidden" name="action" value="reject" /><button class="btn btn-ghost">Rejeitar</button></form>` : ''}
+          ${c.status !== 'pending' ? `<form method="POST" action="${action}"><input type="hidden" name="action" value="reopen" /><button class="btn btn-ghost">Voltar a pendente</button></form>` : ''}
+        </span>
+      </div>
+      <details>
+        <summary class="text-sm cursor-pointer text-slate-600">Editar (ocultar partes)</summary>
+        <form method="POST" action="${action}" class="mt-2 space-y-2">
+          <input type="hidden" name="action" value="redact" />
+          <textarea name="text" rows="3" class="w-full border rounded-xl p-2 text-sm">${escapeHtml(c.redacted || c.text)}</textarea>
+          <input name="note" placeholder="Motivo (opcional)" class="w-full border rounded-xl p-2 text-sm" />
+          <span class="flex gap-2">
+            <button type="button" class="btn btn-ghost" data-redact>Ocultar selecção</button>
+            <button class="btn btn-primary">Publicar editado</button>
+          </span>
+        </form>
+      </details>
+    </li>`;
+  }).join('');
+
+  const pages = Math.max(1, Math.ceil(total / MODERATION_PAGE));
+  const html = `
+    <div class="flex flex-wrap items-center justify-between gap-2 mb-4 text-sm">
+      <div class="flex flex-wrap gap-2">
+        ${Object.entries(COMMENT_STATUS).map(([k, label]) => `<a href="/moderacao?estado=${k}" class="nav-link ${k === status ? 'active' : ''}">${label} (${counts[k] || 0})</a>`).join('')}
+      </div>
+      <a href="/moderacao/registo" class="nav-link">Registo de acções</a>
+    </div>
+    ${err ? `<p class="mb-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">${escapeHtml(err)}</p>` : ''}
+    ${status === 'pending' && items.length ? `
+      <form id="bulkForm" method="POST" action="/moderacao/lote" class="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <label class="inline-flex items-center gap-1"><input type="checkbox" id="allIds" /> Seleccionar todos</label>
+        <button name="action" value="approve" class="btn btn-primary">Aprovar seleccionados</button>
+        <button name="action" value="reject" class="btn btn-ghost">Rejeitar seleccionados</button>
+      </form>` : ''}
+    ${items.length ? `<ul class="text-sm space-y-2">${rows}</ul>` : '<p class="text-slate-600">Sem comentários nem respostas de texto neste estado.</p>'}
+    ${pages > 1 ? `<p class="mt-3 text-sm flex gap-2">${Array.from({ length: pages }, (_, i) => `<a class="nav-link ${i + 1 === page ? 'active' : ''}" href="/moderacao?estado=${status}&p=${i + 1}">${i + 1}</a>`).join('')}</p>` : ''}
+    <p class="mt-4 text-xs text-slate-500">Só comentários e respostas de texto livre aprovados ou editados aparecem nos relatórios, no dashboard, no PDF e no Excel. O texto original fica guardado e visível apenas aqui.</p>
+    <script>
+      document.querySelectorAll('[data-redact]').forEach(b => b.addEventListener('click', () => {
+        const ta = b.closest('form').querySelector('textarea');
+        if (ta.selectionStart === ta.selectionEnd) return;
+        ta.setRangeText(${JSON.stringify(REDACTED_MARK)}, ta.selectionStart, ta.selectionEnd, 'end');
+        ta.focus();
+      }));
+      document.getElementById('allIds')?.addEventListener('change', e => {
+        document.querySelectorAll('input[name="ids"], input[name="answer_ids"]').forEach(c => { c.checked = e.target.checked; });
+      });
+    </script>`;
+  res.send(renderPage('Moderação de comentários', html, '', req.user));
+});
+
+app.post('/moderacao/lote', requireRole(MODERATOR_ROLES), (req, res) => {
+  const list = name => [].concat(req.body?.[name] || []).map(Number).filter(Boolean);
+  const ids = list('ids'), answerIds = list('answer_ids');
+  const action = req.body?.action;
+  try {
+    if (!['approve', 'reject'].includes(action)) throw new Error('Acção de moderação inválida.');
+    if (!ids.length && !answerIds.length) throw new Error('Seleccione pelo menos um comentário ou resposta.');
+    ids.forEach(id => moderateComment(req.user, 'comment', id, action));
+    answerIds.forEach(id => moderateComment(req.user, 'answer', id, action));
+    return res.redirect('/moderacao');
+  } catch (e) {
+    return res.redirect('/moderacao?e=' + encodeURIComponent(e.message));
+  }
+});
+
+const moderateOne = kind => (req, res) => {
+  const back = req.get('Referer') && /\/moderacao(\?|$)/.test(req.get('Referer')) ? new URL(req.get('Referer')).search : '';
+  try {
+    moderateComment(req.user, kind, Number(req.params.id) || 0, req.body?.action, { text: req.body?.text, note: req.body?.note });
+    return res.redirect('/moderacao' + back);
+  } catch (e) {
+    return res.redirect('/moderacao?e=' + encodeURIComponent(e.message));
+  }
+};
+app.post('/moderacao/texto/:id', requireRole(MODERATOR_ROLES), moderateOne('answer'));
+app.post('/moderacao/:id', requireRole(MODERATOR_ROLES), moderateOne('comment'));
+
+app.get('/moderacao/registo', requireRole(MODERATOR_ROLES), (req, res) => {
+  const rows = db.prepare(`
+    SELECT m.*, u.name AS user_name, d.name AS discipline, te.name AS teacher, q.code AS question_code
+    FROM comment_moderation m
+    LEFT JOIN user u ON u.id = m.user_id
+    LEFT JOIN survey_answer a ON a.id = m.answer_id
+    LEFT JOIN survey_question q ON q.id = a.question_id
+    JOIN survey_response r ON r.id = m.response_id
+    JOIN teaching t ON t.id = r.teaching_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN teacher te ON te.id = t.teacher_id
+    ORDER BY m.id DESC
+    LIMIT 500
+  `).all();
+  const html = `
+    <p class="mb-4 text-sm"><a href="/moderacao" class="underline">← Moderação</a></p>
+    ${rows.length ? `
+    <div class="overflow-x-auto"><table class="w-full text-sm">
+      <thead><tr class="text-left text-slate-500"><th>Data</th><th>Utilizador</th><th>Texto</th><th>Estado</th><th>Motivo</th></tr></thead>
+      <tbody>${rows.map(m => `
+        <tr class="border-t">
+          <td class="py-2 pr-3 whitespace-nowrap">${dayjs(m.created_at).format('DD/MM/YYYY HH:mm')}</td>
+          <td class="py-2 pr-3">${escapeHtml(m.user_name || '—')}</td>
+          <td class="py-2 pr-3">#${m.response_id}${m.answer_id ? ` · ${escapeHtml(m.question_code || 'resposta')}` : ' · comentário'} <span class="text-xs text-slate-500">${escapeHtml(m.discipline)} · ${escapeHtml(m.teacher)}</span></td>
+          <td class="py-2 pr-3">${COMMENT_STATUS[m.from_status] || m.from_status} → <b>${COMMENT_STATUS[m.to_status] || m.to_status}</b></td>
+          <td class="py-2">${escapeHtml(m.note || '')}</td>
+        </tr>`).join('')}</tbody>
+    </table></div>
+    <p class="mt-2 text-xs text-slate-500">Últimas 500 acções.</p>` : '<p class="text-slate-600">Sem acções registadas.</p>'}`;
+  res.send(renderPage('Registo de moderação', html, '', req.user));
+});
+
+// ====== ANÁLISE DE COMENTÁRIOS (sentimento e temas, offline) ======
+// Léxico português incluído na aplicação, comparado por radicais (stemmer leve para PT):
+// "explicou", "explicação" e "explicar" contam como o mesmo termo. Expressões ("mal educado",
+// "pouco claro"…) valem como um só termo e têm prioridade sobre as palavras soltas. Negações
+// ("não", "nunca"…) invertem os 3 termos seguintes e intensificadores ("muito", "bastante"…) reforçam-nos.
+// Só analisa comentários publicados (moderação) de células libertadas.
+const SENTIMENT_POSITIVE = `
+  bem bom boa bons boas otimo excelente excecional fantastico espetacular incrivel perfeito brilhante
+  claro clara clareza acessivel disponivel disponibilidade atencioso prestavel simpatico educado respeito respeitador
+  paciente paciencia dedicado dedicacao empenhado empenho motivado motivador motivacao interessante dinamico
+  competente competencia profissional rigoroso justo justa organizado organizada pontual assiduo
+  util uteis pratico ajuda ajudou ajudar apoio apoia apoiou gosto gostei adorei aprendi aprender entendi percebi
+  compreensivel compreensivo domina dominio conhecimento sabe inspirador recomendo parabens obrigado obrigada
+  melhor excelencia cuidadoso detalhado eficaz eficiente agradavel positivo satisfeito feliz
+`;
+const SENTIMENT_NEGATIVE = `
+  mau ma maus pessimo horrivel terrivel fraco fraca fraquissimo mediocre
+  confuso confusa confusao dificil complicado complicada incompreensivel aborrecido chato monotono cansativo
+  atraso atrasado atrasa atrasou falta faltas faltou falha falhou ausente ausencia
+  desorganizado desorganizada desorganizacao injusto injusta arrogante arrogancia rude grosseiro
+  desrespeito desrespeitoso impaciente indisponivel inacessivel ignora ignorou desinteressado desmotivado desmotivador
+  pior piores problema problemas reclamacao queixa insuficiente inadequado inutil
+  mal perdido perdidos nervoso medo stress pressao humilha humilhou ofensivo
+`;
+// Expressões (separadas por vírgulas), comparadas palavra a palavra pelos radicais
+const SENTIMENT_PHRASES_POSITIVE = `
+  bem educado, bem preparado, bem preparada, bem organizado, bem organizada, bem explicado, bem explicada, vale a pena
+`;
+const SENTIMENT_PHRASES_NEGATIVE = `
+  mal educado, mal educada, mal preparado, mal preparada, mal organizado, mal organizada, mal explicado, mal explicada,
+  falta de respeito, falta de paciencia, pouco claro, pouco clara, pouco disponivel, muito rapido, rapido demais, demasiado rapido
+`;
+const SENTIMENT_NEGATORS = new Set(['nao', 'nunca', 'nem', 'sem', 'jamais', 'nenhum', 'nenhuma']);
+const SENTIMENT_BOOSTERS = new Set(['muito', 'muita', 'muitos', 'muitas', 'bastante', 'super', 'extremamente', 'demasiado', 'demasiada', 'tao', 'sempre', 'imenso', 'totalmente']);
+const COMMENT_THEMES = {
+  pontualidade: { label: 'Pontualidade', words: 'pontual pontualidade atraso atrasado atrasa tarde horario hora horas cedo chegar chega chegou' },
+  assiduidade: { label: 'Assiduidade', words: 'assiduo assiduidade falta faltas faltou ausente ausencia presente comparece aparece' },
+  avaliacao: { label: 'Avaliação', words: 'avaliacao avaliar avalia teste testes exame exames nota notas frequencia correcao corrigir criterio criterios trabalho trabalhos pauta' },
+  metodologia: { label: 'Metodologia', words: 'metodologia metodo explicacao explica explicar exemplo exemplos pratica praticas exercicio exercicios didatica ensina ensinar ritmo rapido' },
+  comunicacao: { label: 'Comunicação', words: 'comunicacao comunica respeito respeitador educado arrogante rude duvida duvidas disponivel disponibilidade atencao atencioso paciente paciencia ouvir ouve' },
+  materiais: { label: 'Materiais', words: 'material materiais apontamentos sebenta slides slide bibliografia livro livros plataforma documento documentos ficha fichas' },
+  organizacao: { label: 'Organização', words: 'organizado organizacao desorganizado programa planeamento plano conteudo conteudos cronograma calendario sumario' },
+  dominio: { label: 'Domínio da matéria', words: 'conhecimento domina dominio sabe competente competencia materia experiencia' },
+};
+const COMMENT_STOPWORDS = new Set(`a o os as de da do das dos e em no na nos nas um uma uns umas que com por para ao aos a as se sem sao ser foi era
+  eram ja sua seu suas seus mais menos muito muita muitos muitas tambem como mas ou me te lhe lhes nos vos isso isto esse essa este esta
+  ele ela eles elas eu tu voce voces ha tem ter teve esta estao estava sobre entre ate quando onde porque pois so nao sim aula aulas
+  professor professora docente disciplina cadeira`.split(/\s+/).filter(Boolean));
+
+// Radical aproximado (sem acentos, plurais, advérbios em -mente e sufixos comuns)
+const STEM_SUFFIXES = ['amentos', 'imentos', 'amento', 'imento', 'acoes', 'icoes', 'adoras', 'adores', 'adora', 'ador', 'acao', 'icao',
+  'ancia', 'encia', 'idade', 'avel', 'ivel', 'ista', 'ismo', 'osos', 'osas', 'oso', 'osa', 'ante', 'ando', 'endo', 'indo',
+  'aram', 'eram', 'iram', 'avam', 'ava', 'iam', 'ados', 'adas', 'idos', 'idas', 'ado', 'ada', 'ido', 'ida', 'ar', 'er', 'ir', 'ou', 'ei', 'eu', 'iu'];
+function normalizeWord(w) {
+  return String(w || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+function stemPt(word) {
+  let w = normalizeWord(word);
+  if (w.length <= 3) return w;
+  if (/[oa]es$/.test(w)) w = w.slice(0, -3) + 'ao';
+  else if (/ais$/.test(w)) w = w.slice(0, -2) + 'l';
+  else if (/eis$/.test(w) && w.length > 5) w = w.slice(0, -3) + 'el';
+  else if (/ns$/.test(w)) w = w.slice(0, -2) + 'm';
+  else if (/[rz]es$/.test(w)) w = w.slice(0, -2);
+  else if (/s$/.test(w) && w.length > 4) w = w.slice(0, -1);
+  if (/mente$/.test(w) && w.length > 8) w = w.slice(0, -5);
+  const suf = STEM_SUFFIXES.find(s => w.endsWith(s) && w.length - s.length >= 4);
+  if (suf) w = w.slice(0, -suf.length);
+  if (w.length > 4) w = w.replace(/[aeo]$/, '');
+  return w;
+}
+const stemSet = text => new Set(text.split(/\s+/).filter(Boolean).map(stemPt));
+const LEXICON = (() => {
+  const map = new Map();
+  stemSet(SENTIMENT_POSITIVE).forEach(s => map.set(s, 1));
+  stemSet(SENTIMENT_NEGATIVE).forEach(s => map.set(s, -1));
+  return map;
+})();
+const PHRASES = [[SENTIMENT_PHRASES_POSITIVE, 1], [SENTIMENT_PHRASES_NEGATIVE, -1]]
+  .flatMap(([list, pol]) => list.split(',').map(p => p.trim()).filter(Boolean).map(p => ({ stems: p.split(/\s+/).map(stemPt), pol })))
+  .sort((a, b) => b.stems.length - a.stems.length);
+const THEME_STEMS = Object.fromEntries(Object.entries(COMMENT_THEMES).map(([k, t]) => [k, stemSet(t.words)]));
+
+// Palavras em minúsculas (forma original, para mostrar) sem e-mails nem endereços web
+function tokenizePt(text) {
+  return String(text || '').toLowerCase()
+    .replace(/\S+@\S+\.\S+/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// { score (-1..1), label: positive|neutral|negative, themes: [chave], stems: [radicais significativos] }
+function analyzeComment(text) {
+  const tokens = tokenizePt(text).map(word => ({ word, tok: normalizeWord(word), stem: stemPt(word) }));
+  let sum = 0, negate = 0, boost = 1;
+  const themes = new Set(), stems = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const phrase = PHRASES.find(p => p.stems.every((st, k) => tokens[i + k]?.stem === st));
+    // Negações e intensificadores no início de uma expressão ("muito rápido") fazem parte dela
+    if (!phrase && SENTIMENT_NEGATORS.has(tokens[i].tok)) { negate = 3; continue; }
+    if (!phrase && SENTIMENT_BOOSTERS.has(tokens[i].tok)) { boost = 1.5; continue; }
+    const words = tokens.slice(i, i + (phrase ? phrase.stems.length : 1));
+    words.forEach(({ word, tok, stem }) => {
+      Object.entries(THEME_STEMS).forEach(([k, set]) => { if (set.has(stem)) themes.add(k); });
+      if (tok.length >= 3 && !COMMENT_STOPWORDS.has(tok)) stems.push({ stem, word });
+    });
+    const pol = phrase ? phrase.pol : LEXICON.get(tokens[i].stem);
+    if (pol) { sum += pol * boost * (negate > 0 ? -1 : 1); boost = 1; }
+    if (negate > 0) negate--;
+    i += words.length - 1;
+  }
+  const score = sum / Math.sqrt(sum * sum + 4);
+  return { score, label: score >= 0.2 ? 'positive' : score <= -0.2 ? 'negative' : 'neutral', themes: [...themes], stems };
+}
+
+const SENTIMENT_LABELS = { positive: 'Positivo', neutral: 'Neutro', negative: 'Negativo' };
+
+// Análise agregada dos comentários do âmbito: resumo, temas, palavras-chave e contagens por
+// docente, curso e período (ano lectivo × semestre)
+function commentAnalysis(f) {
+  const rows = db.prepare(`
+    SELECT ${COMMENT_SQL} AS comment, te.id AS teacher_id, te.name AS teacher, co.id AS course_id, co.name AS course,
+           t.school_year_id, sy.name AS school_year, t.semester_id, s.name AS semester
+    FROM survey_response r
+    JOIN teaching t ON t.id = r.teaching_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN course co ON co.id = d.course_id
+    JOIN teacher te ON te.id = t.teacher_id
+    JOIN semester s ON s.id = t.semester_id
+    LEFT JOIN school_year sy ON sy.id = t.school_year_id
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+    WHERE ${PUBLISHED_COMMENT_SQL} AND ${SCOPE_SQL} AND ${RELEASED_SQL}
+    ORDER BY sy.name, s.id
+  `).all(f);
+
+  const blank = () => ({ n: 0, positive: 0, neutral: 0, negative: 0, sum: 0, themes: {} });
+  const tally = (acc, a) => {
+    acc.n++; acc[a.label]++; acc.sum += a.score;
+    a.themes.forEach(t => { acc.themes[t] = (acc.themes[t] || 0) + 1; });
+  };
+  const done = ({ sum, ...acc }) => ({ ...acc, avg: acc.n ? sum / acc.n : null });
+  const total = blank();
+  const themes = Object.fromEntries(Object.keys(COMMENT_THEMES).map(k => [k, { n: 0, positive: 0, neutral: 0, negative: 0 }]));
+  const groups = { teachers: new Map(), courses: new Map(), periods: new Map() };
+  const words = new Map();
+  const group = (map, key, name) => (map.get(key) || map.set(key, { name, ...blank() }).get(key));
+
+  rows.forEach(r => {
+    const a = analyzeComment(r.comment);
+    tally(total, a);
+    a.themes.forEach(t => { themes[t].n++; themes[t][a.label]++; });
+    tally(group(groups.teachers, r.teacher_id, r.teacher), a);
+    tally(group(groups.courses, r.course_id, r.course), a);
+    tally(group(groups.periods, `${r.school_year_id ?? ''}:${r.semester_id}`, `${r.school_year || 'Sem ano'} · ${r.semester}`), a);
+    new Set(a.stems.map(s => s.stem)).forEach(stem => {
+      const w = words.get(stem) || words.set(stem, { count: 0, forms: new Map() }).get(stem);
+      w.count++;
+    });
+    a.stems.forEach(s => { const forms = words.get(s.stem).forms; forms.set(s.word, (forms.get(s.word) || 0) + 1); });
+  });
+
+  const list = map => [...map.values()].map(done);
+  return {
+    n: total.n,
+    summary: done(total),
+    themes: Object.entries(themes).map(([key, t]) => ({ key, label: COMMENT_THEMES[key].label, ...t })).sort((a, b) => b.n - a.n),
+    keywords: [...words.values()].filter(w => w.count > 1 || rows.length < 20)
+      .sort((a, b) => b.count - a.count).slice(0, 30)
+      .map(w => ({ term: [...w.forms].sort((a, b) => b[1] - a[1])[0][0], count: w.count })),
+    teachers: list(groups.teachers).sort((a, b) => b.n - a.n),
+    courses: list(groups.courses).sort((a, b) => b.n - a.n),
+    periods: list(groups.periods),
+  };
+}
+
+// ====== IMPORTAÇÃO / BACKUP / RESTAURO (UI) ======
+app.get('/importar', requireRole(['admin']), (req, res) => {
+  const err = typeof req.query.e === 'string' && req.query.e.trim() ? req.query.e : '';
+  const ok = typeof req.query.ok === 'string' && req.query.ok.trim() ? req.query.ok : '';
+  const backups = listBackups();
+  const fmt = v => dayjs(v).format('DD/MM/YYYY HH:mm');
+  const runOf = db.prepare("SELECT * FROM backup_run WHERE file = ? AND status = 'ok' ORDER BY id DESC LIMIT 1");
+  const listHtml = backups.length
+    ? `<ul class="text-sm space-y-1">${backups.map(b => {
+        const run = b.name.endsWith('.sqlite') ? runOf.get(b.name) : null;
+        return `
+        <li class="border rounded-xl px-3 py-2">
+          <div class="flex items-center justify-between gap-2">
+            <span>${b.name} <span class="text-xs text-slate-500">(${new Date(b.mtime).toLocaleString()})</span></span>
+            <span class="flex gap-1">
+              ${b.name.endsWith('.sqlite') ? `<form method="POST" action="/backup/verify"><input type="hidden" name="file" value="${escapeHtml(b.name)}"/><button class="btn btn-ghost">Verificar</button></form>` : ''}
+              <a class="btn btn-primary" href="/backup/download?file=${encodeURIComponent(b.name)}">Descarregar</a>
+            </span>
+          </div>
+          ${run ? `<div class="text-xs text-slate-500 mt-1">${BACKUP_SOURCES[run.source]} · integridade ${escapeHtml(run.integrity)} · SHA-256 <code title="${run.sha256}">${run.sha256.slice(0, 16)}…</code></div>` : ''}
+        </li>`; }).join('')}</ul>`
+    : `<p class="text-sm text-slate-600">Sem backups guardados ainda.</p>`;
+
+  const runs = db.prepare('SELECT * FROM backup_run ORDER BY id DESC LIMIT 10').all();
+  const restores = db.prepare('SELECT * FROM restore_run ORDER BY id DESC LIMIT 5').all();
+  const lastOk = db.prepare("SELECT * FROM backup_run WHERE status = 'ok' ORDER BY id DESC LIMIT 1").get();
+  const next = nextBackupAt();
+  const status = `
+    <div class="card mt-6">
+      <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h2 class="text-lg font-semibold text-left">Backups automáticos</h2>
+        ${runs[0] ? `<span class="text-xs px-2 py-1 rounded-full ${runs[0].status === 'ok' ? 'bg-emerald-50 text-emerald-700' : 'bg-rose-50 text-rose-700'}">Último: ${runs[0].status === 'ok' ? 'concluído' : 'falhou'}</span>` : ''}
+      </div>
+      <div class="grid grid-cols-1 md:grid-cols-4 gap-3 text-sm mb-3">
+        <div><div class="text-xs text-slate-500">Agendamento</div>${scheduleText()}</div>
+        <div><div class="text-xs text-slate-500">Próximo</div>${next ? fmt(next) : '—'}</div>
+        <div><div class="text-xs text-slate-500">Último backup válido</div>${lastOk ? `${fmt(lastOk.finished_at)} (${BACKUP_SOURCES[lastOk.source].toLowerCase()})` : '—'}</div>
+        <div><div class="text-xs text-slate-500">Retenção</div>${retentionText()}</div>
+      </div>
+      ${runs.length ? `
+      <div class="overflow-x-auto"><table class="w-full text-sm">
+        <thead><tr class="text-left text-slate-500 text-xs"><th class="py-1">Início</th><th>Origem</th><th>Ficheiro</th><th>Tamanho</th><th>Integridade</th><th>Estado</th></tr></thead>
+        <tbody>${runs.map(r => `
+          <tr class="border-t">
+            <td class="py-1">${fmt(r.started_at)}</td>
+            <td>${BACKUP_SOURCES[r.source]}</td>
+            <td><code class="text-xs">${escapeHtml(r.file || '')}</code></td>
+            <td>${r.size != null ? `${(r.size / 1024).toFixed(0)} KB` : '—'}</td>
+            <td>${escapeHtml(r.integrity || '—')}</td>
+            <td>${r.status === 'ok' ? '<span class="text-emerald-700">OK</span>' : `<span class="text-rose-700" title="${escapeHtml(r.error || '')}">Falhou</span> <span class="text-xs text-slate-500">${escapeHtml((r.error || '').slice(0, 80))}</span>`}</td>
+          </tr>`).join('')}</tbody>
+      </table></div>` : '<p class="text-sm text-slate-600">Ainda não foi feito nenhum backup.</p>'}
+      <p class="mt-2 text-xs text-slate-500">Configuração em <code>.env</code>: BACKUP_SCHEDULE (off, daily, weekly, custom), BACKUP_TIME, BACKUP_WEEKDAY, BACKUP_INTERVAL_HOURS e BACKUP_KEEP_DAILY_DAYS / _WEEKLY_WEEKS / _MONTHLY_MONTHS. Cada backup passa por <code>PRAGMA integrity_check</code> e fica com o checksum SHA-256 registado.</p>
+    </div>`;
+
+  const html = `
+  ${err ? `<p class="mb-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">${escapeHtml(err)}</p>` : ''}
+  ${ok ? `<p class="mb-4 p-3 rounded-xl border border-emerald-200 bg-emerald-50 text-sm text-emerald-700">${escapeHtml(ok)}</p>` : ''}
+  <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+    <!-- Importar Excel -->
+    <div class="card">
+      <h2 class="text-lg font-semibold mb-2 text-left">Importar Excel</h2>
+      <form method="POST" action="/importar" enctype="multipart/form-data" class="space-y-3">
+        <p class="text-sm"><b>Área restrita a administradores.</b><br/>Carregue um Excel com folhas: <b>cursos</b> (name), <b>docentes</b> (name), <b>disciplinas</b> (course, name) e <b>leccionacao</b> (course, discipline, teacher, year, semester, class_group, enrolled), ou um ZIP com um CSV por folha (<code>cursos.csv</code>, …).<br/><span class="text-slate-500">enrolled = n.º de estudantes inscritos (opcional; usado na taxa de resposta).</span></p>
+        <p class="text-sm">Modelo: <a class="underline" href="/importar/modelo">Excel (.xlsx)</a> · <a class="underline" href="/importar/modelo?formato=csv">ZIP de CSV</a></p>
+        <label class="inline-flex items-center gap-2 text-sm"><input type="checkbox" name="wipe_all" /><span>Substituir dados antigos</span></label>
+        <p class="text-xs text-slate-500">"Substituir" apaga também as respostas. Para corrigir registos individuais use <a class="underline" href="/dados">Dados mestre</a>.</p>
+        <input type="file" name="file" accept=".xlsx,.zip" required />
+        <button class="btn btn-primary">Importar</button>
+      </form>
+    </div>
+
+    <!-- Backup -->
+    <div class="card">
+      <h2 class="text-lg font-semibold mb-2 text-left">Backup da Base de Dados</h2>
+      <form method="POST" action="/backup" class="space-y-3">
         <p class="text-sm text-slate-600">Cria um ficheiro <code>.sqlite</code> e <code>.sqlite.gz</code> em <code>${process.env.BACKUPS_DIR || 'backups'}</code>.</p>
         <button class="btn btn-primary">Criar backup agora</button>
       </form>
@@ -1568,7 +5298,7 @@ app.get('/importar', requireAuth, (req, res) => {
     <span>Apagar todos os backups</span>
   </label>
   <button class="btn btn-ghost">Limpar backups antigos</button>
-  <p class="text-xs text-slate-500">Sem o visto, mantém apenas os ${Number(process.env.BACKUPS_MAX || 10)} mais recentes.</p>
+  <p class="text-xs text-slate-500">Sem o visto, aplica a retenção: ${retentionText()}.</p>
 </form>
 
       <hr class="my-3"/>
@@ -1580,208 +5310,577 @@ app.get('/importar', requireAuth, (req, res) => {
     <div class="card">
       <h2 class="text-lg font-semibold mb-2 text-left">Restaurar de um Backup</h2>
       <form method="POST" action="/restore" enctype="multipart/form-data" class="space-y-3">
-        <p class="text-sm text-slate-600">Selecione um ficheiro <code>.sqlite</code> criado pelo sistema (ou descarregado daqui).</p>
+        <p class="text-sm text-slate-600">Selecione um ficheiro <code>.sqlite</code> criado pelo sistema (ou descarregado daqui). Antes de aplicar verá as linhas por tabela e os conflitos.</p>
         <input type="file" name="backup" accept=".sqlite" required />
-        <label class="inline-flex items-center gap-2 text-sm"><input type="checkbox" name="wipe_all" checked /><span>Substituir dados atuais (recomendado)</span></label>
-        <button class="btn btn-primary">Restaurar</button>
+        <div class="text-sm space-y-1">
+          <label class="flex items-start gap-2"><input type="radio" name="mode" value="replace" checked class="mt-1" /><span><b>Substituir</b> os dados actuais (recomendado)</span></label>
+          <label class="flex items-start gap-2"><input type="radio" name="mode" value="merge" class="mt-1" /><span><b>Juntar</b> aos dados actuais: cursos, docentes, etc. com o mesmo nome são reaproveitados e o resto recebe ids novos</span></label>
+        </div>
+        <button class="btn btn-primary">Pré-visualizar</button>
       </form>
-      <p class="mt-2 text-xs text-slate-500">O restauro ocorre em transação, sem reiniciar o servidor.</p>
+      <p class="mt-2 text-xs text-slate-500">O restauro ocorre em transação, sem reiniciar o servidor, e é precedido de um backup automático que permite desfazê-lo.</p>
+      ${restores.length ? `
+      <hr class="my-3"/>
+      <h3 class="font-medium mb-2">Restauros recentes</h3>
+      <ul class="text-sm space-y-1">${restores.map((r, i) => `
+        <li class="flex items-center justify-between gap-2 border rounded-xl px-3 py-2">
+          <span>${fmt(r.created_at)} · ${r.rollback_of ? 'Desfazer' : RESTORE_MODES[r.mode]} · <code class="text-xs">${escapeHtml(r.file || '')}</code>
+            ${r.rolled_back_at ? `<span class="block text-xs text-slate-500">Desfeito em ${fmt(r.rolled_back_at)}</span>` : ''}</span>
+          ${i === 0 && !r.rolled_back_at && r.backup_file ? `<form method="POST" action="/restore/${r.id}/desfazer" onsubmit="return confirm('Repor os dados do backup ${escapeHtml(r.backup_file)}?')"><button class="btn btn-ghost">Desfazer</button></form>` : ''}
+        </li>`).join('')}</ul>` : ''}
     </div>
-  </div>`;
+  </div>
+  ${status}`;
 
-  res.send(renderPage('Importar / Backup / Restauro', html, '', (req.cookies && req.cookies.ispt_admin==='1')));
+  res.send(renderPage('Importar / Backup / Restauro', html, '', req.user));
 });
 
-// ====== IMPORTAÇÃO: POST /importar ======
-app.post('/importar', requireAuth, upload.single('file'), async (req, res) => {
-    try {
-      // só Admin pode importar (se tiver roles, troque para requireRole(['admin']))
-      const role = req.cookies?.role || null;
-      if (role !== 'admin' && req.cookies?.ispt_admin !== '1') {
-        const html = `
-          <div class="text-center space-y-2">
-            <h2 class="text-xl font-semibold">Acesso negado (403)</h2>
-            <p class="text-slate-600">O seu perfil não tem permissões para esta área.</p>
-            <a href="/" class="btn btn-primary mt-2">Voltar ao início</a>
-          </div>`;
-        return res.status(403).send(renderPage('Acesso negado', html, '', role || (req.cookies?.ispt_admin==='1')));
-      }
-  
-      if (!req.file) {
-        return res.send(renderPage('Importar Excel', `<p class="text-red-600">Selecione um ficheiro .xlsx.</p><a class="underline" href="/importar">Voltar</a>`, '', role));
-      }
-  
-      const wipeAll = req.body.wipe_all === 'on';
-  
-      // Ler Excel da memória
-      const wb = new ExcelJS.Workbook();
-      await wb.xlsx.load(req.file.buffer);
-  
-      const getSheet = (name) => wb.worksheets.find(ws => (ws.name || '').toLowerCase() === name);
-      const shCursos       = getSheet('cursos');
-      const shDocentes     = getSheet('docentes');
-      const shDisciplinas  = getSheet('disciplinas');
-      const shLeccionacao  = getSheet('leccionacao');
-  
-      if (!shCursos || !shDocentes || !shDisciplinas || !shLeccionacao) {
-        const msg = `Faltam folhas obrigatórias: cursos, docentes, disciplinas, leccionacao.`;
-        return res.send(renderPage('Importar Excel', `<p class="text-red-600">${msg}</p><a class="underline" href="/importar">Voltar</a>`, '', role));
-      }
-  
-      // Transação
-      const trx = db.transaction(() => {
-        if (wipeAll) {
-          db.exec(`
-            DELETE FROM survey_answer;
-            DELETE FROM survey_response;
-            DELETE FROM teaching;
-            DELETE FROM discipline;
-            DELETE FROM teacher;
-            DELETE FROM course;
-            -- tabelas auxiliares ficam como estão (semester, school_year, class_group, survey_question)
-          `);
+// ====== IMPORTAÇÃO: pré-visualização + confirmação ======
+// 1) POST /importar lê o Excel e mostra o que seria criado, actualizado ou ignorado (com linha e
+//    motivo), sem escrever nada; o ficheiro fica pendente em memória durante IMPORT_TTL_MINUTES.
+// 2) POST /importar/confirmar volta a planear sobre o estado actual da BD e aplica numa transação.
+const IMPORT_SHEETS = {
+  cursos: ['name'],
+  docentes: ['name'],
+  disciplinas: ['course', 'name'],
+  leccionacao: ['course', 'discipline', 'teacher', 'year', 'semester', 'class_group', 'enrolled'],
+};
+const IMPORT_TTL_MINUTES = 30;
+const IMPORT_MAX_PENDING = 20;
+const IMPORT_ACTIONS = { create: 'Criar', update: 'Actualizar', exists: 'Sem alterações', skip: 'Ignorada' };
+const pendingImports = new Map(); // token -> { buffer, wipeAll, userId, createdAt }
+
+function prunePendingImports() {
+  const limit = dayjs().subtract(IMPORT_TTL_MINUTES, 'minute');
+  for (const [token, p] of pendingImports) if (p.createdAt.isBefore(limit)) pendingImports.delete(token);
+  while (pendingImports.size >= IMPORT_MAX_PENDING) pendingImports.delete(pendingImports.keys().next().value);
+}
+function getPendingImport(req, token) {
+  const p = pendingImports.get(String(token || ''));
+  if (!p || p.userId !== req.user.id || p.createdAt.isBefore(dayjs().subtract(IMPORT_TTL_MINUTES, 'minute'))) return null;
+  return p;
+}
+
+// Texto de uma célula do ExcelJS (fórmulas, hiperligações e texto formatado incluídos)
+function cellText(v) {
+  if (v == null) return '';
+  if (v instanceof Date) return dayjs(v).format('YYYY-MM-DD');
+  if (typeof v === 'object') {
+    if (v.richText) return v.richText.map(t => t.text).join('');
+    return cellText(v.text ?? v.result ?? '');
+  }
+  return String(v);
+}
+
+// CSV (RFC 4180) com separador ; ou , detectado na primeira linha; UTF-8 ou, em alternativa, Latin-1
+function parseCsv(buffer) {
+  let text;
+  try { text = new TextDecoder('utf-8', { fatal: true }).decode(buffer); } catch { text = Buffer.from(buffer).toString('latin1'); }
+  text = text.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && !field) quoted = true;
+    else if (ch === sep) { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+// Descomprime cada entrada em stream só para a medir: pára ao passar IMPORT_MAX_INFLATED_MB no total,
+// antes de o .xlsx ou os CSV serem carregados em memória (ZIPs com taxas de compressão absurdas)
+async function checkInflatedSize(zip) {
+  const max = IMPORT_MAX_INFLATED_MB * 1024 * 1024;
+  let total = 0;
+  for (const file of Object.values(zip.files).filter(f => !f.dir)) {
+    await new Promise((resolve, reject) => {
+      const stream = file.internalStream('uint8array');
+      stream.on('data', chunk => {
+        total += chunk.length;
+        if (total > max) {
+          stream.pause();
+          reject(new Error(`O conteúdo descomprimido do ficheiro passa de ${IMPORT_MAX_INFLATED_MB} MB.`));
         }
-  
-        // Helpers
-        const insCourse   = db.prepare('INSERT OR IGNORE INTO course (name) VALUES (?)');
-        const insTeacher  = db.prepare('INSERT OR IGNORE INTO teacher (name) VALUES (?)');
-        const getCourseId = db.prepare('SELECT id FROM course WHERE name=?');
-        const getTeachId  = db.prepare('SELECT id FROM teacher WHERE name=?');
-        const insDisc     = db.prepare('INSERT OR IGNORE INTO discipline (course_id, name) VALUES (?,?)');
-        const getDisc     = db.prepare('SELECT id FROM discipline WHERE course_id=? AND name=?');
-  
-        // Cursos (coluna: name)
-        shCursos.eachRow((row, idx) => {
-          if (idx === 1) return; // header
-          const name = String(row.getCell(1).value || '').trim();
-          if (name) insCourse.run(name);
-        });
-  
-        // Docentes (coluna: name)
-        shDocentes.eachRow((row, idx) => {
-          if (idx === 1) return;
-          const name = String(row.getCell(1).value || '').trim();
-          if (name) insTeacher.run(name);
-        });
-  
-        // Disciplinas (colunas: course, name)
-        shDisciplinas.eachRow((row, idx) => {
-          if (idx === 1) return;
-          const courseName = String(row.getCell(1).value || '').trim();
-          const discName   = String(row.getCell(2).value || '').trim();
-          if (!courseName || !discName) return;
-          insCourse.run(courseName); // garante curso
-          const course = getCourseId.get(courseName);
-          if (course?.id) insDisc.run(course.id, discName);
-        });
-  
-        // Leccionação (colunas: course, discipline, teacher, year, semester, class_group)
-        const insTeach = db.prepare('INSERT OR IGNORE INTO teaching (teacher_id, discipline_id, semester_id, school_year_id, class_group_id) VALUES (?,?,?,?,?)');
-  
-        const getSemester = db.prepare('SELECT id FROM semester WHERE name=?');
-        const getYear     = db.prepare('SELECT id FROM school_year WHERE name=?');
-        const getClass    = db.prepare('SELECT id FROM class_group WHERE name=?');
-  
-        shLeccionacao.eachRow((row, idx) => {
-          if (idx === 1) return;
-          const courseName = String(row.getCell(1).value || '').trim();
-          const discName   = String(row.getCell(2).value || '').trim();
-          const teachName  = String(row.getCell(3).value || '').trim();
-          const yearName   = String(row.getCell(4).value || '').trim();
-          const semName    = String(row.getCell(5).value || '').trim();
-          const className  = String(row.getCell(6).value || '').trim();
-  
-          if (!courseName || !discName || !teachName || !semName) return;
-  
-          // garantir curso/disciplinas/docentes
-          insCourse.run(courseName);
-          insTeacher.run(teachName);
-          const course = getCourseId.get(courseName);
-          if (!course?.id) return;
-  
-          insDisc.run(course.id, discName);
-          const disc = getDisc.get(course.id, discName);
-          const teach = getTeachId.get(teachName);
-  
-          const semester = getSemester.get(semName);
-          const year     = yearName ? getYear.get(yearName) : null;
-          const klass    = className ? getClass.get(className) : null;
-  
-          if (teach?.id && disc?.id && semester?.id) {
-            insTeach.run(
-              teach.id,
-              disc.id,
-              semester.id,
-              year?.id || null,
-              klass?.id || null
-            );
-          }
-        });
+      }).on('error', reject).on('end', resolve).resume();
+    });
+  }
+}
+
+// { folha: [{ row, cells: [...] }] } a partir de um .xlsx ou de um ZIP com <folha>.csv;
+// lança Error se faltar alguma folha ou se o conteúdo descomprimido for grande demais. A linha 1 é o cabeçalho.
+async function readImportFile(buffer) {
+  const sheets = {};
+  const add = (name, cols, rowNo, values) => {
+    const cells = cols.map((_, i) => String(values[i] ?? '').trim());
+    if (cells.some(Boolean)) sheets[name].push({ row: rowNo, cells });
+  };
+  let zip;
+  try { zip = await JSZip.loadAsync(buffer); } catch { throw new Error('O ficheiro não é um .xlsx nem um .zip válido.'); }
+  await checkInflatedSize(zip);
+
+  if (zip.file('[Content_Types].xml')) {
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(buffer);
+    Object.entries(IMPORT_SHEETS).forEach(([name, cols]) => {
+      const ws = wb.worksheets.find(w => (w.name || '').trim().toLowerCase() === name);
+      if (!ws) return;
+      sheets[name] = [];
+      ws.eachRow((row, idx) => {
+        if (idx > 1) add(name, cols, idx, cols.map((_, i) => cellText(row.getCell(i + 1).value)));
       });
-  
-      trx(); // executa
-  
-      const ok = `
-        <div class="space-y-2">
-          <h2 class="text-xl font-semibold">Importação concluída</h2>
-          <p class="text-slate-600">Os dados do Excel foram processados com sucesso.</p>
-          <div class="flex gap-2">
-            <a class="btn btn-primary" href="/importar">Voltar</a>
-            <a class="btn btn-ghost" href="/admin">Ir ao Relatório</a>
-          </div>
-        </div>`;
-      return res.send(renderPage('Importar Excel', ok, '', role || (req.cookies?.ispt_admin==='1')));
-    } catch (e) {
-      const errHtml = `
-        <p class="text-red-600 mb-2">Falha na importação: ${e.message}</p>
-        <a class="underline" href="/importar">Voltar</a>`;
-      return res.send(renderPage('Erro na importação', errHtml, '', req.cookies?.role || (req.cookies?.ispt_admin==='1')));
+    });
+  } else {
+    const files = Object.values(zip.files).filter(f => !f.dir && /\.csv$/i.test(f.name) && !/(^|\/)__MACOSX\//.test(f.name));
+    for (const [name, cols] of Object.entries(IMPORT_SHEETS)) {
+      const file = files.find(f => path.basename(f.name).toLowerCase() === `${name}.csv`);
+      if (!file) continue;
+      sheets[name] = [];
+      parseCsv(await file.async('uint8array')).forEach((values, i) => { if (i > 0) add(name, cols, i + 1, values); });
     }
+  }
+  const missing = Object.keys(IMPORT_SHEETS).filter(n => !sheets[n]);
+  if (missing.length) {
+    throw new Error(`Faltam folhas obrigatórias: ${missing.join(', ')}. No ZIP, use um ficheiro por folha (${Object.keys(IMPORT_SHEETS).map(n => n + '.csv').join(', ')}).`);
+  }
+  return sheets;
+}
+
+// Plano da importação: o que existe, o que se cria/actualiza e as linhas ignoradas (issues)
+function planImport(sheets, { wipeAll = false } = {}) {
+  const plan = { courses: new Map(), teachers: new Map(), disciplines: new Map(), teachings: [], issues: [] };
+  const issue = (sheet, row, cols, reason) => plan.issues.push({ sheet, row, cols, reason });
+  const byName = (table, name) => (wipeAll ? null : db.prepare(`SELECT id FROM ${table} WHERE name = ? COLLATE NOCASE`).get(name));
+  const named = (map, table) => name => {
+    const key = name.toLowerCase();
+    if (!map.has(key)) { const row = byName(table, name); map.set(key, { key, name, id: row?.id ?? null, action: row ? 'exists' : 'create' }); }
+    return map.get(key);
+  };
+  const course = named(plan.courses, 'course');
+  const teacher = named(plan.teachers, 'teacher');
+  const discipline = (c, name) => {
+    const key = `${c.key}|${name.toLowerCase()}`;
+    if (!plan.disciplines.has(key)) {
+      const row = c.id ? db.prepare('SELECT id FROM discipline WHERE course_id = ? AND name = ? COLLATE NOCASE').get(c.id, name) : null;
+      plan.disciplines.set(key, { key, name, course: c, id: row?.id ?? null, action: row ? 'exists' : 'create' });
+    }
+    return plan.disciplines.get(key);
+  };
+  const lookup = (table, name) => db.prepare(`SELECT id FROM ${table} WHERE name = ? COLLATE NOCASE`).get(name);
+
+  sheets.cursos.forEach(r => (r.cells[0] ? course(r.cells[0]) : issue('cursos', r.row, [1], 'Nome em falta.')));
+  sheets.docentes.forEach(r => (r.cells[0] ? teacher(r.cells[0]) : issue('docentes', r.row, [1], 'Nome em falta.')));
+  sheets.disciplinas.forEach(r => {
+    const [courseName, name] = r.cells;
+    const missing = [[courseName, 1, 'curso'], [name, 2, 'nome']].filter(([v]) => !v);
+    if (missing.length) return issue('disciplinas', r.row, missing.map(m => m[1]), `Campo obrigatório em falta: ${missing.map(m => m[2]).join(', ')}.`);
+    discipline(course(courseName), name);
   });
-  
+
+  const seen = new Map();
+  sheets.leccionacao.forEach(r => {
+    const [courseName, discName, teachName, yearName, semName, className, enrolledRaw] = r.cells;
+    const problems = [];
+    const missing = [[courseName, 1, 'curso'], [discName, 2, 'disciplina'], [teachName, 3, 'docente'], [semName, 5, 'semestre']].filter(([v]) => !v);
+    if (missing.length) problems.push([missing.map(m => m[1]), `Campo obrigatório em falta: ${missing.map(m => m[2]).join(', ')}.`]);
+    const semester = semName ? lookup('semester', semName) : null;
+    if (semName && !semester) problems.push([[5], `Semestre "${semName}" não existe.`]);
+    const year = yearName ? lookup('school_year', yearName) : null;
+    if (yearName && !year) problems.push([[4], `Ano lectivo "${yearName}" não existe.`]);
+    const klass = className ? lookup('class_group', className) : null;
+    if (className && !klass) problems.push([[6], `Turma "${className}" não existe.`]);
+    if (enrolledRaw && !/^\d+$/.test(enrolledRaw)) problems.push([[7], `Inscritos inválido: "${enrolledRaw}" (número inteiro ≥ 0).`]);
+    if (problems.length) return problems.forEach(([cols, reason]) => issue('leccionacao', r.row, cols, reason));
+
+    const c = course(courseName);
+    const d = discipline(c, discName);
+    const te = teacher(teachName);
+    const key = [te.key, d.key, semester.id, year?.id ?? '', klass?.id ?? ''].join('|');
+    if (seen.has(key)) return issue('leccionacao', r.row, [1, 2, 3, 4, 5, 6], `Linha repetida (igual à linha ${seen.get(key)}).`);
+    seen.set(key, r.row);
+
+    const enrolled = enrolledRaw ? Number(enrolledRaw) : null;
+    const existing = te.id && d.id ? db.prepare(`
+      SELECT id, enrolled FROM teaching
+      WHERE teacher_id = ? AND discipline_id = ? AND semester_id = ? AND school_year_id IS ? AND class_group_id IS ?
+    `).get(te.id, d.id, semester.id, year?.id ?? null, klass?.id ?? null) : null;
+    const action = !existing ? 'create' : (enrolled != null && enrolled !== existing.enrolled ? 'update' : 'exists');
+    plan.teachings.push({
+      row: r.row, action, course: c, discipline: d, teacher: te, enrolled,
+      semester_id: semester.id, school_year_id: year?.id ?? null, class_group_id: klass?.id ?? null,
+      label: `${teachName} · ${discName} · ${semName}${yearName ? ' · ' + yearName : ''}${className ? ' · ' + className : ''}`,
+    });
+  });
+
+  const count = list => {
+    const c = { create: 0, update: 0, exists: 0, skip: 0 };
+    list.forEach(i => { c[i.action]++; });
+    return c;
+  };
+  plan.counts = {
+    cursos: count([...plan.courses.values()]),
+    docentes: count([...plan.teachers.values()]),
+    disciplinas: count([...plan.disciplines.values()]),
+    leccionacao: count(plan.teachings),
+  };
+  Object.keys(plan.counts).forEach(sheet => {
+    plan.counts[sheet].skip = new Set(plan.issues.filter(i => i.sheet === sheet).map(i => i.row)).size;
+  });
+  plan.changes = Object.values(plan.counts).reduce((s, c) => s + c.create + c.update, 0);
+  return plan;
+}
+
+function applyImport(plan, wipeAll) {
+  const summary = { create: 0, update: 0 };
+  db.transaction(() => {
+    if (wipeAll) {
+      db.exec(`
+        DELETE FROM survey_answer;
+        DELETE FROM survey_response;
+        DELETE FROM teaching;
+        DELETE FROM discipline;
+        DELETE FROM teacher;
+        DELETE FROM course;
+        -- tabelas auxiliares ficam como estão (semester, school_year, class_group, survey_question)
+      `);
+    }
+    const getOrCreate = (find, insert) => () => {
+      const row = find();
+      if (row) return row.id;
+      summary.create++;
+      return insert().lastInsertRowid;
+    };
+    const ids = new Map();
+    const idOf = (item, make) => { if (!ids.has(item)) ids.set(item, make()); return ids.get(item); };
+    const courseId = c => idOf(c, getOrCreate(
+      () => db.prepare('SELECT id FROM course WHERE name = ? COLLATE NOCASE').get(c.name),
+      () => db.prepare('INSERT INTO course (name) VALUES (?)').run(c.name)));
+    const teacherId = t => idOf(t, getOrCreate(
+      () => db.prepare('SELECT id FROM teacher WHERE name = ? COLLATE NOCASE').get(t.name),
+      () => db.prepare('INSERT INTO teacher (name) VALUES (?)').run(t.name)));
+    const disciplineId = d => idOf(d, getOrCreate(
+      () => db.prepare('SELECT id FROM discipline WHERE course_id = ? AND name = ? COLLATE NOCASE').get(courseId(d.course), d.name),
+      () => db.prepare('INSERT INTO discipline (course_id, name) VALUES (?,?)').run(courseId(d.course), d.name)));
+
+    plan.courses.forEach(courseId);
+    plan.teachers.forEach(teacherId);
+    plan.disciplines.forEach(disciplineId);
+    plan.teachings.forEach(t => {
+      const row = {
+        teacher_id: teacherId(t.teacher), discipline_id: disciplineId(t.discipline), semester_id: t.semester_id,
+        school_year_id: t.school_year_id, class_group_id: t.class_group_id, enrolled: t.enrolled,
+      };
+      const existing = db.prepare(`
+        SELECT id, enrolled FROM teaching
+        WHERE teacher_id = @teacher_id AND discipline_id = @discipline_id AND semester_id = @semester_id
+          AND school_year_id IS @school_year_id AND class_group_id IS @class_group_id
+      `).get(row);
+      if (!existing) {
+        db.prepare(`INSERT INTO teaching (teacher_id, discipline_id, semester_id, school_year_id, class_group_id, enrolled)
+                    VALUES (@teacher_id, @discipline_id, @semester_id, @school_year_id, @class_group_id, @enrolled)`).run(row);
+        summary.create++;
+      } else if (t.enrolled != null && t.enrolled !== existing.enrolled) {
+        db.prepare('UPDATE teaching SET enrolled = ? WHERE id = ?').run(t.enrolled, existing.id);
+        summary.update++;
+      }
+    });
+  })();
+  return summary;
+}
+
+// Cópia do livro enviado com as células problemáticas a vermelho, nota e coluna "erro"
+// (num ZIP de CSV o livro é construído a partir das folhas lidas, com os mesmos números de linha)
+async function importErrorWorkbook(buffer, sheets, issues) {
+  const wb = new ExcelJS.Workbook();
+  if ((await JSZip.loadAsync(buffer)).file('[Content_Types].xml')) {
+    await wb.xlsx.load(buffer);
+  } else {
+    Object.entries(IMPORT_SHEETS).forEach(([name, cols]) => {
+      const ws = wb.addWorksheet(name);
+      ws.getRow(1).values = cols;
+      sheets[name].forEach(r => { ws.getRow(r.row).values = r.cells; });
+    });
+  }
+  const RED = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFCA5A5' } };
+  const PINK = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFE4E6' } };
+  Object.entries(IMPORT_SHEETS).forEach(([name, cols]) => {
+    const ws = wb.worksheets.find(w => (w.name || '').trim().toLowerCase() === name);
+    const own = issues.filter(i => i.sheet === name);
+    if (!ws || !own.length) return;
+    const errCol = cols.length + 1;
+    ws.getRow(1).getCell(errCol).value = 'erro';
+    ws.getRow(1).getCell(errCol).font = { bold: true, color: { argb: 'FFB91C1C' } };
+    const byRow = new Map();
+    own.forEach(i => { if (!byRow.has(i.row)) byRow.set(i.row, []); byRow.get(i.row).push(i); });
+    byRow.forEach((list, rowNo) => {
+      const row = ws.getRow(rowNo);
+      for (let c = 1; c <= cols.length; c++) row.getCell(c).fill = PINK;
+      list.forEach(i => i.cols.forEach(c => {
+        const cell = row.getCell(c);
+        cell.fill = RED;
+        cell.note = i.reason;
+      }));
+      row.getCell(errCol).value = list.map(i => i.reason).join(' ');
+      row.commit();
+    });
+    ws.getColumn(errCol).width = 60;
+  });
+  return wb.xlsx.writeBuffer();
+}
+
+// Modelo de importação (.xlsx com listas de validação, ou ZIP de CSV com os mesmos cabeçalhos)
+app.get('/importar/modelo', requireRole(['admin']), async (req, res) => {
+  const names = table => db.prepare(`SELECT name FROM ${table} WHERE active = 1 ORDER BY ${table === 'semester' ? 'id' : 'name'}`).all().map(r => r.name);
+  const lists = { semestres: names('semester'), anos: names('school_year').reverse(), turmas: names('class_group') };
+  const course = names('course')[0] || 'Nome do Curso (exemplo)';
+  const discipline = 'Nome da Disciplina (exemplo)';
+  const teacher = 'Nome do Docente (exemplo)';
+  const examples = {
+    cursos: [[course]],
+    docentes: [[teacher]],
+    disciplinas: [[course, discipline]],
+    leccionacao: [[course, discipline, teacher, lists.anos[0] || '', lists.semestres[0] || '', lists.turmas[0] || '', 30]],
+  };
+
+  try {
+    if (req.query.formato === 'csv') {
+      const zip = new JSZip();
+        Object.entries(IMPORT_SHEETS).forEach(([name, cols]) => {
+        const lines = [cols, ...examples[name]].map(r => r.map(csvField).join(';'));
+        zip.file(`${name}.csv`, '\uFEFF' + lines.join('\r\n') + '\r\n');
+      });
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', 'attachment; filename="modelo_importacao_csv.zip"');
+      return res.send(await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+    }
+
+    const wb = new ExcelJS.Workbook();
+    const info = wb.addWorksheet('instrucoes');
+    info.getColumn(1).width = 110;
+    [
+      'Modelo de importação — ISPT · Avaliação Docente',
+      '',
+      'Preencha as folhas cursos, docentes, disciplinas e leccionacao (a linha 1 é o cabeçalho e não deve ser alterada).',
+      'As linhas de exemplo (a cinzento) devem ser substituídas pelos dados reais.',
+      'leccionacao: year, semester e class_group têm de existir no sistema (use as listas); year e class_group são opcionais.',
+      'leccionacao: enrolled = n.º de estudantes inscritos (opcional, inteiro ≥ 0), usado na taxa de resposta.',
+      'Cursos, docentes e disciplinas inexistentes são criados. Antes de gravar é mostrada uma pré-visualização.',
+      'Alternativa: um ZIP com cursos.csv, docentes.csv, disciplinas.csv e leccionacao.csv (separador ; ou ,).',
+    ].forEach((t, i) => { info.getCell(i + 1, 1).value = t; if (i === 0) info.getCell(1, 1).font = { bold: true, size: 13 }; });
+
+    Object.entries(IMPORT_SHEETS).forEach(([name, cols]) => {
+      const ws = wb.addWorksheet(name);
+      ws.getRow(1).values = cols;
+      ws.getRow(1).font = { bold: true };
+      ws.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE2E8F0' } };
+      ws.views = [{ state: 'frozen', ySplit: 1 }];
+      cols.forEach((c, i) => { ws.getColumn(i + 1).width = c === 'enrolled' ? 12 : 32; });
+      examples[name].forEach((r, i) => {
+        ws.getRow(i + 2).values = r;
+        ws.getRow(i + 2).font = { italic: true, color: { argb: 'FF94A3B8' } };
+      });
+    });
+
+    // Listas (folha escondida) para as validações de year, semester e class_group
+    const ls = wb.addWorksheet('listas', { state: 'hidden' });
+    const listCols = [['anos', 'year', 'D'], ['semestres', 'semester', 'E'], ['turmas', 'class_group', 'F']];
+    const lecc = wb.getWorksheet('leccionacao');
+    listCols.forEach(([key, label, target], i) => {
+      const col = String.fromCharCode(65 + i);
+      ls.getCell(`${col}1`).value = label;
+      lists[key].forEach((v, j) => { ls.getCell(`${col}${j + 2}`).value = v; });
+      if (!lists[key].length) return;
+      lecc.dataValidations.add(`${target}2:${target}2000`, {
+        type: 'list', allowBlank: true, formulae: [`listas!$${col}$2:$${col}$${lists[key].length + 1}`],
+        showErrorMessage: true, errorTitle: 'Valor inválido', error: `Escolha um valor da lista (${label}).`,
+      });
+    });
+    lecc.dataValidations.add('G2:G2000', {
+      type: 'whole', operator: 'greaterThanOrEqual', allowBlank: true, formulae: [0],
+      showErrorMessage: true, errorTitle: 'Valor inválido', error: 'Inscritos: número inteiro ≥ 0.',
+    });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="modelo_importacao.xlsx"');
+    return res.send(Buffer.from(await wb.xlsx.writeBuffer()));
+  } catch (e) {
+    return res.status(500).send('Não foi possível gerar o modelo: ' + escapeHtml(e.message));
+  }
+});
+
+app.post('/importar', requireRole(['admin']), upload.single('file'), verifyCsrf, async (req, res) => {
+  const fail = msg => res.send(renderPage('Importar Excel', `<p class="text-red-600 mb-2">${escapeHtml(msg)}</p><a class="underline" href="/importar">Voltar</a>`, '', req.user));
+  if (!req.file) return fail('Selecione um ficheiro .xlsx ou .zip.');
+  const wipeAll = req.body.wipe_all === 'on';
+  let plan;
+  try {
+    plan = planImport(await readImportFile(req.file.buffer), { wipeAll });
+  } catch (e) {
+    notifyFailure('import', 'Falha na importação', e);
+    return fail(`Falha na importação: ${e.message}`);
+  }
+  prunePendingImports();
+  const token = crypto.randomBytes(16).toString('hex');
+  pendingImports.set(token, { buffer: req.file.buffer, name: req.file.originalname, wipeAll, userId: req.user.id, createdAt: dayjs() });
+
+  const sheetTitles = { cursos: 'Cursos', docentes: 'Docentes', disciplinas: 'Disciplinas', leccionacao: 'Leccionações' };
+  const summaryRows = Object.entries(plan.counts).map(([sheet, c]) => `
+    <tr class="border-t">
+      <td class="py-1">${sheetTitles[sheet]}</td>
+      ${['create', 'update', 'exists', 'skip'].map(k => `<td class="text-center ${k === 'skip' && c[k] ? 'text-rose-700 font-semibold' : ''}">${c[k]}</td>`).join('')}
+    </tr>`).join('');
+  const issueRows = plan.issues.map(i => `
+    <tr class="border-t">
+      <td class="py-1">${escapeHtml(i.sheet)}</td>
+      <td class="text-center">${i.row}</td>
+      <td class="text-center">${i.cols.map(c => escapeHtml(IMPORT_SHEETS[i.sheet][c - 1])).join(', ')}</td>
+      <td>${escapeHtml(i.reason)}</td>
+    </tr>`).join('');
+  const changes = plan.teachings.filter(t => t.action !== 'exists').map(t => `
+    <li><span class="text-xs px-2 py-0.5 rounded-full ${t.action === 'create' ? 'bg-emerald-50 text-emerald-700' : 'bg-sky-50 text-sky-700'}">${IMPORT_ACTIONS[t.action]}</span>
+      linha ${t.row}: ${escapeHtml(t.label)}${t.enrolled != null ? ` · ${t.enrolled} inscritos` : ''}</li>`).join('');
+
+  const html = `
+    <p class="mb-4 text-sm text-slate-600">Ficheiro <b>${escapeHtml(req.file.originalname || '')}</b> analisado. Nada foi gravado ainda.
+      ${wipeAll ? '<br/><b class="text-rose-700">Atenção: ao confirmar, os dados antigos (incluindo respostas) serão substituídos.</b>' : ''}</p>
+    <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Resumo</h2>
+        <table class="w-full text-sm">
+          <thead><tr class="text-slate-500"><th class="text-left">Folha</th><th>Criar</th><th>Actualizar</th><th>Sem alterações</th><th>Ignoradas</th></tr></thead>
+          <tbody>${summaryRows}</tbody>
+        </table>
+        <div class="flex flex-wrap gap-2 mt-4">
+          <form method="POST" action="/importar/confirmar">
+            <input type="hidden" name="token" value="${token}" />
+            <button class="btn btn-primary" ${plan.changes || wipeAll ? '' : 'disabled'}>Confirmar importação</button>
+          </form>
+          ${plan.issues.length ? `<a class="btn btn-ghost" href="/importar/erros/${token}">Descarregar relatório de erros (.xlsx)</a>` : ''}
+          <a class="btn btn-ghost" href="/importar">Cancelar</a>
+        </div>
+        <p class="mt-2 text-xs text-slate-500">A pré-visualização expira em ${IMPORT_TTL_MINUTES} minutos. As linhas ignoradas não são importadas.</p>
+      </div>
+      <div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Leccionações a criar/actualizar</h2>
+        ${changes ? `<ul class="text-sm space-y-1 max-h-96 overflow-auto">${changes}</ul>` : '<p class="text-sm text-slate-600">Nenhuma.</p>'}
+      </div>
+    </div>
+    ${plan.issues.length ? `
+    <div class="card mt-6">
+      <h2 class="text-lg font-semibold mb-2 text-left text-rose-700">Linhas ignoradas (${plan.issues.length} problema(s))</h2>
+      <table class="w-full text-sm">
+        <thead><tr class="text-slate-500"><th class="text-left">Folha</th><th>Linha</th><th>Coluna(s)</th><th class="text-left">Motivo</th></tr></thead>
+        <tbody>${issueRows}</tbody>
+      </table>
+    </div>` : ''}`;
+  return res.send(renderPage('Importar Excel · Pré-visualização', html, '', req.user));
+});
+
+app.post('/importar/confirmar', requireRole(['admin']), async (req, res) => {
+  const pending = getPendingImport(req, req.body.token);
+  if (!pending) {
+    return res.send(renderPage('Importar Excel', `<p class="text-red-600 mb-2">A pré-visualização expirou ou não existe. Carregue o ficheiro outra vez.</p><a class="underline" href="/importar">Voltar</a>`, '', req.user));
+  }
+  pendingImports.delete(String(req.body.token));
+  try {
+    const plan = planImport(await readImportFile(pending.buffer), { wipeAll: pending.wipeAll });
+    const summary = applyImport(plan, pending.wipeAll);
+    audit(req, 'import', { target: pending.name, details: {
+      apagar_tudo: pending.wipeAll ? 'sim' : null, criados: summary.create, actualizados: summary.update,
+      linhas_ignoradas: new Set(plan.issues.map(i => i.sheet + i.row)).size,
+    } });
+    const ok = `
+      <div class="space-y-2">
+        <h2 class="text-xl font-semibold">Importação concluída</h2>
+        <p class="text-slate-600">${summary.create} registo(s) criado(s), ${summary.update} actualizado(s)${plan.issues.length ? `, ${new Set(plan.issues.map(i => i.sheet + i.row)).size} linha(s) ignorada(s)` : ''}.</p>
+        <div class="flex gap-2">
+          <a class="btn btn-primary" href="/importar">Voltar</a>
+          <a class="btn btn-ghost" href="/admin">Ir ao Relatório</a>
+        </div>
+      </div>`;
+    return res.send(renderPage('Importar Excel', ok, '', req.user));
+  } catch (e) {
+    notifyFailure('import', 'Falha na importação', e);
+    audit(req, 'import', { status: 'failed', target: pending.name, details: { apagar_tudo: pending.wipeAll ? 'sim' : null, erro: e.message } });
+    const errHtml = `
+      <p class="text-red-600 mb-2">Falha na importação: ${escapeHtml(e.message)}</p>
+      <a class="underline" href="/importar">Voltar</a>`;
+    return res.send(renderPage('Erro na importação', errHtml, '', req.user));
+  }
+});
+
+app.get('/importar/erros/:token', requireRole(['admin']), async (req, res) => {
+  const pending = getPendingImport(req, req.params.token);
+  if (!pending) return res.status(404).send('Pré-visualização expirada. Carregue o ficheiro outra vez.');
+  try {
+    const sheets = await readImportFile(pending.buffer);
+    const plan = planImport(sheets, { wipeAll: pending.wipeAll });
+    const buf = await importErrorWorkbook(pending.buffer, sheets, plan.issues);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="importacao_erros.xlsx"');
+    return res.send(Buffer.from(buf));
+  } catch (e) {
+    return res.status(400).send('Não foi possível gerar o relatório: ' + escapeHtml(e.message));
+  }
+});
+
 // ====== BACKUP: cria .sqlite e .sqlite.gz com timestamp ======
-app.post('/backup', requireAuth, async (req, res) => {
+app.post('/backup', requireRole(['admin']), async (req, res) => {
     try {
-      const dir = getBackupsDir();
-      const ts = new Date().toISOString().replace(/[-:T.Z]/g,'').slice(0,14); // YYYYMMDDHHmmss
-      const sqlitePath = path.join(dir, `backup_${ts}.sqlite`);
-      await db.backup(sqlitePath); // snapshot consistente
-  
-      // Comprimir para .gz
-      const gzPath = sqlitePath + '.gz';
-      await new Promise((resolve, reject) => {
-        const inp = fs.createReadStream(sqlitePath);
-        const out = fs.createWriteStream(gzPath);
-        const gz = zlib.createGzip({ level: 9 });
-        inp.on('error', reject); out.on('error', reject);
-        out.on('finish', resolve);
-        inp.pipe(gz).pipe(out);
-      });
-  
-      // Retenção automática
-      const removed = pruneBackups();
-  
+      const b = await createBackup('manual', req.user);
+      audit(req, 'backup', { target: b.file, details: { origem: 'manual', tamanho: b.size, sha256: b.sha256 } });
       const html = `
         <p class="mb-3">Backup criado com sucesso:</p>
         <ul class="text-sm mb-3">
-          <li><code>${path.basename(sqlitePath)}</code></li>
-          <li><code>${path.basename(gzPath)}</code></li>
+          <li><code>${path.basename(b.sqlitePath)}</code></li>
+          <li><code>${path.basename(b.gzPath)}</code></li>
+          <li class="text-xs text-slate-500">Integridade: ${escapeHtml(b.integrity)} · SHA-256 <code class="break-all">${b.sha256}</code></li>
         </ul>
         <div class="flex gap-2 mb-3">
-          <a class="btn btn-primary" href="/backup/download?file=${encodeURIComponent(path.basename(sqlitePath))}">Descarregar .sqlite</a>
-          <a class="btn btn-primary" href="/backup/download?file=${encodeURIComponent(path.basename(gzPath))}">Descarregar .sqlite.gz</a>
+          <a class="btn btn-primary" href="/backup/download?file=${encodeURIComponent(path.basename(b.sqlitePath))}">Descarregar .sqlite</a>
+          <a class="btn btn-primary" href="/backup/download?file=${encodeURIComponent(path.basename(b.gzPath))}">Descarregar .sqlite.gz</a>
         </div>
-        ${removed ? `<p class="text-xs text-slate-500">Limpeza automática: ${removed} backup(s) removido(s).</p>` : ''}
+        ${b.removed ? `<p class="text-xs text-slate-500">Limpeza automática: ${b.removed} backup(s) removido(s).</p>` : ''}
         <div class="mt-3"><a class="btn btn-ghost" href="/importar">Voltar</a></div>
       `;
-      res.send(renderPage('Backup concluído', html, '', (req.cookies && req.cookies.ispt_admin==='1')));
+      res.send(renderPage('Backup concluído', html, '', req.user));
     } catch (e) {
-      res.send(renderPage('Erro no backup', `<p class="text-red-600">Falhou o backup: ${e.message}</p><a class="underline" href="/importar">Voltar</a>`, '', (req.cookies && req.cookies.ispt_admin==='1')));
+      audit(req, 'backup', { status: 'failed', details: { origem: 'manual', erro: e.message } });
+      res.send(renderPage('Erro no backup', `<p class="text-red-600">Falhou o backup: ${escapeHtml(e.message)}</p><a class="underline" href="/importar">Voltar</a>`, '', req.user));
     }
   });
-  
+
+// ====== BACKUP: verificar um ficheiro guardado (checksum + integridade) ======
+app.post('/backup/verify', requireRole(['admin']), async (req, res) => {
+  const file = String(req.body?.file || '');
+  const back = q => res.redirect('/importar?' + new URLSearchParams(q).toString());
+  try {
+    if (!/^[\w.\-]+\.sqlite$/.test(file)) throw new Error('Nome de ficheiro inválido.');
+    const full = path.join(getBackupsDir(), file);
+    if (!fs.existsSync(full)) throw new Error('Ficheiro não encontrado.');
+    const run = db.prepare("SELECT sha256 FROM backup_run WHERE file = ? AND status = 'ok' ORDER BY id DESC LIMIT 1").get(file);
+    const integrity = integrityCheck(full);
+    if (integrity !== 'ok') throw new Error(`${file}: a verificação de integridade falhou (${integrity}).`);
+    if (!run?.sha256) return back({ ok: `${file}: integridade ok (sem checksum registado).` });
+    if (await fileSha256(full) !== run.sha256) throw new Error(`${file}: o checksum SHA-256 não corresponde ao registado — o ficheiro foi alterado.`);
+    back({ ok: `${file}: integridade ok e checksum SHA-256 confere.` });
+  } catch (e) {
+    back({ e: e.message });
+  }
+});
+
   // ====== BACKUP CLEANUP: retenção ou apagar tudo + redirect ======
-app.post('/backup/cleanup', requireAuth, (req, res) => {
+app.post('/backup/cleanup', requireRole(['admin']), (req, res) => {
     try {
       const wipeAll = req.body.wipe_all === 'on';
       let removed = 0;
@@ -1793,148 +5892,490 @@ app.post('/backup/cleanup', requireAuth, (req, res) => {
           // se for .sqlite e houver par .gz “órfão” com nome diferente, listBackups já o traz também
         });
       } else {
-        // Apenas retenção automática (mantém BACKUPS_MAX mais recentes)
+        // Apenas retenção por idade (ver retainedBackups)
         removed = pruneBackups();
       }
+      audit(req, 'backup_cleanup', { details: { apagar_tudo: wipeAll ? 'sim' : null, removidos: removed } });
   
       // Após limpar, volta para /importar para a lista ser recarregada (e poder aparecer vazia)
       return res.redirect('/importar');
     } catch (e) {
+      audit(req, 'backup_cleanup', { status: 'failed', details: { erro: e.message } });
       return res.send(renderPage(
         'Erro na limpeza',
-        `<p class="text-red-600">Falhou a limpeza: ${e.message}</p><a class="underline" href="/importar">Voltar</a>`,
+        `<p class="text-red-600">Falhou a limpeza: ${escapeHtml(e.message)}</p><a class="underline" href="/importar">Voltar</a>`,
         '',
-        (req.cookies && req.cookies.ispt_admin==='1')
+        req.user
       ));
     }
   });
   
 
   // ====== DOWNLOAD de backup (.sqlite ou .sqlite.gz) ======
-  app.get('/backup/download', requireAuth, (req, res) => {
+  app.get('/backup/download', requireRole(['admin']), (req, res) => {
     const file = String(req.query.file || '');
     if (!/^[\w.\-]+$/.test(file)) return res.status(400).send('Nome de ficheiro inválido.');
     const full = path.join(getBackupsDir(), file);
     if (!fs.existsSync(full)) return res.status(404).send('Ficheiro não encontrado.');
+    audit(req, 'backup_download', { target: file });
     res.download(full, file);
   });
   
 
-// POST /restore — Restauro via ATTACH (robusto)
-app.post('/restore', requireAuth, upload.single('backup'), (req, res) => {
-  // util p/ devolver uma página com o renderPage existente
-  const sendPage = (title, html, status=200) =>
-    res.status(status).send(renderPage(title, html, '', req.cookies?.role || (req.cookies?.ispt_admin==='1')));
-
-  // util p/ escapar o caminho no SQL literal (ATTACH às vezes falha com bind)
-  const sqlQuote = s => `'${String(s).replace(/'/g, "''")}'`;
-
-  let tmpPath = null;
-  let attached = false;
-
+// ====== RESTAURO: validação, pré-visualização, fusão e desfazer ======
+// 1) POST /restore valida o ficheiro (SQLite íntegro, versão do esquema não mais recente, tabelas e
+//    colunas compatíveis), actualiza-o com as migrações em falta e simula o restauro numa transação anulada: mostra as linhas por tabela e
+//    os conflitos sem gravar nada. O ficheiro fica pendente em memória durante IMPORT_TTL_MINUTES.
+// 2) POST /restore/confirmar faz um backup automático da BD actual e aplica numa transação.
+// Modos: "replace" apaga os dados de avaliação e copia os do ficheiro com os mesmos ids; "merge"
+// junta-os aos actuais, reaproveitando registos equivalentes (chave natural: cursos e docentes pelo
+// nome, leccionações pela combinação docente/disciplina/período/turma, …) e dando ids novos ao resto.
+// As respostas identificam-se por leccionação, campanha e data/hora de submissão (ao milissegundo): cada
+// resposta actual corresponde no máximo a uma do ficheiro, por isso restaurar o mesmo ficheiro duas
+// vezes não duplica nem perde respostas; uma resposta que já está noutra turma da mesma leccionação
+// (turmas fundidas depois do backup) é reconhecida e não volta a entrar.
+// Utilizadores não são restaurados: referências a utilizadores fazem-se pelo username.
+// No modo "replace" qualquer conflito (referência partida, conta sem docente ou curso) impede o
+// restauro; só o desfazer, que repõe o estado anterior desta instalação, avança mesmo assim.
+const RESTORE_TABLES = [
+  { name: 'course', title: 'Cursos', key: ['name'] },
+  { name: 'semester', title: 'Semestres', key: ['name'] },
+  { name: 'school_year', title: 'Anos lectivos', key: ['name'] },
+  { name: 'class_group', title: 'Turmas', key: ['name'] },
+  { name: 'teacher', title: 'Docentes', key: ['name'] },
+  { name: 'discipline', title: 'Disciplinas', key: ['course_id', 'name'], refs: { course_id: 'course' } },
+  { name: 'answer_scale', title: 'Escalas', key: ['code'] },
+  { name: 'questionnaire_version', title: 'Versões do questionário', key: ['version', 'title'], renumber: 'version' },
+  { name: 'survey_question', title: 'Perguntas', key: ['questionnaire_version_id', 'code'],
+    refs: { questionnaire_version_id: 'questionnaire_version', scale_id: 'answer_scale' } },
+  { name: 'teaching', title: 'Leccionações', key: ['teacher_id', 'discipline_id', 'semester_id', 'school_year_id', 'class_group_id'],
+    refs: { teacher_id: 'teacher', discipline_id: 'discipline', semester_id: 'semester', school_year_id: 'school_year', class_group_id: 'class_group' } },
+  { name: 'campaign', title: 'Campanhas', key: ['name', 'school_year_id', 'semester_id'],
+    refs: { school_year_id: 'school_year', semester_id: 'semester', course_id: 'course', questionnaire_version_id: 'questionnaire_version' } },
+  { name: 'access_code_batch', title: 'Lotes de códigos', key: ['class_group_id', 'school_year_id', 'semester_id', 'created_at'],
+    refs: { class_group_id: 'class_group', school_year_id: 'school_year', semester_id: 'semester' } },
+  { name: 'access_code', title: 'Códigos de acesso', key: ['code'], refs: { batch_id: 'access_code_batch' } },
+  { name: 'survey_response', title: 'Respostas', key: ['teaching_id', 'campaign_id', 'submitted_at'], distinct: true,
+    refs: { teaching_id: 'teaching', campaign_id: 'campaign', questionnaire_version_id: 'questionnaire_version', moderated_by: 'user' } },
+  { name: 'survey_answer', title: 'Respostas por pergunta', key: ['response_id', 'question_id'],
+    refs: { response_id: 'survey_response', question_id: 'survey_question', moderated_by: 'user' } },
+  { name: 'comment_moderation', title: 'Registo de moderação', key: ['response_id', 'answer_id', 'created_at', 'action'],
+    refs: { response_id: 'survey_response', answer_id: 'survey_answer', user_id: 'user' } },
+];
+const RESTORE_REQUIRED = ['course', 'semester', 'teacher', 'discipline', 'teaching'];
+const RESTORE_MODES = { replace: 'Substituir', merge: 'Juntar' };
+const RESTORE_MAX_CONFLICTS = 200;
+const RESTORE_DRY_RUN = Symbol('restore-dry-run');
+const pendingRestores = new Map(); // token -> { buffer, name, mode, userId, createdAt }
+
+// Valida e, se for de uma versão anterior, actualiza o ficheiro com as migrações (por isso recebe
+// sempre uma cópia temporária). Erros impedem o restauro; avisos só aparecem na pré-visualização.
+function prepareRestoreFile(file) {
+  const out = { version: null, upgraded: null, tables: {}, errors: [], warnings: [] };
+  const head = Buffer.alloc(16);
+  const fd = fs.openSync(file, 'r');
+  try { fs.readSync(fd, head, 0, 16, 0); } finally { fs.closeSync(fd); }
+  if (head.toString('latin1') !== 'SQLite format 3\0') {
+    out.errors.push('O ficheiro não é uma base de dados SQLite.');
+    return out;
+  }
+  const readTables = conn => Object.fromEntries(conn.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all()
+    .map(t => [t.name, conn.prepare(`PRAGMA table_info("${t.name.replace(/"/g, '""')}")`).all().map(c => c.name)]));
+  let conn;
   try {
-    if (!req.file || !req.file.buffer?.length) {
-      throw new Error('Nenhum ficheiro recebido.');
+    conn = new Database(file, { fileMustExist: true });
+    const integrity = conn.pragma('integrity_check').map(r => r.integrity_check).join('; ');
+    if (integrity !== 'ok') out.errors.push(`A verificação de integridade falhou: ${integrity}`);
+    out.version = schemaVersion(conn);
+    out.tables = readTables(conn);
+    if (out.version > SCHEMA_VERSION) {
+      out.errors.push(`O backup é de uma versão mais recente do esquema (v${out.version}; esta instalação usa v${SCHEMA_VERSION}). Actualize a aplicação antes de restaurar.`);
+    }
+    const missing = RESTORE_REQUIRED.filter(t => !out.tables[t]);
+    if (missing.length) out.errors.push(`Não parece um backup deste sistema: faltam as tabelas ${missing.join(', ')}.`);
+    if (out.errors.length) return out;
+    if (out.version < SCHEMA_VERSION) {
+      out.upgraded = migrate(conn);
+      out.tables = readTables(conn);
+      out.warnings.push(`Backup actualizado da versão v${out.version} do esquema para v${SCHEMA_VERSION}: ${out.upgraded.applied.join('; ')}.`);
     }
+  } catch (e) {
+    out.errors.push(`Não foi possível ler ou actualizar o ficheiro: ${e.message}`);
+    return out;
+  } finally {
+    try { conn?.close(); } catch {}
+  }
 
-    // 1) Gravar o upload num ficheiro temporário
-    tmpPath = path.join(os.tmpdir(), `restore_${Date.now()}.sqlite`);
-    fs.writeFileSync(tmpPath, req.file.buffer);
+  RESTORE_TABLES.forEach(t => {
+    const cols = out.tables[t.name];
+    if (!cols) return;
+    const own = db.prepare(`PRAGMA main.table_info(${t.name})`).all();
+    const needed = own.filter(c => c.notnull && c.dflt_value == null && !c.pk && !cols.includes(c.name)).map(c => c.name);
+    if (needed.length) out.errors.push(`A tabela ${t.name} não tem as colunas obrigatórias ${needed.join(', ')}.`);
+    const extra = cols.filter(c => !own.some(o => o.name === c));
+    if (extra.length) out.warnings.push(`Colunas desconhecidas em ${t.name} serão ignoradas: ${extra.join(', ')}.`);
+  });
+  return out;
+}
 
-    // 2) Tentar ATTACH (usando literal com escaping — mais compatível)
-    db.exec(`ATTACH DATABASE ${sqlQuote(tmpPath)} AS restore;`);
-    attached = true;
+// Contas e notificações não são restauradas, mas apontam para docentes e cursos. No modo
+// "replace" esses ids passam a ser os do ficheiro, por isso as ligações guardam-se pelo nome antes
+// de apagar e refazem-se depois. Uma conta de docente ou um curso de coordenador sem equivalente no
+// ficheiro é um conflito (uma conta de docente sem ligação veria resultados de outros docentes).
+const ACCOUNT_TABLES = [
+  { name: 'user', title: 'Utilizadores', key: ['username'] },
+  { name: 'user_course', title: 'Cursos dos coordenadores', key: ['username', 'course'] },
+];
+function accountLinks() {
+  return {
+    teachers: db.prepare('SELECT u.id, u.username, te.name FROM main.user u JOIN main.teacher te ON te.id = u.teacher_id').all(),
+    courses: db.prepare(`SELECT uc.user_id, u.username, co.name FROM main.user_course uc
+                         JOIN main.user u ON u.id = uc.user_id JOIN main.course co ON co.id = uc.course_id`).all(),
+    notifyTeachers: db.prepare('SELECT n.id, te.name FROM main.notification n JOIN main.teacher te ON te.id = n.teacher_id').all(),
+    notifyCourses: db.prepare('SELECT n.id, co.name FROM main.notification n JOIN main.course co ON co.id = n.course_id').all(),
+  };
+}
+function relinkAccounts(links, backupHasUsers, conflict) {
+  const [users, userCourses] = ACCOUNT_TABLES;
+  // Nomes repetidos no ficheiro não permitem escolher o registo: contam como sem equivalente
+  const byName = table => {
+    const stmt = db.prepare(`SELECT id FROM main.${table} WHERE name = ? LIMIT 2`);
+    return name => { const rows = stmt.all(name); return rows.length === 1 ? rows[0].id : null; };
+  };
+  const teacherId = byName('teacher'), courseId = byName('course');
 
-    // 3) Verificar se o attach realmente funcionou (database_list)
-    const dblist = db.prepare('PRAGMA database_list;').all();
-    const hasRestore = dblist.some(r => String(r.name).toLowerCase() === 'restore');
-    if (!hasRestore) {
-      throw new Error('Não foi possível anexar o ficheiro (ATTACH falhou).');
+  db.exec('UPDATE main.user SET teacher_id = NULL WHERE teacher_id IS NOT NULL'); // teacher_id é UNIQUE
+  links.teachers.forEach(l => {
+    const id = teacherId(l.name);
+    if (id != null) db.prepare('UPDATE main.user SET teacher_id = ? WHERE id = ?').run(id, l.id);
+    else conflict(users, { id: l.id, username: l.username }, `o docente associado (${l.name}) não existe no ficheiro`);
+  });
+  db.exec('DELETE FROM main.user_course');
+  links.courses.forEach(l => {
+    const id = courseId(l.name);
+    if (id != null) db.prepare('INSERT OR IGNORE INTO main.user_course (user_id, course_id) VALUES (?, ?)').run(l.user_id, id);
+    else conflict(userCourses, { id: l.user_id, username: l.username, course: l.name }, 'o curso não existe no ficheiro');
+  });
+  // Notificações: refaz-se a ligação ou apagam-se
+  [['teacher_id', links.notifyTeachers, teacherId], ['course_id', links.notifyCourses, courseId]].forEach(([col, list, idOf]) => {
+    db.exec(`UPDATE main.notification SET ${col} = NULL WHERE ${col} IS NOT NULL`);
+    list.forEach(l => {
+      const id = idOf(l.name);
+      if (id != null) db.prepare(`UPDATE main.notification SET ${col} = ? WHERE id = ?`).run(id, l.id);
+      else db.prepare('DELETE FROM main.notification WHERE id = ?').run(l.id);
+    });
+  });
+  // Moderadores do ficheiro: pelo username (sem equivalente fica vazio)
+  [['survey_response', 'moderated_by'], ['survey_answer', 'moderated_by'], ['comment_moderation', 'user_id']].forEach(([table, col]) => {
+    db.exec(backupHasUsers
+      ? `UPDATE main.${table} SET ${col} = (SELECT mu.id FROM restore.user ru JOIN main.user mu ON mu.username = ru.username WHERE ru.id = main.${table}.${col})
+         WHERE ${col} IS NOT NULL`
+      : `UPDATE main.${table} SET ${col} = NULL WHERE ${col} IS NOT NULL`);
+  });
+}
+
+// Copia os dados da BD anexada como "restore" (ver withRestoreFile), já migrada por prepareRestoreFile. Em dryRun a transação é anulada
+// no fim, pelo que as contagens e conflitos são exactamente os do restauro real.
+function restoreData(mode, { dryRun = false, allowConflicts = false } = {}) {
+  const tables = db.prepare('SELECT name FROM restore.sqlite_master WHERE type = ?').all('table').map(r => r.name);
+  const has = t => tables.includes(t);
+  const colsOf = (schema, t) => db.prepare(`PRAGMA ${schema}.table_info(${t})`).all();
+  const report = { mode, tables: [], conflicts: [], conflictCount: 0 };
+  const conflict = (t, row, reason) => {
+    report.conflictCount++;
+    if (report.conflicts.length < RESTORE_MAX_CONFLICTS) {
+      report.conflicts.push({ table: t.title, row: `#${row.id} ${t.key.map(k => row[k]).filter(v => v != null).join(' · ')}`, reason });
+    }
+  };
+
+  const run = () => {
+    if (mode === 'replace') {
+      const counts = Object.fromEntries(RESTORE_TABLES.map(t => [t.name, db.prepare(`SELECT COUNT(*) c FROM main.${t.name}`).get().c]));
+      const links = accountLinks();
+      [...RESTORE_TABLES].reverse().forEach(t => db.exec(`DELETE FROM main.${t.name}`));
+      RESTORE_TABLES.forEach(t => {
+        const stats = { name: t.name, title: t.title, backup: 0, current: counts[t.name], inserted: 0, matched: 0, skipped: 0 };
+        report.tables.push(stats);
+        if (!has(t.name)) return;
+        // Só as colunas comuns: backups antigos podem ter menos colunas do que o esquema actual
+        const own = colsOf('main', t.name).map(c => c.name);
+        const cols = colsOf('restore', t.name).map(c => c.name).filter(c => own.includes(c)).join(', ');
+        stats.backup = stats.inserted = db.prepare(`INSERT INTO main.${t.name} (${cols}) SELECT ${cols} FROM restore.${t.name}`).run().changes;
+      });
+      relinkAccounts(links, has('user'), conflict);
+      // Com as chaves estrangeiras desligadas, as referências partidas do ficheiro ficam só assinaladas
+      [...RESTORE_TABLES, ...ACCOUNT_TABLES].forEach(t => {
+        const bad = db.prepare(`PRAGMA main.foreign_key_check(${t.name})`).all();
+        bad.forEach(b => conflict(t, { id: b.rowid }, `referência inexistente para ${b.parent}`));
+      });
+      return;
     }
 
-    // 4) Descobrir tabelas disponíveis no backup (sqlite_schema OU sqlite_master)
-    let tables = [];
-    try {
-      tables = db.prepare(
-        "SELECT name FROM restore.sqlite_schema WHERE type='table';"
-      ).all().map(r => r.name);
-    } catch (_) {
-      try {
-        tables = db.prepare(
-          "SELECT name FROM restore.sqlite_master WHERE type='table';"
-        ).all().map(r => r.name);
-      } catch (__) {
-        throw new Error('Falha a ler o esquema do ficheiro anexado (sqlite_schema/sqlite_master). O ficheiro é um SQLite válido?');
-      }
+    // merge: ids do ficheiro -> ids actuais, tabela a tabela (pais antes dos filhos)
+    const idMap = Object.fromEntries(RESTORE_TABLES.map(t => [t.name, new Map()]));
+    // Mesma resposta noutra turma da leccionação (mesmo docente, disciplina, semestre e ano lectivo)
+    const movedResponse = db.prepare(`
+      SELECT r.id, r.teaching_id FROM main.survey_response r
+      JOIN main.teaching t ON t.id = r.teaching_id
+      JOIN main.teaching o ON o.id = @teaching_id
+      WHERE r.campaign_id IS @campaign_id AND r.submitted_at = @submitted_at AND t.id <> o.id
+        AND t.teacher_id = o.teacher_id AND t.discipline_id = o.discipline_id
+        AND t.semester_id = o.semester_id AND t.school_year_id IS o.school_year_id
+    `);
+    idMap.user = new Map();
+    if (has('user')) {
+      const byName = db.prepare('SELECT id FROM main.user WHERE username = ?');
+      db.prepare('SELECT id, username FROM restore.user').all().forEach(u => {
+        const own = byName.get(u.username);
+        if (own) idMap.user.set(u.id, own.id);
+      });
     }
+    RESTORE_TABLES.forEach(t => {
+      const stats = { name: t.name, title: t.title, backup: 0, current: db.prepare(`SELECT COUNT(*) c FROM main.${t.name}`).get().c, inserted: 0, matched: 0, skipped: 0 };
+      report.tables.push(stats);
+      if (!has(t.name)) return;
+      const own = colsOf('main', t.name);
+      const notNull = new Set(own.filter(c => c.notnull).map(c => c.name));
+      const backupCols = colsOf('restore', t.name).map(c => c.name);
+      const cols = own.map(c => c.name).filter(c => c !== 'id' && backupCols.includes(c));
+      const find = db.prepare(`SELECT * FROM main.${t.name} WHERE ${t.key.map(k => `${k} IS @${k}`).join(' AND ')} ORDER BY id`);
+      const insert = db.prepare(`INSERT INTO main.${t.name} (${cols.join(', ')}) VALUES (${cols.map(c => '@' + c).join(', ')})`);
+      const map = idMap[t.name];
+      // distinct: a chave pode repetir-se sem ser o mesmo registo; cada linha actual (ou inserida
+      // agora) serve no máximo uma linha do ficheiro
+      const claimed = new Set();
+
+      db.prepare(`SELECT * FROM restore.${t.name} ORDER BY id`).all().forEach(row => {
+        stats.backup++;
+        const vals = Object.fromEntries(cols.map(c => [c, row[c]]));
+        let orphan = null;
+        Object.entries(t.refs || {}).forEach(([col, ref]) => {
+          if (vals[col] == null) return;
+          const to = idMap[ref].get(vals[col]);
+          if (to != null) vals[col] = to;
+          else if (notNull.has(col)) orphan = orphan || col;
+          else vals[col] = null;
+        });
+        if (orphan) {
+          stats.skipped++;
+          conflict(t, row, `ignorada: referência inexistente (${orphan} = ${row[orphan]})`);
+          return;
+        }
+        const keyVals = Object.fromEntries(t.key.map(k => [k, vals[k] ?? null]));
+        let existing = t.distinct ? find.all(keyVals).find(e => !claimed.has(e.id)) : find.get(keyVals);
+        if (!existing && t.name === 'survey_response') {
+          const moved = movedResponse.all(keyVals).find(e => !claimed.has(e.id));
+          if (moved) {
+            claimed.add(moved.id);
+            map.set(row.id, moved.id);
+            stats.matched++;
+            conflict(t, row, `já existe noutra turma (leccionação #${moved.teaching_id}, resposta #${moved.id}); não inserida outra vez`);
+            return;
+          }
+        }
+        if (existing) {
+          claimed.add(existing.id);
+          map.set(row.id, existing.id);
+          stats.matched++;
+          const diffs = cols.filter(c => !t.key.includes(c) && !(t.refs && t.refs[c] === 'user') && String(existing[c] ?? '') !== String(vals[c] ?? ''));
+          if (diffs.length) conflict(t, row, `já existe (#${existing.id}); mantidos os valores actuais de ${diffs.join(', ')}`);
+          return;
+        }
+        if (t.renumber && db.prepare(`SELECT 1 FROM main.${t.name} WHERE ${t.renumber} = ?`).get(vals[t.renumber])) {
+          const next = db.prepare(`SELECT COALESCE(MAX(${t.renumber}), 0) + 1 n FROM main.${t.name}`).get().n;
+          conflict(t, row, `${t.renumber} ${vals[t.renumber]} já usado; passa a ${next}`);
+          vals[t.renumber] = next;
+        }
+        const id = Number(insert.run(vals).lastInsertRowid);
+        claimed.add(id);
+        map.set(row.id, id);
+        stats.inserted++;
+      });
+    });
+  };
 
-    // 5) Funções utilitárias
-    const hasTable = (t) => tables.includes(t);
-    const copyIfExists = (t) => {
-      if (hasTable(t)) db.exec(`INSERT INTO ${t} SELECT * FROM restore.${t};`);
-    };
-
-    // 6) Copiar dentro de uma transação
+  // No modo "replace" as chaves estrangeiras desligam-se fora da transação (dentro não tem efeito)
+  if (mode === 'replace') db.pragma('foreign_keys = OFF');
+  try {
     db.transaction(() => {
-      db.exec('PRAGMA foreign_keys = OFF;');
-
-      // Limpar tudo primeiro, se marcado
-      if (req.body.wipe_all === 'on') {
-        db.exec(`
-          DELETE FROM survey_answer;
-          DELETE FROM survey_response;
-          DELETE FROM teaching;
-          DELETE FROM discipline;
-          DELETE FROM teacher;
-          DELETE FROM course;
-          DELETE FROM school_year;
-          DELETE FROM class_group;
-          DELETE FROM semester;
-          DELETE FROM survey_question;
-        `);
+      run();
+      if (dryRun) throw RESTORE_DRY_RUN;
+      if (mode === 'replace' && report.conflictCount && !allowConflicts) {
+        throw new Error(`O ficheiro tem ${report.conflictCount} conflito(s) no modo Substituir; nada foi alterado. Veja-os na pré-visualização e corrija-os, ou use o modo Juntar.`);
       }
+    })();
+  } catch (e) {
+    if (e !== RESTORE_DRY_RUN) throw e;
+  } finally {
+    if (mode === 'replace') db.pragma('foreign_keys = ON');
+  }
+  return report;
+}
 
-      // Ordem segura: bases -> relacionamentos -> dados recolhidos
-      // (só copia se existir no backup)
-      ['course','semester','school_year','class_group','teacher','discipline','survey_question'].forEach(copyIfExists);
-      ['teaching'].forEach(copyIfExists);
-      ['survey_response','survey_answer'].forEach(copyIfExists);
+// Anexa o ficheiro como "restore", corre fn e desanexa (mesmo com erro)
+function withRestoreFile(file, fn) {
+  db.exec(`ATTACH DATABASE '${String(file).replace(/'/g, "''")}' AS restore`);
+  try { return fn(); } finally { try { db.exec('DETACH DATABASE restore'); } catch {} }
+}
+function withTempFile(buffer, fn) {
+  const tmpPath = path.join(os.tmpdir(), `restore_${Date.now()}_${crypto.randomBytes(4).toString('hex')}.sqlite`);
+  fs.writeFileSync(tmpPath, buffer);
+  return Promise.resolve().then(() => fn(tmpPath))
+    .finally(() => { try { fs.unlinkSync(tmpPath); } catch {} });
+}
 
-      db.exec('PRAGMA foreign_keys = ON;');
-    })();
+// Backup automático (para desfazer), restauro e registo em restore_run
+async function performRestore(file, mode, user, { name, rollbackOf = null } = {}) {
+  const inspected = prepareRestoreFile(file);
+  if (inspected.errors.length) throw new Error(inspected.errors.join(' '));
+  const pre = await createBackup('pre_restore', user);
+  const report = withRestoreFile(file, () => restoreData(mode, { allowConflicts: rollbackOf != null }));
+  ensureDefaultScales();        // backups anteriores às escalas
+  ensureDefaultQuestionnaire(); // backups anteriores às versões de questionário
+  const id = db.prepare(`INSERT INTO restore_run (file, mode, backup_file, summary, rollback_of, user_id, created_at)
+                         VALUES (?, ?, ?, ?, ?, ?, ?)`)
+    .run(name || null, mode, pre.file, JSON.stringify(report.tables), rollbackOf, user?.id ?? null, dayjs().toISOString()).lastInsertRowid;
+  return { id: Number(id), report, backup: pre.file };
+}
+
+// Contagens para o registo de auditoria
+const restoreTotals = report => ({
+  inseridos: report.tables.reduce((a, t) => a + t.inserted, 0),
+  ignorados: report.tables.reduce((a, t) => a + t.skipped, 0),
+});
+
+function prunePendingRestores() {
+  const limit = dayjs().subtract(IMPORT_TTL_MINUTES, 'minute');
+  for (const [token, p] of pendingRestores) if (p.createdAt.isBefore(limit)) pendingRestores.delete(token);
+  while (pendingRestores.size >= IMPORT_MAX_PENDING) pendingRestores.delete(pendingRestores.keys().next().value);
+}
 
-    // 7) Sucesso
+const restoreTableHtml = tables => `
+  <table class="w-full text-sm">
+    <thead><tr class="text-slate-500"><th class="text-left">Tabela</th><th>No ficheiro</th><th>Actuais</th><th>Novas</th><th>Já existentes</th><th>Ignoradas</th></tr></thead>
+    <tbody>${tables.map(t => `
+      <tr class="border-t">
+        <td class="py-1">${t.title}</td>
+        <td class="text-center">${t.backup}</td><td class="text-center">${t.current}</td>
+        <td class="text-center">${t.inserted}</td><td class="text-center">${t.matched}</td>
+        <td class="text-center ${t.skipped ? 'text-rose-700 font-semibold' : ''}">${t.skipped}</td>
+      </tr>`).join('')}</tbody>
+  </table>`;
+
+function restoreFailure(req, res, e) {
+  notifyFailure('restore', 'Falha no restauro', e);
+  const err = `
+    <div class="text-center space-y-2">
+      <h2 class="text-xl font-semibold text-rose-600">Erro no restauro</h2>
+      <p class="text-slate-600">${escapeHtml(e.message || String(e))}</p>
+      <p class="text-xs text-slate-500">Nenhum dado foi alterado: o restauro corre numa única transação.</p>
+      <div class="mt-3"><a class="btn btn-ghost" href="/importar">Voltar</a></div>
+    </div>`;
+  return res.status(400).send(renderPage('Erro no restauro', err, '', req.user));
+}
+
+app.post('/restore', requireRole(['admin']), upload.single('backup'), verifyCsrf, async (req, res) => {
+  if (!req.file || !req.file.buffer?.length) return restoreFailure(req, res, new Error('Nenhum ficheiro recebido.'));
+  const mode = req.body.mode === 'merge' ? 'merge' : 'replace';
+  let inspected, report = null;
+  try {
+    await withTempFile(req.file.buffer, file => {
+      inspected = prepareRestoreFile(file);
+      if (!inspected.errors.length) report = withRestoreFile(file, () => restoreData(mode, { dryRun: true }));
+    });
+  } catch (e) {
+    return restoreFailure(req, res, e);
+  }
+  // Substituir com conflitos não pode ser confirmado (ver RESTAURO)
+  const blocked = !!report && mode === 'replace' && report.conflictCount > 0;
+  let token = null;
+  if (report && !blocked) {
+    prunePendingRestores();
+    token = crypto.randomBytes(16).toString('hex');
+    pendingRestores.set(token, { buffer: req.file.buffer, name: req.file.originalname, mode, userId: req.user.id, createdAt: dayjs() });
+  }
+  const list = (items, cls) => items.map(m => `<li class="${cls}">${escapeHtml(m)}</li>`).join('');
+  const html = `
+    <p class="mb-4 text-sm text-slate-600">Ficheiro <b>${escapeHtml(req.file.originalname || '')}</b> analisado (esquema v${inspected.version ?? '?'}; esta instalação usa v${SCHEMA_VERSION}). Nada foi gravado ainda.
+      ${report && mode === 'replace' ? '<br/><b class="text-rose-700">Modo Substituir: os dados de avaliação actuais serão apagados e substituídos pelos do ficheiro.</b>' : ''}
+      ${report && mode === 'merge' ? '<br/>Modo Juntar: os registos equivalentes são reaproveitados e os restantes recebem ids novos. As respostas reconhecem-se pela leccionação, campanha e data/hora de submissão.' : ''}</p>
+    ${inspected.errors.length ? `<div class="card mb-6"><h2 class="text-lg font-semibold mb-2 text-left text-rose-700">O ficheiro não pode ser restaurado</h2><ul class="text-sm space-y-1">${list(inspected.errors, 'text-rose-700')}</ul></div>` : ''}
+    ${inspected.warnings.length ? `<div class="card mb-6"><h2 class="text-lg font-semibold mb-2 text-left">Avisos</h2><ul class="text-sm space-y-1">${list(inspected.warnings, 'text-amber-700')}</ul></div>` : ''}
+    ${report ? `
+    <div class="card mb-6">
+      <h2 class="text-lg font-semibold mb-2 text-left">Resumo (${RESTORE_MODES[mode]})</h2>
+      ${restoreTableHtml(report.tables)}
+      ${blocked ? `
+      <p class="mt-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-sm text-rose-700">O modo Substituir não pode ser aplicado com conflitos: os dados ficariam com referências partidas ou contas sem docente/curso. Corrija os registos indicados abaixo (no ficheiro ou em Utilizadores) ou volte a carregar o ficheiro no modo Juntar.</p>
+      <div class="mt-4"><a class="btn btn-ghost" href="/importar">Voltar</a></div>` : `
+      <div class="flex flex-wrap gap-2 mt-4">
+        <form method="POST" action="/restore/confirmar">
+          <input type="hidden" name="token" value="${token}" />
+          <button class="btn btn-primary">Confirmar restauro</button>
+        </form>
+        <a class="btn btn-ghost" href="/importar">Cancelar</a>
+      </div>
+      <p class="mt-2 text-xs text-slate-500">Antes de aplicar é criado um backup automático da base de dados actual, que permite desfazer o restauro. A pré-visualização expira em ${IMPORT_TTL_MINUTES} minutos.</p>`}
+    </div>
+    ${report.conflictCount ? `
+    <div class="card">
+      <h2 class="text-lg font-semibold mb-2 text-left text-amber-700">Conflitos (${report.conflictCount})</h2>
+      <table class="w-full text-sm">
+        <thead><tr class="text-slate-500"><th class="text-left">Tabela</th><th class="text-left">Registo no ficheiro</th><th class="text-left">Resolução</th></tr></thead>
+        <tbody>${report.conflicts.map(c => `<tr class="border-t"><td class="py-1">${c.table}</td><td>${escapeHtml(c.row)}</td><td>${escapeHtml(c.reason)}</td></tr>`).join('')}</tbody>
+      </table>
+      ${report.conflictCount > report.conflicts.length ? `<p class="mt-2 text-xs text-slate-500">Mostrados os primeiros ${report.conflicts.length}.</p>` : ''}
+    </div>` : ''}` : '<a class="btn btn-ghost" href="/importar">Voltar</a>'}`;
+  return res.send(renderPage('Restaurar · Pré-visualização', html, '', req.user));
+});
+
+app.post('/restore/confirmar', requireRole(['admin']), async (req, res) => {
+  const token = String(req.body?.token || '');
+  const pending = pendingRestores.get(token);
+  if (!pending || pending.userId !== req.user.id || pending.createdAt.isBefore(dayjs().subtract(IMPORT_TTL_MINUTES, 'minute'))) {
+    return res.send(renderPage('Restaurar', `<p class="text-red-600 mb-2">A pré-visualização expirou ou não existe. Carregue o ficheiro outra vez.</p><a class="underline" href="/importar">Voltar</a>`, '', req.user));
+  }
+  pendingRestores.delete(token);
+  try {
+    const done = await withTempFile(pending.buffer, file => performRestore(file, pending.mode, req.user, { name: pending.name }));
+    audit(req, 'restore', { target: pending.name, details: { modo: pending.mode, backup_previo: done.backup, ...restoreTotals(done.report) } });
     const ok = `
-      <div class="text-center space-y-2">
-        <h2 class="text-xl font-semibold">Restauro concluído com sucesso</h2>
-        <p class="text-slate-600">Os dados foram restaurados a partir do ficheiro selecionado.</p>
-        <div class="mt-3 flex gap-2 justify-center">
+      <div class="space-y-3">
+        <h2 class="text-xl font-semibold">Restauro concluído (${RESTORE_MODES[pending.mode]})</h2>
+        <p class="text-slate-600 text-sm">Backup prévio: <code>${escapeHtml(done.backup)}</code>. Pode desfazer o restauro em <a class="underline" href="/importar">Importar / Backup</a>.</p>
+        ${restoreTableHtml(done.report.tables)}
+        <div class="flex gap-2">
           <a class="btn btn-primary" href="/admin">Ver relatório</a>
           <a class="btn btn-ghost" href="/importar">Voltar</a>
         </div>
       </div>`;
-    return sendPage('Restauro concluído', ok, 200);
-
+    return res.send(renderPage('Restauro concluído', ok, '', req.user));
   } catch (e) {
-    const msg = (e && e.message) ? e.message : String(e);
-    const err = `
-      <div class="text-center space-y-2">
-        <h2 class="text-xl font-semibold text-rose-600">Erro no restauro</h2>
-        <p class="text-slate-600">${msg}</p>
-        <ul class="text-xs text-slate-500 mt-2 space-y-1">
-          <li>• Verifique se o ficheiro é uma base de dados SQLite válida exportada deste sistema.</li>
-          <li>• Tente novamente e, se possível, marque “Limpar todos os dados antes de restaurar”.</li>
-        </ul>
-        <div class="mt-3">
-          <a class="btn btn-ghost" href="/importar">Voltar</a>
-        </div>
-      </div>`;
-    return sendPage('Erro no restauro', err, 400);
+    audit(req, 'restore', { status: 'failed', target: pending.name, details: { modo: pending.mode, erro: e.message } });
+    return restoreFailure(req, res, e);
+  }
+});
 
-  } finally {
-    // 8) DETACH + apagar temporário (mesmo com erro)
-    try { if (attached) db.exec('DETACH DATABASE restore;'); } catch {}
-    try { if (tmpPath && fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath); } catch {}
+// Desfazer = restaurar (modo substituir) o backup feito antes do último restauro
+app.post('/restore/:id/desfazer', requireRole(['admin']), async (req, res) => {
+  const run = db.prepare('SELECT * FROM restore_run WHERE id = ?').get(req.params.id);
+  const last = db.prepare('SELECT id FROM restore_run ORDER BY id DESC LIMIT 1').get();
+  const back = q => res.redirect('/importar?' + new URLSearchParams(q).toString());
+  try {
+    if (!run) throw new Error('Restauro não encontrado.');
+    if (run.rolled_back_at) throw new Error('Este restauro já foi desfeito.');
+    if (run.id !== last.id) throw new Error('Só é possível desfazer o restauro mais recente.');
+    const full = path.join(getBackupsDir(), run.backup_file || '');
+    if (!run.backup_file || !fs.existsSync(full)) throw new Error('O backup prévio já não existe (retenção de backups).');
+    // Cópia temporária: o backup pode ter de ser migrado e não deve ser alterado
+    const done = await withTempFile(fs.readFileSync(full), file => performRestore(file, 'replace', req.user, { name: run.backup_file, rollbackOf: run.id }));
+    db.prepare('UPDATE restore_run SET rolled_back_at = ? WHERE id = ?').run(dayjs().toISOString(), run.id);
+    audit(req, 'restore_undo', { target: run.backup_file, details: { restauro: run.id, backup_previo: done.backup, ...restoreTotals(done.report) } });
+    back({ ok: `Restauro desfeito: dados repostos a partir de ${run.backup_file}.` });
+  } catch (e) {
+    notifyFailure('restore', 'Falha ao desfazer o restauro', e);
+    audit(req, 'restore_undo', { status: 'failed', target: run?.backup_file, details: { restauro: run?.id, erro: e.message } });
+    back({ e: e.message });
   }
 });
 
@@ -1942,54 +6383,77 @@ app.post('/restore', requireAuth, upload.single('backup'), (req, res) => {
 
 
 // ====== EXPORT: EXCEL ======
-app.get('/export/excel', requireAuth, async (req, res) => {
-  const { course_id, semester_id, discipline_id, teacher_id, school_year_id, class_group_id } = req.query;
-  const qRows = db.prepare('SELECT id, code, text, area FROM survey_question ORDER BY id').all();
+app.get('/export/excel', requireRole(REPORT_ROLES), async (req, res) => {
+  const f = reportFilters(req.query, req.user);
+  const n = releasedCount(f);
+  if (n < ANON) return sendInsufficient(req, res, n);
+
+  const qRows = scopeQuestions(f);
+  const qLabel = questionLabeler(qRows);
   const responses = db.prepare(`
-    SELECT r.id as response_id, r.submitted_at, r.comment,
+    SELECT r.id as response_id, r.submitted_at, ${COMMENT_SQL} AS comment,
            t.teacher_id, t.discipline_id, t.semester_id, t.school_year_id, t.class_group_id,
            d.name as discipline_name, s.name as semester_name,
            te.name as teacher_name, c.name as course_name,
-           sy.name as school_year_name, cg.name as class_group_name
+           sy.name as school_year_name, cg.name as class_group_name, ac.status as anon_status,
+           qv.version as questionnaire_version
     FROM survey_response r
     JOIN teaching t ON t.id = r.teaching_id
     JOIN discipline d ON d.id = t.discipline_id
     JOIN course c ON c.id = d.course_id
     JOIN semester s ON s.id = t.semester_id
     JOIN teacher te ON te.id = t.teacher_id
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
     LEFT JOIN school_year sy ON sy.id = t.school_year_id
     LEFT JOIN class_group cg ON cg.id = t.class_group_id
-    WHERE (COALESCE(?, c.id) = c.id)
-      AND (COALESCE(?, t.semester_id) = t.semester_id)
-      AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-      AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-      AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-      AND (COALESCE(?, t.class_group_id) = t.class_group_id)
+    LEFT JOIN questionnaire_version qv ON qv.id = r.questionnaire_version_id
+    WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
     ORDER BY r.submitted_at DESC
-  `).all(course_id || null, semester_id || null, discipline_id || null, teacher_id || null, school_year_id || null, class_group_id || null);
+  `).all(f);
 
-  const ansByResp = db.prepare('SELECT question_id, value FROM survey_answer WHERE response_id=?');
+  // Texto livre: só o publicado pela moderação (pendente ou rejeitado fica em branco)
+  const ansByResp = db.prepare(`SELECT a.question_id, a.value, a.text_value IS NOT NULL AS is_text, ${TEXT_ANSWER_SQL} AS text
+                                FROM survey_answer a WHERE a.response_id=?`);
   const wb = new ExcelJS.Workbook();
   const ws = wb.addWorksheet('Respostas');
-  const header = ['Data/Hora','Curso','Semestre','Ano lectivo','Turma','Disciplina','Docente', ...qRows.map(q=>q.code), 'Comentário'];
+  const header = ['Data/Hora','Curso','Semestre','Ano lectivo','Turma','Disciplina','Docente','Questionário', ...qRows.map(qLabel), 'Comentário'];
   ws.addRow(header);
   responses.forEach(r => {
     const ans = ansByResp.all(r.response_id);
-    const map = new Map(ans.map(a => [a.question_id, a.value]));
+    const map = new Map(ans.map(a => [a.question_id, a.is_text ? (a.text ?? '') : (a.value ?? 'N/A')]));
     ws.addRow([
-      r.submitted_at, r.course_name, r.semester_name, r.school_year_name || '', r.class_group_name || '', r.discipline_name, r.teacher_name,
+      r.submitted_at, r.course_name, r.semester_name, r.school_year_name || '',
+      r.anon_status === 'merged' ? `Turmas agregadas (n<${ANON})` : (r.class_group_name || ''),
+      r.discipline_name, r.teacher_name, r.questionnaire_version ? `v${r.questionnaire_version}` : '',
       ...qRows.map(q => map.get(q.id) ?? ''), r.comment || ''
     ]);
   });
+  const wsQ = wb.addWorksheet('Questões');
+  wsQ.addRow(['Coluna', 'Versão', 'Código', 'Área', 'Questão', 'Escala', 'Valores']);
+  const scaleById = new Map(listScales().map(sc => [sc.id, sc]));
+  qRows.forEach(q => {
+    const scale = scaleById.get(q.scale_id);
+    wsQ.addRow([qLabel(q), `v${q.version}`, q.code, q.area, q.text, scale?.name || '',
+      scale ? scaleLegend(scale) + (q.allow_na ? ', N/A (Não se aplica)' : '') : '']);
+  });
+  const notices = anonNotices(f);
+  if (notices.length) {
+    const wsA = wb.addWorksheet('Anonimato');
+    wsA.addRow(['Docente', 'Disciplina', 'Turma', 'Estado']);
+    notices.forEach(c => wsA.addRow([c.teacher, c.discipline, c.class_group || '', c.label]));
+  }
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  audit(req, 'export_excel', { details: { ...auditFilters(f), respostas: n } });
   res.setHeader('Content-Disposition', 'attachment; filename="avaliacao_ispt.xlsx"');
   await wb.xlsx.write(res); res.end();
 });
 
 
  // ====== EXPORT: PDF (com capa, KPIs coloridos, tabela ordenada, pizza e secções) ======
-app.get('/export/pdf', requireAuth, (req, res) => {
-    const { course_id, semester_id, discipline_id, teacher_id, school_year_id, class_group_id } = req.query;
+// Desenha o relatório completo (capa, KPIs, participação, questões, tendências, comentários e
+// recomendações) num documento PDFKit já criado. O chamador valida o limiar de anonimato.
+function renderReportPdf(doc, f, { turno = null } = {}) {
+    const { course_id, semester_id, discipline_id, teacher_id, school_year_id, class_group_id } = f;
   
     const course     = course_id      ? db.prepare('SELECT name FROM course WHERE id=?').get(course_id)           : null;
     const semester   = semester_id    ? db.prepare('SELECT name FROM semester WHERE id=?').get(semester_id)       : null;
@@ -1997,67 +6461,109 @@ app.get('/export/pdf', requireAuth, (req, res) => {
     const teacher    = teacher_id     ? db.prepare('SELECT name FROM teacher WHERE id=?').get(teacher_id)         : null;
     const schoolYear = school_year_id ? db.prepare('SELECT name FROM school_year WHERE id=?').get(school_year_id) : null;
     const klass      = class_group_id ? db.prepare('SELECT name FROM class_group WHERE id=?').get(class_group_id) : null;
+    const campaign   = f.campaign_id  ? db.prepare('SELECT name FROM campaign WHERE id=?').get(f.campaign_id)       : null;
   
+    const notices = anonNotices(f);
+    const rates = participation(f);
+    const trend = trendData(f);
+    const bench = benchmark(f);
+    const analysis = commentAnalysis(f);
+
     // Totais e média global
     const totals = db.prepare(`
-      SELECT COUNT(DISTINCT r.id) as total_resp, AVG(a.value) as media_global
+      SELECT COUNT(DISTINCT r.id) as total_resp, AVG(a.value) as media_global, AVG(${SCORE_SQL}) as score_global
       FROM survey_response r
       JOIN survey_answer a ON a.response_id = r.id
+      JOIN survey_question q ON q.id = a.question_id
+      JOIN answer_scale sc ON sc.id = q.scale_id
       JOIN teaching t ON t.id = r.teaching_id
       JOIN discipline d ON d.id = t.discipline_id
-      WHERE (COALESCE(?, d.course_id) = d.course_id)
-        AND (COALESCE(?, t.semester_id) = t.semester_id)
-        AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-        AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-        AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-        AND (COALESCE(?, t.class_group_id) = t.class_group_id)
-    `).get(course_id||null, semester_id||null, discipline_id||null, teacher_id||null, school_year_id||null, class_group_id||null);
-  
-    // Por questão (contagens e média)
+      JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+      WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
+    `).get(f);
+  
+    // Por questão (média na escala, índice 0–100 e N/A) — só perguntas de escala numérica
     const byQuestionRaw = db.prepare(`
       SELECT
-        q.id, q.code, q.text, q.area,
-        SUM(CASE WHEN a.value = 0 THEN 1 ELSE 0 END) AS c0,
-        SUM(CASE WHEN a.value = 1 THEN 1 ELSE 0 END) AS c1,
-        SUM(CASE WHEN a.value = 2 THEN 1 ELSE 0 END) AS c2,
+        q.id, q.code, q.text, q.area, qv.version,
+        q.scale_id, sc.kind AS scale_kind, sc.min_value, sc.max_value,
         COUNT(a.value) AS total,
-        AVG(a.value)   AS avg_val
+        SUM(CASE WHEN a.id IS NOT NULL AND a.value IS NULL THEN 1 ELSE 0 END) AS na,
+        AVG(a.value)   AS avg_val,
+        AVG(${SCORE_SQL}) AS score
       FROM survey_question q
+      JOIN questionnaire_version qv ON qv.id = q.questionnaire_version_id
+      JOIN answer_scale sc ON sc.id = q.scale_id AND sc.kind = 'numeric'
       LEFT JOIN survey_answer a ON a.question_id = q.id
       LEFT JOIN survey_response r ON r.id = a.response_id
       LEFT JOIN teaching t ON t.id = r.teaching_id
       LEFT JOIN discipline d ON d.id = t.discipline_id
-      WHERE (COALESCE(?, d.course_id) = d.course_id)
-        AND (COALESCE(?, t.semester_id) = t.semester_id)
-        AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-        AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-        AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-        AND (COALESCE(?, t.class_group_id) = t.class_group_id)
+      LEFT JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+      WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
       GROUP BY q.id
-    `).all(course_id||null, semester_id||null, discipline_id||null, teacher_id||null, school_year_id||null, class_group_id||null);
+    `).all(f);
+    // Perguntas de versões diferentes não se fundem: o código leva a versão
+    const qLabel = questionLabeler(byQuestionRaw);
+    byQuestionRaw.forEach(q => { q.code = qLabel(q); });
+
+    // Contagens por valor (distribuição de cada pergunta)
+    const counts = db.prepare(`
+      SELECT a.question_id, a.value, COUNT(*) AS c
+      FROM survey_answer a
+      JOIN survey_response r ON r.id = a.response_id
+      JOIN teaching t ON t.id = r.teaching_id
+      JOIN discipline d ON d.id = t.discipline_id
+      JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+      WHERE a.value IS NOT NULL AND ${SCOPE_SQL} AND ${RELEASED_SQL}
+      GROUP BY a.question_id, a.value
+    `).all(f);
+    byQuestionRaw.forEach(q => { q.counts = counts.filter(c => c.question_id === q.id); });
+
+    // Uma só escala: médias na própria escala; várias: índice 0–100
+    const scales = scopeScales(byQuestionRaw);
+    const uniform = scales.length === 1 ? scales[0] : null;
+    const shown = (avg, score) => uniform ? Number(avg).toFixed(2) : Number(score).toFixed(0);
+    const scaleText = scales.map(sc => scales.length > 1 ? `${sc.name}: ${scaleLegend(sc)}` : scaleLegend(sc)).join('; ')
+      + (uniform ? '' : '. Escalas diferentes comparam-se pelo índice 0–100');
+    const detail = statsDetail(f, { index: !uniform });
+    // Média com a meia amplitude do IC 95%; * quando n < RELIABLE_MIN_N
+    const shownCi = (q) => {
+      const st = detail.questions.get(q.id);
+      const half = st?.sd != null ? ` ±${((st.ci_high - st.ci_low) / 2).toFixed(uniform ? 2 : 0)}` : '';
+      return shown(q.avg_val, q.score) + half + (st && !st.reliable ? '*' : '');
+    };
   
     // Comentários agrupados por frequência (Top 10)
     const comments = db.prepare(`
-      SELECT MIN(TRIM(r.comment)) AS sample_comment,
-             LOWER(TRIM(r.comment)) AS norm_key,
+      SELECT MIN(TRIM(${COMMENT_SQL})) AS sample_comment,
+             LOWER(TRIM(${COMMENT_SQL})) AS norm_key,
              COUNT(*) AS freq
       FROM survey_response r
       JOIN teaching t ON t.id = r.teaching_id
       JOIN discipline d ON d.id = t.discipline_id
-      WHERE r.comment IS NOT NULL AND r.comment <> ''
-        AND (COALESCE(?, d.course_id) = d.course_id)
-        AND (COALESCE(?, t.semester_id) = t.semester_id)
-        AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-        AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-        AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-        AND (COALESCE(?, t.class_group_id) = t.class_group_id)
+      JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+      WHERE ${PUBLISHED_COMMENT_SQL}
+        AND ${SCOPE_SQL} AND ${RELEASED_SQL}
       GROUP BY norm_key
       ORDER BY freq DESC
       LIMIT 10
-    `).all(course_id||null, semester_id||null, discipline_id||null, teacher_id||null, school_year_id||null, class_group_id||null);
+    `).all(f);
+
+    // Respostas de texto livre publicadas, agrupadas por frequência (Top 10 por pergunta)
+    const textQuestions = scopeQuestions(f).filter(q => q.scale_kind === 'text');
+    const textLabel = questionLabeler(textQuestions);
+    const textAnswers = publishedTextAnswers(f);
+    const textGroups = textQuestions.map(q => {
+      const groups = new Map();
+      textAnswers.filter(t => t.question_id === q.id).forEach(t => {
+        const key = t.answer.trim().toLowerCase();
+        if (!groups.has(key)) groups.set(key, { text: t.answer.trim(), freq: 0 });
+        groups.get(key).freq++;
+      });
+      return { label: `${textLabel(q)} · ${q.text}`, top: [...groups.values()].sort((a, b) => b.freq - a.freq).slice(0, 10) };
+    });
   
     // ===== PDF =====
-    const PDFDocument = require('pdfkit');
     
     const dayjs = require('dayjs');
   
@@ -2072,12 +6578,7 @@ app.get('/export/pdf', requireAuth, (req, res) => {
     const pct   = (n, d) => (!d || d <= 0) ? '0%' : `${Math.round((Number(n||0) / Number(d)) * 100)}%`;
     const trunc = (s, n=60) => { const t = String(s||'').trim(); return t.length > n ? t.slice(0, n-1) + '…' : t; };
   
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', 'attachment; filename="relatorio_avaliacao.pdf"');
-  
-    const margin = 22;
-    const doc = new PDFDocument({ size: 'A4', margin });
-    doc.pipe(res);
+    const margin = doc.page.margins.left;
   
    // ===== Capa / Cabeçalho =====
 const logoPath = resolveLogo();
@@ -2104,13 +6605,13 @@ doc.font('Helvetica-Bold').fontSize(16)
 doc.moveDown(0.6);
 
 // === Metadados dinâmicos (cada item em uma linha, alinhado à esquerda) ===
-// Observação: "turno" vem de query (?turno=diurno|pos)
-const turno = (req.query.turno && String(req.query.turno).trim()) || null;
+// Observação: "turno" vem de query (?turno=diurno|pos) em /export/pdf
 
 doc.x = margin;
 doc.font('Helvetica').fontSize(10).fillColor('#334155');
 
 const metaLines = [];
+if (campaign?.name)   metaLines.push(`Campanha: ${campaign.name}`);
 if (course?.name)     metaLines.push(`Curso: ${course.name}`);
 if (schoolYear?.name) metaLines.push(`Ano lectivo: ${schoolYear.name}`);
 if (semester?.name)   metaLines.push(`Semestre: ${semester.name}`);
@@ -2175,9 +6676,10 @@ const kpiBox = (x, title, value, bg) => {
   doc.restore();
 };
 
-const mediaGlobalTxt = totals?.media_global != null ? Number(totals.media_global).toFixed(2) : '—';
+const mediaGlobalTxt = totals?.score_global != null ? shown(totals.media_global, totals.score_global) : '—';
+const mediaGlobalLbl = uniform ? `Média global (${scaleRange(uniform)})` : 'Índice global (0–100)';
 kpiBox(startX,             'Total de respostas', totals?.total_resp ?? 0, LOGO_PRIMARY);
-kpiBox(startX + boxW + gap,'Média global (0–2)', mediaGlobalTxt,        LOGO_ACCENT);
+kpiBox(startX + boxW + gap, mediaGlobalLbl,      mediaGlobalTxt,        LOGO_ACCENT);
 
 // avança o cursor e insere um separador fino abaixo
 doc.y = kpiY + boxH + 12;
@@ -2188,6 +6690,106 @@ const sep = () => {
 };
 sep();
 
+    // ===== Participação (taxa de resposta por docente, disciplina e curso) =====
+    (function renderParticipation(){
+      doc.x = margin;
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#0f172a').text('Participação', { align: 'left' });
+      doc.moveDown(0.1);
+      const o = rates.overall;
+      if (o.rate == null) {
+        doc.font('Helvetica').fontSize(9.5).fillColor('#334155')
+           .text(`${o.responses} resposta(s). Sem número de inscritos registado para calcular a taxa de resposta.`, { align: 'left' });
+        sep();
+        return;
+      }
+      const labelW = 200, barX = margin + labelW + 10, barW = 150, barH = 6;
+      const line = (label, p) => {
+        if (doc.y > doc.page.height - margin - 24) doc.addPage();
+        const y = doc.y;
+        doc.font('Helvetica').fontSize(8.5).fillColor('#334155').text(trunc(label, 45), margin, y, { width: labelW });
+        if (p.rate == null) {
+          doc.fillColor('#94a3b8').text(`${p.responses} resposta(s) · inscritos desconhecidos`, barX, y);
+        } else {
+          const ok = p.representative;
+          doc.save();
+          doc.roundedRect(barX, y + 2, barW, barH, 3).fill('#f1f5f9');
+          doc.roundedRect(barX, y + 2, Math.max(2, barW * Math.min(100, p.rate) / 100), barH, 3).fill(ok ? '#16a34a' : '#d97706');
+          doc.restore();
+          doc.fillColor(ok ? '#334155' : '#b45309')
+             .text(`${p.responses}/${p.enrolled} · ${Math.round(p.rate)}% · faltam ${p.remaining}${ok ? '' : ' · não representativo'}`,
+                   barX + barW + 8, y, { width: doc.page.width - margin - (barX + barW + 8) });
+        }
+        doc.y = y + 13;
+      };
+      line('Total do âmbito', o);
+      if (!o.representative) {
+        doc.font('Helvetica-Bold').fontSize(8.5).fillColor('#b45309')
+           .text(`Atenção: taxa de resposta abaixo de ${rates.minRate}% — os resultados deste relatório não são representativos.`, margin, doc.y, { align: 'left' });
+      }
+      // Grupos com um só elemento repetem o total
+      [['Por docente', rates.teachers], ['Por disciplina', rates.disciplines], ['Por curso', rates.courses]].forEach(([title, list]) => {
+        if (list.length < 2) return;
+        doc.moveDown(0.3);
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#0f172a').text(title, margin, doc.y, { align: 'left' });
+        list.slice(0, 10).forEach(p => line(p.name, p));
+        if (list.length > 10) {
+          doc.font('Helvetica').fontSize(8).fillColor('#94a3b8').text(`… e mais ${list.length - 10} (ordenados da menor para a maior taxa).`, margin, doc.y);
+        }
+      });
+      doc.x = margin;
+      doc.moveDown(0.3);
+      sep();
+    })();
+
+    // ===== Comparação (docente face à disciplina, curso e instituição) =====
+    (function renderBenchmark(){
+      if (!bench) return;
+      doc.x = margin;
+      if (doc.y > doc.page.height - margin - 110) doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#0f172a').text('Comparação', margin, doc.y, { align: 'left' });
+      doc.moveDown(0.1);
+      if (bench.percentile) {
+        doc.font('Helvetica').fontSize(9.5).fillColor('#334155')
+           .text(`Posição no curso: ${percentileText(bench.percentile)}.`, { align: 'left' });
+        doc.moveDown(0.2);
+      }
+      const labelW = 150;
+      const colW = Math.floor((doc.page.width - margin * 2 - labelW) / bench.levels.length);
+      const hy = doc.y;
+      doc.save();
+      doc.rect(margin, hy - 2, labelW + colW * bench.levels.length, 26).fill('#f1f5f9');
+      doc.restore();
+      doc.font('Helvetica-Bold').fontSize(7.5).fillColor('#0f172a').text('Índice 0–100', margin + 2, hy + 4, { width: labelW - 4 });
+      bench.levels.forEach((l, i) => {
+        doc.text(trunc(l.label, 38), margin + labelW + colW * i, hy, { width: colW, align: 'center', height: 16 });
+        doc.font('Helvetica').text(`n=${l.n}`, margin + labelW + colW * i, hy + 14, { width: colW, align: 'center' }).font('Helvetica-Bold');
+      });
+      doc.y = hy + 28;
+      const line = (label, vals, bold) => {
+        if (doc.y > doc.page.height - margin - 20) doc.addPage();
+        const y = doc.y, own = vals.teacher;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5).fillColor('#334155').text(trunc(label, 36), margin, y, { width: labelW });
+        bench.levels.forEach((l, i) => {
+          const v = vals[l.key];
+          let txt = v == null ? '—' : String(Math.round(v)), color = '#334155';
+          if (i && v != null && own != null) {
+            const d = Math.round(own - v);
+            txt += `  (${d >= 0 ? '+' : ''}${d})`;
+            color = d >= 0 ? '#16a34a' : '#dc2626';
+          }
+          doc.font(i ? 'Helvetica' : 'Helvetica-Bold').fontSize(8.5).fillColor(i ? color : '#0f172a')
+             .text(txt, margin + labelW + colW * i, y, { width: colW, align: 'center' });
+        });
+        doc.y = y + 13;
+      };
+      line('Global', Object.fromEntries(bench.levels.map(l => [l.key, l.score])), true);
+      bench.areas.forEach(a => line(a.area, a.values));
+      doc.moveDown(0.2);
+      doc.font('Helvetica').fontSize(8).fillColor('#94a3b8')
+         .text('Entre parênteses, a diferença do docente face a cada referência, no mesmo período.', margin, doc.y, { align: 'left' });
+      doc.x = margin;
+      sep();
+    })();
 
     // ===== Metodologia (alinhado à esquerda) =====
     doc.x = margin;
@@ -2195,12 +6797,20 @@ sep();
        .text('Metodologia', { align: 'left' });
     doc.moveDown(0.1);
     doc.font('Helvetica').fontSize(9.5).fillColor('#334155')
-       .text('Inquérito online com anonimato garantido. Escala de respostas: 0 (Nunca), 1 (Às vezes), 2 (Sempre). O período de recolha é definido pela instituição.',
+       .text(`Inquérito online com anonimato garantido. Escala de respostas: ${scaleText}. O período de recolha é definido pela instituição.`,
              { width: doc.page.width - margin*2, align: 'justify' });
+    if (notices.length) {
+      doc.moveDown(0.2);
+      doc.font('Helvetica').fontSize(8.5).fillColor('#94a3b8')
+         .text(`Anonimato: células com menos de ${ANON} respostas foram agregadas ou suprimidas.`, { align: 'left' });
+      doc.fillColor('#334155')
+         .list(notices.map(c => `${c.teacher} · ${c.discipline}${c.class_group ? ' · ' + c.class_group : ''} — ${c.label}`),
+               { bulletRadius: 1.5 });
+    }
     sep();
   
     // ===== Tabela de Questões (ordenada por média, com cores) + Pizza Totais =====
-    const byQuestion = [...byQuestionRaw].sort((a,b) => (b.avg_val || 0) - (a.avg_val || 0));
+    const byQuestion = [...byQuestionRaw].sort((a,b) => (b.score || 0) - (a.score || 0));
     doc.font('Helvetica-Bold').fontSize(11).fillColor('#0f172a').text('Questões (ordenadas por média)');
     doc.moveDown(0.2);
   
@@ -2208,10 +6818,8 @@ sep();
     const col = [
       { key: 'code', w: 44,  label: 'Cód.' },
       { key: 'text', w: 238, label: 'Questão' },
-      { key: 'p0',   w: 52,  label: '0 (Nunca)' },
-      { key: 'p1',   w: 52,  label: '1 (Às vezes)' },
-      { key: 'p2',   w: 52,  label: '2 (Sempre)' },
-      { key: 'avg',  w: 52,  label: 'Média' },
+      { key: 'dist', w: 156, label: 'Distribuição (valor: %)' },
+      { key: 'avg',  w: 52,  label: uniform ? 'Média' : 'Índice' },
     ];
     const totalW = col.reduce((s,c)=>s+c.w,0);
   
@@ -2224,29 +6832,33 @@ sep();
     doc.restore();
   
     let rowY = tableY + 18;
-    let totalC0 = 0, totalC1 = 0, totalC2 = 0, totalRespAll = 0;
+    // Totais por escala: { scale_id: { valor: contagem } }
+    const totalsByScale = {};
+    let totalNa = 0, totalRespAll = 0;
   
     byQuestion.forEach((q, idx) => {
       const t = Number(q.total || 0);
-      totalC0 += Number(q.c0 || 0);
-      totalC1 += Number(q.c1 || 0);
-      totalC2 += Number(q.c2 || 0);
+      const acc = totalsByScale[q.scale_id] ||= {};
+      q.counts.forEach(c => { acc[c.value] = (acc[c.value] || 0) + c.c; });
+      totalNa += Number(q.na || 0);
       totalRespAll += t;
   
-      const avg = Number(q.avg_val || 0);
+      // Cores pelo índice 0–100 (≥75 equivale a ≥1.5 na escala 0–2)
+      const score = Number(q.score || 0);
       let bg = null;
-      if (avg >= 1.5) bg = '#eafff1';           // verde claro
-      else if (avg >= 1.0) bg = '#fffbe6';      // amarelo claro
-      else if (t > 0) bg = '#ffecec';           // vermelho claro
+      if (score >= 75) bg = '#eafff1';           // verde claro
+      else if (score >= 50) bg = '#fffbe6';      // amarelo claro
+      else if (t > 0) bg = '#ffecec';            // vermelho claro
       if (bg) { doc.save(); doc.rect(tableX, rowY, (boxW * 2 + gap), 16).fill(bg); doc.restore(); }
   
-      const row = { code:q.code, text:trunc(q.text,60), p0:pct(q.c0,t), p1:pct(q.c1,t), p2:pct(q.c2,t), avg:t?avg.toFixed(2):'—' };
+      const dist = q.counts.map(c => `${c.value}: ${pct(c.c, t)}`).join('  ');
+      const row = { code:q.code, text:trunc(q.text,60), dist, avg:t?shownCi(q):'—' };
       let x = tableX + 4;
       col.forEach(c => {
         let color = '#334155';
         if (c.key === 'avg' && t) {
-          if (avg >= 1.5) color = '#16a34a';
-          else if (avg >= 1.0) color = '#ca8a04';
+          if (score >= 75) color = '#16a34a';
+          else if (score >= 50) color = '#ca8a04';
           else color = '#dc2626';
         }
         doc.fillColor(color).font('Helvetica').fontSize(8)
@@ -2263,7 +6875,7 @@ sep();
     doc.fillColor('#0f172a').font('Helvetica-Bold').fontSize(9)
        .text('Média geral da turma', tableX + 6, rowY + 5, { width: boxW * 2 + gap - 120, align: 'left' });
     doc.fillColor('#0f172a').font('Helvetica-Bold').fontSize(9)
-       .text(totals?.media_global != null ? Number(totals.media_global).toFixed(2) : '—',
+       .text(mediaGlobalTxt,
              tableX + boxW * 2 + gap - 60, rowY + 5, { width: 54, align: 'center' });
     doc.restore();
   
@@ -2271,8 +6883,15 @@ sep();
     const totalsY = rowY + 22;
     doc.font('Helvetica-Bold').fontSize(9).fillColor('#0f172a').text('Totais absolutos', tableX, totalsY);
     doc.font('Helvetica').fontSize(9).fillColor('#334155')
-       .text(`0 (Nunca): ${totalC0}   •   1 (Às vezes): ${totalC1}   •   2 (Sempre): ${totalC2}   •   Total (todas as questões): ${totalRespAll}`,
+       .text(scales.map(sc => {
+               const acc = totalsByScale[sc.id] || {};
+               const parts = sc.labels.map(l => `${l.value} (${l.label}): ${acc[l.value] || 0}`).join('   •   ');
+               return scales.length > 1 ? `${sc.name} — ${parts}` : parts;
+             }).concat(`N/A: ${totalNa}   •   Total (todas as questões): ${totalRespAll}`).join('\n'),
              tableX, totalsY + 14, { width: boxW * 2 + gap, align: 'left' });
+    doc.font('Helvetica').fontSize(8).fillColor('#94a3b8')
+       .text(`${uniform ? 'Média' : 'Índice'} ± meia amplitude do intervalo de confiança a 95%. * Menos de ${RELIABLE_MIN_N} respostas: valor pouco fiável.`,
+             tableX, doc.y + 4, { width: boxW * 2 + gap, align: 'left' });
   /*
     // Gráfico de Pizza (à direita)
     (function drawPie() {
@@ -2328,7 +6947,7 @@ sep();
     // Garantir base de dados válida
     const items = (byQuestion || [])
       .filter(q => Number(q.total || 0) > 0 && Number.isFinite(Number(q.avg_val)))
-      .map(q => ({ code: q.code, avg: Number(q.avg_val) }));
+      .map(q => ({ code: q.code, avg: Number(shown(q.avg_val, q.score)), score: Number(q.score) }));
   
     doc.x = margin;
     doc.font('Helvetica-Bold').fontSize(11).fillColor('#0f172a')
@@ -2347,29 +6966,30 @@ sep();
     const maxAvg = Math.max(...avgs);
     const mean   = avgs.reduce((s,v)=>s+v,0) / avgs.length;
     const std    = Math.sqrt(avgs.reduce((s,v)=>s+(v-mean)*(v-mean),0) / avgs.length);
+    const dec    = uniform ? 2 : 0;
   
     // Regras:
-    // - Pontos fortes: médias >= 1.5 (ou, se nada atingir, top 3 por média)
-    // - Pontos fracos: médias < 1.0 (ou, se nada cair abaixo, bottom 3 por média)
-    const STRONG_TH = 1.5;
-    const WEAK_TH   = 1.0;
+    // - Pontos fortes: índice >= 75 (ou, se nada atingir, top 3 por média)
+    // - Pontos fracos: índice < 50 (ou, se nada cair abaixo, bottom 3 por média)
+    const STRONG_TH = 75;
+    const WEAK_TH   = 50;
     const TOPK      = 3;
   
-    const desc = [...items].sort((a,b)=> b.avg - a.avg);
-    const asc  = [...items].sort((a,b)=> a.avg - b.avg);
+    const desc = [...items].sort((a,b)=> b.score - a.score);
+    const asc  = [...items].sort((a,b)=> a.score - b.score);
   
-    let strengths = desc.filter(i => i.avg >= STRONG_TH);
-    let weaknesses = asc.filter(i => i.avg < WEAK_TH);
+    let strengths = desc.filter(i => i.score >= STRONG_TH);
+    let weaknesses = asc.filter(i => i.score < WEAK_TH);
   
     if (!strengths.length) strengths = desc.slice(0, TOPK);
     if (!weaknesses.length) weaknesses = asc.slice(0, TOPK);
   
-    const fmt = arr => arr.map(i => `${i.code} (${i.avg.toFixed(2)})`).join(', ');
+    const fmt = arr => arr.map(i => `${i.code} (${shown(i.avg, i.score)})`).join(', ');
   
     // Texto
     doc.font('Helvetica').fontSize(9.5).fillColor('#334155')
        .list([
-         `Resumo: amplitude ${minAvg.toFixed(2)} a ${maxAvg.toFixed(2)} • desvio-padrão ${std.toFixed(2)}.`,
+         `Resumo: amplitude ${minAvg.toFixed(dec)} a ${maxAvg.toFixed(dec)} • desvio-padrão ${std.toFixed(uniform ? 2 : 1)}.`,
          `Pontos fortes: ${fmt(strengths)}.`,
          `Pontos fracos: ${fmt(weaknesses)}.`
        ], { bulletRadius: 2 });
@@ -2377,6 +6997,66 @@ sep();
     sep();
   })();
   
+    // ===== Evolução (índice por área face a períodos anteriores do mesmo âmbito) =====
+    (function renderEvolution(){
+      doc.x = margin;
+      if (doc.y > doc.page.height - margin - 120) doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#0f172a').text('Evolução', margin, doc.y, { align: 'left' });
+      doc.moveDown(0.1);
+      if (trend.periods.length < 2) {
+        doc.font('Helvetica').fontSize(9.5).fillColor('#334155')
+           .text('Sem períodos anteriores com dados suficientes para comparação.', { align: 'left' });
+        sep();
+        return;
+      }
+      const shownPeriods = trend.periods.slice(-4);
+      const offset = trend.periods.length - shownPeriods.length;
+      const labelW = 170, colW = 66, deltaW = 62;
+      const arrow = (d, x, y) => {
+        if (!d) { doc.font('Helvetica').fontSize(8).fillColor('#94a3b8').text('—', x, y, { width: deltaW, align: 'center' }); return; }
+        const color = { up: '#16a34a', down: '#dc2626', stable: '#64748b' }[d.dir];
+        const ax = x + 12, ay = y + 4;
+        doc.save();
+        if (d.dir === 'up') doc.polygon([ax - 4, ay + 3], [ax + 4, ay + 3], [ax, ay - 3]).fill(color);
+        else if (d.dir === 'down') doc.polygon([ax - 4, ay - 3], [ax + 4, ay - 3], [ax, ay + 3]).fill(color);
+        else doc.rect(ax - 4, ay - 1, 8, 2).fill(color);
+        doc.restore();
+        doc.font('Helvetica').fontSize(8).fillColor(color)
+           .text(`${d.delta >= 0 ? '+' : ''}${Math.round(d.delta)}`, ax + 8, y, { width: deltaW - 20, align: 'left' });
+      };
+      const line = (label, s, bold) => {
+        if (doc.y > doc.page.height - margin - 20) doc.addPage();
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5).fillColor('#334155').text(trunc(label, 40), margin, y, { width: labelW });
+        let x = margin + labelW;
+        shownPeriods.forEach((p, i) => {
+          const v = s.points[offset + i].score;
+          doc.font('Helvetica').fontSize(8.5).fillColor('#334155').text(v == null ? '—' : String(Math.round(v)), x, y, { width: colW, align: 'center' });
+          x += colW;
+        });
+        arrow(s.last?.prev, x, y);
+        arrow(s.last?.yoy, x + deltaW, y);
+        doc.y = y + 13;
+      };
+      const hy = doc.y;
+      doc.save();
+      doc.rect(margin, hy - 2, labelW + colW * shownPeriods.length + deltaW * 2, 24).fill('#f1f5f9');
+      doc.restore();
+      doc.font('Helvetica-Bold').fontSize(7.5).fillColor('#0f172a').text('Área (índice 0–100)', margin + 2, hy + 4, { width: labelW - 4 });
+      let hx = margin + labelW;
+      shownPeriods.forEach(p => { doc.text(p.label, hx, hy, { width: colW, align: 'center', height: 20 }); hx += colW; });
+      doc.text('Δ semestre', hx, hy + 4, { width: deltaW, align: 'center' });
+      doc.text('Δ ano', hx + deltaW, hy + 4, { width: deltaW, align: 'center' });
+      doc.y = hy + 26;
+      line('Global', trend.overall, true);
+      trend.areas.forEach(a => line(a.area, a));
+      doc.moveDown(0.2);
+      doc.font('Helvetica').fontSize(8).fillColor('#94a3b8')
+         .text(`Δ semestre: face ao período anterior; Δ ano: face ao mesmo semestre do ano lectivo anterior. Variações inferiores a ${TREND_STABLE} pontos contam como estáveis.`, margin, doc.y, { width: doc.page.width - margin * 2, align: 'left' });
+      doc.x = margin;
+      sep();
+    })();
+
     // ===== Comentários (qualitativo) – Top por frequência =====
     doc.x = margin;
     doc.font('Helvetica-Bold').fontSize(11).fillColor('#0f172a').text('Comentários (qualitativo)', { align: 'left' });
@@ -2393,6 +7073,91 @@ sep();
          .text('Nota: comentários idênticos foram agrupados. A listagem completa continua disponível no Excel.', { align: 'left' });
     }
     sep();
+
+    // ===== Respostas de texto livre – Top por frequência =====
+    if (textGroups.length) {
+      doc.x = margin;
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#0f172a').text('Respostas de texto livre', { align: 'left' });
+      textGroups.forEach(g => {
+        doc.font('Helvetica-Bold').fontSize(9.5).fillColor('#334155').text(g.label, { align: 'left' });
+        if (!g.top.length) doc.font('Helvetica').fontSize(9.5).fillColor('#334155').text('Sem respostas publicadas.', { align: 'left' });
+        g.top.forEach(t => doc.font('Helvetica').fontSize(9.5).fillColor('#334155').text(`• ${t.text} — ${t.freq}×`, { align: 'justify' }));
+        doc.moveDown(0.2);
+      });
+      doc.font('Helvetica').fontSize(8).fillColor('#94a3b8')
+         .text('Nota: só respostas aprovadas pela moderação; respostas idênticas foram agrupadas. A listagem completa continua disponível no Excel.', { align: 'left' });
+      sep();
+    }
+
+    // ===== Análise dos comentários (sentimento e temas) =====
+    (function renderCommentAnalysis(){
+      if (!analysis.n) return;
+      doc.x = margin;
+      if (doc.y > doc.page.height - margin - 140) doc.addPage();
+      const width = doc.page.width - margin * 2;
+      const colors = { positive: '#16a34a', neutral: '#cbd5e1', negative: '#dc2626' };
+      const s = analysis.summary;
+      const pct = v => Math.round(v * 100 / s.n);
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#0f172a').text('Análise dos comentários', margin, doc.y, { align: 'left' });
+      doc.moveDown(0.2);
+      let bx = margin;
+      const by = doc.y;
+      doc.save();
+      ['positive', 'neutral', 'negative'].forEach(k => {
+        const w = width * s[k] / s.n;
+        if (w > 0) doc.rect(bx, by, w, 7).fill(colors[k]);
+        bx += w;
+      });
+      doc.restore();
+      doc.y = by + 11;
+      doc.font('Helvetica').fontSize(9).fillColor('#334155')
+         .text(`${s.n} comentário(s) publicados • ${['positive', 'neutral', 'negative'].map(k => `${SENTIMENT_LABELS[k]}: ${s[k]} (${pct(s[k])}%)`).join(' • ')} • sentimento médio ${s.avg >= 0 ? '+' : ''}${s.avg.toFixed(2)} (−1 a +1)`, margin, doc.y, { width, align: 'left' });
+      doc.moveDown(0.3);
+
+      const themes = analysis.themes.filter(t => t.n);
+      if (themes.length) {
+        const labelW = 170, colW = 70;
+        const hy = doc.y;
+        doc.save(); doc.rect(margin, hy - 2, labelW + colW * 4, 14).fill('#f1f5f9'); doc.restore();
+        doc.font('Helvetica-Bold').fontSize(8).fillColor('#0f172a');
+        ['Tema', 'Menções', 'Positivas', 'Neutras', 'Negativas'].forEach((h, i) => {
+          doc.text(h, i ? margin + labelW + colW * (i - 1) : margin + 2, hy + 1, { width: i ? colW : labelW, align: i ? 'center' : 'left' });
+        });
+        doc.y = hy + 15;
+        themes.forEach(t => {
+          if (doc.y > doc.page.height - margin - 20) doc.addPage();
+          const y = doc.y;
+          doc.font('Helvetica').fontSize(8.5).fillColor('#334155').text(t.label, margin + 2, y, { width: labelW });
+          [t.n, t.positive, t.neutral, t.negative].forEach((v, i) => {
+            doc.fillColor(i === 1 ? colors.positive : i === 3 ? colors.negative : '#334155')
+               .text(String(v), margin + labelW + colW * i, y, { width: colW, align: 'center' });
+          });
+          doc.y = y + 12;
+        });
+        doc.moveDown(0.3);
+      }
+      doc.x = margin;
+      if (analysis.keywords.length) {
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#0f172a').text('Palavras-chave: ', margin, doc.y, { continued: true, width })
+           .font('Helvetica').fillColor('#334155').text(analysis.keywords.slice(0, 15).map(k => `${k.term} (${k.count})`).join(', '));
+      }
+      // Sem docente filtrado: repartição por docente; em qualquer caso, evolução por período
+      const byGroup = (title, list) => {
+        if (list.length < 2) return;
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#0f172a').text(title, margin, doc.y, { width });
+        list.slice(0, 12).forEach(g => {
+          doc.font('Helvetica').fontSize(8.5).fillColor('#334155')
+             .text(`• ${g.name}: ${g.n} • ${g.positive} positivos • ${g.neutral} neutros • ${g.negative} negativos`, margin, doc.y, { width });
+        });
+      };
+      if (!teacher_id) byGroup('Por docente:', analysis.teachers);
+      byGroup('Por período:', analysis.periods);
+      doc.moveDown(0.2);
+      doc.font('Helvetica').fontSize(8).fillColor('#94a3b8')
+         .text('Análise automática com léxico português (sem serviços externos), apenas sobre comentários publicados. Indicativa: não substitui a leitura dos comentários.', margin, doc.y, { width, align: 'left' });
+      doc.x = margin;
+      sep();
+    })();
   
    // ===== Conclusões e recomendações (DINÂMICAS com base na tabela) =====
 (function renderDynamicConclusions(){
@@ -2402,7 +7167,8 @@ sep();
       .map(q => ({
         code: q.code,
         text: q.text,
-        avg: Number(q.avg_val)
+        avg: Number(q.avg_val),
+        score: Number(q.score)
       }));
   
     doc.x = margin;
@@ -2419,18 +7185,18 @@ sep();
     }
   
     // Parâmetros
-    const STRONG_TH = 1.5; // boas práticas: ≥ 1.5
-    const WEAK_TH   = 1.0; // áreas de melhoria: < 1.0
+    const STRONG_TH = 75;  // boas práticas: índice ≥ 75 (1.5 na escala 0–2)
+    const WEAK_TH   = 50;  // áreas de melhoria: índice < 50 (1.0 na escala 0–2)
     const TOPK_STR  = 5;   // máximos a exibir por bloco (se existirem)
     const TOPK_FALLBACK = 3;
   
     // Ordenações
-    const desc = [...items].sort((a,b) => b.avg - a.avg); // maiores primeiro
-    const asc  = [...items].sort((a,b) => a.avg - b.avg); // menores primeiro
+    const desc = [...items].sort((a,b) => b.score - a.score); // maiores primeiro
+    const asc  = [...items].sort((a,b) => a.score - b.score); // menores primeiro
   
     // Seleções dinâmicas
-    let strengths  = desc.filter(i => i.avg >= STRONG_TH).slice(0, TOPK_STR);
-    let weaknesses = asc.filter(i => i.avg < WEAK_TH).slice(0, TOPK_STR);
+    let strengths  = desc.filter(i => i.score >= STRONG_TH).slice(0, TOPK_STR);
+    let weaknesses = asc.filter(i => i.score < WEAK_TH).slice(0, TOPK_STR);
   
     // Fallbacks caso não bata nenhum threshold
     if (!strengths.length)  strengths  = desc.slice(0, TOPK_FALLBACK);
@@ -2441,7 +7207,7 @@ sep();
       const t = String(s||'').trim();
       return t.length > n ? t.slice(0, n - 1) + '…' : t;
     };
-    const fmt = i => `${i.code} – ${short(i.text)} (média ${i.avg.toFixed(2)})`;
+    const fmt = i => `${i.code} – ${short(i.text)} (${uniform ? 'média' : 'índice'} ${shown(i.avg, i.score)})`;
   
     // --- Boas práticas a manter ---
     doc.font('Helvetica-Bold').fontSize(10).fillColor('#0f172a')
@@ -2473,115 +7239,212 @@ sep();
     // Rodapé (escala)
     doc.moveDown(0.6);
     doc.font('Helvetica').fontSize(8).fillColor('#94a3b8')
-       .text('Escala: 0 (Nunca), 1 (Às vezes), 2 (Sempre).', { align: 'center' });
-  
-    doc.end();
+       .text(`Escala: ${scaleText}.`, { align: 'center' });
+}
+
+// Documento A4 do relatório, igual para a exportação individual e em lote
+function newReportDoc() {
+  const PDFDocument = require('pdfkit');
+  return new PDFDocument({ size: 'A4', margin: 22 });
+}
+
+app.get('/export/pdf', requireRole([...REPORT_ROLES, 'teacher']), (req, res) => {
+  const f = reportFilters(req.query, req.user);
+  const n = releasedCount(f);
+  if (n < ANON) return sendInsufficient(req, res, n);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', 'attachment; filename="relatorio_avaliacao.pdf"');
+  audit(req, 'export_pdf', { details: { ...auditFilters(f), respostas: n } });
+  const doc = newReportDoc();
+  doc.pipe(res);
+  renderReportPdf(doc, f, { turno: (req.query.turno && String(req.query.turno).trim()) || null });
+  doc.end();
+});
+
+// ====== EXPORT: PDF EM LOTE (ZIP com um relatório por docente) ======
+// Nome de ficheiro seguro (sem acentos nem separadores)
+function fileSlug(s) {
+  return String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'sem_nome';
+}
+
+// PDF do relatório que só é gerado quando o ZIP chega a essa entrada: em memória fica um PDF de
+// cada vez, não o lote inteiro
+function reportPdfStream(f) {
+  let doc = null;
+  const out = new Readable({
+    read() {
+      if (doc) return void doc.resume();
+      try {
+        doc = newReportDoc();
+        doc.on('data', c => { if (!out.push(c)) doc.pause(); });
+        doc.on('end', () => out.push(null));
+        doc.on('error', e => out.destroy(e));
+        renderReportPdf(doc, f);
+        doc.end();
+      } catch (e) {
+        out.destroy(e);
+      }
+    },
   });
+  return out;
+}
+
+// Um PDF por docente (ou por docente × disciplina com ?por_disciplina=1) de um ano lectivo e
+// semestre; os restantes filtros (curso, campanha, turma) aplicam-se a todos. Docentes abaixo do
+// limiar de anonimato não geram PDF e ficam assinalados no índice (indice.csv).
+app.get('/export/pdf/lote', requireRole(REPORT_ROLES), async (req, res) => {
+  const f = reportFilters(req.query, req.user);
+  if (!f.school_year_id || !f.semester_id) {
+    return res.status(400).send(renderPage('Exportação em lote', `
+      <div class="text-center space-y-2">
+        <h2 class="text-xl font-semibold">Exportação em lote</h2>
+        <p class="text-slate-600">Seleccione o ano lectivo e o semestre para gerar os relatórios por docente.</p>
+        <a href="/admin" class="btn btn-ghost mt-2">Voltar</a>
+      </div>`, '', req.user));
+  }
+  const total = releasedCount(f);
+  if (total < ANON) return sendInsufficient(req, res, total);
+
+  const byDiscipline = req.query.por_disciplina === '1';
+  const units = db.prepare(`
+    SELECT DISTINCT t.teacher_id, te.name AS teacher
+      ${byDiscipline ? ', t.discipline_id, d.name AS discipline' : ''}
+    FROM teaching t
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN teacher te ON te.id = t.teacher_id
+    WHERE ${TEACHING_SCOPE_SQL}
+    ORDER BY te.name${byDiscipline ? ', d.name' : ''}
+  `).all(f);
+
+  const year = db.prepare('SELECT name FROM school_year WHERE id=?').get(f.school_year_id)?.name;
+  const semester = db.prepare('SELECT name FROM semester WHERE id=?').get(f.semester_id)?.name;
+  const index = [['Ficheiro', 'Docente', 'Disciplina', 'Respostas', 'Taxa de resposta', 'Estado']];
+  const zip = new JSZip();
+
+  try {
+    for (const u of units) {
+      const uf = { ...f, teacher_id: u.teacher_id, discipline_id: byDiscipline ? u.discipline_id : f.discipline_id };
+      const n = releasedCount(uf);
+      const rate = participation(uf).overall.rate;
+      const rateTxt = rate == null ? '' : `${Math.round(rate)}%`;
+      if (n < ANON) {
+        index.push(['', u.teacher, u.discipline || '', n, rateTxt, `Omitido: amostra insuficiente (n<${ANON})`]);
+        continue;
+      }
+      const name = byDiscipline
+        ? `${fileSlug(u.teacher)}_${u.teacher_id}/${fileSlug(u.discipline)}_${u.discipline_id}.pdf`
+        : `${fileSlug(u.teacher)}_${u.teacher_id}.pdf`;
+      zip.file(name, reportPdfStream(uf));
+      index.push([name, u.teacher, u.discipline || '', n, rateTxt, 'Incluído']);
+    }
+  } catch (e) {
+    audit(req, 'export_pdf_batch', { status: 'failed', details: { ...auditFilters(f), erro: e.message } });
+    return res.status(500).send('Não foi possível gerar os relatórios: ' + escapeHtml(e.message));
+  }
+  const included = index.filter(r => r[5] === 'Incluído').length;
+  zip.file('indice.csv', '\uFEFF' + [
+    [`Ano lectivo: ${year || ''}`, `Semestre: ${semester || ''}`, `Gerado em: ${dayjs().format('YYYY-MM-DD HH:mm')}`],
+    ...index,
+  ].map(r => r.map(csvField).join(';')).join('\r\n') + '\r\n');
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="relatorios_${fileSlug(year)}_${fileSlug(semester)}.zip"`);
+  // Os PDF são gerados à medida que o ZIP é enviado: um erro a meio já não pode ser uma página de erro,
+  // fica no registo de auditoria e a ligação é cortada (o download fica incompleto)
+  zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+    .on('error', e => {
+      audit(req, 'export_pdf_batch', { status: 'failed', details: { ...auditFilters(f), erro: e.message } });
+      res.destroy(e);
+    })
+    .on('end', () => audit(req, 'export_pdf_batch', { details: { ...auditFilters(f), por_disciplina: byDiscipline ? 'sim' : null, relatorios: included, omitidos: units.length - included } }))
+    .pipe(res);
+});
   
   
    
   
 // ====== API: DASHBOARD (agregado) ======
-app.get('/api/dashboard', requireAuth, (req, res) => {
-  const { course_id, semester_id, discipline_id, teacher_id, school_year_id, class_group_id } = req.query;
-  const q = (sql) => db.prepare(sql).all(course_id||null, semester_id||null, discipline_id||null, teacher_id||null, school_year_id||null, class_group_id||null);
-
-  const total = db.prepare(`
-    SELECT COUNT(*) as c
+app.get('/api/dashboard', requireRole(REPORT_ROLES), (req, res) => {
+  const f = reportFilters(req.query, req.user);
+  const suppressed = anonNotices(f);
+  const total = releasedCount(f);
+  const rates = participation(f);
+  if (total < ANON) return res.json({ insufficient: true, n: total, threshold: ANON, suppressed, participation: rates });
+
+  const q = (sql) => db.prepare(sql).all(f);
+  const FROM_SCOPE = `
     FROM survey_response r
     JOIN teaching t ON t.id = r.teaching_id
     JOIN discipline d ON d.id = t.discipline_id
-    WHERE (COALESCE(?, d.course_id) = d.course_id)
-      AND (COALESCE(?, t.semester_id) = t.semester_id)
-      AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-      AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-      AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-      AND (COALESCE(?, t.class_group_id) = t.class_group_id)
-  `).get(course_id||null, semester_id||null, discipline_id||null, teacher_id||null, school_year_id||null, class_group_id||null).c;
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id`;
 
   const docentes = db.prepare(`
     SELECT COUNT(DISTINCT t.teacher_id) as c
-    FROM survey_response r
-    JOIN teaching t ON t.id = r.teaching_id
-    JOIN discipline d ON d.id = t.discipline_id
-    WHERE (COALESCE(?, d.course_id) = d.course_id)
-      AND (COALESCE(?, t.semester_id) = t.semester_id)
-      AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-      AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-      AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-      AND (COALESCE(?, t.class_group_id) = t.class_group_id)
-  `).get(course_id||null, semester_id||null, discipline_id||null, teacher_id||null, school_year_id||null, class_group_id||null).c;
+    ${FROM_SCOPE}
+    WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
+  `).get(f).c;
+
+  // Médias na própria escala só fazem sentido quando o âmbito usa uma única escala
+  const scales = scopeScales(scopeQuestions(f));
+  const scale = scales.length === 1 ? scales[0] : null;
 
   const areas = q(`
-    SELECT q.area, AVG(a.value) as media
-    FROM survey_answer a
+    SELECT q.area, AVG(a.value) as media, AVG(${SCORE_SQL}) as score
+    ${FROM_SCOPE}
+    JOIN survey_answer a ON a.response_id = r.id
     JOIN survey_question q ON q.id = a.question_id
-    JOIN survey_response r ON r.id = a.response_id
-    JOIN teaching t ON t.id = r.teaching_id
-    JOIN discipline d ON d.id = t.discipline_id
-    WHERE (COALESCE(?, d.course_id) = d.course_id)
-      AND (COALESCE(?, t.semester_id) = t.semester_id)
-      AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-      AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-      AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-      AND (COALESCE(?, t.class_group_id) = t.class_group_id)
+    JOIN answer_scale sc ON sc.id = q.scale_id AND sc.kind = 'numeric'
+    WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
     GROUP BY q.area
-  `);
+  `).map(a => ({ ...a, media: scale ? a.media : null }));
+  const areaStats = new Map(statsDetail(f, { index: !scale }).areas.map(a => [a.area, a]));
+  areas.forEach(a => { a.stats = areaStats.get(a.area) || null; });
 
   const avgRow = db.prepare(`
-    SELECT AVG(a.value) as m
-    FROM survey_answer a
-    JOIN survey_response r ON r.id = a.response_id
-    JOIN teaching t ON t.id = r.teaching_id
-    JOIN discipline d ON d.id = t.discipline_id
-    WHERE (COALESCE(?, d.course_id) = d.course_id)
-      AND (COALESCE(?, t.semester_id) = t.semester_id)
-      AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-      AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-      AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-      AND (COALESCE(?, t.class_group_id) = t.class_group_id)
-  `).get(course_id||null, semester_id||null, discipline_id||null, teacher_id||null, school_year_id||null, class_group_id||null);
+    SELECT AVG(a.value) as m, AVG(${SCORE_SQL}) as score
+    ${FROM_SCOPE}
+    JOIN survey_answer a ON a.response_id = r.id
+    JOIN survey_question q ON q.id = a.question_id
+    JOIN answer_scale sc ON sc.id = q.scale_id AND sc.kind = 'numeric'
+    WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
+  `).get(f);
 
   const timeseries = q(`
     SELECT substr(r.submitted_at,1,10) as dia, COUNT(*) as c
-    FROM survey_response r
-    JOIN teaching t ON t.id = r.teaching_id
-    JOIN discipline d ON d.id = t.discipline_id
-    WHERE (COALESCE(?, d.course_id) = d.course_id)
-      AND (COALESCE(?, t.semester_id) = t.semester_id)
-      AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-      AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-      AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-      AND (COALESCE(?, t.class_group_id) = t.class_group_id)
+    ${FROM_SCOPE}
+    WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
     GROUP BY substr(r.submitted_at,1,10)
     ORDER BY dia
   `);
 
   const comments = q(`
-    SELECT r.comment, r.submitted_at
-    FROM survey_response r
-    JOIN teaching t ON t.id = r.teaching_id
-    JOIN discipline d ON d.id = t.discipline_id
-    WHERE r.comment IS NOT NULL AND r.comment <> ''
-      AND (COALESCE(?, d.course_id) = d.course_id)
-      AND (COALESCE(?, t.semester_id) = t.semester_id)
-      AND (COALESCE(?, t.discipline_id) = t.discipline_id)
-      AND (COALESCE(?, t.teacher_id) = t.teacher_id)
-      AND (COALESCE(?, t.school_year_id) = t.school_year_id)
-      AND (COALESCE(?, t.class_group_id) = t.class_group_id)
+    SELECT ${COMMENT_SQL} AS comment, r.submitted_at
+    ${FROM_SCOPE}
+    WHERE ${PUBLISHED_COMMENT_SQL}
+      AND ${SCOPE_SQL} AND ${RELEASED_SQL}
     ORDER BY r.submitted_at DESC
     LIMIT 12
   `);
 
-  res.json({ totalResponses: total, teachersEvaluated: docentes, avgOverall: avgRow?.m ?? null, areas, timeseries, comments });
+  res.json({
+    totalResponses: total, teachersEvaluated: docentes,
+    avgOverall: scale ? (avgRow?.m ?? null) : null, scoreOverall: avgRow?.score ?? null,
+    scale: scale && { name: scale.name, min: scale.min_value, max: scale.max_value },
+    areas, timeseries, suppressed, participation: rates,
+    comments: comments.map(c => ({ ...c, sentiment: analyzeComment(c.comment).label })),
+    analysis: commentAnalysis(f),
+  });
 });
 
 // ====== DASHBOARD (UI) ======
-app.get('/dashboard', requireAuth, (req, res) => {
-  const courses = db.prepare('SELECT * FROM course ORDER BY name').all();
+app.get('/dashboard', requireRole(REPORT_ROLES), (req, res) => {
+  const courses = visibleCourses(req.user);
   const semesters = db.prepare('SELECT * FROM semester ORDER BY id').all();
   const years = db.prepare('SELECT * FROM school_year ORDER BY name DESC').all();
   const classes = db.prepare('SELECT * FROM class_group ORDER BY name').all();
+  const campaigns = db.prepare('SELECT id, name FROM campaign ORDER BY starts_at DESC').all();
 
   function s(name, label, options, v='id', l='name') {
     const opts = options.map(o => `<option value="${o[v]}">${o[l]}</option>`).join('');
@@ -2599,7 +7462,8 @@ app.get('/dashboard', requireAuth, (req, res) => {
       ${s('semester_id','Semestre',semesters)}
       ${s('school_year_id','Ano lectivo',years)}
       ${s('class_group_id','Turma',classes)}
-      <div class="md:col-span-2 flex items-end gap-2">
+      ${s('campaign_id','Campanha',campaigns)}
+      <div class="flex items-end gap-2">
         <button type="button" id="aplicarDash" class="btn btn-primary">Aplicar</button>
         <a class="btn btn-ghost" href="/dashboard">Limpar</a>
       </div>
@@ -2610,28 +7474,144 @@ app.get('/dashboard', requireAuth, (req, res) => {
     <div class="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
       <div class="card kpi"><h3>Total de respostas</h3><div id="k_total" class="v">—</div></div>
       <div class="card kpi"><h3>Docentes avaliados</h3><div id="k_doc" class="v">—</div></div>
-      <div class="card kpi"><h3>Média global (0–2)</h3><div id="k_media" class="v">—</div></div>
+      <div class="card kpi"><h3 id="k_media_lbl">Média global</h3><div id="k_media" class="v">—</div></div>
       <div class="card kpi"><h3>Índice % (0–100)</h3><div id="k_idx" class="v">—</div></div>
     </div>
+    <div class="card mb-6">
+      <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h2 class="text-lg font-semibold text-left">Participação</h2>
+        <span id="partFlag" class="text-xs px-2 py-1 rounded-full hidden"></span>
+      </div>
+      <div id="partOverall" class="text-sm"></div>
+      <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 text-sm">
+        <div><h3 class="font-medium mb-2">Por docente</h3><ul id="partTeachers" class="space-y-2"></ul></div>
+        <div><h3 class="font-medium mb-2">Por disciplina</h3><ul id="partDisciplines" class="space-y-2"></ul></div>
+        <div><h3 class="font-medium mb-2">Por curso</h3><ul id="partCourses" class="space-y-2"></ul></div>
+      </div>
+      <p class="mt-3 text-xs text-slate-500">Taxa = respostas / estudantes inscritos. Abaixo de ${RESPONSE_RATE_MIN}% os resultados são assinalados como não representativos.</p>
+    </div>
     <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
-      <div class="card"><h2 class="text-lg font-semibold mb-2 text-left">Médias por área</h2><div style="height:220px"><canvas id="chartAreasDash"></canvas></div></div>
+      <div class="card"><h2 class="text-lg font-semibold mb-2 text-left">Médias por área</h2><div style="height:220px"><canvas id="chartAreasDash"></canvas></div>
+        <p class="text-xs text-slate-500 mt-2">Barras de erro: IC 95%. * menos de ${RELIABLE_MIN_N} respostas (pouco fiável).</p></div>
       <div class="card"><h2 class="text-lg font-semibold mb-2 text-left">Respostas por dia</h2><div style="height:220px"><canvas id="chartSerieDash"></canvas></div></div>
     </div>
     <div class="mt-6 card"><h2 class="text-lg font-semibold mb-3 text-left">Comentários recentes</h2><ul id="ulComments" class="space-y-2"></ul></div>
+    <div class="mt-6 card">
+      <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h2 class="text-lg font-semibold text-left">Análise de comentários</h2>
+        <span id="sentSummary" class="text-xs text-slate-500"></span>
+      </div>
+      <div id="sentBar" class="flex h-3 rounded-full overflow-hidden bg-slate-100"></div>
+      <div id="sentLegend" class="text-xs text-slate-600 mt-1"></div>
+      <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-4">
+        <div><h3 class="font-medium mb-2 text-sm">Temas</h3>
+          <table class="w-full text-sm"><thead><tr class="text-left text-slate-500"><th>Tema</th><th class="text-right">Menções</th><th class="text-right">Positivas</th><th class="text-right">Negativas</th></tr></thead><tbody id="themesDash"></tbody></table></div>
+        <div><h3 class="font-medium mb-2 text-sm">Sentimento por período</h3><div style="height:200px"><canvas id="chartSentDash"></canvas></div></div>
+      </div>
+      <h3 class="font-medium mt-4 mb-2 text-sm">Palavras-chave</h3><div id="kwDash" class="flex flex-wrap gap-2 text-xs"></div>
+      <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-4 text-sm">
+        <div><h3 class="font-medium mb-2">Por docente</h3><table class="w-full"><tbody id="sentTeachers"></tbody></table></div>
+        <div><h3 class="font-medium mb-2">Por curso</h3><table class="w-full"><tbody id="sentCourses"></tbody></table></div>
+      </div>
+      <p class="mt-3 text-xs text-slate-500">Análise automática (léxico português, sem serviços externos) dos comentários publicados. Indicativa: não substitui a leitura dos comentários.</p>
+    </div>
+    <p id="anonDash" class="mt-4 text-xs text-amber-700 hidden"></p>
     <script>
-      let cAreas, cSerie; const pct = x => Math.round((Number(x||0)/2)*100); const round2 = x => Math.round(Number(x||0)*100)/100;
+      let cAreas, cSerie, cSent; const round2 = x => Math.round(Number(x||0)*100)/100;
+${CHART_CI_PLUGIN}
       function params(){ const fd=new FormData(document.getElementById('filtrosDash')); const p=new URLSearchParams(); for(const [k,v] of fd.entries()) if(v) p.append(k,v); return p.toString(); }
+      const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+      // Barra de progresso + "n/inscritos · taxa · em falta"; sem inscritos conhecidos mostra só n
+      function partLine(p){
+        if(p.rate==null) return '<span class="text-slate-500">'+p.responses+' resposta(s) · inscritos desconhecidos</span>';
+        const w = Math.min(100, p.rate), ok = p.representative;
+        return '<div class="h-2 rounded-full bg-slate-100 overflow-hidden"><div class="h-2 '+(ok?'bg-emerald-500':'bg-amber-500')+'" style="width:'+w.toFixed(1)+'%"></div></div>'
+          + '<div class="text-xs text-slate-600 mt-1">'+p.responses+'/'+p.enrolled+' · '+Math.round(p.rate)+'% · faltam '+p.remaining
+          + (ok ? '' : ' · <b class="text-amber-700">não representativo</b>')+'</div>';
+      }
+      function renderPart(part){
+        const o = part?.overall || { responses:0, rate:null };
+        document.getElementById('partOverall').innerHTML = partLine(o);
+        const $flag = document.getElementById('partFlag');
+        $flag.classList.toggle('hidden', o.representative == null);
+        $flag.className = 'text-xs px-2 py-1 rounded-full ' + (o.representative == null ? 'hidden' : o.representative ? 'bg-emerald-50 text-emerald-700' : 'bg-amber-50 text-amber-700');
+        $flag.textContent = o.representative ? 'Representativo' : 'Não representativo (< '+part.minRate+'%)';
+        [['partTeachers','teachers'],['partDisciplines','disciplines'],['partCourses','courses']].forEach(([id,k])=>{
+          const list = part?.[k] || [];
+          document.getElementById(id).innerHTML = list.length
+            ? list.map(p => '<li><div class="font-medium">'+esc(p.name)+'</div>'+partLine(p)+'</li>').join('')
+            : '<li class="text-slate-500">Sem leccionações no âmbito.</li>';
+        });
+      }
+      const SENT = ${JSON.stringify(SENTIMENT_LABELS)};
+      const SENT_CLS = { positive:'bg-emerald-500', neutral:'bg-slate-300', negative:'bg-rose-500' };
+      const SENT_BADGE = { positive:'bg-emerald-50 text-emerald-700', neutral:'bg-slate-100 text-slate-600', negative:'bg-rose-50 text-rose-700' };
+      const pct = (v, n) => n ? Math.round(v*100/n) : 0;
+      function sentRow(g){
+        const top = Object.entries(g.themes||{}).sort((a,b)=>b[1]-a[1])[0];
+        return '<tr class="border-t"><td class="py-1">'+esc(g.name)+'</td><td class="text-right">'+g.n+'</td>'
+          + '<td class="text-right text-emerald-700">'+pct(g.positive,g.n)+'%</td><td class="text-right text-rose-700">'+pct(g.negative,g.n)+'%</td>'
+          + '<td class="text-right text-xs text-slate-500">'+(top ? esc(themeLabels[top[0]]||top[0]) : '')+'</td></tr>';
+      }
+      let themeLabels = {};
+      function renderAnalysis(an, msg){
+        const $sum = document.getElementById('sentSummary'), $bar = document.getElementById('sentBar'), $leg = document.getElementById('sentLegend');
+        if(cSent){ cSent.destroy(); cSent=null; }
+        if(!an || !an.n){
+          $sum.textContent=''; $bar.innerHTML=''; $leg.textContent = msg || 'Sem comentários publicados no âmbito seleccionado.';
+          ['themesDash','sentTeachers','sentCourses','kwDash'].forEach(id=> document.getElementById(id).innerHTML='');
+          noData(document.getElementById('chartSentDash').getContext('2d'), msg || 'Sem dados');
+          return;
+        }
+        themeLabels = Object.fromEntries(an.themes.map(t=>[t.key,t.label]));
+        const s = an.summary;
+        $sum.textContent = s.n+' comentário(s) · sentimento médio '+(s.avg>=0?'+':'')+s.avg.toFixed(2)+' (−1 a +1)';
+        $bar.innerHTML = ['positive','neutral','negative'].map(k=> '<div class="'+SENT_CLS[k]+'" style="width:'+(s[k]*100/s.n).toFixed(1)+'%"></div>').join('');
+        $leg.textContent = ['positive','neutral','negative'].map(k=> SENT[k]+': '+s[k]+' ('+pct(s[k],s.n)+'%)').join(' · ');
+        const themes = an.themes.filter(t=>t.n);
+        document.getElementById('themesDash').innerHTML = themes.length
+          ? themes.map(t=> '<tr class="border-t"><td class="py-1">'+esc(t.label)+'</td><td class="text-right">'+t.n+'</td><td class="text-right text-emerald-700">'+t.positive+'</td><td class="text-right text-rose-700">'+t.negative+'</td></tr>').join('')
+          : '<tr><td class="text-slate-500">Nenhum tema identificado.</td></tr>';
+        document.getElementById('kwDash').innerHTML = (an.keywords||[]).map(k=> '<span class="px-2 py-1 rounded-full bg-slate-100">'+esc(k.term)+' <b>'+k.count+'</b></span>').join('') || '<span class="text-slate-500">—</span>';
+        const head = '<tr class="text-left text-slate-500 text-xs"><th></th><th class="text-right">n</th><th class="text-right">Pos.</th><th class="text-right">Neg.</th><th class="text-right">Tema principal</th></tr>';
+        document.getElementById('sentTeachers').innerHTML = head + an.teachers.map(sentRow).join('');
+        document.getElementById('sentCourses').innerHTML = head + an.courses.map(sentRow).join('');
+        cSent = new Chart(document.getElementById('chartSentDash').getContext('2d'), { type:'bar',
+          data:{ labels:an.periods.map(p=>p.name), datasets:['positive','neutral','negative'].map((k,i)=>({ label:SENT[k], data:an.periods.map(p=>p[k]), backgroundColor:['#10b981','#cbd5e1','#f43f5e'][i] })) },
+          options:{ responsive:true, maintainAspectRatio:false, scales:{ x:{ stacked:true }, y:{ stacked:true, beginAtZero:true, ticks:{ precision:0 } } } } });
+      }
       function noData(ctx, msg='Sem dados'){ const c=ctx.canvas; const g=c.getContext('2d'); g.clearRect(0,0,c.width,c.height); g.font='12px sans-serif'; g.fillStyle='#64748b'; g.textAlign='center'; g.fillText(msg, c.width/2, c.height/2); }
       async function load(){
         const res = await fetch('/api/dashboard?' + params()); const d = await res.json();
+        const $anon = document.getElementById('anonDash'); const sup = d.suppressed||[];
+        $anon.textContent = sup.length ? 'Anonimato: '+sup.length+' célula(s) com n<'+${ANON}+' agregada(s) ou suprimida(s) neste âmbito.' : '';
+        $anon.classList.toggle('hidden', !sup.length);
+        renderPart(d.participation);
+        if(d.insufficient){
+          const msg='Amostra insuficiente (n='+d.n+' < '+d.threshold+')';
+          ['k_total','k_doc','k_media','k_idx'].forEach(id=> document.getElementById(id).textContent='—');
+          if(cAreas){ cAreas.destroy(); cAreas=null; } if(cSerie){ cSerie.destroy(); cSerie=null; }
+          noData(document.getElementById('chartAreasDash').getContext('2d'), msg); noData(document.getElementById('chartSerieDash').getContext('2d'), msg);
+          document.getElementById('ulComments').innerHTML='<li class="text-slate-500">'+msg+'.</li>';
+          renderAnalysis(null, msg);
+          return;
+        }
         document.getElementById('k_total').textContent = d.totalResponses ?? 0;
         document.getElementById('k_doc').textContent   = d.teachersEvaluated ?? 0;
+        // Escala única: médias na escala; escalas mistas: só o índice 0–100
+        const sc = d.scale;
+        document.getElementById('k_media_lbl').textContent = sc ? 'Média global ('+sc.min+'–'+sc.max+')' : 'Média global (escalas mistas)';
         document.getElementById('k_media').textContent = d.avgOverall!=null ? round2(d.avgOverall).toFixed(2) : '—';
-        document.getElementById('k_idx').textContent   = d.avgOverall!=null ? pct(d.avgOverall)+'%' : '—';
-        const aLabels = (d.areas||[]).map(x=>x.area); const aVals = (d.areas||[]).map(x=> round2(x.media));
+        document.getElementById('k_idx').textContent   = d.scoreOverall!=null ? Math.round(d.scoreOverall)+'%' : '—';
+        const aLabels = (d.areas||[]).map(x=>x.area); const aVals = (d.areas||[]).map(x=> round2(sc ? x.media : x.score));
+        const aUnit = sc ? 'Média ('+sc.min+'–'+sc.max+')' : 'Índice (0–100)';
         if(cAreas) cAreas.destroy(); const ctxA = document.getElementById('chartAreasDash').getContext('2d');
         if(!aVals.length){ noData(ctxA); } else {
-          cAreas = new Chart(ctxA, { type:'bar', data:{ labels:aLabels, datasets:[{ label:'Média (0–2)', data:aVals, borderWidth:1 }] }, options:{ responsive:true, maintainAspectRatio:false, plugins:{legend:{display:false}}, scales:{ y:{ suggestedMin:0, suggestedMax:2 } } } });
+          const aStats = (d.areas||[]).map(x=>x.stats);
+          cAreas = new Chart(ctxA, { type:'bar',
+            data:{ labels:aLabels.map((l,i)=> aStats[i] && !aStats[i].reliable ? l+'*' : l), datasets:[{ label:aUnit, data:aVals, borderWidth:1, ci:aStats.map(s=> s && s.sd!=null ? [s.ci_low, s.ci_high] : null) }] },
+            options:{ responsive:true, maintainAspectRatio:false, plugins:{legend:{display:false}, tooltip:{callbacks:{afterLabel:c=>statLines(aStats[c.dataIndex], sc ? 2 : 0)}}}, scales:{ y:{ suggestedMin:sc ? sc.min : 0, suggestedMax:sc ? sc.max : 100 } } },
+            plugins:[ciPlugin] });
         }
         const sLabels = (d.timeseries||[]).map(x=>x.dia); const sVals = (d.timeseries||[]).map(x=> Number(x.c)||0);
         if(cSerie) cSerie.destroy(); const ctxS = document.getElementById('chartSerieDash').getContext('2d');
@@ -2639,14 +7619,440 @@ app.get('/dashboard', requireAuth, (req, res) => {
           cSerie = new Chart(ctxS, { type:'line', data:{ labels:sLabels, datasets:[{ label:'Respostas/dia', data:sVals, tension:.3, fill:false }] }, options:{ responsive:true, maintainAspectRatio:false, scales:{ y:{ beginAtZero:true } } } });
         }
         const ul=document.getElementById('ulComments'); ul.innerHTML='';
-        (d.comments||[]).forEach(c=>{ const li=document.createElement('li'); li.className='p-3 rounded-xl border'; const dt=new Date(c.submitted_at).toLocaleString(); li.innerHTML='<div class="text-xs text-slate-500">'+dt+'</div><div>'+c.comment+'</div>'; ul.appendChild(li); });
+        (d.comments||[]).forEach(c=>{ const li=document.createElement('li'); li.className='p-3 rounded-xl border'; const dt=new Date(c.submitted_at).toLocaleString(); li.innerHTML='<div class="text-xs text-slate-500">'+dt+' <span class="ml-2 px-2 rounded-full '+SENT_BADGE[c.sentiment]+'">'+SENT[c.sentiment]+'</span></div><div></div>'; li.lastChild.textContent=c.comment||''; ul.appendChild(li); });
+        renderAnalysis(d.analysis);
         if(!d.comments||!d.comments.length){ const li=document.createElement('li'); li.className='text-slate-500'; li.textContent='Sem comentários no período/escopo seleccionado.'; ul.appendChild(li);} }
       document.getElementById('aplicarDash').addEventListener('click', load); load();
     </script>`;
 
-  res.send(renderPage('Dashboard', html, '', (req.cookies && req.cookies.ispt_admin==='1')));
+  res.send(renderPage('Dashboard', html, '', req.user));
+});
+
+// ====== PORTAL DO DOCENTE ======
+// Só resultados do próprio docente (reportFilters fixa teacher_id) e só unidades com n ≥ ANON.
+// Turmas agregadas aparecem juntas, como no relatório.
+app.get('/docente', requireRole(['teacher']), (req, res) => {
+  const teacher = req.user.teacher_id ? db.prepare('SELECT id, name FROM teacher WHERE id = ?').get(req.user.teacher_id) : null;
+  if (!teacher) {
+    return res.send(renderPage('Os meus resultados', '<p class="text-slate-600">A sua conta não está associada a nenhum docente. Contacte o Gabinete de Qualidade.</p>', '', req.user));
+  }
+  const f = reportFilters({}, req.user);
+  const FROM_RELEASED = `
+    FROM survey_response r
+    JOIN teaching t ON t.id = r.teaching_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+    LEFT JOIN survey_answer a ON a.response_id = r.id
+    LEFT JOIN survey_question q ON q.id = a.question_id
+    LEFT JOIN answer_scale sc ON sc.id = q.scale_id AND sc.kind = 'numeric'`;
+
+  const units = db.prepare(`
+    SELECT t.school_year_id, sy.name AS school_year, t.semester_id, s.name AS semester,
+           t.discipline_id, d.name AS discipline, co.name AS course,
+           CASE WHEN ac.status = 'released' THEN t.class_group_id END AS class_group_id,
+           CASE WHEN ac.status = 'released' THEN cg.name END AS class_group,
+           COUNT(DISTINCT r.id) AS n, AVG(${SCORE_SQL}) AS score
+    ${FROM_RELEASED}
+    JOIN semester s ON s.id = t.semester_id
+    JOIN course co ON co.id = d.course_id
+    LEFT JOIN school_year sy ON sy.id = t.school_year_id
+    LEFT JOIN class_group cg ON cg.id = t.class_group_id
+    WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
+    GROUP BY t.school_year_id, t.semester_id, t.discipline_id, CASE WHEN ac.status = 'released' THEN t.class_group_id END
+    ORDER BY sy.name DESC, s.id, d.name, cg.name
+  `).all(f);
+
+  const years = db.prepare(`
+    SELECT t.school_year_id, sy.name AS school_year, COUNT(DISTINCT r.id) AS n, AVG(${SCORE_SQL}) AS score
+    ${FROM_RELEASED}
+    LEFT JOIN school_year sy ON sy.id = t.school_year_id
+    WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
+    GROUP BY t.school_year_id
+    ORDER BY sy.name
+  `).all(f);
+
+  const byDiscYear = db.prepare(`
+    SELECT t.discipline_id, d.name AS discipline, t.school_year_id, AVG(${SCORE_SQL}) AS score
+    ${FROM_RELEASED}
+    WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}
+    GROUP BY t.discipline_id, t.school_year_id
+    ORDER BY d.name
+  `).all(f);
+  const hidden = anonNotices(f).filter(c => c.status === 'suppressed').length;
+  // Comparação no ano lectivo mais recente com resultados
+  const lastYear = years[years.length - 1];
+  const bench = lastYear ? benchmark({ ...f, school_year_id: lastYear.school_year_id }) : null;
+
+  const fmt = v => (v == null ? '—' : Math.round(v));
+  const delta = (cur, prev) => {
+    if (cur == null || prev == null) return '';
+    const d = Math.round(cur - prev);
+    return `<span class="text-xs ${d >= 0 ? 'text-emerald-700' : 'text-rose-700'}">${d >= 0 ? '+' : ''}${d}</span>`;
+  };
+  const pdfLink = u => '/export/pdf?' + new URLSearchParams(Object.entries({
+    school_year_id: u.school_year_id, semester_id: u.semester_id, discipline_id: u.discipline_id, class_group_id: u.class_group_id,
+  }).filter(([, v]) => v != null)).toString();
+
+  const unitRows = units.map(u => `
+    <tr class="border-t">
+      <td class="py-2 pr-3">${escapeHtml(u.school_year || '—')}</td>
+      <td class="py-2 pr-3">${escapeHtml(u.semester)}</td>
+      <td class="py-2 pr-3">${escapeHtml(u.discipline)} <span class="block text-xs text-slate-500">${escapeHtml(u.course)}</span></td>
+      <td class="py-2 pr-3">${u.class_group ? escapeHtml(u.class_group) : '<span class="text-slate-500">Turmas agregadas</span>'}</td>
+      <td class="py-2 pr-3 text-right">${u.n}</td>
+      <td class="py-2 pr-3 text-right font-semibold">${fmt(u.score)}</td>
+      <td class="py-2 text-right"><a class="underline text-sm" href="${pdfLink(u)}">PDF</a></td>
+    </tr>`).join('');
+
+  // Histórico: uma coluna por ano lectivo, com a variação face ao ano anterior
+  const discs = [...new Map(byDiscYear.map(x => [x.discipline_id, x.discipline])).entries()];
+  const cell = (discId, yearId) => byDiscYear.find(x => x.discipline_id === discId && x.school_year_id === yearId)?.score ?? null;
+  const historyRows = discs.map(([id, name]) => `
+    <tr class="border-t">
+      <td class="py-2 pr-3">${escapeHtml(name)}</td>
+      ${years.map((y, i) => `<td class="py-2 pr-3 text-right">${fmt(cell(id, y.school_year_id))} ${i ? delta(cell(id, y.school_year_id), cell(id, years[i - 1].school_year_id)) : ''}</td>`).join('')}
+    </tr>`).join('');
+
+  const html = units.length ? `
+    <p class="text-sm text-slate-600 mb-4">${escapeHtml(teacher.name)} · índice 0–100 (média das respostas normalizada pela escala de cada pergunta). Só são mostrados resultados com pelo menos ${ANON} respostas.</p>
+    <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div class="card lg:col-span-2">
+        <h2 class="text-lg font-semibold mb-2 text-left">Evolução por ano lectivo</h2>
+        <div style="height:220px"><canvas id="chartYears"></canvas></div>
+      </div>
+      <div class="card">
+        <h2 class="text-lg font-semibold mb-2 text-left">Por ano</h2>
+        <ul class="text-sm space-y-1">${years.map((y, i) => `
+          <li class="flex justify-between border-b py-1"><span>${escapeHtml(y.school_year || '—')} <span class="text-xs text-slate-500">(n=${y.n})</span></span>
+            <span><b>${fmt(y.score)}</b> ${i ? delta(y.score, years[i - 1].score) : ''}</span></li>`).join('')}</ul>
+      </div>
+    </div>
+    <div class="card mt-6 overflow-x-auto">
+      <h2 class="text-lg font-semibold mb-2 text-left">Resultados por disciplina, turma e semestre</h2>
+      <table class="w-full text-sm">
+        <thead><tr class="text-left text-slate-500"><th>Ano</th><th>Semestre</th><th>Disciplina</th><th>Turma</th><th class="text-right">n</th><th class="text-right">Índice</th><th></th></tr></thead>
+        <tbody>${unitRows}</tbody>
+      </table>
+      ${hidden ? `<p class="mt-3 text-xs text-amber-700">${hidden} turma(s) com menos de ${ANON} respostas não são mostradas para proteger o anonimato dos estudantes.</p>` : ''}
+    </div>
+    ${bench ? `
+    <div class="card mt-6 overflow-x-auto">
+      <h2 class="text-lg font-semibold mb-2 text-left">Comparação · ${escapeHtml(lastYear.school_year || '—')}</h2>
+      ${bench.percentile ? `<p class="text-sm mb-2">Posição: <b>${escapeHtml(percentileText(bench.percentile))}</b>.</p>` : ''}
+      <table class="w-full text-sm">
+        <thead><tr class="text-left text-slate-500"><th></th>${bench.levels.map(l => `<th class="text-right">${escapeHtml(l.key === 'teacher' ? 'Eu' : l.label)}</th>`).join('')}</tr></thead>
+        <tbody>${[['Global', Object.fromEntries(bench.levels.map(l => [l.key, l.score]))], ...bench.areas.map(a => [a.area, a.values])].map(([label, vals]) => `
+          <tr class="border-t">
+            <td class="py-2 pr-3">${escapeHtml(label)}</td>
+            ${bench.levels.map(l => `<td class="py-2 pr-3 text-right ${l.key === 'teacher' ? 'font-semibold' : ''}">${fmt(vals[l.key])}${l.key !== 'teacher' ? ' ' + delta(vals.teacher, vals[l.key]) : ''}</td>`).join('')}
+          </tr>`).join('')}</tbody>
+      </table>
+      <p class="mt-2 text-xs text-slate-500">Índice 0–100 no mesmo ano lectivo; ao lado de cada referência, a sua diferença face a ela.</p>
+    </div>` : ''}
+    ${years.length > 1 ? `
+    <div class="card mt-6 overflow-x-auto">
+      <h2 class="text-lg font-semibold mb-2 text-left">Histórico por disciplina</h2>
+      <table class="w-full text-sm">
+        <thead><tr class="text-left text-slate-500"><th>Disciplina</th>${years.map(y => `<th class="text-right">${escapeHtml(y.school_year || '—')}</th>`).join('')}</tr></thead>
+        <tbody>${historyRows}</tbody>
+      </table>
+    </div>` : ''}
+    <script>
+      new Chart(document.getElementById('chartYears').getContext('2d'), {
+        type: 'line',
+        data: { labels: ${JSON.stringify(years.map(y => y.school_year || '—')).replace(/</g, '\\u003c')}, datasets: [{ label: 'Índice (0–100)', data: ${JSON.stringify(years.map(y => y.score == null ? null : Math.round(y.score)))}, tension: .3, fill: false }] },
+        options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { display: false } }, scales: { y: { suggestedMin: 0, suggestedMax: 100 } } }
+      });
+    </script>` : `
+    <p class="text-slate-600">Ainda não há resultados com pelo menos ${ANON} respostas para ${escapeHtml(teacher.name)}.</p>
+    ${hidden ? `<p class="mt-2 text-xs text-amber-700">${hidden} turma(s) com menos de ${ANON} respostas não são mostradas.</p>` : ''}`;
+
+  res.send(renderPage('Os meus resultados', html, '', req.user));
+});
+
+// ====== COMPARAÇÃO (docente face à disciplina, curso e instituição) ======
+// Com filtro de docente, as mesmas métricas calculadas para a disciplina (se filtrada), para o(s)
+// curso(s) onde o docente tem resultados e para a instituição, no mesmo período (ano lectivo,
+// semestre, campanha). Áreas e global em índice 0–100 (a instituição pode misturar escalas);
+// por pergunta também a média na escala, que é a mesma em todos os níveis.
+// O percentil compara o índice global do docente com o dos outros docentes do(s) mesmo(s) curso(s).
+function benchmark(f) {
+  if (!f.teacher_id) return null;
+  const period = {
+    courses: null, course_id: null, discipline_id: null, teacher_id: null, class_group_id: null,
+    semester_id: f.semester_id, school_year_id: f.school_year_id, campaign_id: f.campaign_id,
+  };
+  const FROM_RELEASED = `
+    FROM survey_answer a
+    JOIN survey_question q ON q.id = a.question_id
+    JOIN answer_scale sc ON sc.id = q.scale_id AND sc.kind = 'numeric'
+    JOIN survey_response r ON r.id = a.response_id
+    JOIN teaching t ON t.id = r.teaching_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+    WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}`;
+
+  const courses = db.prepare(`
+    SELECT DISTINCT co.id, co.name
+    ${FROM_RELEASED.replace('WHERE', 'JOIN course co ON co.id = d.course_id\n    WHERE')}
+    ORDER BY co.name
+  `).all(f);
+  if (!courses.length) return null;
+  const inCourses = { ...period, courses: JSON.stringify(courses.map(c => c.id)) };
+  const discipline = f.discipline_id ? db.prepare('SELECT name FROM discipline WHERE id = ?').get(f.discipline_id) : null;
+
+  const levels = [
+    { key: 'teacher', label: 'Docente', f },
+    discipline && { key: 'discipline', label: `Disciplina (${discipline.name})`, f: { ...period, discipline_id: f.discipline_id } },
+    { key: 'course', label: `${courses.length > 1 ? 'Cursos' : 'Curso'} (${courses.map(c => c.name).join(', ')})`, f: inCourses },
+    { key: 'institution', label: 'Instituição', f: period },
+  ].filter(Boolean);
+
+  const areas = new Map(), questions = new Map();
+  const out = levels.map(l => {
+    const all = db.prepare(`SELECT COUNT(DISTINCT r.id) AS n, AVG(${SCORE_SQL}) AS score ${FROM_RELEASED}`).get(l.f);
+    db.prepare(`SELECT q.area, AVG(${SCORE_SQL}) AS score ${FROM_RELEASED} GROUP BY q.area ORDER BY q.area`).all(l.f)
+      .forEach(r => { (areas.get(r.area) || areas.set(r.area, { area: r.area, values: {} }).get(r.area)).values[l.key] = r.score; });
+    db.prepare(`SELECT a.question_id, AVG(a.value) AS avg_val, AVG(${SCORE_SQL}) AS score ${FROM_RELEASED} GROUP BY a.question_id`).all(l.f)
+      .forEach(r => { (questions.get(r.question_id) || questions.set(r.question_id, { question_id: r.question_id, values: {} }).get(r.question_id)).values[l.key] = { avg_val: r.avg_val, score: r.score }; });
+    return { key: l.key, label: l.label, n: all.n, score: all.score };
+  });
+
+  // Percentil (método do ponto médio): % de docentes abaixo + metade dos empatados
+  const peers = db.prepare(`SELECT t.teacher_id, AVG(${SCORE_SQL}) AS score ${FROM_RELEASED} GROUP BY t.teacher_id`).all(inCourses);
+  const own = peers.find(p => String(p.teacher_id) === String(f.teacher_id));
+  let percentile = null;
+  if (own) {
+    const eq = s => Math.abs(s - own.score) < 1e-9;
+    const below = peers.filter(p => p.score < own.score && !eq(p.score)).length;
+    const ties = peers.filter(p => eq(p.score)).length;
+    percentile = {
+      pct: ((below + ties / 2) / peers.length) * 100,
+      rank: peers.filter(p => p.score > own.score && !eq(p.score)).length + 1,
+      of: peers.length,
+      score: own.score,
+      courses: courses.map(c => c.name),
+    };
+  }
+  return { levels: out, areas: [...areas.values()], questions: [...questions.values()], percentile };
+}
+
+// "percentil 75 (3.º de 8 docentes do curso)"
+function percentileText(p) {
+  if (!p) return '';
+  return `percentil ${Math.round(p.pct)} (${p.rank}.º de ${p.of} docente${p.of > 1 ? 's' : ''} ${p.courses.length > 1 ? 'dos cursos' : 'do curso'})`;
+}
+
+// ====== TENDÊNCIAS (evolução entre anos lectivos e semestres) ======
+// Compara o índice 0–100 (global, por área e por pergunta) entre períodos (ano lectivo × semestre)
+// do mesmo âmbito. Usa o índice e não a média na escala porque a escala pode mudar entre anos.
+// As perguntas comparam-se pelo código, mesmo que mudem de versão.
+const TREND_STABLE = Number(process.env.TREND_STABLE || 2); // variação (pontos do índice) tida como estável
+
+function trendDelta(cur, prev) {
+  if (cur == null || prev == null) return null;
+  const delta = cur - prev;
+  return { delta, dir: Math.abs(delta) < TREND_STABLE ? 'stable' : delta > 0 ? 'up' : 'down' };
+}
+
+// Ano lectivo e semestre do filtro não limitam a série: servem de último período a mostrar.
+// A campanha também é ignorada (cada campanha pertence a um período).
+function trendData(f) {
+  const scope = { ...f, school_year_id: null, semester_id: null, campaign_id: null };
+  const FROM_RELEASED = `
+    FROM survey_answer a
+    JOIN survey_question q ON q.id = a.question_id
+    JOIN answer_scale sc ON sc.id = q.scale_id AND sc.kind = 'numeric'
+    JOIN survey_response r ON r.id = a.response_id
+    JOIN teaching t ON t.id = r.teaching_id
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN anon_cell ac ON ac.teaching_id = t.id AND ac.campaign_id IS r.campaign_id
+    WHERE ${SCOPE_SQL} AND ${RELEASED_SQL}`;
+
+  let periods = db.prepare(`
+    SELECT t.school_year_id, sy.name AS school_year, t.semester_id, s.name AS semester,
+           COUNT(DISTINCT r.id) AS n, AVG(${SCORE_SQL}) AS score
+    ${FROM_RELEASED.replace('WHERE', `JOIN semester s ON s.id = t.semester_id
+    LEFT JOIN school_year sy ON sy.id = t.school_year_id
+    WHERE`)}
+    GROUP BY t.school_year_id, t.semester_id
+    ORDER BY sy.name, s.id
+  `).all(scope);
+  if (f.school_year_id) {
+    const last = periods.map((p, i) => (String(p.school_year_id) === String(f.school_year_id)
+      && (!f.semester_id || String(p.semester_id) === String(f.semester_id)) ? i : -1)).filter(i => i >= 0).pop();
+    if (last != null) periods = periods.slice(0, last + 1);
+  }
+  const key = (y, s) => `${y ?? ''}:${s}`;
+  const at = new Map(periods.map((p, i) => [key(p.school_year_id, p.semester_id), i]));
+
+  // Período anterior e mesmo semestre do ano lectivo anterior, para cada período
+  periods.forEach((p, i) => {
+    p.label = `${p.school_year || 'Sem ano'} · ${p.semester}`;
+    p.prev = i > 0 ? i - 1 : null;
+    const yoy = periods.slice(0, i).map((o, j) => (o.semester_id === p.semester_id && o.school_year_id !== p.school_year_id ? j : -1)).filter(j => j >= 0).pop();
+    p.yoy = yoy ?? null;
+  });
+  const series = (scores) => {
+    const points = periods.map((p, i) => ({
+      score: scores[i],
+      prev: p.prev == null ? null : trendDelta(scores[i], scores[p.prev]),
+      yoy: p.yoy == null ? null : trendDelta(scores[i], scores[p.yoy]),
+    }));
+    return { points, last: points[points.length - 1] || null };
+  };
+  const grouped = (rows, id) => {
+    const out = new Map();
+    rows.forEach(r => {
+      const i = at.get(key(r.school_year_id, r.semester_id));
+      if (i == null) return;
+      const g = out.get(r[id]) || { ...r, scores: periods.map(() => null) };
+      g.scores[i] = r.score;
+      if (r.text && i >= (g.textAt ?? -1)) Object.assign(g, { text: r.text, textAt: i }); // texto do período mais recente
+      out.set(r[id], g);
+    });
+    return [...out.values()];
+  };
+
+  const areaRows = db.prepare(`
+    SELECT t.school_year_id, t.semester_id, q.area, AVG(${SCORE_SQL}) AS score
+    ${FROM_RELEASED}
+    GROUP BY t.school_year_id, t.semester_id, q.area
+    ORDER BY q.area
+  `).all(scope);
+  const questionRows = db.prepare(`
+    SELECT t.school_year_id, t.semester_id, q.code, q.area, MAX(q.text) AS text, AVG(${SCORE_SQL}) AS score
+    ${FROM_RELEASED}
+    GROUP BY t.school_year_id, t.semester_id, q.code
+    ORDER BY MIN(q.position), q.code
+  `).all(scope);
+
+  return {
+    threshold: ANON,
+    stable: TREND_STABLE,
+    periods: periods.map(({ school_year_id, school_year, semester_id, semester, n, label }) => ({ school_year_id, school_year, semester_id, semester, n, label })),
+    overall: series(periods.map(p => p.score)),
+    areas: grouped(areaRows, 'area').map(a => ({ area: a.area, ...series(a.scores) })),
+    questions: grouped(questionRows, 'code').map(q => ({ code: q.code, area: q.area, text: q.text, ...series(q.scores) })),
+  };
+}
+
+app.get('/api/trends', requireRole([...REPORT_ROLES, 'teacher']), (req, res) => {
+  res.json(trendData(reportFilters(req.query, req.user)));
+});
+
+app.get('/tendencias', requireRole([...REPORT_ROLES, 'teacher']), (req, res) => {
+  const f = reportFilters(req.query, req.user);
+  const isTeacher = req.user.role === 'teacher';
+  const courses = isTeacher ? [] : visibleCourses(req.user);
+  const disciplines = db.prepare(`
+    SELECT DISTINCT d.id, d.name, co.name AS course
+    FROM teaching t
+    JOIN discipline d ON d.id = t.discipline_id
+    JOIN course co ON co.id = d.course_id
+    WHERE (@courses IS NULL OR d.course_id IN (SELECT value FROM json_each(@courses)))
+      AND (@course_id IS NULL OR d.course_id = @course_id)
+      AND (@teacher_id IS NULL OR t.teacher_id = @teacher_id)
+    ORDER BY d.name
+  `).all({ courses: f.courses, course_id: f.course_id, teacher_id: isTeacher ? f.teacher_id : null });
+  const teachers = isTeacher ? [] : db.prepare(`
+    SELECT DISTINCT te.id, te.name
+    FROM teaching t
+    JOIN teacher te ON te.id = t.teacher_id
+    JOIN discipline d ON d.id = t.discipline_id
+    WHERE (@courses IS NULL OR d.course_id IN (SELECT value FROM json_each(@courses)))
+      AND (@course_id IS NULL OR d.course_id = @course_id)
+    ORDER BY te.name
+  `).all({ courses: f.courses, course_id: f.course_id });
+
+  const sel = (name, label, options, text = o => o.name) => `
+    <label class="text-sm">${label}
+      <select name="${name}" class="w-full border rounded-xl p-2" onchange="this.form.submit()">
+        <option value="">— Todos —</option>
+        ${options.map(o => `<option value="${o.id}" ${String(o.id) === String(f[name]) ? 'selected' : ''}>${escapeHtml(text(o))}</option>`).join('')}
+      </select>
+    </label>`;
+  const form = `
+    <form method="GET" class="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+      ${isTeacher ? '' : sel('course_id', 'Curso', courses)}
+      ${sel('discipline_id', 'Disciplina', disciplines, o => `${o.name} (${o.course})`)}
+      ${isTeacher ? '' : sel('teacher_id', 'Docente', teachers)}
+    </form>`;
+
+  const data = trendData(f);
+  const fmt = v => (v == null ? '—' : Math.round(v));
+  const arrow = d => {
+    if (!d) return '<span class="text-slate-400">—</span>';
+    const [sym, cls] = { up: ['▲', 'text-emerald-700'], down: ['▼', 'text-rose-700'], stable: ['▬', 'text-slate-500'] }[d.dir];
+    return `<span class="${cls} whitespace-nowrap">${sym} ${d.delta >= 0 ? '+' : ''}${Math.round(d.delta)}</span>`;
+  };
+  const row = (label, s, cls = '') => `
+    <tr class="border-t ${cls}">
+      <td class="py-2 pr-3">${label}</td>
+      ${s.points.map((p, i) => `<td class="py-2 pr-3 text-right">${fmt(p.score)}${i && p.prev ? ` <span class="text-xs">${arrow(p.prev)}</span>` : ''}</td>`).join('')}
+      <td class="py-2 pr-3 text-right">${arrow(s.last?.prev)}</td>
+      <td class="py-2 text-right">${arrow(s.last?.yoy)}</td>
+    </tr>`;
+  const head = `
+    <thead><tr class="text-left text-slate-500">
+      <th></th>${data.periods.map(p => `<th class="text-right">${escapeHtml(p.label)} <span class="block text-xs font-normal">n=${p.n}</span></th>`).join('')}
+      <th class="text-right">Δ semestre</th><th class="text-right">Δ ano</th>
+    </tr></thead>`;
+
+  const html = data.periods.length ? `
+    ${form}
+    <p class="text-sm text-slate-600 mb-4">Índice 0–100 por período (ano lectivo × semestre). ▲/▼ variação face ao período anterior; Δ ano compara com o mesmo semestre do ano lectivo anterior. Variações inferiores a ${TREND_STABLE} pontos contam como estáveis (▬). Só entram respostas de células com pelo menos ${ANON} respostas.</p>
+    <div class="card mb-6">
+      <h2 class="text-lg font-semibold mb-2 text-left">Índice por área</h2>
+      <div style="height:240px"><canvas id="chartTrend"></canvas></div>
+    </div>
+    <div class="card mb-6 overflow-x-auto">
+      <h2 class="text-lg font-semibold mb-2 text-left">Por área</h2>
+      <table class="w-full text-sm">${head}<tbody>
+        ${row('<b>Global</b>', data.overall, 'bg-slate-50')}
+        ${data.areas.map(a => row(escapeHtml(a.area), a)).join('')}
+      </tbody></table>
+    </div>
+    <div class="card overflow-x-auto">
+      <h2 class="text-lg font-semibold mb-2 text-left">Por pergunta</h2>
+      <table class="w-full text-sm">${head}<tbody>
+        ${data.questions.map(q => row(`<b>${escapeHtml(q.code)}</b> <span class="text-slate-500">${escapeHtml(q.text)}</span>`, q)).join('')}
+      </tbody></table>
+    </div>
+    <script>
+      new Chart(document.getElementById('chartTrend').getContext('2d'), {
+        type: 'line',
+        data: {
+          labels: ${JSON.stringify(data.periods.map(p => p.label)).replace(/</g, '\\u003c')},
+          datasets: ${JSON.stringify([{ label: 'Global', data: data.overall.points.map(p => p.score == null ? null : Math.round(p.score)), borderWidth: 3 },
+            ...data.areas.map(a => ({ label: a.area, data: a.points.map(p => p.score == null ? null : Math.round(p.score)) }))]).replace(/</g, '\\u003c')}
+        },
+        options: { responsive: true, maintainAspectRatio: false, spanGaps: true, elements: { line: { tension: .3 } }, scales: { y: { suggestedMin: 0, suggestedMax: 100 } } }
+      });
+    </script>` : `
+    ${form}
+    <p class="text-slate-600">Sem resultados com pelo menos ${ANON} respostas para este âmbito.</p>`;
+
+  res.send(renderPage('Tendências', html, '', req.user));
+});
+
+// Upload recusado pelo multer (ficheiro acima de UPLOAD_MAX_MB, mais de um ficheiro…)
+app.use((err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) return next(err);
+  const msg = err.code === 'LIMIT_FILE_SIZE' ? `O ficheiro passa do tamanho máximo de ${UPLOAD_MAX_MB} MB.` : `Envio inválido: ${err.message}`;
+  return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).send(renderPage('Envio recusado',
+    `<p class="text-red-600 mb-2">${escapeHtml(msg)}</p><a class="underline" href="/importar">Voltar</a>`, '', req.user));
 });
 
 // ====== START ======
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`ISPT – Avaliação Docente a correr em http://localhost:${PORT}`));
\ No newline at end of file
+if (require.main === module) {
+  checkCampaignWindows();
+  setInterval(checkCampaignWindows, 60 * 1000).unref();
+  setInterval(runScheduledBackup, 60 * 1000).unref();
+  setInterval(pruneAbuseState, 60 * 1000).unref();
+  app.listen(PORT, () => log('info', `ISPT – Avaliação Docente a correr em http://localhost:${PORT}`));
+}
+
+// Para os testes unitários (require('./app') abre a BD da pasta actual, sem servidor nem tarefas periódicas)
+module.exports = { app, db, MIGRATIONS, SCHEMA_VERSION, schemaVersion, parseCsv, readImportFile, reportFilters, participation, describe, statsDetail, stemPt, analyzeComment };
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_PASSWORD, startApp, redirectQuery } = require('./helpers');
+
+test('falhas de login bloqueiam a conta no IP de onde vieram, sem bloquear o titular noutro IP', async () => {
+  const app = await startApp({ env: { TRUST_PROXY: 'true', LOGIN_MAX_ATTEMPTS: '3', LOGIN_MAX_ATTEMPTS_IP: '6', LOGIN_LOCKOUT_SECONDS: '2' } });
+  try {
+    const attacker = app.browser({ 'x-forwarded-for': '10.0.0.9' });
+    const error = async (user, password) => redirectQuery(await attacker.login(user, password)).get('e') || '';
+
+    assert.match(await error('admin', 'errada'), /inválidos/);
+    assert.match(await error('admin', 'errada'), /inválidos/);
+    assert.match(await error('admin', 'errada'), /Demasiadas tentativas/);
+    // durante o bloqueio nem a palavra-passe certa entra a partir deste IP
+    assert.match(await error('admin', ADMIN_PASSWORD), /Demasiadas tentativas/);
+
+    // o titular, noutro IP, entra
+    const owner = app.browser({ 'x-forwarded-for': '10.0.0.7' });
+    assert.equal(await owner.login('admin', ADMIN_PASSWORD), '/admin');
+
+    // o bloqueio fica registado
+    const db = app.db();
+    const blocked = db.prepare("SELECT username, ip, reason FROM blocked_attempt WHERE kind = 'login'").all();
+    db.close();
+    assert.deepEqual(blocked.map(b => `${b.username}|${b.ip}|${b.reason}`), ['admin|10.0.0.9|locked_account']);
+
+    // terminado o bloqueio, o login certo volta a entrar e limpa as falhas
+    await new Promise(resolve => setTimeout(resolve, 2100));
+    assert.equal(await attacker.login('admin', ADMIN_PASSWORD), '/admin');
+
+    // limite por IP: muitas contas diferentes a partir do mesmo IP
+    const scanner = app.browser({ 'x-forwarded-for': '10.0.0.5' });
+    for (let i = 0; i < 6; i++) await scanner.login(`conta${i}`, 'errada');
+    assert.match(redirectQuery(await scanner.login('admin', ADMIN_PASSWORD)).get('e') || '', /Demasiadas tentativas/);
+  } finally {
+    await app.stop();
+  }
+});
+
+test('falhas de login na mesma sessão do browser bloqueiam esse browser, sem bloquear outro no mesmo IP', async () => {
+  const app = await startApp({ env: { TRUST_PROXY: 'true', LOGIN_MAX_ATTEMPTS_SESSION: '3', LOGIN_MAX_ATTEMPTS_IP: '20' } });
+  try {
+    // o primeiro pedido recebe o cookie da sessão e conta só no IP
+    const scanner = app.browser({ 'x-forwarded-for': '10.0.0.5' });
+    const error = async (user, password) => redirectQuery(await scanner.login(user, password)).get('e') || '';
+    for (let i = 0; i < 3; i++) assert.match(await error(`conta${i}`, 'errada'), /inválidos/);
+    assert.match(await error('conta3', 'errada'), /Demasiadas tentativas/);
+    assert.match(await error('admin', ADMIN_PASSWORD), /Demasiadas tentativas/);
+
+    // outro browser atrás do mesmo IP entra
+    const colleague = app.browser({ 'x-forwarded-for': '10.0.0.5' });
+    assert.equal(await colleague.login('admin', ADMIN_PASSWORD), '/admin');
+
+    const db = app.db();
+    const reasons = db.prepare("SELECT reason FROM blocked_attempt WHERE kind = 'login'").all().map(b => b.reason);
+    db.close();
+    assert.deepEqual(reasons, ['locked_session']);
+  } finally {
+    await app.stop();
+  }
+});
+
+test('códigos inválidos no inquérito bloqueiam a sessão do browser antes do IP partilhado pela turma', async () => {
+  const app = await startApp({ env: { TRUST_PROXY: 'true', SUBMIT_MAX_FAILURES_PER_SESSION: '2', SUBMIT_MAX_FAILURES_PER_IP: '5' } });
+  try {
+    const db = app.db();
+    const campaign = Number(db.prepare(`INSERT INTO campaign (name, course_id, school_year_id, semester_id, questionnaire_version_id, starts_at, ends_at, status)
+                                        VALUES ('Teste', 1, 1, 1, 1, '2020-01-01T00:00', '2099-01-01T00:00', 'open')`).run().lastInsertRowid);
+    db.close();
+    const attempt = async student => redirectQuery(await student.request(`/inquerito?course_id=1&campaign_id=${campaign}&code=ERRADO00`)).get('e') || '';
+
+    // o primeiro pedido recebe o cookie da sessão e conta só no IP (IP 3, sessão 2)
+    const guesser = app.browser({ 'x-forwarded-for': '10.0.0.20' });
+    for (let i = 0; i < 3; i++) assert.doesNotMatch(await attempt(guesser), /Demasiados pedidos/);
+    assert.match(await attempt(guesser), /Demasiados pedidos/);
+
+    // um colega no mesmo IP continua a poder errar até ao limite do IP (IP 5)
+    const colleague = app.browser({ 'x-forwarded-for': '10.0.0.20' });
+    for (let i = 0; i < 2; i++) assert.doesNotMatch(await attempt(colleague), /Demasiados pedidos/);
+    assert.match(await attempt(colleague), /Demasiados pedidos/);
+
+    const check = app.db();
+    const reasons = check.prepare("SELECT reason FROM blocked_attempt WHERE kind = 'survey' ORDER BY id").all().map(b => b.reason);
+    check.close();
+    assert.deepEqual(reasons, ['failures_session', 'failures_ip']);
+  } finally {
+    await app.stop();
+  }
+});
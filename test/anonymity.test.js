@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+// Com ANON_THRESHOLD = 3: uma célula (leccionação × campanha) com menos de 3 respostas é agregada
+// com as outras turmas do mesmo docente/disciplina/período, ou suprimida se nem assim chegar a 3.
+test('células com poucas respostas são agregadas ou suprimidas em todos os relatórios', async () => {
+  const app = await startApp({ env: { ANON_THRESHOLD: '3' } });
+  try {
+    const db = app.db();
+    const run = (sql, ...args) => Number(db.prepare(sql).run(...args).lastInsertRowid);
+    const campaign = run(`INSERT INTO campaign (name, school_year_id, semester_id, starts_at, ends_at, status)
+                          VALUES ('Teste', 1, 1, '2020-01-01T00:00', '2099-01-01T00:00', 'open')`);
+    const base = db.prepare('SELECT * FROM teaching WHERE id = 1').get();
+    const other = db.prepare('SELECT * FROM teaching WHERE teacher_id <> ? ORDER BY id LIMIT 1').get(base.teacher_id);
+    const third = db.prepare('SELECT * FROM teaching WHERE teacher_id NOT IN (?, ?) ORDER BY id LIMIT 1').get(base.teacher_id, other.teacher_id);
+    // outra turma da mesma leccionação
+    const group = run("INSERT INTO class_group (name) VALUES ('Turma Teste')");
+    const sibling = run('INSERT INTO teaching (teacher_id, discipline_id, semester_id, school_year_id, class_group_id) VALUES (?, ?, ?, ?, ?)',
+      base.teacher_id, base.discipline_id, base.semester_id, base.school_year_id, group);
+    const respond = (teaching, n) => {
+      for (let i = 0; i < n; i++) run('INSERT INTO survey_response (teaching_id, campaign_id, submitted_at) VALUES (?, ?, ?)', teaching, campaign, new Date().toISOString());
+    };
+    respond(base.id, 2);  // 2 + 2 na outra turma: agregadas (4)
+    respond(sibling, 2);
+    respond(other.id, 1); // 1: suprimida
+    respond(third.id, 3); // 3: libertada
+    db.close();
+
+    const admin = await app.admin();
+    const stats = async q => (await admin.request(`/api/stats?campaign_id=${campaign}${q}`)).json();
+
+    // total: só as libertadas e as agregadas (4 + 3), nunca a suprimida
+    const all = await stats('');
+    assert.equal(all.n, 7);
+    const notices = all.suppressed.map(c => `${c.teacher}|${c.status}`);
+    assert.ok(notices.some(c => c.endsWith('|suppressed')));
+    assert.ok(notices.some(c => c.endsWith('|merged')));
+
+    // a célula suprimida não aparece nem filtrando pelo seu docente
+    const hidden = await stats(`&teacher_id=${other.teacher_id}`);
+    assert.equal(hidden.insufficient, true);
+    assert.equal(hidden.n, 0);
+
+    // agregada: visível por docente, mas nunca filtrando por turma
+    assert.equal((await stats(`&teacher_id=${base.teacher_id}`)).n, 4);
+    const byGroup = await stats(`&class_group_id=${group}`);
+    assert.equal(byGroup.insufficient, true);
+    assert.equal(byGroup.n, 0);
+
+    // libertada
+    assert.equal((await stats(`&teacher_id=${third.teacher_id}`)).n, 3);
+
+    // a exportação segue as mesmas regras
+    const excel = await admin.request(`/export/excel?teacher_id=${other.teacher_id}&campaign_id=${campaign}`);
+    assert.equal(excel.status, 403);
+    assert.match(await excel.text(), /Amostra insuficiente/);
+  } finally {
+    await app.stop();
+  }
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+test('o registo de auditoria não aceita alterações nem apagamentos', async () => {
+  const app = await startApp();
+  try {
+    const admin = await app.admin();
+    await admin.post('/logout');
+    const db = app.db();
+    assert.ok(db.prepare('SELECT COUNT(*) c FROM audit_log').get().c >= 2);
+    assert.throws(() => db.prepare("UPDATE audit_log SET action = 'x'").run());
+    assert.throws(() => db.prepare('DELETE FROM audit_log').run());
+    db.close();
+  } finally {
+    await app.stop();
+  }
+});
+
+test('a exportação CSV da auditoria neutraliza fórmulas vindas do utilizador', async () => {
+  const app = await startApp();
+  try {
+    await app.browser().login('=HYPERLINK("http://exemplo.invalid";"x")', 'errada');
+    await app.browser().login('@SUM(1+1)', 'errada');
+    const admin = await app.admin();
+    const csv = await (await admin.request('/auditoria?formato=csv')).text();
+    assert.match(csv, /;"'=HYPERLINK\(""http:\/\/exemplo\.invalid"";""x""\)";/);
+    assert.match(csv, /;'@SUM\(1\+1\);/);
+    assert.doesNotMatch(csv, /;"?[=@]/);
+  } finally {
+    await app.stop();
+  }
+});
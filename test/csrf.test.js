@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+test('pedidos sem token CSRF válido são recusados', async () => {
+  const app = await startApp();
+  try {
+    const admin = await app.admin();
+    const teachers = name => {
+      const db = app.db();
+      const c = db.prepare('SELECT COUNT(*) c FROM teacher WHERE name = ?').get(name).c;
+      db.close();
+      return c;
+    };
+    const form = (name, extra = {}) => ({ method: 'POST', form: { name, ...extra } });
+
+    assert.equal((await admin.request('/dados/docentes', form('Sem Token'))).status, 403);
+    assert.equal((await admin.request('/dados/docentes', form('Token Errado', { _csrf: 'x'.repeat(64) }))).status, 403);
+    // token certo, mas o pedido vem de outro site
+    const token = await admin.csrf();
+    const foreign = await admin.request('/dados/docentes', { ...form('Outro Site', { _csrf: token }), headers: { origin: 'https://exemplo.invalid' } });
+    assert.equal(foreign.status, 403);
+    assert.equal(teachers('Sem Token') + teachers('Token Errado') + teachers('Outro Site'), 0);
+
+    assert.equal((await admin.post('/dados/docentes', { name: 'Com Token' })).status, 302);
+    assert.equal(teachers('Com Token'), 1);
+
+    // multipart: só nas rotas de upload, e mesmo aí com token
+    const multipart = fields => {
+      const fd = new FormData();
+      Object.entries(fields).forEach(([k, v]) => fd.append(k, v));
+      return fd;
+    };
+    const other = await admin.request('/dados/docentes', { method: 'POST', body: multipart({ _csrf: token, name: 'Multipart' }) });
+    assert.equal(other.status, 403);
+    assert.equal(teachers('Multipart'), 0);
+    const upload = await admin.request('/restore', { method: 'POST', body: multipart({ mode: 'merge', backup: new Blob(['x']) }) });
+    assert.equal(upload.status, 403);
+
+    // APIs JSON: token no cabeçalho
+    const api = (headers = {}) => admin.request('/api/notifications/read', { method: 'POST', body: '{}', headers: { 'content-type': 'application/json', ...headers } });
+    assert.equal((await api()).status, 403);
+    assert.equal((await api({ 'x-csrf-token': token })).status, 200);
+  } finally {
+    await app.stop();
+  }
+});
@@ -0,0 +1,144 @@
+// Utilitários dos testes: cada teste de integração arranca a aplicação numa pasta temporária (base de
+// dados e backups próprios), numa porta livre, e fala com ela por HTTP como um browser; os unitários
+// carregam app.js no próprio processo (loadApp).
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const Database = require('better-sqlite3');
+
+const APP = path.join(__dirname, '..', 'app.js');
+const ADMIN_PASSWORD = 'teste-admin';
+const DB_FILE = 'avaliacao_ispt.sqlite';
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'ispt-teste-'));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Arranca app.js em `dir` (por omissão uma pasta nova) e espera até estar a aceitar pedidos.
+// Rejeita com o output da aplicação se ela terminar antes disso.
+async function startApp({ dir = tempDir(), env = {} } = {}) {
+  const port = await freePort();
+  const childEnv = { ...process.env, PORT: String(port), ADMIN_PASSWORD, SUBMIT_MIN_SECONDS: '0', ...env };
+  delete childEnv.NODE_TEST_CONTEXT;
+  const child = spawn(process.execPath, [APP], { cwd: dir, env: childEnv, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { child.kill(); reject(new Error(`A aplicação não arrancou:\n${output}`)); }, 20000);
+    const collect = d => {
+      output += d;
+      if (output.includes('a correr em')) { clearTimeout(timer); resolve(); }
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    exited.then(code => { clearTimeout(timer); reject(new Error(`A aplicação terminou (código ${code}):\n${output}`)); });
+  });
+
+  const app = {
+    base: `http://127.0.0.1:${port}`,
+    dir,
+    output: () => output,
+    db: () => new Database(path.join(dir, DB_FILE)),
+    browser: headers => browser(app.base, headers),
+    async admin() {
+      const b = app.browser();
+      await b.login('admin', ADMIN_PASSWORD);
+      return b;
+    },
+    async stop({ keep = false } = {}) {
+      if (child.exitCode === null) child.kill();
+      await exited;
+      if (!keep) fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+  return app;
+}
+
+// Carrega app.js neste processo (testes unitários), sem servidor, com a BD numa pasta temporária
+// apagada no fim. Um só carregamento por ficheiro de testes: o require fica em cache.
+function loadApp(env = {}) {
+  const dir = tempDir();
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  process.chdir(dir);
+  Object.assign(process.env, { ADMIN_PASSWORD, ...env });
+  return require(APP);
+}
+
+// Sessão de browser: guarda os cookies e não segue redireccionamentos
+function browser(base, headers = {}) {
+  const jar = new Map();
+  const b = {
+    async request(url, { method = 'GET', form = null, body = undefined, headers: extra = {} } = {}) {
+      const h = { ...headers, ...extra };
+      if (jar.size) h.cookie = [...jar].map(([k, v]) => `${k}=${v}`).join('; ');
+      if (form) {
+        body = new URLSearchParams(form).toString();
+        h['content-type'] = 'application/x-www-form-urlencoded';
+      }
+      const res = await fetch(base + url, { method, body, headers: h, redirect: 'manual' });
+      res.headers.getSetCookie().forEach(c => {
+        const [pair] = c.split(';');
+        const i = pair.indexOf('=');
+        const [name, value] = [pair.slice(0, i), pair.slice(i + 1)];
+        if (!value || /expires=Thu, 01 Jan 1970/i.test(c)) jar.delete(name);
+        else jar.set(name, value);
+      });
+      return res;
+    },
+    // Redirecciona para a página inicial do perfil se o login entrou; devolve o Location
+    async login(username, password, extra = {}) {
+      const res = await b.request('/login', { method: 'POST', form: { username, password }, headers: extra });
+      return res.headers.get('location') || '';
+    },
+    async csrf() {
+      const html = await (await b.request('/conta')).text();
+      const m = html.match(/name="csrf-token" content="([^"]+)"/);
+      if (!m) throw new Error('Sem token CSRF (sessão não iniciada?)');
+      return m[1];
+    },
+    // POST de formulário com o token CSRF da sessão
+    async post(url, form = {}) {
+      return b.request(url, { method: 'POST', form: { ...form, _csrf: await b.csrf() } });
+    },
+  };
+  return b;
+}
+
+// Pré-visualiza um ficheiro de backup em /restore (multipart) e devolve { html, token }
+async function previewRestore(b, file, mode) {
+  const fd = new FormData();
+  fd.append('_csrf', await b.csrf());
+  fd.append('mode', mode);
+  fd.append('backup', new Blob([fs.readFileSync(file)]), path.basename(file));
+  const html = await (await b.request('/restore', { method: 'POST', body: fd })).text();
+  const m = html.match(/name="token" value="([^"]+)"/);
+  return { html, token: m ? m[1] : null };
+}
+
+// Abre o inquérito com um código de acesso: devolve o HTML e os campos escondidos do formulário
+// (campanha, curso, código, token), prontos para o POST /submit
+async function openSurvey(b, { course_id, campaign_id, code }) {
+  const html = await (await b.request(`/inquerito?${new URLSearchParams({ course_id, campaign_id, code })}`)).text();
+  const form = Object.fromEntries([...html.matchAll(/<input type="hidden" name="([^"]+)" value="([^"]*)"/g)].map(m => [m[1], m[2]]));
+  if (!form.form_token) throw new Error(`O inquérito não abriu:\n${html.slice(0, 2000)}`);
+  return { html, form };
+}
+
+// Parâmetros (?e=, ?ok=) do redireccionamento (resposta ou Location)
+function redirectQuery(res) {
+  const location = typeof res === 'string' ? res : res.headers.get('location') || '';
+  return new URLSearchParams(location.split('?')[1] || '');
+}
+
+module.exports = { ADMIN_PASSWORD, DB_FILE, tempDir, startApp, loadApp, previewRestore, openSurvey, redirectQuery };
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { loadApp, startApp } = require('./helpers');
+
+const { parseCsv, readImportFile } = loadApp({ IMPORT_MAX_INFLATED_MB: '1' });
+
+const zipOf = files => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, text]) => zip.file(name, text));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+test('parseCsv: separador detectado, aspas, quebras de linha e codificação', () => {
+  assert.deepEqual(parseCsv(Buffer.from('course;name\r\nEI;"Redes; e ""Sistemas"""\r\n')),
+    [['course', 'name'], ['EI', 'Redes; e "Sistemas"']]);
+  assert.deepEqual(parseCsv(Buffer.from('course,name\nEI,"linha 1\nlinha 2"')),
+    [['course', 'name'], ['EI', 'linha 1\nlinha 2']]);
+  // BOM do Excel e ficheiros gravados em Latin-1
+  assert.deepEqual(parseCsv(Buffer.from('\uFEFFname\nInformática\n')), [['name'], ['Informática']]);
+  assert.deepEqual(parseCsv(Buffer.from('name\nInformática\n', 'latin1')), [['name'], ['Informática']]);
+  // campo vazio no fim da linha
+  assert.deepEqual(parseCsv(Buffer.from('a;b;\n')), [['a', 'b', '']]);
+});
+
+test('readImportFile: lê o ZIP de CSV e recusa conteúdo descomprimido acima do limite', async () => {
+  const csv = {
+    'cursos.csv': 'name\nEI\n',
+    'docentes.csv': 'name\nAna\n',
+    'disciplinas.csv': 'course;name\nEI;Redes\n',
+    'leccionacao.csv': 'course;discipline;teacher;year;semester;class_group;enrolled\nEI;Redes;Ana;2025/2026;1º Semestre;A;30\n',
+  };
+  const sheets = await readImportFile(await zipOf(csv));
+  assert.deepEqual(sheets.leccionacao, [{ row: 2, cells: ['EI', 'Redes', 'Ana', '2025/2026', '1º Semestre', 'A', '30'] }]);
+
+  // 2 MB de texto repetido comprimem para poucos KB
+  const bomb = await zipOf({ ...csv, 'docentes.csv': 'name\n' + 'a'.repeat(2 * 1024 * 1024) });
+  assert.ok(bomb.length < 64 * 1024);
+  await assert.rejects(readImportFile(bomb), /descomprimido do ficheiro passa de 1 MB/);
+});
+
+test('uploads acima de UPLOAD_MAX_MB são recusados', async () => {
+  const app = await startApp({ env: { UPLOAD_MAX_MB: '0.01' } });
+  try {
+    const admin = await app.admin();
+    const fd = new FormData();
+    fd.append('_csrf', await admin.csrf());
+    fd.append('file', new Blob([Buffer.alloc(20 * 1024)]), 'grande.zip');
+    const res = await admin.request('/importar', { method: 'POST', body: fd });
+    assert.equal(res.status, 413);
+    assert.match(await res.text(), /tamanho máximo de 0\.01 MB/);
+  } finally {
+    await app.stop();
+  }
+});
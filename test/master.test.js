@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, redirectQuery } = require('./helpers');
+
+test('leccionação com respostas só muda de turma ou de inscritos', async () => {
+  const app = await startApp();
+  try {
+    const db = app.db();
+    const base = db.prepare('SELECT * FROM teaching WHERE id = 1').get();
+    const otherTeacher = db.prepare('SELECT id FROM teacher WHERE id <> ? ORDER BY id LIMIT 1').get(base.teacher_id).id;
+    const group = Number(db.prepare("INSERT INTO class_group (name) VALUES ('Turma Nova')").run().lastInsertRowid);
+    db.prepare("INSERT INTO survey_response (teaching_id, submitted_at) VALUES (1, '2026-01-01T10:00:00.000Z')").run();
+    db.close();
+    const admin = await app.admin();
+    const form = extra => ({
+      teacher_id: base.teacher_id, discipline_id: base.discipline_id, semester_id: base.semester_id,
+      school_year_id: base.school_year_id ?? '', class_group_id: base.class_group_id ?? '', enrolled: '', ...extra,
+    });
+
+    const page = await (await admin.request('/dados/leccionacoes/1')).text();
+    assert.match(page, /<select disabled[^>]*>.*<\/select><input type="hidden" name="teacher_id" value="\d+" \/>/s);
+
+    const moved = await admin.post('/dados/leccionacoes/1', form({ teacher_id: otherTeacher }));
+    assert.match(redirectQuery(moved).get('e') || '', /só a turma e os inscritos.*Fundir/);
+
+    const ok = await admin.post('/dados/leccionacoes/1', form({ class_group_id: group, enrolled: '25' }));
+    assert.equal(redirectQuery(ok).get('e'), null);
+
+    const check = app.db();
+    const after = check.prepare('SELECT * FROM teaching WHERE id = 1').get();
+    check.close();
+    assert.equal(after.teacher_id, base.teacher_id);
+    assert.equal(after.class_group_id, group);
+    assert.equal(after.enrolled, 25);
+  } finally {
+    await app.stop();
+  }
+});
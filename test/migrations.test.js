@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const Database = require('better-sqlite3');
+const { DB_FILE, tempDir, startApp, loadApp } = require('./helpers');
+
+const SCHEMA_VERSION = 19;
+
+const { MIGRATIONS, SCHEMA_VERSION: latest, schemaVersion, db: freshDb } = loadApp();
+
+// Base de dados tal como era antes das migrações (esquema v0, sem schema_migrations)
+function legacyDatabase(dir) {
+  const db = new Database(path.join(dir, DB_FILE));
+  db.exec(`
+    CREATE TABLE course (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE);
+    CREATE TABLE semester (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE);
+    CREATE TABLE discipline (id INTEGER PRIMARY KEY AUTOINCREMENT, course_id INTEGER NOT NULL, name TEXT NOT NULL, UNIQUE(course_id, name), FOREIGN KEY(course_id) REFERENCES course(id));
+    CREATE TABLE teacher (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE);
+    CREATE TABLE teaching (id INTEGER PRIMARY KEY AUTOINCREMENT, teacher_id INTEGER NOT NULL, discipline_id INTEGER NOT NULL, semester_id INTEGER NOT NULL,
+      FOREIGN KEY(teacher_id) REFERENCES teacher(id), FOREIGN KEY(discipline_id) REFERENCES discipline(id), FOREIGN KEY(semester_id) REFERENCES semester(id));
+    CREATE TABLE survey_question (id INTEGER PRIMARY KEY AUTOINCREMENT, code TEXT NOT NULL, text TEXT NOT NULL, area TEXT NOT NULL);
+    CREATE TABLE survey_response (id INTEGER PRIMARY KEY AUTOINCREMENT, teaching_id INTEGER NOT NULL, submitted_at TEXT NOT NULL, comment TEXT, FOREIGN KEY(teaching_id) REFERENCES teaching(id));
+    CREATE TABLE survey_answer (id INTEGER PRIMARY KEY AUTOINCREMENT, response_id INTEGER NOT NULL, question_id INTEGER NOT NULL, value INTEGER NOT NULL CHECK(value IN (0,1,2)),
+      FOREIGN KEY(response_id) REFERENCES survey_response(id), FOREIGN KEY(question_id) REFERENCES survey_question(id));
+    -- backup_run ainda sem a origem 'pre_restore'
+    CREATE TABLE backup_run (id INTEGER PRIMARY KEY AUTOINCREMENT, source TEXT NOT NULL CHECK(source IN ('manual','scheduled')), file TEXT, size INTEGER,
+      sha256 TEXT, integrity TEXT, status TEXT NOT NULL CHECK(status IN ('ok','failed')), error TEXT, user_id INTEGER, started_at TEXT NOT NULL, finished_at TEXT);
+    INSERT INTO backup_run (source, file, status, started_at) VALUES ('scheduled', 'antigo.db', 'ok', '2020-01-03');
+    INSERT INTO course (name) VALUES ('Legado');
+    INSERT INTO semester (name) VALUES ('1º Semestre');
+    INSERT INTO discipline (course_id, name) VALUES (1, 'Antiga');
+    INSERT INTO teacher (name) VALUES ('Velho');
+    INSERT INTO teaching (teacher_id, discipline_id, semester_id) VALUES (1, 1, 1);
+    INSERT INTO survey_question (code, text, area) VALUES ('Q1', 'Pergunta', 'Geral');
+    INSERT INTO survey_response (teaching_id, submitted_at, comment) VALUES (1, '2020-01-01', 'bom'), (1, '2020-01-02', NULL);
+    INSERT INTO survey_answer (response_id, question_id, value) VALUES (1, 1, 2), (2, 1, 1);
+  `);
+  db.close();
+}
+
+const versions = db => db.prepare('SELECT version FROM schema_migrations ORDER BY version').all().map(r => r.version);
+
+// Tabelas e colunas (sem a ordem das colunas, que ALTER TABLE põe no fim)
+const columns = db => Object.fromEntries(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").all()
+  .map(({ name }) => [name, db.prepare(`PRAGMA table_info(${name})`).all().map(c => `${c.name} ${c.type}${c.notnull ? ' NOT NULL' : ''}`).sort()]));
+
+test('base de dados nova fica na última versão e reiniciar não volta a migrar', async () => {
+  const dir = tempDir();
+  let app = await startApp({ dir });
+  await app.stop({ keep: true });
+  assert.match(app.output(), new RegExp(`de v0 para v${SCHEMA_VERSION}`));
+
+  app = await startApp({ dir });
+  try {
+    assert.doesNotMatch(app.output(), /Esquema actualizado/);
+    const db = app.db();
+    assert.deepEqual(versions(db), Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+    db.close();
+  } finally {
+    await app.stop();
+  }
+});
+
+test('base de dados v0 é migrada sem perder dados', async () => {
+  const dir = tempDir();
+  legacyDatabase(dir);
+  const app = await startApp({ dir });
+  try {
+    const db = app.db();
+    assert.equal(versions(db).at(-1), SCHEMA_VERSION);
+    assert.equal(db.prepare('SELECT COUNT(*) c FROM survey_response').get().c, 2);
+    assert.equal(db.prepare('SELECT COUNT(*) c FROM survey_answer').get().c, 2);
+    assert.equal(db.prepare('SELECT comment FROM survey_response WHERE id = 1').get().comment, 'bom');
+    assert.ok(db.prepare("SELECT 1 FROM teaching t JOIN teacher te ON te.id = t.teacher_id WHERE te.name = 'Velho'").get());
+    // colunas acrescentadas pelas migrações
+    const cols = db.prepare('PRAGMA table_info(survey_response)').all().map(c => c.name);
+    ['campaign_id', 'questionnaire_version_id', 'comment_status'].forEach(c => assert.ok(cols.includes(c), c));
+    assert.deepEqual(db.pragma('foreign_key_check'), []);
+    // backup_run reconstruída com o histórico
+    assert.equal(db.prepare('SELECT file FROM backup_run').get().file, 'antigo.db');
+    db.prepare("INSERT INTO backup_run (source, status, started_at) VALUES ('pre_restore', 'ok', '2020-01-04')").run();
+    // chega ao mesmo esquema que uma BD nova
+    assert.deepEqual(columns(db), columns(freshDb));
+    db.close();
+  } finally {
+    await app.stop();
+  }
+});
+
+test('base de dados de uma versão mais recente não arranca', async () => {
+  const dir = tempDir();
+  const db = new Database(path.join(dir, DB_FILE));
+  db.exec("CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL); INSERT INTO schema_migrations VALUES (99, 'futura', '2099-01-01')");
+  db.close();
+  await assert.rejects(startApp({ dir }), /mais recente do que o desta aplicação/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('as migrações têm versões seguidas a partir de 1 e a BD nova fica na última', () => {
+  // a v1 é o esquema original, sem as tabelas acrescentadas depois
+  const v1 = new Database(':memory:');
+  MIGRATIONS[0].up(v1);
+  assert.deepEqual(Object.keys(columns(v1)),
+    ['class_group', 'course', 'discipline', 'school_year', 'semester', 'survey_answer', 'survey_question', 'survey_response', 'teacher', 'teaching']);
+  v1.close();
+  assert.equal(latest, SCHEMA_VERSION);
+  assert.deepEqual(MIGRATIONS.map(m => m.version), Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+  assert.equal(schemaVersion(freshDb), SCHEMA_VERSION);
+});
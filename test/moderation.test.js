@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { startApp, openSurvey, redirectQuery } = require('./helpers');
+
+test('as respostas de texto livre passam pela fila de moderação e só o texto publicado aparece', async () => {
+  const app = await startApp({ env: { ANON_THRESHOLD: '1' } });
+  try {
+    const db = app.db();
+    const run = (sql, ...args) => Number(db.prepare(sql).run(...args).lastInsertRowid);
+    const question = run(`INSERT INTO survey_question (questionnaire_version_id, position, code, text, area, scale_id)
+                          VALUES (1, 99, 'T1', 'O que mudaria?', 'Geral', (SELECT id FROM answer_scale WHERE code = 'text'))`);
+    const campaign = run(`INSERT INTO campaign (name, course_id, school_year_id, semester_id, questionnaire_version_id, starts_at, ends_at, status)
+                          VALUES ('Teste', 1, 1, 1, 1, '2020-01-01T00:00', '2099-01-01T00:00', 'open')`);
+    const batch = run("INSERT INTO access_code_batch (class_group_id, school_year_id, semester_id, quantity, created_at) VALUES (1, 1, 1, 1, '2026-01-01')");
+    run("INSERT INTO access_code (batch_id, code) VALUES (?, 'AAAA1111')", batch);
+    db.close();
+
+    const student = app.browser();
+    const { form } = await openSurvey(student, { course_id: 1, campaign_id: campaign, code: 'AAAA1111' });
+    const sent = await student.request('/submit', {
+      method: 'POST',
+      form: { ...form, discipline_id: 1, teacher_id: 1, q_1: '2', [`q_${question}`]: 'Mais exercícios, como disse o Zé Silva' },
+    });
+    assert.equal(sent.status, 200);
+    const read = (sql, ...args) => { const c = app.db(); const row = c.prepare(sql).get(...args); c.close(); return row; };
+    const answer = read('SELECT id, text_status FROM survey_answer WHERE question_id = ?', question);
+    assert.equal(answer.text_status, 'pending');
+
+    const admin = await app.admin();
+    const published = async () => (await (await admin.request(`/api/stats?campaign_id=${campaign}`)).json()).texts;
+    assert.deepEqual(await published(), []);
+    const queue = await (await admin.request('/moderacao')).text();
+    assert.match(queue, /T1 · O que mudaria\?/);
+    assert.match(queue, new RegExp(`action="/moderacao/texto/${answer.id}"`));
+
+    const res = await admin.post(`/moderacao/texto/${answer.id}`, { action: 'redact', text: 'Mais exercícios, como disse o [removido]', note: 'nome' });
+    assert.equal(redirectQuery(res).get('e'), null);
+    const after = read('SELECT text_value, text_status, text_redacted, moderated_by FROM survey_answer WHERE id = ?', answer.id);
+    assert.equal(after.text_status, 'redacted');
+    assert.equal(after.text_redacted, 'Mais exercícios, como disse o [removido]');
+    // o original fica guardado
+    assert.equal(after.text_value, 'Mais exercícios, como disse o Zé Silva');
+    assert.ok(after.moderated_by);
+    const log = read('SELECT answer_id, from_status, to_status FROM comment_moderation WHERE response_id = (SELECT response_id FROM survey_answer WHERE id = ?)', answer.id);
+    assert.deepEqual({ ...log }, { answer_id: answer.id, from_status: 'pending', to_status: 'redacted' });
+    assert.match(await (await admin.request('/moderacao/registo')).text(), /· T1/);
+
+    // dashboard e Excel: só o texto editado
+    assert.deepEqual((await published()).map(t => [t.question_id, t.answer]), [[question, 'Mais exercícios, como disse o [removido]']]);
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(Buffer.from(await (await admin.request(`/export/excel?campaign_id=${campaign}`)).arrayBuffer()));
+    const [header, row] = wb.getWorksheet('Respostas').getSheetValues().slice(1);
+    assert.equal(row[header.indexOf('T1')], 'Mais exercícios, como disse o [removido]');
+    assert.ok(!JSON.stringify(row).includes('Zé Silva'));
+    const pdf = await admin.request(`/export/pdf?campaign_id=${campaign}`);
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+    assert.ok((await pdf.arrayBuffer()).byteLength > 0);
+  } finally {
+    await app.stop();
+  }
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const { db, reportFilters, participation } = loadApp({ RESPONDENTS_TARGET: '0' });
+
+test('a taxa de resposta é calculada campanha a campanha', () => {
+  const run = (sql, ...args) => Number(db.prepare(sql).run(...args).lastInsertRowid);
+  const campaign = (name, status) => run(`INSERT INTO campaign (name, school_year_id, semester_id, starts_at, ends_at, status)
+                                           VALUES (?, 1, 1, '2020-01-01T00:00', '2020-02-01T00:00', ?)`, name, status);
+  // leccionação 1 com 10 inscritos, avaliada em duas campanhas do mesmo período
+  db.prepare('UPDATE teaching SET enrolled = 10 WHERE id = 1').run();
+  const first = campaign('Intercalar', 'closed');
+  const second = campaign('Final', 'closed');
+  campaign('Próxima', 'draft');
+  const respond = (c, n) => { for (let i = 0; i < n; i++) run("INSERT INTO survey_response (teaching_id, campaign_id, submitted_at) VALUES (1, ?, '2020-01-10')", c); };
+  respond(first, 8);
+  respond(second, 6);
+
+  const rates = q => participation(reportFilters({ teacher_id: '1', discipline_id: '1', ...q })).overall;
+
+  // 14 respostas para 2 × 10 inscritos, não 14 para 10 (140%); a campanha em rascunho não conta
+  assert.deepEqual(rates({}), { responses: 14, enrolled: 20, rate: 70, remaining: 6, representative: true });
+  assert.equal(rates({ campaign_id: String(first) }).rate, 80);
+  assert.equal(rates({ campaign_id: String(second) }).rate, 60);
+
+  // o rascunho seleccionado explicitamente conta, ainda sem respostas
+  const draft = db.prepare("SELECT id FROM campaign WHERE status = 'draft'").get().id;
+  assert.deepEqual(rates({ campaign_id: String(draft) }), { responses: 0, enrolled: 10, rate: 0, remaining: 10, representative: false });
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { startApp, previewRestore, redirectQuery } = require('./helpers');
+
+// Campanha com respostas: 3 na leccionação 1 e 2 noutra turma da mesma leccionação, estas com a
+// mesma data/hora de submissão (ao milissegundo)
+function seed(app) {
+  const db = app.db();
+  const run = (sql, ...args) => Number(db.prepare(sql).run(...args).lastInsertRowid);
+  const campaign = run(`INSERT INTO campaign (name, school_year_id, semester_id, starts_at, ends_at, status)
+                        VALUES ('Teste', 1, 1, '2020-01-01T00:00', '2099-01-01T00:00', 'open')`);
+  const base = db.prepare('SELECT * FROM teaching WHERE id = 1').get();
+  const group = run("INSERT INTO class_group (name) VALUES ('Turma Teste')");
+  const sibling = run('INSERT INTO teaching (teacher_id, discipline_id, semester_id, school_year_id, class_group_id) VALUES (?, ?, ?, ?, ?)',
+    base.teacher_id, base.discipline_id, base.semester_id, base.school_year_id, group);
+  const respond = (teaching, at) => {
+    const id = run('INSERT INTO survey_response (teaching_id, campaign_id, submitted_at) VALUES (?, ?, ?)', teaching, campaign, at);
+    run('INSERT INTO survey_answer (response_id, question_id, value) VALUES (?, 1, 3)', id);
+  };
+  [1, 2, 3].forEach(i => respond(base.id, `2026-01-01T10:00:0${i}.000Z`));
+  respond(sibling, '2026-01-01T11:00:00.000Z');
+  respond(sibling, '2026-01-01T11:00:00.000Z');
+  db.close();
+  return { base: base.id, sibling };
+}
+
+// Backup manual pela aplicação, copiado para fora da pasta de backups (a retenção não lhe toca)
+async function backup(app, admin) {
+  const res = await admin.post('/backup');
+  assert.equal(res.status, 200);
+  const db = app.db();
+  const { file } = db.prepare("SELECT file FROM backup_run WHERE status = 'ok' ORDER BY id DESC LIMIT 1").get();
+  db.close();
+  const copy = path.join(app.dir, `copia_${file}`);
+  fs.copyFileSync(path.join(app.dir, 'backups', file), copy);
+  return copy;
+}
+
+async function restore(admin, file, mode) {
+  const { html, token } = await previewRestore(admin, file, mode);
+  assert.ok(token, `pré-visualização sem confirmação:\n${html.slice(0, 2000)}`);
+  const done = await (await admin.post('/restore/confirmar', { token })).text();
+  assert.match(done, /Restauro concluído/);
+}
+
+const count = (app, sql) => {
+  const db = app.db();
+  const c = db.prepare(sql).get().c;
+  db.close();
+  return c;
+};
+const responses = app => count(app, 'SELECT COUNT(*) c FROM survey_response');
+const answers = app => count(app, 'SELECT COUNT(*) c FROM survey_answer');
+
+test('substituir repõe os dados do backup e pode ser desfeito', async () => {
+  const app = await startApp();
+  try {
+    seed(app);
+    const admin = await app.admin();
+    const file = await backup(app, admin);
+    await admin.post('/dados/docentes', { name: 'Docente Novo' });
+    const db = app.db();
+    db.prepare("INSERT INTO survey_response (teaching_id, campaign_id, submitted_at) VALUES (1, 1, '2026-02-01T00:00:00.000Z')").run();
+    db.close();
+    assert.equal(responses(app), 6);
+
+    await restore(admin, file, 'replace');
+    assert.equal(responses(app), 5);
+    assert.equal(answers(app), 5);
+    assert.equal(count(app, "SELECT COUNT(*) c FROM teacher WHERE name = 'Docente Novo'"), 0);
+    assert.equal(count(app, 'SELECT COUNT(*) c FROM pragma_foreign_key_check'), 0);
+
+    const run = count(app, 'SELECT MAX(id) c FROM restore_run');
+    const undo = await admin.post(`/restore/${run}/desfazer`);
+    assert.match(redirectQuery(undo).get('ok') || '', /Restauro desfeito/);
+    assert.equal(responses(app), 6);
+    assert.equal(count(app, "SELECT COUNT(*) c FROM teacher WHERE name = 'Docente Novo'"), 1);
+  } finally {
+    await app.stop();
+  }
+});
+
+test('substituir com conflitos não pode ser confirmado', async () => {
+  const app = await startApp();
+  try {
+    seed(app);
+    const admin = await app.admin();
+    const file = await backup(app, admin);
+    // conta de docente ligada a um docente que não existe no backup
+    await admin.post('/dados/docentes', { name: 'Docente Novo' });
+    const db = app.db();
+    const teacher = db.prepare("SELECT id FROM teacher WHERE name = 'Docente Novo'").get().id;
+    db.close();
+    await admin.post('/utilizadores', { username: 'novo', name: 'Novo', role: 'teacher', teacher_id: teacher, password: 'palavra-passe' });
+    assert.equal(count(app, "SELECT COUNT(*) c FROM user WHERE username = 'novo'"), 1);
+
+    const { html, token } = await previewRestore(admin, file, 'replace');
+    assert.equal(token, null);
+    assert.match(html, /não pode ser aplicado com conflitos/);
+    assert.match(html, /Docente Novo/);
+    assert.equal(count(app, "SELECT COUNT(*) c FROM teacher WHERE name = 'Docente Novo'"), 1);
+
+    // juntar continua possível
+    assert.ok((await previewRestore(admin, file, 'merge')).token);
+  } finally {
+    await app.stop();
+  }
+});
+
+test('juntar o mesmo backup várias vezes não duplica nem perde respostas', async () => {
+  const app = await startApp();
+  const empty = await startApp();
+  try {
+    const { base, sibling } = seed(app);
+    const admin = await app.admin();
+    const file = await backup(app, admin);
+
+    await restore(admin, file, 'merge');
+    await restore(admin, file, 'merge');
+    assert.equal(responses(app), 5);
+    assert.equal(answers(app), 5);
+
+    // numa instalação sem respostas entram todas, incluindo as duas com a mesma data/hora
+    const other = await empty.admin();
+    await restore(other, file, 'merge');
+    await restore(other, file, 'merge');
+    assert.equal(responses(empty), 5);
+    assert.equal(answers(empty), 5);
+
+    // depois de fundir as turmas, as respostas movidas são reconhecidas
+    const merged = await admin.post(`/dados/leccionacoes/${sibling}/fundir`, { target_id: base });
+    assert.equal(merged.headers.get('location'), `/dados/leccionacoes/${base}`);
+    assert.equal(count(app, `SELECT COUNT(*) c FROM survey_response WHERE teaching_id = ${base}`), 5);
+    const { html } = await previewRestore(admin, file, 'merge');
+    assert.match(html, /já existe noutra turma/);
+    await restore(admin, file, 'merge');
+    assert.equal(responses(app), 5);
+    assert.equal(answers(app), 5);
+  } finally {
+    await app.stop();
+    await empty.stop();
+  }
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const { stemPt, analyzeComment } = loadApp();
+
+const label = text => analyzeComment(text).label;
+
+test('stemPt junta as formas da mesma palavra', () => {
+  assert.equal(stemPt('explicou'), stemPt('explicação'));
+  assert.equal(stemPt('explicar'), stemPt('explicação'));
+  assert.equal(stemPt('Organizadas'), stemPt('organizado'));
+});
+
+test('palavras funcionais não contam como negativas', () => {
+  assert.equal(analyzeComment('Gostei, mas a aula acabou tarde').score, analyzeComment('Gostei').score);
+  assert.equal(label('A aula é à tarde e a matéria avança rápido'), 'neutral');
+  // "nunca" é só negação: "nunca falta" é positivo, não duplamente negativo
+  assert.ok(analyzeComment('O professor nunca falta').score > 0);
+});
+
+test('expressões contam como um só termo', () => {
+  assert.equal(label('O professor é mal educado'), 'negative');
+  assert.equal(label('Aulas pouco claras'), 'negative');
+  assert.equal(label('Aulas bem organizadas'), 'positive');
+  // "bem organizado" conta uma vez, não "bem" + "organizado"
+  assert.equal(analyzeComment('bem organizado').score, analyzeComment('excelente').score);
+});
+
+test('negações invertem os termos seguintes', () => {
+  assert.equal(label('As aulas não são interessantes'), 'negative');
+  assert.equal(label('O professor não é mal educado'), 'positive');
+  assert.equal(label('Explica muito bem'), 'positive');
+});
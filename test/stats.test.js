@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const { db, describe, statsDetail, reportFilters } = loadApp({ ANON_THRESHOLD: '1', RELIABLE_MIN_N: '10' });
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+test('describe: média, desvio-padrão, IC 95% e mediana a partir das contagens', () => {
+  const s = describe([{ value: 2, c: 1 }, { value: 0, c: 1 }]);
+  assert.equal(s.n, 2);
+  close(s.mean, 1);
+  close(s.sd, Math.SQRT2);
+  // t com 1 grau de liberdade
+  close(s.ci_low, 1 - 12.706);
+  close(s.ci_high, 1 + 12.706);
+  assert.equal(s.median, 1);
+  assert.deepEqual(s.dist.map(d => d.value), [0, 2]);
+  assert.equal(s.reliable, false);
+
+  const many = describe([{ value: 1, c: 6 }, { value: 2, c: 4 }]);
+  assert.equal(many.n, 10);
+  assert.equal(many.median, 1);
+  assert.equal(many.reliable, true);
+
+  const one = describe([{ value: 3, c: 1 }]);
+  assert.equal(one.sd, null);
+  assert.equal(one.ci_low, null);
+  assert.equal(describe([]), null);
+});
+
+test('statsDetail: nas áreas n conta respondentes, não respostas a perguntas', () => {
+  const campaign = Number(db.prepare(`INSERT INTO campaign (name, school_year_id, semester_id, starts_at, ends_at, status)
+                                      VALUES ('Teste', 1, 1, '2020-01-01T00:00', '2020-02-01T00:00', 'closed')`).run().lastInsertRowid);
+  // "Avaliação" tem 4 perguntas (Q8–Q11): um respondente responde 2 a todas, o outro 0
+  const questions = db.prepare("SELECT id FROM survey_question WHERE area = 'Avaliação'").all().map(q => q.id);
+  assert.equal(questions.length, 4);
+  [2, 0].forEach(value => {
+    const response = Number(db.prepare("INSERT INTO survey_response (teaching_id, campaign_id, submitted_at) VALUES (1, ?, '2020-01-10')").run(campaign).lastInsertRowid);
+    questions.forEach(q => db.prepare('INSERT INTO survey_answer (response_id, question_id, value) VALUES (?, ?, ?)').run(response, q, value));
+  });
+
+  const detail = statsDetail(reportFilters({ campaign_id: String(campaign) }));
+  const area = detail.areas.find(a => a.area === 'Avaliação');
+  assert.equal(area.n, 2);
+  close(area.mean, 1);
+  close(area.sd, Math.SQRT2);
+  assert.equal(area.reliable, false);
+  assert.equal(detail.questions.get(questions[0]).n, 2);
+
+  // no índice 0–100 a escala 0–2 vai de 0 a 100
+  const index = statsDetail(reportFilters({ campaign_id: String(campaign) }), { index: true }).areas.find(a => a.area === 'Avaliação');
+  close(index.mean, 50);
+  assert.deepEqual(index.dist, [{ value: 0, c: 1 }, { value: 100, c: 1 }]);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, openSurvey } = require('./helpers');
+
+// Campanha aberta do curso 1 (1º semestre de 2025) e um código por usar para a turma indicada
+function seed(app, classGroup) {
+  const db = app.db();
+  const run = (sql, ...args) => Number(db.prepare(sql).run(...args).lastInsertRowid);
+  const campaign = run(`INSERT INTO campaign (name, course_id, school_year_id, semester_id, questionnaire_version_id, starts_at, ends_at, status)
+                        VALUES ('Teste', 1, 1, 1, 1, '2020-01-01T00:00', '2099-01-01T00:00', 'open')`);
+  const batch = run("INSERT INTO access_code_batch (class_group_id, school_year_id, semester_id, quantity, created_at) VALUES (?, 1, 1, 3, '2026-01-01')", classGroup);
+  const codes = ['AAAA1111', 'BBBB2222', 'CCCC3333'];
+  codes.forEach(code => run('INSERT INTO access_code (batch_id, code) VALUES (?, ?)', batch, code));
+  db.close();
+  return { campaign, codes };
+}
+
+const count = (app, sql, ...args) => {
+  const db = app.db();
+  const c = db.prepare(sql).get(...args).c;
+  db.close();
+  return c;
+};
+
+test('o código só permite avaliar leccionações existentes da sua turma', async () => {
+  const app = await startApp();
+  try {
+    // código da Turma B: as leccionações do curso 1 são todas da Turma A
+    const { campaign, codes } = seed(app, 2);
+    const teachings = count(app, 'SELECT COUNT(*) c FROM teaching');
+    const student = app.browser();
+    const submit = async (code, extra) => {
+      const { form } = await openSurvey(student, { course_id: 1, campaign_id: campaign, code });
+      const res = await student.request('/submit', { method: 'POST', form: { ...form, q_1: '2', ...extra } });
+      return { status: res.status, html: await res.text() };
+    };
+
+    const forged = await submit(codes[0], { discipline_id: 1, teacher_id: 1 });
+    assert.equal(forged.status, 400);
+    assert.match(forged.html, /não permite avaliar esta disciplina com este docente/);
+    assert.equal(count(app, 'SELECT COUNT(*) c FROM teaching'), teachings);
+    assert.equal(count(app, 'SELECT COUNT(*) c FROM survey_response'), 0);
+    // o código não foi gasto
+    assert.equal(count(app, 'SELECT used c FROM access_code WHERE code = ?', codes[0]), 0);
+
+    // leccionação da Turma B: aceite e registada nela
+    const db = app.db();
+    const own = Number(db.prepare('INSERT INTO teaching (teacher_id, discipline_id, semester_id, school_year_id, class_group_id) VALUES (1, 1, 1, 1, 2)').run().lastInsertRowid);
+    db.close();
+    const ok = await submit(codes[0], { discipline_id: 1, teacher_id: 1 });
+    assert.equal(ok.status, 200);
+    assert.match(ok.html, /Obrigado pela sua resposta/);
+    assert.equal(count(app, 'SELECT COUNT(*) c FROM survey_response WHERE teaching_id = ?', own), 1);
+
+    // docente que não lecciona a disciplina
+    const wrongTeacher = await submit(codes[1], { discipline_id: 1, teacher_id: 3 });
+    assert.equal(wrongTeacher.status, 400);
+    assert.equal(count(app, 'SELECT COUNT(*) c FROM teaching'), teachings + 1);
+  } finally {
+    await app.stop();
+  }
+});